@@ -0,0 +1,335 @@
+/**
+ * ===================
+ * Module: botSession
+ * Layer: Backend Bot
+ * Responsibility:
+ * - 持有服务端 hack.chat 会话（连接状态/消息/在线用户/运行配置）
+ * - 组合连接层、协议分发层、回复策略层、命令路由
+ * - 直接调用回复/画像服务，不经过 HTTP
+ * - 把聊天/私聊写入 messages 表，重连/重启后从中恢复最近消息
+ * - 向订阅者（监控界面）广播会话事件
+ * ===================
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import { ingestIdentity, insertMessage, listRecentChatMessages } from '../db/index.mjs';
+import { toTaskModelOverrides } from '../services/llm/taskModels.mjs';
+import { getReplyPipelineUnavailableReason, runReplyPipeline } from '../services/replyPipeline.mjs';
+import { createBuiltinCommands } from './builtinCommands.mjs';
+import { createCommandRouter } from './commandRouter.mjs';
+import { createHackChatConnection } from './connectionLayer.mjs';
+import { dispatchProtocolPacket } from './protocolDispatcher.mjs';
+
+/**
+ * @typedef {import('../../shared/contracts').BotRuntimeConfig} BotRuntimeConfig
+ * @typedef {import('../../shared/contracts').BotSessionEvent} BotSessionEvent
+ * @typedef {import('../../shared/contracts').BotSessionSnapshot} BotSessionSnapshot
+ * @typedef {import('../../shared/contracts').ChatMessage} ChatMessage
+ * @typedef {import('../../shared/contracts').ConnectionStatus} ConnectionStatus
+ * @typedef {import('./protocolDispatcher.mjs').ReplyInput} ReplyInput
+ */
+
+/**
+ * 把外部传入的配置片段合并到当前配置，非法字段忽略。
+ * @param {BotRuntimeConfig} base
+ * @param {Record<string, unknown>} patch
+ * @returns {BotRuntimeConfig}
+ */
+export function mergeRuntimeConfig(base, patch) {
+  const next = { ...base };
+  if (!patch || typeof patch !== 'object') return next;
+
+  if (typeof patch.channel === 'string' && patch.channel.trim().length > 0) {
+    next.channel = patch.channel.trim();
+  }
+  if (typeof patch.botName === 'string' && patch.botName.trim().length > 0) {
+    next.botName = patch.botName.trim();
+  }
+  if (typeof patch.provider === 'string' && patch.provider.trim().length > 0) {
+    next.provider = patch.provider.trim();
+  }
+  if (typeof patch.personality === 'string') {
+    next.personality = patch.personality;
+  }
+  if (patch.replyMode === 'mention' || patch.replyMode === 'all') {
+    next.replyMode = patch.replyMode;
+  }
+  // 人设级模型覆盖项整体替换；传 null 清空
+  if (patch.models === null) {
+    delete next.models;
+  } else if (patch.models !== undefined) {
+    next.models = toTaskModelOverrides(patch.models);
+  }
+  return next;
+}
+
+/**
+ * 创建服务端 bot 会话。
+ * @param {{
+ *   initialConfig: BotRuntimeConfig,
+ *   initialPassword?: string,
+ *   historyLimit?: number,
+ *   reconnect?: Partial<import('./connectionLayer.mjs').ReconnectOptions>,
+ *   outbound?: Partial<import('./outboundQueue.mjs').OutboundQueueOptions>,
+ * }} options
+ */
+export function createBotSession({ initialConfig, initialPassword = '', historyLimit = 500, reconnect, outbound }) {
+  /** @type {ConnectionStatus} */
+  let status = 'disconnected';
+  /** @type {BotRuntimeConfig} */
+  let config = { ...initialConfig };
+  let password = initialPassword;
+  /** @type {ChatMessage[]} */
+  let messages = [];
+  /** @type {string[]} */
+  let onlineUsers = [];
+  /** @type {Set<(event: BotSessionEvent) => void>} */
+  const listeners = new Set();
+
+  /**
+   * 广播会话事件，单个订阅者异常不影响其他订阅者。
+   * @param {BotSessionEvent} event
+   */
+  const emit = (event) => {
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn('[bot] session listener failed:', error);
+      }
+    }
+  };
+
+  /**
+   * @param {ConnectionStatus} nextStatus
+   */
+  const setStatus = (nextStatus) => {
+    status = nextStatus;
+    emit({ type: 'status', status });
+  };
+
+  /**
+   * 聊天/私聊写入 messages 表（系统提示不入库），写库失败不影响会话。
+   * 入库成功时把 message_id 回填到消息上，供记忆记录来源。
+   * @param {ChatMessage} message
+   */
+  const persistTranscript = (message) => {
+    if (!SERVER_CONFIG.transcript.storeEnabled) return;
+    if (message.type !== 'message' && message.type !== 'whisper') return;
+    try {
+      message.message_id = insertMessage({
+        roomId: config.channel,
+        nick: message.nick,
+        tripCode: message.trip,
+        text: message.text,
+        type: message.type,
+        peer: message.peer,
+        time: message.time,
+      });
+    } catch (error) {
+      console.error('[bot] failed to persist chat transcript:', error);
+    }
+  };
+
+  /**
+   * 读取当前频道最近的已存聊天记录，作为会话初始消息。
+   * @returns {ChatMessage[]}
+   */
+  const loadStoredMessages = () => {
+    if (!SERVER_CONFIG.transcript.storeEnabled) return [];
+    try {
+      return listRecentChatMessages({ roomId: config.channel, limit: historyLimit });
+    } catch (error) {
+      console.error('[bot] failed to load stored transcript:', error);
+      return [];
+    }
+  };
+
+  /**
+   * 写入消息并按 historyLimit 裁剪。
+   * @param {ChatMessage} message
+   */
+  const addMessage = (message) => {
+    persistTranscript(message);
+    messages.push(message);
+    if (messages.length > historyLimit) {
+      messages.splice(0, messages.length - historyLimit);
+    }
+    emit({ type: 'message', message });
+  };
+
+  /**
+   * @param {string[]} users
+   */
+  const setOnlineUsers = (users) => {
+    onlineUsers = users;
+    emit({ type: 'online', users: onlineUsers });
+  };
+
+  /**
+   * 仅在消息带 trip 时写入身份心跳，更新 rooms/users 的 last_seen 与 display_name。
+   * @param {ChatMessage} message
+   */
+  const persistTripIdentity = (message) => {
+    if (!message.trip) return;
+    try {
+      ingestIdentity({
+        roomId: config.channel,
+        tripCode: message.trip,
+        displayName: message.nick,
+        seenAt: Math.floor((message.time || Date.now()) / 1000),
+      });
+    } catch (error) {
+      console.error('[bot] failed to persist trip identity:', error);
+    }
+  };
+
+  /**
+   * 来消息时统一触发身份同步（setprofile 等命令由命令路由处理）。
+   * @param {ChatMessage} message
+   */
+  const handleIncomingMessage = (message) => {
+    persistTripIdentity(message);
+  };
+
+  /**
+   * 生成回复分段（不处理发送动作）。
+   * @param {ReplyInput} input
+   * @returns {Promise<string[]>}
+   */
+  const generateReply = async ({ history, triggerMessage, triggerMessageId, sender, senderTrip, conversation }) => {
+    const unavailableReason = getReplyPipelineUnavailableReason({
+      provider: config.provider,
+      personaModels: config.models,
+    });
+    if (unavailableReason) {
+      console.error(`[bot] ${unavailableReason}`);
+      return [];
+    }
+
+    const result = await runReplyPipeline({
+      provider: config.provider,
+      personaModels: config.models,
+      history,
+      personality: config.personality,
+      targetMessage: triggerMessage,
+      targetMessageId: triggerMessageId,
+      targetSender: sender,
+      targetTrip: senderTrip || '',
+      roomId: config.channel,
+      botName: config.botName,
+      conversation,
+    });
+    return result.chunks;
+  };
+
+  /**
+   * 读取会话快照（返回副本）。
+   * @returns {BotSessionSnapshot}
+   */
+  const getSnapshot = () => ({
+    status,
+    config: { ...config },
+    messages: messages.slice(),
+    onlineUsers: onlineUsers.slice(),
+  });
+
+  /**
+   * 仅修改人设并广播配置变更（供 persona 命令使用）。
+   * @param {string} personality
+   */
+  const setPersonality = (personality) => {
+    config = mergeRuntimeConfig(config, { personality });
+    emit({ type: 'config', config });
+  };
+
+  const connection = createHackChatConnection({
+    getConfig: () => ({ ...config, password: password || undefined }),
+    reconnect,
+    outbound,
+    onStatusChange: setStatus,
+    onSystemMessage: addMessage,
+    onPacket: (packet) => {
+      dispatchProtocolPacket({
+        packet,
+        botName: config.botName,
+        replyMode: config.replyMode,
+        messagesSnapshot: messages.slice(),
+        addMessage,
+        replaceOnlineUsers: (users) => setOnlineUsers(users),
+        appendOnlineUser: (nick) => setOnlineUsers([...onlineUsers, nick]),
+        removeOnlineUser: (nick) => setOnlineUsers(onlineUsers.filter((name) => name !== nick)),
+        onIncomingMessage: handleIncomingMessage,
+        handleCommand: (input) => commandRouter.handle({ ...input, roomId: config.channel }),
+        onReplyRequested: generateReply,
+        sendChatMessage: (text, options) => connection.sendChatMessage(text, options),
+        sendWhisper: (nick, text, options) => connection.sendWhisper(nick, text, options),
+      });
+    },
+  });
+
+  const commandRouter = createCommandRouter({
+    commands: createBuiltinCommands({
+      getPersonality: () => config.personality,
+      setPersonality,
+      defaultPersonality: initialConfig.personality,
+      getPersonaModels: () => config.models,
+    }),
+    prefix: SERVER_CONFIG.commands.prefix,
+    adminTrips: SERVER_CONFIG.commands.adminTrips,
+    defaultCooldownMs: SERVER_CONFIG.commands.defaultCooldownMs,
+    maxChunkChars: SERVER_CONFIG.reply.chunkMaxChars,
+    sendChat: (text) => connection.sendChatMessage(text, { droppable: false }),
+    sendWhisper: (nick, text) => connection.sendWhisper(nick, text, { droppable: false }),
+  });
+
+  return {
+    /**
+     * 以给定配置（可选）建立连接；已连接/连接中/重连中时返回 false。
+     * @param {Record<string, unknown> & { password?: string }} [overrides]
+     */
+    connect(overrides = {}) {
+      if (status === 'connected' || status === 'connecting' || status === 'reconnecting') return false;
+      config = mergeRuntimeConfig(config, overrides);
+      if (typeof overrides.password === 'string') password = overrides.password;
+      emit({ type: 'config', config });
+
+      messages = loadStoredMessages();
+      onlineUsers = [];
+      emit({ type: 'snapshot', snapshot: getSnapshot() });
+      connection.connect();
+      return true;
+    },
+
+    /**
+     * 断开连接（同时取消待执行的自动重连）并清空在线用户。
+     */
+    disconnect() {
+      connection.disconnect();
+      setOnlineUsers([]);
+    },
+
+    /**
+     * 更新无需重连即可生效的配置（provider/personality/replyMode/models）。
+     * @param {Record<string, unknown>} patch
+     */
+    updateConfig(patch) {
+      const { channel: _channel, botName: _botName, ...livePatch } = patch || {};
+      config = mergeRuntimeConfig(config, livePatch);
+      emit({ type: 'config', config });
+      return config;
+    },
+
+    getSnapshot,
+
+    /**
+     * 订阅会话事件，返回取消订阅函数。
+     * @param {(event: BotSessionEvent) => void} listener
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * =====================
+ * Module: builtinCommands
+ * Layer: Backend Bot
+ * Responsibility:
+ * - 定义 bot 内置聊天命令（help/profile/memories/forget/forgetme/persona/setprofile）
+ * - 涉及个人数据的命令只对带 trip 的用户开放，并通过私聊回复
+ * =====================
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import { deleteMemoriesByTripMatching, getProfileByTrip, listMemoriesByTrip } from '../db/index.mjs';
+import { updateProfileFromMessage } from '../services/profileCommandService.mjs';
+import { toProfileContext } from '../services/reply/contextFormatter.mjs';
+import {
+  DELETION_CONFIRM_TTL_SECONDS,
+  confirmUserDataDeletion,
+  requestUserDataDeletion,
+} from '../services/userDataDeletionService.mjs';
+
+/**
+ * @typedef {import('./commandRouter.mjs').BotCommand} BotCommand
+ */
+
+const MEMORIES_DEFAULT_COUNT = 5;
+const MEMORIES_MAX_COUNT = 10;
+const PERSONA_PREVIEW_CHARS = 200;
+
+/**
+ * updateProfileFromMessage 跳过原因 -> 用户可读提示。
+ * @param {Record<string, unknown>} result
+ */
+function describeProfileSkip(result) {
+  switch (result.reason) {
+    case 'empty_profile_content':
+      return '请在 setprofile 后写上想让我记住的资料';
+    case 'profile_content_too_long':
+      return `资料太长了，请控制在 ${result.max_chars} 字以内`;
+    default:
+      return '资料未更新';
+  }
+}
+
+/**
+ * 创建内置命令列表。
+ * @param {{
+ *   getPersonality: () => string,
+ *   setPersonality: (personality: string) => void,
+ *   defaultPersonality: string,
+ *   getPersonaModels?: () => import('../../shared/contracts').TaskModelOverrides | undefined,
+ * }} deps
+ * @returns {BotCommand[]}
+ */
+export function createBuiltinCommands({ getPersonality, setPersonality, defaultPersonality, getPersonaModels = () => undefined }) {
+  /** @type {BotCommand[]} */
+  const commands = [
+    {
+      name: 'help',
+      aliases: ['帮助'],
+      usage: 'help [命令名]',
+      description: '列出可用命令，或查看某个命令的用法',
+      run({ args, availableCommands, prefix }) {
+        const [name] = /** @type {string[]} */ (args);
+        if (name) {
+          const lowered = name.toLowerCase();
+          const commandName = lowered.startsWith(prefix) ? lowered.slice(prefix.length) : lowered;
+          const command = availableCommands.find(
+            (item) => item.name === commandName || (item.aliases || []).includes(commandName)
+          );
+          if (!command) return `没有命令 ${name}，发送 ${prefix}help 查看可用命令`;
+          return `${prefix}${command.usage} —— ${command.description}`;
+        }
+        return [
+          '可用命令：',
+          ...availableCommands.map((item) => `${prefix}${item.usage} —— ${item.description}`),
+        ];
+      },
+    },
+    {
+      name: 'profile',
+      usage: 'profile',
+      description: '查看我记住的你的资料（私聊回复）',
+      permission: 'trip',
+      respondVia: 'whisper',
+      run({ trip, prefix }) {
+        const profileText = toProfileContext(getProfileByTrip(String(trip)));
+        if (!profileText) return `还没有你的资料，可以发送 ${prefix}setprofile <介绍> 告诉我`;
+        return ['你的资料：', profileText];
+      },
+    },
+    {
+      name: 'memories',
+      usage: `memories [条数，默认 ${MEMORIES_DEFAULT_COUNT}]`,
+      description: '查看我记住的关于你的记忆（私聊回复）',
+      permission: 'trip',
+      respondVia: 'whisper',
+      parseArgs(tokens) {
+        if (tokens.length === 0) return { ok: true, value: MEMORIES_DEFAULT_COUNT };
+        const count = Number(tokens[0]);
+        if (!Number.isInteger(count) || count < 1) return { ok: false, error: '条数必须是正整数' };
+        return { ok: true, value: Math.min(MEMORIES_MAX_COUNT, count) };
+      },
+      run({ args, trip }) {
+        const items = listMemoriesByTrip({ tripCode: trip, limit: args });
+        if (items.length === 0) return '还没有关于你的记忆';
+        return [
+          `关于你的 ${items.length} 条记忆：`,
+          ...items.map((item, index) => `${index + 1}. ${item.text}`),
+        ];
+      },
+    },
+    {
+      name: 'forget',
+      usage: 'forget <关键词>',
+      description: '删除包含关键词的、关于你的记忆',
+      permission: 'trip',
+      respondVia: 'whisper',
+      parseArgs(_tokens, rawArgs) {
+        if (!rawArgs) return { ok: false, error: '请提供关键词' };
+        return { ok: true, value: rawArgs };
+      },
+      run({ args, trip }) {
+        const { removedMemories } = deleteMemoriesByTripMatching({ tripCode: trip, keyword: args });
+        if (removedMemories === 0) return `没有找到包含「${args}」的记忆`;
+        return `已删除 ${removedMemories} 条包含「${args}」的记忆`;
+      },
+    },
+    {
+      name: 'forgetme',
+      usage: 'forgetme [confirm <确认码>]',
+      description: '删除我保存的你的全部数据（画像、记忆、聊天记录），需二次确认',
+      permission: 'trip',
+      respondVia: 'whisper',
+      // 申请后需紧接着发送确认，不设冷却
+      cooldownMs: 0,
+      parseArgs(tokens) {
+        if (tokens.length === 0) return { ok: true, value: null };
+        if (tokens.length === 2 && tokens[0].toLowerCase() === 'confirm') return { ok: true, value: tokens[1] };
+        return { ok: false, error: '参数错误' };
+      },
+      run({ args, trip, prefix }) {
+        if (!args) {
+          const pending = requestUserDataDeletion(trip);
+          if (!pending) return '没有保存任何关于你的数据';
+          const { profile, memories, messages } = pending.preview;
+          return [
+            `将删除：画像 ${profile} 份、记忆 ${memories} 条、聊天记录 ${messages} 条，删除后无法恢复。`,
+            `确认请在 ${Math.floor(DELETION_CONFIRM_TTL_SECONDS / 60)} 分钟内发送：${prefix}forgetme confirm ${pending.confirmToken}`,
+          ];
+        }
+
+        const outcome = confirmUserDataDeletion({ tripCode: trip, confirmToken: args, requestedVia: 'chat' });
+        if (!outcome.ok) {
+          return outcome.reason === 'invalid_confirm_token'
+            ? `确认码不正确，本次申请已作废，请重新发送 ${prefix}forgetme`
+            : `确认码已过期，请重新发送 ${prefix}forgetme`;
+        }
+        const { removedMemories, removedMessages } = outcome.result;
+        console.log(`[bot] user data deleted via chat, audit_id=${outcome.result.auditId}`);
+        return `已删除你的画像、${removedMemories} 条记忆与 ${removedMessages} 条聊天记录`;
+      },
+    },
+    {
+      name: 'persona',
+      usage: 'persona [新人设|reset]',
+      description: '查看或修改当前人设（管理员）',
+      permission: 'admin',
+      run({ rawArgs }) {
+        if (!rawArgs) {
+          const personality = getPersonality();
+          return `当前人设：${personality.slice(0, PERSONA_PREVIEW_CHARS)}${personality.length > PERSONA_PREVIEW_CHARS ? '…' : ''}`;
+        }
+        if (rawArgs.toLowerCase() === 'reset') {
+          setPersonality(defaultPersonality);
+          return '人设已恢复默认';
+        }
+        setPersonality(rawArgs);
+        return '人设已更新';
+      },
+    },
+    {
+      name: SERVER_CONFIG.profile.command,
+      usage: `${SERVER_CONFIG.profile.command} <自我介绍>`,
+      description: '告诉我你的资料（也可不加前缀直接发送）',
+      permission: 'trip',
+      bare: true,
+      async run({ rawArgs, trip, sender, roomId }) {
+        const result = await updateProfileFromMessage({
+          roomId,
+          tripCode: trip,
+          displayName: sender,
+          messageText: `${SERVER_CONFIG.profile.command} ${rawArgs}`,
+          modelOverride: getPersonaModels()?.profile,
+        });
+        if (!result.updated) return describeProfileSkip(result);
+        console.log(`[bot] profile updated for trip=${trip}`);
+        return `已更新 ${sender} 的资料`;
+      },
+    },
+  ];
+  return commands;
+}
@@ -0,0 +1,220 @@
+/**
+ * =====================
+ * Module: commandRouter
+ * Layer: Backend Bot
+ * Responsibility:
+ * - 识别聊天/私聊中的命令（"!name args" 或声明了 bare 的裸命令，如 setprofile）
+ * - 按命令做参数解析、trip 权限校验与按用户冷却
+ * - 把命令输出按命令声明发回频道或私聊
+ * 命令消息不再进入回复触发流程。
+ * =====================
+ */
+import { splitReplyIntoChunks } from '../services/reply/replyChunker.mjs';
+
+/**
+ * @typedef {import('../../shared/contracts').ChatMessage} ChatMessage
+ * @typedef {import('../../shared/contracts').ConversationKind} ConversationKind
+ */
+
+/**
+ * 权限等级：
+ * - anyone: 任何人
+ * - trip: 需要 trip（涉及个人数据的命令）
+ * - admin: trip 在管理员列表中
+ * @typedef {'anyone' | 'trip' | 'admin'} CommandPermission
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {any} args parseArgs 的解析结果（未声明 parseArgs 时为分词后的 string[]）
+ * @property {string} rawArgs 命令名之后的原始文本
+ * @property {string} sender 调用者昵称
+ * @property {string} [trip] 调用者 trip
+ * @property {ConversationKind} conversation 命令来自频道还是私聊
+ * @property {string} roomId 当前频道
+ * @property {string} prefix 命令前缀
+ * @property {BotCommand[]} availableCommands 调用者有权限使用的命令
+ */
+
+/**
+ * @typedef {Object} BotCommand
+ * @property {string} name
+ * @property {string[]} [aliases]
+ * @property {string} usage 用法（不含前缀），例如 "memories [条数]"
+ * @property {string} description 一句话说明
+ * @property {CommandPermission} [permission] 默认 anyone
+ * @property {number} [cooldownMs] 缺省取路由默认冷却
+ * @property {'auto' | 'chat' | 'whisper'} [respondVia] auto 表示原路返回（频道命令回频道，私聊命令回私聊）
+ * @property {boolean} [bare] 是否允许不带前缀调用（兼容旧的 "setprofile xxx"）
+ * @property {(tokens: string[], rawArgs: string) => { ok: true, value: any } | { ok: false, error: string }} [parseArgs]
+ * @property {(context: CommandContext) => Promise<string | string[] | null | void> | string | string[] | null | void} run
+ */
+
+/**
+ * 按空白分词，支持双引号包裹含空格的参数。
+ * @param {string} raw
+ * @returns {string[]}
+ */
+export function tokenizeArgs(raw) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  for (const match of String(raw || '').matchAll(pattern)) {
+    tokens.push(match[1] ?? match[2]);
+  }
+  return tokens;
+}
+
+/**
+ * 解析命令文本。
+ * @param {string} text
+ * @param {{ prefix: string, bareNames: Set<string> }} options
+ * @returns {{ name: string, rawArgs: string } | null}
+ */
+export function parseCommandText(text, { prefix, bareNames }) {
+  const trimmed = String(text || '').trim();
+  const hasPrefix = prefix.length > 0 && trimmed.startsWith(prefix);
+  const body = hasPrefix ? trimmed.slice(prefix.length) : trimmed;
+  const match = /^([^\s:：]+)[:：]?\s*([\s\S]*)$/u.exec(body);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  if (!hasPrefix && !bareNames.has(name)) return null;
+  return { name, rawArgs: match[2].trim() };
+}
+
+/**
+ * 创建命令路由。
+ * @param {{
+ *   commands: BotCommand[],
+ *   prefix: string,
+ *   adminTrips: string[],
+ *   defaultCooldownMs: number,
+ *   maxChunkChars: number,
+ *   sendChat: (text: string) => void,
+ *   sendWhisper: (nick: string, text: string) => void,
+ *   now?: () => number,
+ * }} options
+ */
+export function createCommandRouter({
+  commands,
+  prefix,
+  adminTrips,
+  defaultCooldownMs,
+  maxChunkChars,
+  sendChat,
+  sendWhisper,
+  now = Date.now,
+}) {
+  /** @type {Map<string, BotCommand>} */
+  const commandByName = new Map();
+  for (const command of commands) {
+    for (const name of [command.name, ...(command.aliases || [])]) {
+      commandByName.set(name.toLowerCase(), command);
+    }
+  }
+  const bareNames = new Set(
+    [...commandByName.entries()].filter(([, command]) => command.bare).map(([name]) => name)
+  );
+  /** @type {Map<string, number>} */
+  const lastUsedAt = new Map();
+
+  /**
+   * @param {CommandPermission | undefined} permission
+   * @param {string | undefined} trip
+   */
+  const hasPermission = (permission = 'anyone', trip) => {
+    if (permission === 'anyone') return true;
+    if (!trip) return false;
+    return permission === 'trip' || adminTrips.includes(trip);
+  };
+
+  /**
+   * 按命令声明选择回复通道并分段发送。
+   * @param {BotCommand | null} command
+   * @param {{ sender: string, conversation: ConversationKind }} target
+   * @param {string | string[] | null | void} output
+   */
+  const respond = (command, { sender, conversation }, output) => {
+    const lines = (Array.isArray(output) ? output : [output]).filter(
+      (line) => typeof line === 'string' && line.trim().length > 0
+    );
+    if (lines.length === 0) return;
+
+    const via = command?.respondVia && command.respondVia !== 'auto'
+      ? command.respondVia
+      : conversation === 'private' ? 'whisper' : 'chat';
+    for (const chunk of splitReplyIntoChunks(lines.join('\n'), { maxChars: maxChunkChars })) {
+      if (via === 'whisper') {
+        sendWhisper(sender, chunk);
+      } else {
+        sendChat(chunk);
+      }
+    }
+  };
+
+  return {
+    /**
+     * 若消息是已注册命令则异步执行并返回 true（调用方应跳过回复触发）；否则返回 false。
+     * @param {{ message: ChatMessage, conversation: ConversationKind, roomId: string }} input
+     */
+    handle({ message, conversation, roomId }) {
+      const parsed = parseCommandText(message.text, { prefix, bareNames });
+      const command = parsed ? commandByName.get(parsed.name) : undefined;
+      if (!parsed || !command) return false;
+
+      const sender = message.nick;
+      const trip = message.trip;
+      const target = { sender, conversation };
+
+      // 权限/冷却提示一律私聊发送，避免在频道刷屏
+      if (!hasPermission(command.permission, trip)) {
+        respond({ ...command, respondVia: 'whisper' }, target, command.permission === 'trip'
+          ? `${prefix}${command.name} 需要 trip（连接时使用 昵称#密码）`
+          : `没有权限使用 ${prefix}${command.name}`);
+        return true;
+      }
+
+      const cooldownMs = command.cooldownMs ?? defaultCooldownMs;
+      const cooldownKey = `${command.name}:${trip || sender}`;
+      const current = now();
+      const lastTime = lastUsedAt.get(cooldownKey);
+      if (lastTime !== undefined && current - lastTime < cooldownMs) {
+        const waitSeconds = Math.ceil((cooldownMs - (current - lastTime)) / 1000);
+        respond({ ...command, respondVia: 'whisper' }, target, `${prefix}${command.name} 冷却中，请 ${waitSeconds} 秒后再试`);
+        return true;
+      }
+
+      const tokens = tokenizeArgs(parsed.rawArgs);
+      let args = tokens;
+      if (command.parseArgs) {
+        const result = command.parseArgs(tokens, parsed.rawArgs);
+        if (!result.ok) {
+          respond(command, target, `${result.error}（用法：${prefix}${command.usage}）`);
+          return true;
+        }
+        args = result.value;
+      }
+      lastUsedAt.set(cooldownKey, current);
+
+      /** @type {CommandContext} */
+      const context = {
+        args,
+        rawArgs: parsed.rawArgs,
+        sender,
+        trip,
+        conversation,
+        roomId,
+        prefix,
+        availableCommands: commands.filter((item) => hasPermission(item.permission, trip)),
+      };
+      void Promise.resolve()
+        .then(() => command.run(context))
+        .then((output) => respond(command, target, output))
+        .catch((error) => {
+          console.error(`[bot] command ${command.name} failed:`, error);
+          respond(command, target, `${prefix}${command.name} 执行失败，请稍后再试`);
+        });
+      return true;
+    },
+  };
+}
@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandRouter, parseCommandText, tokenizeArgs } from './commandRouter.mjs';
+
+function createHarness({ commands, now = () => 0 } = {}) {
+  const sent = { chat: [], whisper: [] };
+  const router = createCommandRouter({
+    commands,
+    prefix: '!',
+    adminTrips: ['admin1'],
+    defaultCooldownMs: 5000,
+    maxChunkChars: 400,
+    sendChat: (text) => sent.chat.push(text),
+    sendWhisper: (nick, text) => sent.whisper.push([nick, text]),
+    now,
+  });
+  return { router, sent };
+}
+
+function chat(text, { nick = 'alice', trip } = {}) {
+  return { message: { time: 0, nick, trip, text, type: 'message' }, conversation: 'public', roomId: 'lounge' };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test('tokenizeArgs: splits on whitespace and keeps quoted arguments together', () => {
+  assert.deepEqual(tokenizeArgs('  a "b c"  d '), ['a', 'b c', 'd']);
+  assert.deepEqual(tokenizeArgs(''), []);
+});
+
+test('parseCommandText: requires prefix unless the command allows bare usage', () => {
+  const bareNames = new Set(['setprofile']);
+  assert.deepEqual(parseCommandText('!Help  memories', { prefix: '!', bareNames }), { name: 'help', rawArgs: 'memories' });
+  assert.deepEqual(parseCommandText('setprofile：我叫hehe', { prefix: '!', bareNames }), { name: 'setprofile', rawArgs: '我叫hehe' });
+  assert.equal(parseCommandText('help me', { prefix: '!', bareNames }), null);
+  assert.equal(parseCommandText('!', { prefix: '!', bareNames }), null);
+});
+
+test('createCommandRouter: unknown commands fall through to normal chat', () => {
+  const { router } = createHarness({ commands: [] });
+  assert.equal(router.handle(chat('!nope')), false);
+  assert.equal(router.handle(chat('hello')), false);
+});
+
+test('createCommandRouter: responds on the channel the command came from unless declared', async () => {
+  const { router, sent } = createHarness({
+    commands: [
+      { name: 'ping', usage: 'ping', description: '', cooldownMs: 0, run: () => 'pong' },
+      { name: 'secret', usage: 'secret', description: '', respondVia: 'whisper', run: () => 'psst' },
+    ],
+  });
+  assert.equal(router.handle(chat('!ping')), true);
+  router.handle({ ...chat('!ping'), conversation: 'private' });
+  router.handle(chat('!secret'));
+  await flush();
+
+  assert.deepEqual(sent.chat, ['pong']);
+  assert.deepEqual(sent.whisper, [['alice', 'pong'], ['alice', 'psst']]);
+});
+
+test('createCommandRouter: enforces trip and admin permissions', async () => {
+  let runs = 0;
+  const { router, sent } = createHarness({
+    commands: [
+      { name: 'mine', usage: 'mine', description: '', permission: 'trip', run: () => { runs += 1; } },
+      { name: 'admin', usage: 'admin', description: '', permission: 'admin', run: () => { runs += 1; } },
+    ],
+  });
+  router.handle(chat('!mine'));
+  router.handle(chat('!admin', { trip: 'user1' }));
+  router.handle(chat('!mine', { trip: 'user1' }));
+  router.handle(chat('!admin', { trip: 'admin1' }));
+  await flush();
+
+  assert.equal(runs, 2);
+  assert.equal(sent.whisper.length, 2);
+  assert.deepEqual(sent.chat, []);
+});
+
+test('createCommandRouter: applies per-user cooldown', async () => {
+  let current = 0;
+  let runs = 0;
+  const { router, sent } = createHarness({
+    now: () => current,
+    commands: [{ name: 'ping', usage: 'ping', description: '', run: () => { runs += 1; } }],
+  });
+  router.handle(chat('!ping', { trip: 't1' }));
+  current = 1000;
+  router.handle(chat('!ping', { nick: 'alice2', trip: 't1' }));
+  router.handle(chat('!ping', { nick: 'bob' }));
+  current = 6000;
+  router.handle(chat('!ping', { trip: 't1' }));
+  await flush();
+
+  assert.equal(runs, 3);
+  assert.deepEqual(sent.whisper, [['alice2', '!ping 冷却中，请 4 秒后再试']]);
+});
+
+test('createCommandRouter: reports argument errors with usage and run failures', async () => {
+  const { router, sent } = createHarness({
+    commands: [
+      {
+        name: 'count',
+        usage: 'count <n>',
+        description: '',
+        parseArgs: (tokens) => (tokens.length === 1 ? { ok: true, value: Number(tokens[0]) } : { ok: false, error: '缺少参数' }),
+        run: ({ args }) => `n=${args}`,
+      },
+      { name: 'boom', usage: 'boom', description: '', run: () => { throw new Error('boom'); } },
+    ],
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    router.handle(chat('!count'));
+    router.handle(chat('!count 3', { nick: 'bob' }));
+    router.handle(chat('!boom'));
+    await flush();
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.deepEqual(sent.chat, ['缺少参数（用法：!count <n>）', 'n=3', '!boom 执行失败，请稍后再试']);
+});
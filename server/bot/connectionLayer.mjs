@@ -0,0 +1,293 @@
+/**
+ * ==========================
+ * Module: connectionLayer
+ * Layer: Backend Bot
+ * Responsibility:
+ * - 管理 WebSocket 连接生命周期（connect/disconnect/ping）
+ * - 意外断线后按指数退避（带抖动）自动重连并重新 join
+ * - 聊天消息经出站队列限速发送，收到限流警告时自动降速
+ * - 与服务器进行基础协议交互（join/chat/whisper/ping）
+ * - 把收到的原始协议包回调给上层分发器
+ * ==========================
+ */
+import WebSocket from 'ws';
+import { createOutboundQueue, isRateLimitWarning } from './outboundQueue.mjs';
+
+const HACK_CHAT_WS_URL = 'wss://hack.chat/chat-ws';
+const PING_INTERVAL_MS = 60000;
+
+/** @type {ReconnectOptions} */
+const DEFAULT_RECONNECT_OPTIONS = {
+  enabled: true,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  maxAttempts: 10,
+  jitterRatio: 0.5,
+};
+
+/**
+ * @typedef {import('../../shared/contracts').BotRuntimeConfig} BotRuntimeConfig
+ * @typedef {import('../../shared/contracts').ChatMessage} ChatMessage
+ * @typedef {import('../../shared/contracts').ConnectionStatus} ConnectionStatus
+ * @typedef {import('../../shared/contracts').HCIncomingMessage} HCIncomingMessage
+ * @typedef {import('../../shared/contracts').HCOutgoingMessage} HCOutgoingMessage
+ */
+
+/**
+ * @typedef {Object} ReconnectOptions
+ * @property {boolean} enabled
+ * @property {number} baseDelayMs 第 1 次重连的基准等待
+ * @property {number} maxDelayMs 单次等待上限
+ * @property {number} maxAttempts 连续重连次数上限（0 表示不限）
+ * @property {number} jitterRatio 0..1，等待时间中随机化的比例
+ */
+
+/**
+ * @typedef {Object} ConnectionLayerOptions
+ * @property {() => BotRuntimeConfig & { password?: string }} getConfig
+ * @property {Partial<ReconnectOptions>} [reconnect]
+ * @property {Partial<import('./outboundQueue.mjs').OutboundQueueOptions>} [outbound]
+ * @property {() => number} [random]
+ * @property {(url: string) => WebSocket} [createSocket] 创建 websocket（测试时可替换）
+ * @property {(status: ConnectionStatus) => void} onStatusChange
+ * @property {(message: ChatMessage) => void} onSystemMessage
+ * @property {(packet: HCIncomingMessage) => void} onPacket
+ */
+
+/**
+ * @typedef {Object} HackChatConnection
+ * @property {() => void} connect
+ * @property {() => void} disconnect
+ * @property {(text: string, options?: { droppable?: boolean }) => void} sendChatMessage
+ * @property {(nick: string, text: string, options?: { droppable?: boolean }) => void} sendWhisper
+ */
+
+/**
+ * 计算第 attempt 次（从 1 开始）重连前的等待时间。
+ * 指数增长并封顶，其中 jitterRatio 比例的部分随机化，避免多个实例同时重连。
+ * @param {number} attempt
+ * @param {ReconnectOptions} options
+ * @param {() => number} [random]
+ * @returns {number} 毫秒
+ */
+export function computeReconnectDelay(attempt, options, random = Math.random) {
+  const exponent = Math.max(0, Math.floor(attempt) - 1);
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** exponent);
+  const jitterRatio = Math.max(0, Math.min(1, options.jitterRatio));
+  return Math.round(ceiling * (1 - jitterRatio) + random() * ceiling * jitterRatio);
+}
+
+/**
+ * 创建 hack.chat 连接实例。
+ * 该函数只负责连接层，不处理具体业务协议分支逻辑。
+ * @param {ConnectionLayerOptions} options
+ * @returns {HackChatConnection}
+ */
+export function createHackChatConnection({
+  getConfig,
+  reconnect,
+  outbound,
+  random = Math.random,
+  createSocket = (url) => new WebSocket(url),
+  onStatusChange,
+  onSystemMessage,
+  onPacket,
+}) {
+  const reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...reconnect };
+  /** @type {WebSocket | null} */
+  let ws = null;
+  /** @type {NodeJS.Timeout | null} */
+  let pingIntervalId = null;
+  /** @type {NodeJS.Timeout | null} */
+  let reconnectTimerId = null;
+  let reconnectAttempts = 0;
+
+  /**
+   * 关闭心跳定时器，避免重复 ping 与泄漏。
+   */
+  const stopPing = () => {
+    if (pingIntervalId) {
+      clearInterval(pingIntervalId);
+      pingIntervalId = null;
+    }
+  };
+
+  /**
+   * 取消待执行的重连。
+   */
+  const stopReconnect = () => {
+    if (reconnectTimerId) {
+      clearTimeout(reconnectTimerId);
+      reconnectTimerId = null;
+    }
+  };
+
+  /**
+   * @param {string} text
+   * @param {ChatMessage['type']} type
+   */
+  const systemMessage = (text, type) => {
+    onSystemMessage({
+      time: Date.now(),
+      nick: 'System',
+      text,
+      type,
+    });
+  };
+
+  /**
+   * 统一发送出站协议包（仅在连接可写时发送）。
+   * @param {HCOutgoingMessage} packet
+   */
+  const sendPacket = (packet) => {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(packet));
+    }
+  };
+
+  const outboundQueue = createOutboundQueue({
+    send: (text, target) => sendPacket(target ? { cmd: 'whisper', nick: target, text } : { cmd: 'chat', text }),
+    options: outbound,
+    onDrop: (reason, item) => {
+      console.warn(`[bot] dropped ${reason} outbound message: ${item.text.slice(0, 40)}`);
+      systemMessage(`Dropped ${reason} outbound message (${item.text.length} chars).`, 'warning');
+    },
+  });
+  outboundQueue.setPaused(true);
+
+  /**
+   * 意外断线后安排下一次重连；超过上限则放弃并回到 disconnected。
+   */
+  const scheduleReconnect = () => {
+    const { enabled, maxAttempts } = reconnectOptions;
+    if (!enabled) {
+      onStatusChange('disconnected');
+      systemMessage('Connection closed.', 'warning');
+      return;
+    }
+    if (maxAttempts > 0 && reconnectAttempts >= maxAttempts) {
+      onStatusChange('disconnected');
+      systemMessage(`Connection closed. Gave up reconnecting after ${reconnectAttempts} attempts.`, 'warning');
+      reconnectAttempts = 0;
+      return;
+    }
+
+    reconnectAttempts += 1;
+    const delayMs = computeReconnectDelay(reconnectAttempts, reconnectOptions, random);
+    const attemptLabel = maxAttempts > 0 ? `${reconnectAttempts}/${maxAttempts}` : `${reconnectAttempts}`;
+    onStatusChange('reconnecting');
+    systemMessage(
+      `Connection closed. Reconnecting in ${(delayMs / 1000).toFixed(1)}s (attempt ${attemptLabel})...`,
+      'warning'
+    );
+    reconnectTimerId = setTimeout(() => {
+      reconnectTimerId = null;
+      openSocket();
+    }, delayMs);
+  };
+
+  /**
+   * 建立 websocket 连接并绑定事件；每次 open（含重连）都用同一份 nick/password 重新 join。
+   * 收到第一个 onlineSet（join 被接受）才算连上：此时才重置重连计数并放开出站队列，
+   * 避免 join 被拒（昵称占用、限流）后服务器断开时每次都从第 1 次重试、退避永不增长。
+   */
+  const openSocket = () => {
+    const isReconnect = reconnectAttempts > 0;
+    if (!isReconnect) onStatusChange('connecting');
+    ws = createSocket(HACK_CHAT_WS_URL);
+    const currentSocket = ws;
+    let joined = false;
+
+    currentSocket.onopen = () => {
+      const config = getConfig();
+      sendPacket({
+        cmd: 'join',
+        channel: config.channel,
+        nick: config.botName,
+        pass: config.password,
+      });
+
+      pingIntervalId = setInterval(() => {
+        sendPacket({ cmd: 'ping' });
+      }, PING_INTERVAL_MS);
+    };
+
+    currentSocket.onmessage = (event) => {
+      try {
+        /** @type {HCIncomingMessage} */
+        const packet = JSON.parse(String(event.data));
+        if (packet.cmd === 'onlineSet' && !joined) {
+          joined = true;
+          onStatusChange('connected');
+          systemMessage(
+            isReconnect
+              ? `Reconnected to ${HACK_CHAT_WS_URL} after ${reconnectAttempts} attempt(s)`
+              : `Connected to ${HACK_CHAT_WS_URL}`,
+            'info'
+          );
+          reconnectAttempts = 0;
+          outboundQueue.setPaused(false);
+        }
+        if (packet.cmd === 'warn' && isRateLimitWarning(packet.text)) {
+          outboundQueue.notifyRateLimited();
+          console.warn(`[bot] rate limited by server, slowdown x${outboundQueue.getSlowdownFactor()}`);
+        }
+        onPacket(packet);
+      } catch (error) {
+        console.error('Failed to parse WS message', error);
+      }
+    };
+
+    currentSocket.onclose = () => {
+      if (ws !== currentSocket) return;
+      stopPing();
+      outboundQueue.setPaused(true);
+      ws = null;
+      scheduleReconnect();
+    };
+
+    currentSocket.onerror = (error) => {
+      if (ws !== currentSocket) return;
+      console.error('[bot] websocket error:', error.message);
+      if (reconnectAttempts > 0) return;
+      onStatusChange('error');
+      systemMessage('WebSocket encountered an error.', 'warning');
+    };
+  };
+
+  /**
+   * 主动建立连接（重置重连计数）。
+   */
+  const connect = () => {
+    if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) {
+      return;
+    }
+    stopReconnect();
+    reconnectAttempts = 0;
+    openSocket();
+  };
+
+  /**
+   * 主动断开连接并回收本地资源（同时取消待执行的重连）。
+   */
+  const disconnect = () => {
+    stopReconnect();
+    reconnectAttempts = 0;
+    outboundQueue.setPaused(true);
+    outboundQueue.clear();
+    if (ws) {
+      const currentSocket = ws;
+      ws = null;
+      currentSocket.close();
+    }
+    stopPing();
+    onStatusChange('disconnected');
+  };
+
+  return {
+    connect,
+    disconnect,
+    sendChatMessage: (text, options) => outboundQueue.enqueue(text, { ...options, target: undefined }),
+    sendWhisper: (nick, text, options) => outboundQueue.enqueue(text, { ...options, target: nick }),
+  };
+}
@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeReconnectDelay, createHackChatConnection } from './connectionLayer.mjs';
+
+const OPTIONS = {
+  enabled: true,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxAttempts: 10,
+  jitterRatio: 0.5,
+};
+
+test('computeReconnectDelay: grows exponentially and is capped at maxDelayMs', () => {
+  const noJitter = { ...OPTIONS, jitterRatio: 0 };
+  assert.equal(computeReconnectDelay(1, noJitter), 1000);
+  assert.equal(computeReconnectDelay(2, noJitter), 2000);
+  assert.equal(computeReconnectDelay(4, noJitter), 8000);
+  assert.equal(computeReconnectDelay(10, noJitter), 30000);
+});
+
+test('computeReconnectDelay: jitter only randomizes the configured share of the delay', () => {
+  assert.equal(computeReconnectDelay(3, OPTIONS, () => 0), 2000);
+  assert.equal(computeReconnectDelay(3, OPTIONS, () => 1), 4000);
+  assert.equal(computeReconnectDelay(3, OPTIONS, () => 0.5), 3000);
+});
+
+/**
+ * 可手动触发事件的假 websocket。
+ */
+function createFakeSocketFactory() {
+  const sockets = [];
+  const createSocket = () => {
+    const socket = {
+      readyState: 0,
+      sent: [],
+      send: (data) => socket.sent.push(JSON.parse(data)),
+      close: () => {
+        socket.readyState = 3;
+        socket.onclose?.();
+      },
+      open: () => {
+        socket.readyState = 1;
+        socket.onopen?.();
+      },
+      receive: (packet) => socket.onmessage?.({ data: JSON.stringify(packet) }),
+    };
+    sockets.push(socket);
+    return socket;
+  };
+  return { sockets, createSocket };
+}
+
+const waitForTimers = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test('createHackChatConnection: rejected joins keep counting toward the reconnect cap', async () => {
+  const { sockets, createSocket } = createFakeSocketFactory();
+  const statuses = [];
+  const messages = [];
+  const connection = createHackChatConnection({
+    getConfig: () => ({ channel: 'lounge', botName: 'bot' }),
+    reconnect: { baseDelayMs: 1, maxDelayMs: 1, maxAttempts: 3, jitterRatio: 0 },
+    createSocket,
+    onStatusChange: (status) => statuses.push(status),
+    onSystemMessage: (message) => messages.push(message.text),
+    onPacket: () => {},
+  });
+
+  connection.connect();
+  for (let index = 0; index < 4; index += 1) {
+    const socket = sockets[index];
+    socket.open();
+    assert.equal(socket.sent[0].cmd, 'join');
+    // 服务器拒绝 join（如昵称占用）后直接断开，没有 onlineSet
+    socket.receive({ cmd: 'warn', text: 'Nickname taken' });
+    socket.close();
+    await waitForTimers();
+  }
+
+  assert.equal(sockets.length, 4);
+  assert.equal(statuses.includes('connected'), false);
+  assert.equal(statuses.at(-1), 'disconnected');
+  assert.ok(messages.some((text) => text.includes('attempt 3/3')));
+  assert.ok(messages.at(-1).includes('Gave up reconnecting after 3 attempts'));
+  connection.disconnect();
+});
+
+test('createHackChatConnection: reports connected and resets attempts only after onlineSet', async () => {
+  const { sockets, createSocket } = createFakeSocketFactory();
+  const statuses = [];
+  const messages = [];
+  const connection = createHackChatConnection({
+    getConfig: () => ({ channel: 'lounge', botName: 'bot' }),
+    reconnect: { baseDelayMs: 1, maxDelayMs: 1, maxAttempts: 3, jitterRatio: 0 },
+    createSocket,
+    onStatusChange: (status) => statuses.push(status),
+    onSystemMessage: (message) => messages.push(message.text),
+    onPacket: () => {},
+  });
+
+  connection.connect();
+  sockets[0].open();
+  assert.equal(statuses.at(-1), 'connecting');
+  sockets[0].receive({ cmd: 'onlineSet', nicks: ['bot'] });
+  assert.equal(statuses.at(-1), 'connected');
+
+  sockets[0].close();
+  await waitForTimers();
+  sockets[1].open();
+  assert.equal(statuses.at(-1), 'reconnecting');
+  sockets[1].receive({ cmd: 'onlineSet', nicks: ['bot'] });
+  assert.equal(statuses.at(-1), 'connected');
+  assert.ok(messages.at(-1).startsWith('Reconnected'));
+
+  // 成功 join 后计数已清零，下一次断线重新从第 1 次开始
+  sockets[1].close();
+  assert.ok(messages.at(-1).includes('attempt 1/3'));
+  connection.disconnect();
+});
@@ -0,0 +1,24 @@
+import { SERVER_CONFIG } from '../config.mjs';
+import { createBotSession } from './botSession.mjs';
+
+/**
+ * 模块职责：
+ * 持有进程内唯一的服务端 bot 会话（延迟创建）。
+ */
+let botSession = null;
+
+/**
+ * 获取服务端 bot 会话单例。
+ */
+export function getBotSession() {
+  if (!botSession) {
+    botSession = createBotSession({
+      initialConfig: { ...SERVER_CONFIG.bootstrap.defaults },
+      initialPassword: SERVER_CONFIG.bot.password,
+      historyLimit: SERVER_CONFIG.bot.historyLimit,
+      reconnect: SERVER_CONFIG.bot.reconnect,
+      outbound: SERVER_CONFIG.bot.outbound,
+    });
+  }
+  return botSession;
+}
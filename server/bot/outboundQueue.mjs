@@ -0,0 +1,223 @@
+/**
+ * ======================
+ * Module: outboundQueue
+ * Layer: Backend Bot
+ * Responsibility:
+ * - 用令牌桶为出站聊天消息限速，避免触发 hack.chat 防刷屏
+ * - 收到服务端限流警告时暂停并降速，之后逐步恢复
+ * - 队列积压时合并或丢弃过期回复
+ * ======================
+ */
+
+/**
+ * @typedef {Object} OutboundQueueOptions
+ * @property {number} burst 令牌桶容量（允许的瞬时连发条数）
+ * @property {number} refillPerSecond 每秒补充的令牌数
+ * @property {number} maxQueueSize 队列积压上限，超出时合并/丢弃最旧的可丢弃消息
+ * @property {number} maxAgeMs 消息排队超过该时长视为过期，发送前丢弃
+ * @property {number} maxMergedChars 合并后单条消息的最大字符数
+ * @property {number} rateLimitPenaltyMs 收到限流警告后暂停发送的时长
+ * @property {number} maxSlowdownFactor 限流降速倍数上限
+ * @property {number} recoveryMs 距上次限流超过该时长后，降速倍数减半
+ */
+
+/**
+ * @typedef {Object} OutboundItem
+ * @property {string} text
+ * @property {string} [target] 私聊目标昵称；缺省表示发到频道
+ * @property {number} enqueuedAt
+ * @property {boolean} droppable
+ */
+
+/** @type {OutboundQueueOptions} */
+const DEFAULT_OPTIONS = {
+  burst: 3,
+  refillPerSecond: 0.5,
+  maxQueueSize: 6,
+  maxAgeMs: 45000,
+  maxMergedChars: 600,
+  rateLimitPenaltyMs: 10000,
+  maxSlowdownFactor: 8,
+  recoveryMs: 60000,
+};
+
+const RATE_LIMIT_WARNING_PATTERN = /rate-?limited|too much text|too fast|wait a moment/i;
+
+/**
+ * 判断 warn 文本是否为 hack.chat 的限流提示。
+ * @param {string | undefined} text
+ */
+export function isRateLimitWarning(text) {
+  return typeof text === 'string' && RATE_LIMIT_WARNING_PATTERN.test(text);
+}
+
+/**
+ * 创建出站消息队列。
+ * @param {{
+ *   send: (text: string, target?: string) => void,
+ *   options?: Partial<OutboundQueueOptions>,
+ *   onDrop?: (reason: 'stale' | 'overflow', item: OutboundItem) => void,
+ *   now?: () => number,
+ * }} params
+ */
+export function createOutboundQueue({ send, options, onDrop, now = Date.now }) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  /** @type {OutboundItem[]} */
+  let items = [];
+  let tokens = settings.burst;
+  let lastRefillAt = now();
+  let slowdownFactor = 1;
+  let lastRateLimitedAt = 0;
+  let penaltyUntil = 0;
+  let paused = false;
+  /** @type {NodeJS.Timeout | null} */
+  let timerId = null;
+
+  const currentRefillPerMs = () => settings.refillPerSecond / slowdownFactor / 1000;
+
+  /**
+   * 按流逝时间补充令牌（限流暂停期间不补充），并在限流平息后逐步恢复速率。
+   */
+  const refill = () => {
+    const current = now();
+    if (slowdownFactor > 1 && current - lastRateLimitedAt >= settings.recoveryMs) {
+      slowdownFactor = Math.max(1, slowdownFactor / 2);
+      lastRateLimitedAt = current;
+    }
+    const refillFrom = Math.max(lastRefillAt, penaltyUntil);
+    if (current > refillFrom) {
+      tokens = Math.min(settings.burst, tokens + (current - refillFrom) * currentRefillPerMs());
+    }
+    lastRefillAt = current;
+  };
+
+  const clearTimer = () => {
+    if (timerId) {
+      clearTimeout(timerId);
+      timerId = null;
+    }
+  };
+
+  /**
+   * 积压超限时：优先把最旧的两条相邻、同一目标的可丢弃消息合并，无法合并则丢弃最旧的一条。
+   */
+  const compact = () => {
+    while (items.length > settings.maxQueueSize) {
+      const index = items.findIndex((item) => item.droppable);
+      if (index === -1) return;
+      const current = items[index];
+      const next = items[index + 1];
+      if (
+        next?.droppable &&
+        next.target === current.target &&
+        current.text.length + next.text.length + 1 <= settings.maxMergedChars
+      ) {
+        items.splice(index, 2, {
+          text: `${current.text}\n${next.text}`,
+          target: current.target,
+          enqueuedAt: next.enqueuedAt,
+          droppable: true,
+        });
+        continue;
+      }
+      items.splice(index, 1);
+      onDrop?.('overflow', current);
+    }
+  };
+
+  const scheduleDrain = (delayMs) => {
+    clearTimer();
+    timerId = setTimeout(() => {
+      timerId = null;
+      drain();
+    }, Math.max(0, Math.ceil(delayMs)));
+  };
+
+  /**
+   * 在令牌允许的范围内发送队首消息，剩余消息按下一枚令牌到达时间排期。
+   */
+  const drain = () => {
+    if (paused) return;
+    refill();
+    const current = now();
+    if (current < penaltyUntil) {
+      if (items.length > 0) scheduleDrain(penaltyUntil - current);
+      return;
+    }
+
+    while (items.length > 0 && tokens >= 1) {
+      const item = /** @type {OutboundItem} */ (items.shift());
+      if (item.droppable && current - item.enqueuedAt > settings.maxAgeMs) {
+        onDrop?.('stale', item);
+        continue;
+      }
+      tokens -= 1;
+      send(item.text, item.target);
+    }
+
+    if (items.length > 0) {
+      scheduleDrain((1 - tokens) / currentRefillPerMs());
+    }
+  };
+
+  return {
+    /**
+     * 入队一条聊天消息（target 存在时为私聊）；droppable=false 的消息不会被合并、丢弃或判定过期。
+     * @param {string} text
+     * @param {{ droppable?: boolean, target?: string }} [itemOptions]
+     */
+    enqueue(text, { droppable = true, target } = {}) {
+      items.push({ text, target, enqueuedAt: now(), droppable });
+      compact();
+      drain();
+    },
+
+    /**
+     * 收到限流警告：清空令牌、暂停一段时间，并把发送速率降为原来的一半（有上限）。
+     */
+    notifyRateLimited() {
+      const current = now();
+      tokens = 0;
+      lastRefillAt = current;
+      lastRateLimitedAt = current;
+      penaltyUntil = current + settings.rateLimitPenaltyMs;
+      slowdownFactor = Math.min(settings.maxSlowdownFactor, slowdownFactor * 2);
+      if (items.length > 0) scheduleDrain(settings.rateLimitPenaltyMs);
+    },
+
+    /**
+     * 暂停/恢复发送（连接不可写时暂停，消息保留在队列中）。
+     * @param {boolean} nextPaused
+     */
+    setPaused(nextPaused) {
+      paused = nextPaused;
+      if (paused) {
+        clearTimer();
+      } else {
+        drain();
+      }
+    },
+
+    /**
+     * 清空队列并取消排期。
+     */
+    clear() {
+      items = [];
+      clearTimer();
+    },
+
+    /**
+     * 当前排队中的消息条数。
+     */
+    size() {
+      return items.length;
+    },
+
+    /**
+     * 当前降速倍数（1 表示未降速）。
+     */
+    getSlowdownFactor() {
+      return slowdownFactor;
+    },
+  };
+}
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createOutboundQueue, isRateLimitWarning } from './outboundQueue.mjs';
+
+function createClock(t) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  let current = 0;
+  return {
+    now: () => current,
+    advance(ms) {
+      current += ms;
+      t.mock.timers.tick(ms);
+    },
+  };
+}
+
+const BASE_OPTIONS = {
+  burst: 2,
+  refillPerSecond: 1,
+  maxQueueSize: 10,
+  maxAgeMs: 60000,
+  maxMergedChars: 100,
+  rateLimitPenaltyMs: 5000,
+  maxSlowdownFactor: 4,
+  recoveryMs: 60000,
+};
+
+test('outboundQueue: sends a burst immediately, then paces by refill rate', (t) => {
+  const clock = createClock(t);
+  const sent = [];
+  const queue = createOutboundQueue({ send: (text) => sent.push(text), options: BASE_OPTIONS, now: clock.now });
+
+  for (const text of ['a', 'b', 'c', 'd']) queue.enqueue(text);
+  assert.deepEqual(sent, ['a', 'b']);
+
+  clock.advance(1000);
+  assert.deepEqual(sent, ['a', 'b', 'c']);
+  clock.advance(1000);
+  assert.deepEqual(sent, ['a', 'b', 'c', 'd']);
+});
+
+test('outboundQueue: rate-limit warning pauses sending and halves the rate', (t) => {
+  const clock = createClock(t);
+  const sent = [];
+  const queue = createOutboundQueue({ send: (text) => sent.push(text), options: BASE_OPTIONS, now: clock.now });
+
+  queue.notifyRateLimited();
+  queue.enqueue('a');
+  queue.enqueue('b');
+  assert.deepEqual(sent, []);
+  assert.equal(queue.getSlowdownFactor(), 2);
+
+  clock.advance(5000);
+  assert.deepEqual(sent, []);
+  clock.advance(2000);
+  assert.deepEqual(sent, ['a']);
+  clock.advance(1000);
+  assert.deepEqual(sent, ['a']);
+  clock.advance(1000);
+  assert.deepEqual(sent, ['a', 'b']);
+});
+
+test('outboundQueue: backlog merges oldest replies and drops stale ones', (t) => {
+  const clock = createClock(t);
+  const sent = [];
+  const dropped = [];
+  const queue = createOutboundQueue({
+    send: (text) => sent.push(text),
+    options: { ...BASE_OPTIONS, burst: 1, maxQueueSize: 2, maxAgeMs: 1500 },
+    onDrop: (reason, item) => dropped.push([reason, item.text]),
+    now: clock.now,
+  });
+
+  queue.enqueue('first');
+  queue.enqueue('x');
+  queue.enqueue('y');
+  queue.enqueue('z', { droppable: false });
+  assert.equal(queue.size(), 2);
+
+  clock.advance(2000);
+  assert.deepEqual(dropped, [['stale', 'x\ny']]);
+  assert.deepEqual(sent, ['first', 'z']);
+});
+
+test('isRateLimitWarning: matches hack.chat throttling messages only', () => {
+  assert.equal(isRateLimitWarning('You are being rate-limited or blocked.'), true);
+  assert.equal(isRateLimitWarning('You are sending too much text. Wait a moment and try again.'), true);
+  assert.equal(isRateLimitWarning('Nickname taken'), false);
+  assert.equal(isRateLimitWarning(undefined), false);
+});
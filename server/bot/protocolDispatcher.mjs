@@ -0,0 +1,254 @@
+/**
+ * ===========================
+ * Module: protocolDispatcher
+ * Layer: Backend Bot
+ * Responsibility:
+ * - 分发 hack.chat 协议消息（chat/whisper/info/warn/online）
+ * - 协调消息落地、在线用户更新、回复触发
+ * - 私聊（whisper）按发送者独立取历史，并通过 whisper 回复
+ * - 命令消息交给命令路由处理，不进入回复触发流程
+ * ===========================
+ */
+import { shouldReplyToMessage } from './replyStrategy.mjs';
+
+/**
+ * @typedef {import('../../shared/contracts').ChatMessage} ChatMessage
+ * @typedef {import('../../shared/contracts').ConversationKind} ConversationKind
+ * @typedef {import('../../shared/contracts').HCIncomingMessage} HCIncomingMessage
+ * @typedef {import('../../shared/contracts').ReplyMode} ReplyMode
+ */
+
+/**
+ * @typedef {Object} ReplyInput
+ * @property {ChatMessage[]} history
+ * @property {string} triggerMessage
+ * @property {number} [triggerMessageId] 触发消息入库后的 message_id（用于记录记忆来源）
+ * @property {string} sender
+ * @property {string} [senderTrip]
+ * @property {ConversationKind} conversation
+ */
+
+/**
+ * @typedef {Object} DispatchProtocolPacketOptions
+ * @property {HCIncomingMessage} packet
+ * @property {string} botName
+ * @property {ReplyMode} replyMode
+ * @property {ChatMessage[]} messagesSnapshot
+ * @property {(message: ChatMessage) => void} addMessage
+ * @property {(users: string[]) => void} replaceOnlineUsers
+ * @property {(nick: string) => void} appendOnlineUser
+ * @property {(nick: string) => void} removeOnlineUser
+ * @property {(message: ChatMessage) => void} [onIncomingMessage]
+ * @property {(input: { message: ChatMessage, conversation: ConversationKind }) => boolean} [handleCommand] 返回 true 表示已作为命令处理
+ * @property {(input: ReplyInput) => Promise<string[]>} [onReplyRequested] 返回按序发送的回复分段
+ * @property {(text: string, options?: { droppable?: boolean }) => void} sendChatMessage
+ * @property {(nick: string, text: string, options?: { droppable?: boolean }) => void} sendWhisper
+ */
+
+const INCOMING_WHISPER_PREFIX = ' whispered: ';
+const OUTGOING_WHISPER_PATTERN = /^You whispered to @?([^:\s]+): ([\s\S]*)$/;
+
+/**
+ * 公开频道的回复历史：排除所有私聊，避免私聊内容泄露到公开回复。
+ * @param {ChatMessage[]} messages
+ */
+export function selectPublicHistory(messages) {
+  return messages.filter((message) => message.type !== 'whisper');
+}
+
+/**
+ * 与某位用户的私聊历史（双方发言）。
+ * @param {ChatMessage[]} messages
+ * @param {string} peer
+ */
+export function selectPrivateHistory(messages, peer) {
+  return messages.filter((message) => message.type === 'whisper' && message.peer === peer);
+}
+
+/**
+ * 触发回复并按序发送分段；多段回复不允许被出站队列合并/丢弃，避免只发出半条。
+ * @param {(input: ReplyInput) => Promise<string[]>} onReplyRequested
+ * @param {ReplyInput} input
+ * @param {(text: string, options: { droppable: boolean }) => void} send
+ */
+function requestReply(onReplyRequested, input, send) {
+  void onReplyRequested(input)
+    .then((chunks) => {
+      if (!Array.isArray(chunks) || chunks.length === 0) return;
+      const droppable = chunks.length === 1;
+      for (const chunk of chunks) {
+        send(chunk, { droppable });
+      }
+    })
+    .catch((error) => {
+      console.error('Reply generation failed:', error);
+    });
+}
+
+/**
+ * 解析 info/whisper 包：
+ * - 收到的私聊：{ from, trip, text: "<from> whispered: <msg>" }
+ * - 自己发出私聊的回显：{ text: "You whispered to @<nick>: <msg>" }
+ * @param {HCIncomingMessage} packet
+ * @param {string} botName
+ * @returns {ChatMessage | null}
+ */
+export function parseWhisperPacket(packet, botName) {
+  if (!packet.text) return null;
+  const time = packet.time || Date.now();
+
+  if (packet.from) {
+    const prefix = `${packet.from}${INCOMING_WHISPER_PREFIX}`;
+    const text = packet.text.startsWith(prefix) ? packet.text.slice(prefix.length) : packet.text;
+    return {
+      time,
+      nick: packet.from,
+      text,
+      trip: packet.trip && packet.trip !== 'null' ? packet.trip : undefined,
+      type: 'whisper',
+      peer: packet.from,
+    };
+  }
+
+  const outgoing = OUTGOING_WHISPER_PATTERN.exec(packet.text);
+  if (!outgoing) return null;
+  return {
+    time,
+    nick: botName,
+    text: outgoing[2],
+    type: 'whisper',
+    peer: outgoing[1],
+  };
+}
+
+/**
+ * 协议消息分发入口。
+ * 输入一个 packet，根据 cmd 做对应状态变更和业务回调触发。
+ * @param {DispatchProtocolPacketOptions} options
+ * @returns {void}
+ */
+export function dispatchProtocolPacket({
+  packet,
+  botName,
+  replyMode,
+  messagesSnapshot,
+  addMessage,
+  replaceOnlineUsers,
+  appendOnlineUser,
+  removeOnlineUser,
+  onIncomingMessage,
+  handleCommand,
+  onReplyRequested,
+  sendChatMessage,
+  sendWhisper,
+}) {
+  switch (packet.cmd) {
+    case 'chat': {
+      if (!packet.nick || !packet.text) return;
+      /** @type {ChatMessage} */
+      const newMessage = {
+        time: packet.time || Date.now(),
+        nick: packet.nick,
+        text: packet.text,
+        trip: packet.trip,
+        type: 'message',
+      };
+      addMessage(newMessage);
+
+      if (packet.nick === botName) return;
+      onIncomingMessage?.(newMessage);
+      if (handleCommand?.({ message: newMessage, conversation: 'public' })) return;
+
+      const shouldReply = shouldReplyToMessage({
+        replyMode,
+        botName,
+        text: packet.text,
+      });
+
+      if (shouldReply && onReplyRequested) {
+        requestReply(onReplyRequested, {
+          history: selectPublicHistory(messagesSnapshot),
+          triggerMessage: packet.text,
+          triggerMessageId: newMessage.message_id,
+          sender: packet.nick,
+          senderTrip: packet.trip,
+          conversation: 'public',
+        }, sendChatMessage);
+      }
+      return;
+    }
+
+    case 'info': {
+      if (!packet.text) return;
+      if (packet.type === 'whisper') {
+        const whisper = parseWhisperPacket(packet, botName);
+        if (!whisper) return;
+        addMessage(whisper);
+
+        // 私聊发给 bot 即视为点名，不经过 replyMode 策略
+        if (whisper.nick === botName) return;
+        onIncomingMessage?.(whisper);
+        if (handleCommand?.({ message: whisper, conversation: 'private' })) return;
+        if (onReplyRequested) {
+          const peer = whisper.nick;
+          requestReply(onReplyRequested, {
+            history: selectPrivateHistory(messagesSnapshot, peer),
+            triggerMessage: whisper.text,
+            triggerMessageId: whisper.message_id,
+            sender: peer,
+            senderTrip: whisper.trip,
+            conversation: 'private',
+          }, (text, options) => sendWhisper(peer, text, options));
+        }
+        return;
+      }
+      addMessage({
+        time: packet.time || Date.now(),
+        nick: 'Server',
+        text: packet.text,
+        type: 'info',
+      });
+      return;
+    }
+
+    case 'warn': {
+      if (!packet.text) return;
+      addMessage({
+        time: Date.now(),
+        nick: 'Server',
+        text: packet.text,
+        type: 'warning',
+      });
+      return;
+    }
+
+    case 'onlineSet': {
+      if (!Array.isArray(packet.nicks)) return;
+      replaceOnlineUsers(packet.nicks);
+      return;
+    }
+
+    case 'onlineAdd': {
+      if (!packet.nick) return;
+      appendOnlineUser(packet.nick);
+      addMessage({
+        time: Date.now(),
+        nick: '*',
+        text: `${packet.nick} joined`,
+        type: 'info',
+      });
+      return;
+    }
+
+    case 'onlineRemove': {
+      if (!packet.nick) return;
+      removeOnlineUser(packet.nick);
+      addMessage({
+        time: Date.now(),
+        nick: '*',
+        text: `${packet.nick} left`,
+        type: 'info',
+      });
+    }
+  }
+}
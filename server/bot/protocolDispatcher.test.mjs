@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { dispatchProtocolPacket } from './protocolDispatcher.mjs';
+
+function createHarness(overrides = {}) {
+  const calls = { added: [], incoming: [], replies: [], sent: [], whispered: [] };
+  const options = {
+    botName: 'bot',
+    replyMode: 'mention',
+    messagesSnapshot: [],
+    addMessage: (message) => calls.added.push(message),
+    replaceOnlineUsers: () => {},
+    appendOnlineUser: () => {},
+    removeOnlineUser: () => {},
+    onIncomingMessage: (message) => calls.incoming.push(message),
+    onReplyRequested: async (input) => {
+      calls.replies.push(input);
+      return ['*hi*'];
+    },
+    sendChatMessage: (text, options) => calls.sent.push([text, options]),
+    sendWhisper: (nick, text, options) => calls.whispered.push([nick, text, options]),
+    ...overrides,
+  };
+  return { calls, options };
+}
+
+test('dispatchProtocolPacket: mention triggers reply and sends response', async () => {
+  const { calls, options } = createHarness();
+  dispatchProtocolPacket({
+    ...options,
+    packet: { cmd: 'chat', nick: 'alice', trip: 'abc123', text: 'hello bot' },
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(calls.added.length, 1);
+  assert.equal(calls.incoming.length, 1);
+  assert.equal(calls.replies[0].sender, 'alice');
+  assert.equal(calls.replies[0].senderTrip, 'abc123');
+  assert.deepEqual(calls.sent, [['*hi*', { droppable: true }]]);
+});
+
+test('dispatchProtocolPacket: passes the stored message id of the trigger to the reply', async () => {
+  const { calls, options } = createHarness({
+    addMessage: (message) => {
+      calls.added.push(message);
+      message.message_id = 42;
+    },
+  });
+  dispatchProtocolPacket({
+    ...options,
+    packet: { cmd: 'chat', nick: 'alice', trip: 'abc123', text: 'hello bot' },
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(calls.replies[0].triggerMessageId, 42);
+});
+
+test('dispatchProtocolPacket: bot own messages are recorded but never answered', async () => {
+  const { calls, options } = createHarness();
+  dispatchProtocolPacket({
+    ...options,
+    packet: { cmd: 'chat', nick: 'bot', text: 'I am bot' },
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(calls.added.length, 1);
+  assert.equal(calls.incoming.length, 0);
+  assert.equal(calls.replies.length, 0);
+});
+
+test('dispatchProtocolPacket: multi-chunk replies are sent in order and marked non-droppable', async () => {
+  const { calls, options } = createHarness({
+    onReplyRequested: async () => ['*part 1*', '*part 2*'],
+  });
+  dispatchProtocolPacket({
+    ...options,
+    packet: { cmd: 'chat', nick: 'alice', text: 'bot explain' },
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(calls.sent, [
+    ['*part 1*', { droppable: false }],
+    ['*part 2*', { droppable: false }],
+  ]);
+});
+
+test('dispatchProtocolPacket: incoming whisper is answered privately with per-peer history', async () => {
+  const { calls, options } = createHarness({
+    replyMode: 'mention',
+    messagesSnapshot: [
+      { time: 1, nick: 'carol', text: 'public line', type: 'message' },
+      { time: 2, nick: 'alice', text: 'secret', type: 'whisper', peer: 'alice' },
+      { time: 3, nick: 'bot', text: 'ok', type: 'whisper', peer: 'alice' },
+      { time: 4, nick: 'dave', text: 'other secret', type: 'whisper', peer: 'dave' },
+    ],
+  });
+  dispatchProtocolPacket({
+    ...options,
+    packet: { cmd: 'info', type: 'whisper', from: 'alice', trip: 'null', text: 'alice whispered: no mention here' },
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(calls.added[0], {
+    time: calls.added[0].time,
+    nick: 'alice',
+    text: 'no mention here',
+    trip: undefined,
+    type: 'whisper',
+    peer: 'alice',
+  });
+  assert.equal(calls.replies[0].conversation, 'private');
+  assert.deepEqual(calls.replies[0].history.map((item) => item.text), ['secret', 'ok']);
+  assert.deepEqual(calls.whispered, [['alice', '*hi*', { droppable: true }]]);
+  assert.equal(calls.sent.length, 0);
+});
+
+test('dispatchProtocolPacket: whisper echo is recorded and public replies exclude whispers', async () => {
+  const { calls, options } = createHarness({
+    messagesSnapshot: [
+      { time: 1, nick: 'alice', text: 'secret', type: 'whisper', peer: 'alice' },
+      { time: 2, nick: 'carol', text: 'public line', type: 'message' },
+    ],
+  });
+  dispatchProtocolPacket({
+    ...options,
+    packet: { cmd: 'info', type: 'whisper', text: 'You whispered to @alice: *psst*' },
+  });
+  dispatchProtocolPacket({
+    ...options,
+    packet: { cmd: 'chat', nick: 'carol', text: 'hey bot' },
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(calls.added[0].nick, 'bot');
+  assert.equal(calls.added[0].peer, 'alice');
+  assert.equal(calls.added[0].text, '*psst*');
+  assert.equal(calls.replies.length, 1);
+  assert.equal(calls.replies[0].conversation, 'public');
+  assert.deepEqual(calls.replies[0].history.map((item) => item.text), ['public line']);
+});
+
+test('dispatchProtocolPacket: handled commands skip the reply trigger', async () => {
+  const commands = [];
+  const { calls, options } = createHarness({
+    replyMode: 'all',
+    handleCommand: (input) => {
+      commands.push(input);
+      return input.message.text.startsWith('!');
+    },
+  });
+  dispatchProtocolPacket({ ...options, packet: { cmd: 'chat', nick: 'alice', text: '!help' } });
+  dispatchProtocolPacket({
+    ...options,
+    packet: { cmd: 'info', type: 'whisper', from: 'alice', text: 'alice whispered: !profile' },
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(commands.map((item) => item.conversation), ['public', 'private']);
+  assert.equal(calls.incoming.length, 2);
+  assert.equal(calls.replies.length, 0);
+});
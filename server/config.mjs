@@ -40,6 +40,29 @@ function parseBoolean(value, fallback) {
   return fallback;
 }
 
+/**
+ * [Function]
+ * Name: parseWeights
+ * Purpose: 读取 "history:45,memories:20" 形式的权重表；未知键与非法值忽略，未给出的键取默认值。
+ * Input: value/defaults
+ * Output: 与 defaults 同键的权重表
+ * @template {Record<string, number>} T
+ * @param {string | undefined} value
+ * @param {T} defaults
+ * @returns {T}
+ */
+function parseWeights(value, defaults) {
+  const weights = { ...defaults };
+  for (const entry of String(value || '').split(',')) {
+    const [key, rawWeight] = entry.split(':').map((item) => item.trim());
+    const weight = Number(rawWeight);
+    if (key in weights && Number.isFinite(weight) && weight >= 0) {
+      /** @type {Record<string, number>} */ (weights)[key] = weight;
+    }
+  }
+  return weights;
+}
+
 /**
  * [Function]
  * Name: readJsonObject
@@ -58,13 +81,40 @@ function readJsonObject(filePath) {
   }
 }
 
-/** @type {import('../shared/contracts').ModelProviderOption[]} */
+/**
+ * 内置 provider 预设：bootstrap 中同 id 的 provider 未填写的连接字段从这里补齐，
+ * 旧的 bot.defaults.*.json（只有 id/label）无需修改即可使用。
+ * @type {Record<string, Omit<import('../shared/contracts').ModelProviderDefinition, 'id' | 'label' | 'enabled'>>}
+ */
+const BUILTIN_PROVIDER_PRESETS = {
+  deepseek: {
+    subtitle: 'V3 Chat',
+    baseUrl: 'https://api.deepseek.com',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    models: ['deepseek-chat', 'deepseek-reasoner'],
+    capabilities: { jsonMode: true, tools: true },
+    // 推理模型不支持 JSON mode，采样参数不生效
+    modelCapabilities: {
+      'deepseek-reasoner': { jsonMode: false, tools: false, unsupportedParams: ['temperature', 'top_p'] },
+    },
+  },
+  // 离线开发/测试用的确定性 mock 模型，不发起网络请求
+  mock: {
+    type: 'mock',
+    subtitle: 'Offline',
+    baseUrl: '',
+    models: ['mock-model'],
+    capabilities: { jsonMode: true, tools: false },
+  },
+};
+
+/** @type {import('../shared/contracts').ModelProviderDefinition[]} */
 const FALLBACK_PROVIDERS = [
   {
     id: 'deepseek',
     label: 'DeepSeek',
-    subtitle: 'V3 Chat',
     enabled: true,
+    ...BUILTIN_PROVIDER_PRESETS.deepseek,
   },
 ];
 
@@ -77,12 +127,64 @@ const FALLBACK_DEFAULTS = {
   replyMode: 'mention',
 };
 
+/**
+ * 可单独配置模型与采样参数的任务：回复、两阶段记忆抽取、画像抽取、梗概（含房间总结）。
+ * @type {import('../shared/contracts').ModelTask[]}
+ */
+export const MODEL_TASKS = ['reply', 'memory', 'profile', 'digest'];
+
+/**
+ * 各任务未配置时的采样参数（provider/model 缺省时分别跟随回复 provider 或 defaults.provider）。
+ * @type {import('../shared/contracts').TaskModelConfigs}
+ */
+const DEFAULT_TASK_MODELS = {
+  reply: { temperature: 1.4, max_tokens: 1900, timeout_ms: 30000 },
+  memory: { temperature: 1.0, max_tokens: 1200, timeout_ms: 30000 },
+  profile: { temperature: 1.0, max_tokens: 500, timeout_ms: 30000 },
+  // 梗概/房间总结在后台执行，可容忍更慢的模型（如推理模型）
+  digest: { temperature: 0.7, max_tokens: 1200, timeout_ms: 120000 },
+};
+
+/**
+ * 可按模型声明为不支持、调用时自动省略的请求参数。
+ * @type {import('../shared/contracts').ModelRequestParam[]}
+ */
+const OPTIONAL_REQUEST_PARAMS = ['temperature', 'top_p', 'max_tokens', 'response_format'];
+
+/**
+ * [Function]
+ * Name: normalizeModelCapabilities
+ * Purpose: 规范化按模型覆盖的能力标记（jsonMode/tools/unsupportedParams），非法项忽略。
+ * @param {unknown} rawModelCapabilities
+ * @returns {Record<string, import('../shared/contracts').ModelCapabilityOverride> | undefined}
+ */
+function normalizeModelCapabilities(rawModelCapabilities) {
+  if (!rawModelCapabilities || typeof rawModelCapabilities !== 'object' || Array.isArray(rawModelCapabilities)) {
+    return undefined;
+  }
+
+  /** @type {Record<string, import('../shared/contracts').ModelCapabilityOverride>} */
+  const normalized = {};
+  for (const [model, rawOverride] of Object.entries(rawModelCapabilities)) {
+    if (!model.trim() || !rawOverride || typeof rawOverride !== 'object') continue;
+    /** @type {import('../shared/contracts').ModelCapabilityOverride} */
+    const override = {};
+    if (typeof rawOverride.jsonMode === 'boolean') override.jsonMode = rawOverride.jsonMode;
+    if (typeof rawOverride.tools === 'boolean') override.tools = rawOverride.tools;
+    if (Array.isArray(rawOverride.unsupportedParams)) {
+      override.unsupportedParams = OPTIONAL_REQUEST_PARAMS.filter((param) => rawOverride.unsupportedParams.includes(param));
+    }
+    normalized[model.trim()] = override;
+  }
+  return normalized;
+}
+
 /**
  * [Function]
  * Name: normalizeProviders
- * Purpose: 规范化 providers 配置并过滤非法项。
+ * Purpose: 规范化 providers 配置（含连接信息、模型名与能力标记）并过滤非法项。
  * @param {unknown} rawProviders
- * @returns {import('../shared/contracts').ModelProviderOption[]}
+ * @returns {import('../shared/contracts').ModelProviderDefinition[]}
  */
 function normalizeProviders(rawProviders) {
   if (!Array.isArray(rawProviders)) return FALLBACK_PROVIDERS;
@@ -92,11 +194,31 @@ function normalizeProviders(rawProviders) {
     .map((item) => {
       if (typeof item.id !== 'string' || item.id.trim().length === 0) return null;
       if (typeof item.label !== 'string' || item.label.trim().length === 0) return null;
+      const id = item.id.trim();
+      const preset = BUILTIN_PROVIDER_PRESETS[id];
+      const models = Array.isArray(item.models)
+        ? item.models.filter((model) => typeof model === 'string' && model.trim().length > 0).map((model) => model.trim())
+        : [];
+      const capabilities = item.capabilities && typeof item.capabilities === 'object' ? item.capabilities : {};
       return {
-        id: item.id.trim(),
+        id,
+        type: item.type === 'mock' || item.type === 'openai' ? item.type : preset?.type || 'openai',
         label: item.label.trim(),
-        subtitle: typeof item.subtitle === 'string' ? item.subtitle : undefined,
+        subtitle: typeof item.subtitle === 'string' ? item.subtitle : preset?.subtitle,
         enabled: item.enabled !== false,
+        baseUrl: typeof item.baseUrl === 'string' && item.baseUrl.trim().length > 0
+          ? item.baseUrl.trim()
+          : preset?.baseUrl || '',
+        // 本地 OpenAI 兼容服务（Ollama/llama.cpp）通常无需 key，可省略
+        apiKeyEnv: typeof item.apiKeyEnv === 'string' && item.apiKeyEnv.trim().length > 0
+          ? item.apiKeyEnv.trim()
+          : preset?.apiKeyEnv,
+        models: models.length > 0 ? models : preset?.models || [],
+        capabilities: {
+          jsonMode: typeof capabilities.jsonMode === 'boolean' ? capabilities.jsonMode : preset?.capabilities.jsonMode ?? false,
+          tools: typeof capabilities.tools === 'boolean' ? capabilities.tools : preset?.capabilities.tools ?? false,
+        },
+        modelCapabilities: normalizeModelCapabilities(item.modelCapabilities) || preset?.modelCapabilities,
       };
     })
     .filter(Boolean);
@@ -104,6 +226,94 @@ function normalizeProviders(rawProviders) {
   return normalized.length > 0 ? normalized : FALLBACK_PROVIDERS;
 }
 
+/**
+ * [Function]
+ * Name: withEnvProvider
+ * Purpose: LLM_PROVIDER=mock 且配置中没有 mock provider 时自动追加，便于离线启动。
+ * @param {import('../shared/contracts').ModelProviderDefinition[]} providers
+ * @param {string} envProvider
+ * @returns {import('../shared/contracts').ModelProviderDefinition[]}
+ */
+function withEnvProvider(providers, envProvider) {
+  if (envProvider !== 'mock' || providers.some((item) => item.id === 'mock')) return providers;
+  return [...providers, { id: 'mock', label: 'Mock', enabled: true, ...BUILTIN_PROVIDER_PRESETS.mock }];
+}
+
+/**
+ * [Function]
+ * Name: normalizeTaskModelConfig
+ * Purpose: 规范化单个任务的模型配置（provider/model/temperature/top_p/max_tokens/timeout_ms），非法字段忽略。
+ * 同时用于 bootstrap 配置与请求级、人设级覆盖项。
+ * @param {unknown} rawConfig
+ * @returns {import('../shared/contracts').TaskModelConfig}
+ */
+export function normalizeTaskModelConfig(rawConfig) {
+  /** @type {import('../shared/contracts').TaskModelConfig} */
+  const config = {};
+  if (!rawConfig || typeof rawConfig !== 'object') return config;
+  const safeConfig = /** @type {Record<string, unknown>} */ (rawConfig);
+
+  if (typeof safeConfig.provider === 'string' && safeConfig.provider.trim().length > 0) {
+    config.provider = safeConfig.provider.trim();
+  }
+  if (typeof safeConfig.model === 'string' && safeConfig.model.trim().length > 0) {
+    config.model = safeConfig.model.trim();
+  }
+  const temperature = Number(safeConfig.temperature);
+  if (safeConfig.temperature !== null && Number.isFinite(temperature) && temperature >= 0 && temperature <= 2) {
+    config.temperature = temperature;
+  }
+  const topP = Number(safeConfig.top_p);
+  if (safeConfig.top_p !== null && Number.isFinite(topP) && topP > 0 && topP <= 1) {
+    config.top_p = topP;
+  }
+  const maxTokens = Math.floor(Number(safeConfig.max_tokens));
+  if (Number.isFinite(maxTokens) && maxTokens > 0) {
+    config.max_tokens = maxTokens;
+  }
+  const timeoutMs = Math.floor(Number(safeConfig.timeout_ms));
+  if (Number.isFinite(timeoutMs) && timeoutMs >= 1000) {
+    config.timeout_ms = timeoutMs;
+  }
+  return config;
+}
+
+/**
+ * [Function]
+ * Name: normalizeTaskModels
+ * Purpose: 规范化 bootstrap 的 models 配置，补齐默认采样参数；未知 provider 忽略。
+ * @param {unknown} rawModels
+ * @param {import('../shared/contracts').ModelProviderDefinition[]} providers
+ * @returns {import('../shared/contracts').TaskModelConfigs}
+ */
+function normalizeTaskModels(rawModels, providers) {
+  const safeModels = rawModels && typeof rawModels === 'object'
+    ? /** @type {Record<string, unknown>} */ (rawModels)
+    : {};
+
+  return /** @type {import('../shared/contracts').TaskModelConfigs} */ (Object.fromEntries(
+    MODEL_TASKS.map((task) => {
+      const config = { ...DEFAULT_TASK_MODELS[task], ...normalizeTaskModelConfig(safeModels[task]) };
+      if (config.provider && !providers.some((item) => item.id === config.provider)) {
+        delete config.provider;
+        delete config.model;
+      }
+      return [task, config];
+    })
+  ));
+}
+
+/**
+ * [Function]
+ * Name: toProviderOption
+ * Purpose: 裁掉连接信息，得到可下发给前端的 provider 选项。
+ * @param {import('../shared/contracts').ModelProviderDefinition} provider
+ * @returns {import('../shared/contracts').ModelProviderOption}
+ */
+function toProviderOption({ id, label, subtitle, enabled, models, capabilities }) {
+  return { id, label, subtitle, enabled, models, capabilities };
+}
+
 /**
  * [Function]
  * Name: normalizeDefaults
@@ -151,11 +361,15 @@ function normalizeDefaults(rawDefaults, providers) {
 
 /**
  * [Function]
- * Name: readBotBootstrap
- * Purpose: 从本地/示例 JSON 读取 bootstrap，并返回最终可用配置。
- * @returns {import('../shared/contracts').BotBootstrap}
+ * Name: readBotDefaultsFile
+ * Purpose: 从本地/示例 JSON 读取 defaults、完整 provider 定义与各任务模型配置。
+ * @returns {{
+ *   defaults: import('../shared/contracts').BotDefaults,
+ *   providers: import('../shared/contracts').ModelProviderDefinition[],
+ *   models: import('../shared/contracts').TaskModelConfigs,
+ * }}
  */
-function readBotBootstrap() {
+function readBotDefaultsFile() {
   const localJsonPath = path.resolve(process.cwd(), 'server/bot.defaults.local.json');
   const exampleJsonPath = path.resolve(process.cwd(), 'server/bot.defaults.example.json');
 
@@ -164,15 +378,22 @@ function readBotBootstrap() {
   const rawDefaults = safeJson.defaults && typeof safeJson.defaults === 'object'
     ? safeJson.defaults
     : {};
-  const providers = normalizeProviders(safeJson.providers);
-  const defaults = normalizeDefaults(rawDefaults, providers);
+  // LLM_PROVIDER 覆盖 defaults.provider（如 LLM_PROVIDER=mock 离线运行）
+  const envProvider = (process.env.LLM_PROVIDER || '').trim();
+  const providers = withEnvProvider(normalizeProviders(safeJson.providers), envProvider);
+  const defaults = normalizeDefaults(envProvider ? { ...rawDefaults, provider: envProvider } : rawDefaults, providers);
+
+  const models = normalizeTaskModels(safeJson.models, providers);
 
   return {
     defaults,
     providers,
+    models,
   };
 }
 
+const BOT_DEFAULTS_FILE = readBotDefaultsFile();
+
 /**
  * [Constant]
  * Name: SERVER_CONFIG
@@ -181,7 +402,7 @@ function readBotBootstrap() {
 export const SERVER_CONFIG = {
   apiPort: parseNumber(process.env.API_PORT, 8787),
   embeddingDim: parseNumber(process.env.EMBEDDING_DIM, 1536),
-  dataDir: path.resolve(process.cwd(), 'data'),
+  dataDir: path.resolve(process.cwd(), process.env.DATA_DIR || 'data'),
   dbFilename: 'chat_memory.sqlite3',
 
   memory: {
@@ -202,6 +423,59 @@ export const SERVER_CONFIG = {
      * - 例如 30: 默认 30 天过期
      */
     defaultTtlDays: null,
+
+    // 写入记忆时合并同一用户的近似重复记忆（见 services/memoryDedupe.mjs）
+    dedupe: {
+      enabled: parseBoolean(process.env.MEMORY_DEDUPE_ENABLED, true),
+      // 词面相似度（拉丁词 + 中日韩二字组的集合余弦）达到该值视为重复
+      lexicalThreshold: Math.max(0.1, Math.min(1, parseNumber(process.env.MEMORY_DEDUPE_LEXICAL_THRESHOLD, 0.8))),
+      // 向量余弦相似度达到该值视为重复（两条记忆都有向量时才比较）
+      vectorThreshold: Math.max(0.1, Math.min(1, parseNumber(process.env.MEMORY_DEDUPE_VECTOR_THRESHOLD, 0.92))),
+      // 写入时参与比较的同用户记忆条数上限（按重要度、最近使用时间取）
+      candidateLimit: 200,
+    },
+
+    // 由模型判断新旧记忆是否矛盾，把过时的记忆标记为 superseded（见 services/memoryConflictService.mjs）
+    conflictCheck: {
+      // 写入新记忆后检查（每条新记忆多一次 memory 任务调用，在后台进行，不阻塞回复）
+      onInsert: parseBoolean(process.env.MEMORY_CONFLICT_CHECK_ON_INSERT, false),
+      // 记忆整合（/api/memories/consolidate）前按用户检查一次（使用 digest 任务的模型）
+      onConsolidate: parseBoolean(process.env.MEMORY_CONFLICT_CHECK_ON_CONSOLIDATE, true),
+      // 写入时交给模型比较的已有记忆条数（按与新记忆的相关度取）
+      insertCandidateLimit: 8,
+      // 整合时每个用户交给模型比较的记忆条数上限（取最近写入的）
+      consolidateMaxItems: 60,
+    },
+
+    // 记忆衰减：有效重要度 = importance × 0.5^(距最近使用天数 / 半衰期)，被回复引用时刷新（见 services/memoryMaintenance.mjs）
+    decay: {
+      enabled: parseBoolean(process.env.MEMORY_DECAY_ENABLED, true),
+      halfLifeDays: Math.max(1, Math.min(3650, parseNumber(process.env.MEMORY_DECAY_HALF_LIFE_DAYS, 90))),
+      // 维护任务删除有效重要度低于该值的记忆（默认下重要度 1 的记忆闲置约一个半衰期后删除，重要度 10 约四个多半衰期）
+      pruneBelow: Math.max(0, Math.min(10, parseNumber(process.env.MEMORY_DECAY_PRUNE_BELOW, 0.5))),
+    },
+
+    // 定时维护任务：清理过期（TTL）记忆与衰减到阈值以下的记忆
+    maintenance: {
+      // 默认关闭：旧库升级后 last_used_at 等于写入时间，首次运行会删掉全部闲置已久的低重要度记忆，建议先 dry-run 确认
+      scheduleEnabled: parseBoolean(process.env.MEMORY_MAINTENANCE_SCHEDULE_ENABLED, false),
+      intervalMinutes: Math.max(5, Math.min(10080, Math.floor(parseNumber(process.env.MEMORY_MAINTENANCE_INTERVAL_MINUTES, 360)))),
+    },
+
+    // 回复时按当前消息检索记忆（见 services/memoryRetrieval.mjs）
+    retrieval: {
+      // 各项得分的权重：词面相似度 / 向量相似度 / 重要度 / 新近度（某项不可用时按其余权重归一）
+      weights: parseWeights(process.env.MEMORY_RETRIEVAL_WEIGHTS, {
+        lexical: 0.4,
+        vector: 0.3,
+        importance: 0.2,
+        recency: 0.1,
+      }),
+      // 参与打分的候选记忆条数上限（按重要度、最近使用时间取）
+      candidateLimit: Math.max(10, Math.min(2000, Math.floor(parseNumber(process.env.MEMORY_RETRIEVAL_CANDIDATES, 200)))),
+      // 新近度半衰期（天）：距最近使用过去该天数时新近度得分减半
+      recencyHalfLifeDays: Math.max(1, Math.min(3650, parseNumber(process.env.MEMORY_RETRIEVAL_RECENCY_HALF_LIFE_DAYS, 30))),
+    },
   },
 
   profile: {
@@ -209,16 +483,162 @@ export const SERVER_CONFIG = {
     command: 'setprofile',
     // setprofile 内容最大长度（超出则拒绝处理）
     maxInputChars: 200,
-    // DeepSeek 模型名
-    model: 'deepseek-chat', //deepseek-reasoner
   },
 
   reply: {
     // single: 单次模型调用（兼容旧行为）
     // two_pass: 两次模型调用（reply 与 memory 分开）
     pipelineMode: process.env.REPLY_PIPELINE_MODE === 'two_pass' ? 'two_pass' : 'single',
+    // flat: 聊天记录拼成 "昵称: 内容" 放进单条 user prompt（兼容旧行为）
+    // multi_turn: 聊天记录映射为 user/assistant 消息，bot 自己的发言作为 assistant
+    promptMode: process.env.REPLY_PROMPT_MODE === 'multi_turn' ? 'multi_turn' : 'flat',
+    // 单条聊天消息的最大字符数，超出时按段落/句子拆成多条发送
+    chunkMaxChars: Math.max(50, Math.min(4000, Math.floor(parseNumber(process.env.REPLY_CHUNK_MAX_CHARS, 400)))),
+    // 调用方未提供 history 时，从已存聊天记录读取的条数
+    storedHistoryLimit: Math.max(1, Math.min(200, Math.floor(parseNumber(process.env.REPLY_STORED_HISTORY_LIMIT, 20)))),
+    // 回复 prompt 上下文的 token 预算（见 services/reply/contextAssembler.mjs）
+    contextBudget: {
+      totalTokens: Math.max(500, Math.min(100000, Math.floor(parseNumber(process.env.REPLY_CONTEXT_TOKEN_BUDGET, 3000)))),
+      // 各部分按权重分配预算；某部分用不完的预算让给仍不够的部分
+      shares: parseWeights(process.env.REPLY_CONTEXT_SHARES, {
+        history: 45,
+        memories: 20,
+        profile: 10,
+        digest: 10,
+        room_summary: 15,
+      }),
+      // 参与预算分配的最近聊天条数上限
+      maxHistoryMessages: Math.max(1, Math.min(200, Math.floor(parseNumber(process.env.REPLY_CONTEXT_MAX_HISTORY, 40)))),
+    },
+    // 回复后处理规则（见 services/reply/replyPostProcessor.mjs）
+    postProcess: {
+      enabled: parseBoolean(process.env.REPLY_POSTPROCESS_ENABLED, true),
+      // 整体以 "*" 开头并以 "*" 结尾
+      wrapAsterisks: parseBoolean(process.env.REPLY_WRAP_ASTERISKS, true),
+      // 去掉开头的 "昵称:" 前缀（仅匹配 bot 自身与上下文中出现过的昵称）
+      stripNamePrefix: true,
+      // 删除提到这些词的句子（逗号分隔，大小写不敏感）
+      metaTalkPatterns: (process.env.REPLY_META_TALK_PATTERNS || '记忆,数据库,系统提示,system prompt')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean),
+      // 回复总字符数上限（按句子边界截断），0 表示不限制
+      maxChars: Math.max(0, Math.min(20000, Math.floor(parseNumber(process.env.REPLY_MAX_CHARS, 1200)))),
+      // 与 bot 最近 N 条发言完全相同的回复视为重复，0 表示不检查
+      dedupeRecent: Math.max(0, Math.min(50, Math.floor(parseNumber(process.env.REPLY_DEDUPE_RECENT, 5)))),
+      // 原始回复违反规则时是否带着违规清单重新生成一次
+      regenerateOnViolation: parseBoolean(process.env.REPLY_REGENERATE_ON_VIOLATION, false),
+    },
+  },
+
+  embedding: {
+    /**
+     * 记忆向量的生成方式：
+     * - hash（默认）: 本地哈希嵌入（按词面特征散列到 EMBEDDING_DIM 维），无需外部服务
+     * - 某个 bootstrap provider id: 调用该 provider 的 OpenAI 兼容 /embeddings 接口
+     * - none: 不生成向量
+     */
+    provider: (process.env.EMBEDDING_PROVIDER || 'hash').trim() || 'hash',
+    // 使用 provider 时的 embedding 模型名
+    model: (process.env.EMBEDDING_MODEL || 'text-embedding-3-small').trim(),
+    // 使用 provider 时的单次请求超时
+    timeoutMs: Math.max(1000, parseNumber(process.env.EMBEDDING_TIMEOUT_MS, 15000)),
+    // 回填任务每批处理的记忆条数
+    backfillBatchSize: Math.max(1, Math.min(1000, Math.floor(parseNumber(process.env.EMBEDDING_BACKFILL_BATCH_SIZE, 64)))),
+    // 启动时是否在后台为缺少向量的记忆回填一次
+    backfillOnStartup: parseBoolean(process.env.EMBEDDING_BACKFILL_ON_STARTUP, true),
+  },
+
+  roomSummary: {
+    // 是否定时把频道近期活动总结进 rooms.room_summary（使用 digest 任务解析到的 provider，该 provider 不可用时每轮跳过）
+    scheduleEnabled: parseBoolean(process.env.ROOM_SUMMARY_SCHEDULE_ENABLED, true),
+    intervalMinutes: Math.max(5, Math.min(1440, Math.floor(parseNumber(process.env.ROOM_SUMMARY_INTERVAL_MINUTES, 60)))),
+    // 自上次总结以来新增公开消息不足该条数的房间跳过
+    minNewMessages: Math.max(1, Math.floor(parseNumber(process.env.ROOM_SUMMARY_MIN_NEW_MESSAGES, 30))),
+    // 单次总结最多读取的新消息条数（取最近的）
+    maxSourceMessages: 200,
+    // 总结文本最大字符数（超出截断）
+    maxChars: 800,
+  },
+
+  transcript: {
+    // 是否把 bot 会话收发的聊天/私聊写入 messages 表
+    storeEnabled: parseBoolean(process.env.TRANSCRIPT_STORE_ENABLED, true),
+  },
+
+  userDeletion: {
+    // “忘记我”审计记录中 trip 摘要的 HMAC 密钥；未配置时每次启动随机生成（重启前后的审计记录无法按 trip 关联）
+    auditSecret: process.env.USER_DELETION_AUDIT_SECRET || '',
+  },
+
+  commands: {
+    // 聊天命令前缀，例如 "!help"
+    prefix: process.env.BOT_COMMAND_PREFIX || '!',
+    // 拥有 admin 权限的 trip 列表（逗号分隔）
+    adminTrips: (process.env.BOT_ADMIN_TRIPS || '')
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean),
+    // 单个用户重复调用同一命令的默认冷却时间
+    defaultCooldownMs: Math.max(0, Math.floor(parseNumber(process.env.BOT_COMMAND_COOLDOWN_MS, 5000))),
+  },
+
+  bot: {
+    // 启动 API 服务时是否自动以 bootstrap.defaults 连接 hack.chat
+    autoStart: parseBoolean(process.env.BOT_AUTOSTART, false),
+    // 自动连接时使用的 trip 密码（可选）
+    password: process.env.BOT_PASSWORD || '',
+    // 服务端会话保留的最近消息条数（供监控界面与回复上下文使用）
+    historyLimit: Math.max(50, Math.min(5000, Math.floor(parseNumber(process.env.BOT_HISTORY_LIMIT, 500)))),
+    // 意外断线后的自动重连策略（指数退避 + 抖动）
+    reconnect: {
+      enabled: parseBoolean(process.env.BOT_RECONNECT_ENABLED, true),
+      baseDelayMs: Math.max(100, Math.floor(parseNumber(process.env.BOT_RECONNECT_BASE_DELAY_MS, 1000))),
+      maxDelayMs: Math.max(1000, Math.floor(parseNumber(process.env.BOT_RECONNECT_MAX_DELAY_MS, 60000))),
+      // 0 表示不限次数
+      maxAttempts: Math.max(0, Math.floor(parseNumber(process.env.BOT_RECONNECT_MAX_ATTEMPTS, 10))),
+      jitterRatio: 0.5,
+    },
+    // 出站聊天消息限速（令牌桶）与积压处理
+    outbound: {
+      // 允许的瞬时连发条数
+      burst: 3,
+      // 平均发送速率：每秒补充的令牌数（0.5 即每 2 秒 1 条）
+      refillPerSecond: Math.max(0.05, parseNumber(process.env.BOT_SEND_RATE_PER_SECOND, 0.5)),
+      // 积压超过该条数时合并/丢弃最旧的回复
+      maxQueueSize: 6,
+      // 排队超过该时长的回复视为过期，不再发送
+      maxAgeMs: 45000,
+      maxMergedChars: 600,
+      // 收到服务端限流警告后暂停发送的时长；之后速率减半，平息 recoveryMs 后逐级恢复
+      rateLimitPenaltyMs: 10000,
+      maxSlowdownFactor: 8,
+      recoveryMs: 60000,
+    },
+  },
+
+  llm: {
+    // provider 注册表来源（含 baseUrl/apiKeyEnv，不下发前端）
+    providers: BOT_DEFAULTS_FILE.providers,
+    // mock provider 的脚本文件（JSON 数组，按调用顺序消费；为空时只用规则响应）
+    mockScriptPath: process.env.LLM_MOCK_SCRIPT ? path.resolve(process.cwd(), process.env.LLM_MOCK_SCRIPT) : '',
+    // 模型调用保护：瞬时错误（超时/网络/429/5xx）重试与按 provider 熔断；单次超时见 models.*.timeout_ms
+    resilience: {
+      maxRetries: Math.max(0, Math.floor(parseNumber(process.env.LLM_MAX_RETRIES, 2))),
+      retryBaseDelayMs: Math.max(0, parseNumber(process.env.LLM_RETRY_BASE_DELAY_MS, 500)),
+      retryMaxDelayMs: 8000,
+      breakerFailureThreshold: Math.max(1, Math.floor(parseNumber(process.env.LLM_BREAKER_FAILURE_THRESHOLD, 5))),
+      breakerCooldownMs: Math.max(1000, parseNumber(process.env.LLM_BREAKER_COOLDOWN_MS, 60000)),
+    },
+    // 回复 provider 熔断期间代替模型回复的固定文本；为空时不回复
+    fallbackReply: (process.env.LLM_FALLBACK_REPLY || '').trim(),
   },
 
   // 前端启动时读取的单一配置源（后端为准）
-  bootstrap: readBotBootstrap(),
+  bootstrap: {
+    defaults: BOT_DEFAULTS_FILE.defaults,
+    providers: BOT_DEFAULTS_FILE.providers.map(toProviderOption),
+    // 各任务的模型与采样参数（可被人设与单次请求覆盖）
+    models: BOT_DEFAULTS_FILE.models,
+  },
 };
@@ -53,7 +53,9 @@ function initSchema() {
       room_id       TEXT PRIMARY KEY,
       created_at    INTEGER NOT NULL DEFAULT (unixepoch()),
       last_seen_at  INTEGER NOT NULL DEFAULT (unixepoch()),
-      room_summary  TEXT NOT NULL DEFAULT ''
+      room_summary  TEXT NOT NULL DEFAULT '',
+      summary_updated_at INTEGER,
+      summary_covered_until INTEGER
     );
 
     CREATE TABLE IF NOT EXISTS users (
@@ -81,6 +83,15 @@ function initSchema() {
       ttl_days      INTEGER,
       created_at    INTEGER NOT NULL DEFAULT (unixepoch()),
       last_used_at  INTEGER NOT NULL DEFAULT (unixepoch()),
+      status        TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'superseded')),
+      superseded_by TEXT,
+      superseded_at INTEGER,
+      source_message_id INTEGER,
+      source_text   TEXT,
+      source_sender TEXT,
+      source_pipeline TEXT,
+      source_model  TEXT,
+      source_conversation TEXT,
       FOREIGN KEY(trip_code) REFERENCES users(trip_code),
       FOREIGN KEY(room_id) REFERENCES rooms(room_id)
     );
@@ -90,6 +101,35 @@ function initSchema() {
 
     CREATE INDEX IF NOT EXISTS idx_memories_room_created
       ON memories(room_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS messages (
+      message_id    INTEGER PRIMARY KEY AUTOINCREMENT,
+      room_id       TEXT NOT NULL,
+      nick          TEXT NOT NULL,
+      trip_code     TEXT,
+      text          TEXT NOT NULL,
+      type          TEXT NOT NULL DEFAULT 'message' CHECK(type IN ('message', 'whisper')),
+      peer          TEXT,
+      time          INTEGER NOT NULL,
+      FOREIGN KEY(room_id) REFERENCES rooms(room_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_messages_room_time
+      ON messages(room_id, time);
+
+    CREATE INDEX IF NOT EXISTS idx_messages_room_peer_time
+      ON messages(room_id, peer, time);
+
+    CREATE TABLE IF NOT EXISTS user_deletion_audit (
+      audit_id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      trip_hash         TEXT NOT NULL,
+      requested_via     TEXT NOT NULL,
+      removed_profile   INTEGER NOT NULL DEFAULT 0,
+      removed_memories  INTEGER NOT NULL DEFAULT 0,
+      removed_vectors   INTEGER NOT NULL DEFAULT 0,
+      removed_messages  INTEGER NOT NULL DEFAULT 0,
+      deleted_at        INTEGER NOT NULL DEFAULT (unixepoch())
+    );
   `);
 
   if (vectorMode === 'vec0') {
@@ -131,6 +171,30 @@ function migrateUserProfileSchemaIfNeeded() {
   `);
 }
 
+/**
+ * 兼容旧库：当 rooms 缺少 summary_updated_at / summary_covered_until 时补列。
+ * 旧库的 summary_updated_at 是覆盖到的最后一条消息所在的秒，补列时按该秒末尾回填 summary_covered_until。
+ */
+function migrateRoomsSchemaIfNeeded() {
+  const columns = new Set(db.prepare('PRAGMA table_info(rooms)').all().map((column) => column.name));
+  if (!columns.has('summary_updated_at')) {
+    db.exec(`
+      ALTER TABLE rooms
+      ADD COLUMN summary_updated_at INTEGER;
+    `);
+  }
+  if (!columns.has('summary_covered_until')) {
+    db.exec(`
+      ALTER TABLE rooms
+      ADD COLUMN summary_covered_until INTEGER;
+
+      UPDATE rooms
+      SET summary_covered_until = summary_updated_at * 1000 + 999
+      WHERE summary_updated_at IS NOT NULL;
+    `);
+  }
+}
+
 /**
  * 兼容旧库：重建 memories 表以满足最新约束。
  * 变更点：
@@ -243,11 +307,123 @@ function migrateMemoriesSchemaIfNeeded() {
   }
 }
 
+/**
+ * 兼容旧库：当 memories 缺少 status / superseded_by / superseded_at 时补列（已有记忆均视为 active）。
+ * 需在 memories 重建迁移之后执行（重建后的表不含这些列）。
+ */
+function migrateMemoryStatusSchemaIfNeeded() {
+  const columns = new Set(db.prepare('PRAGMA table_info(memories)').all().map((column) => column.name));
+  if (!columns.has('status')) {
+    db.exec(`
+      ALTER TABLE memories
+      ADD COLUMN status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'superseded'));
+    `);
+  }
+  if (!columns.has('superseded_by')) {
+    db.exec('ALTER TABLE memories ADD COLUMN superseded_by TEXT;');
+  }
+  if (!columns.has('superseded_at')) {
+    db.exec('ALTER TABLE memories ADD COLUMN superseded_at INTEGER;');
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_memories_trip_status
+      ON memories(trip_code, status);
+  `);
+}
+
+/**
+ * 兼容旧库：补上记忆来源列（source_*，旧记忆均为 NULL，即来源未知）。
+ * source_conversation 为 NULL 的旧记忆按频道记忆处理。
+ * 需在 memories 重建迁移之后执行（重建后的表不含这些列）。
+ */
+function migrateMemorySourceSchemaIfNeeded() {
+  const columns = new Set(db.prepare('PRAGMA table_info(memories)').all().map((column) => column.name));
+  for (const [name, type] of [
+    ['source_message_id', 'INTEGER'],
+    ['source_text', 'TEXT'],
+    ['source_sender', 'TEXT'],
+    ['source_pipeline', 'TEXT'],
+    ['source_model', 'TEXT'],
+    ['source_conversation', 'TEXT'],
+  ]) {
+    if (!columns.has(name)) {
+      db.exec(`ALTER TABLE memories ADD COLUMN ${name} ${type};`);
+    }
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_memories_source_message
+      ON memories(source_message_id);
+  `);
+}
+
+/**
+ * 初始化全文检索（FTS5，trigram 分词以支持中文子串匹配）：
+ * - memories_fts：独立 FTS 表，按 memory_id 与 memories 同步
+ * - messages_fts：以 messages 为外部内容表，rowid 即 message_id
+ * 由触发器保持同步；首次创建时回填已有数据。
+ * 需在 memories 迁移之后执行（重建 memories 表会丢失其上的触发器）。
+ */
+function initFullTextSchema() {
+  const existingFtsTables = new Set(db.prepare(`
+    SELECT name
+    FROM sqlite_master
+    WHERE type = 'table' AND name IN ('memories_fts', 'messages_fts')
+  `).all().map((row) => row.name));
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts
+    USING fts5(memory_id UNINDEXED, text, tags, tokenize = 'trigram');
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts
+    USING fts5(text, content = 'messages', content_rowid = 'message_id', tokenize = 'trigram');
+
+    CREATE TRIGGER IF NOT EXISTS memories_fts_after_insert AFTER INSERT ON memories BEGIN
+      INSERT INTO memories_fts (memory_id, text, tags) VALUES (new.memory_id, new.text, new.tags_json);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS memories_fts_after_delete AFTER DELETE ON memories BEGIN
+      DELETE FROM memories_fts WHERE memory_id = old.memory_id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS memories_fts_after_update AFTER UPDATE OF text, tags_json ON memories BEGIN
+      DELETE FROM memories_fts WHERE memory_id = old.memory_id;
+      INSERT INTO memories_fts (memory_id, text, tags) VALUES (new.memory_id, new.text, new.tags_json);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_after_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, text) VALUES (new.message_id, new.text);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_after_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.message_id, old.text);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_after_update AFTER UPDATE OF text ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.message_id, old.text);
+      INSERT INTO messages_fts (rowid, text) VALUES (new.message_id, new.text);
+    END;
+  `);
+
+  if (!existingFtsTables.has('memories_fts')) {
+    db.exec(`
+      INSERT INTO memories_fts (memory_id, text, tags)
+      SELECT memory_id, text, tags_json
+      FROM memories;
+    `);
+  }
+  if (!existingFtsTables.has('messages_fts')) {
+    db.exec(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');`);
+  }
+}
+
 /**
  * 显式初始化数据库：
  * - 加载向量扩展（可选）
  * - 初始化 schema
  * - 执行兼容迁移
+ * - 初始化全文检索索引
  * 该函数幂等，可重复调用。
  */
 export function initDb() {
@@ -255,7 +431,11 @@ export function initDb() {
   tryLoadVectorExtension();
   initSchema();
   migrateUserProfileSchemaIfNeeded();
+  migrateRoomsSchemaIfNeeded();
   migrateMemoriesSchemaIfNeeded();
+  migrateMemoryStatusSchemaIfNeeded();
+  migrateMemorySourceSchemaIfNeeded();
+  initFullTextSchema();
   dbInitialized = true;
   return getDbInfo();
 }
@@ -7,12 +7,36 @@ export {
   getProfileByTrip,
   getMemoryDigestByTrip,
   upsertMemoryDigest,
+  getRoomSummary,
+  upsertRoomSummary,
+  listRoomsPendingSummary,
 } from './profiles.mjs';
 export {
   listMemoriesByTrip,
+  listMemoryCandidatesByTrip,
   listMemoriesGroupedByTripForDigest,
+  getMemoryEmbeddings,
+  listMemoriesMissingEmbedding,
+  upsertMemoryEmbedding,
+  listMemoriesForDedupe,
+  mergeMemoryDuplicates,
+  supersedeMemories,
+  touchMemories,
+  listMemoriesForDecay,
+  deleteMemoriesByIds,
+  deleteMemoriesBySourceMessage,
+  countExpiredMemories,
+  cosineSimilarity,
   insertMemory,
   searchMemories,
   cleanupTtlAndVectors,
   pruneLowImportanceMemories,
+  deleteMemoriesByTripMatching,
 } from './memories.mjs';
+export {
+  insertMessage,
+  listMessagesByRoom,
+  listRecentChatMessages,
+} from './messages.mjs';
+export { searchMemoriesFullText, searchMessagesFullText } from './search.mjs';
+export { countUserData, deleteUserData } from './userData.mjs';
@@ -2,19 +2,34 @@ import crypto from 'node:crypto';
 import { SERVER_CONFIG } from '../config.mjs';
 import { db, initDb, isVectorModeEnabled } from './core.mjs';
 import { upsertRoom, upsertUser } from './profiles.mjs';
+import { searchMemoriesFullText } from './search.mjs';
 
 /**
  * 模块职责：
  * 维护 memories 与 memory_vec 的查询、写入、检索和清理。
  */
 let listMemoriesByTripStmt;
+let listMemoryCandidatesByTripStmt;
 let listMemoriesForDigestStmt;
 let insertMemoryStmt;
 let upsertMemoryVecJsonStmt;
 let upsertMemoryVecVec0Stmt;
+let listMemoriesMissingEmbeddingStmt;
+let memoryExistsStmt;
+let listMemoriesForDedupeStmt;
+let mergeMemoryStmt;
+let deleteMemoryByIdStmt;
+let mergeMemoryTx;
+let supersedeMemoryStmt;
+let touchMemoryStmt;
+let listMemoriesForDecayStmt;
+let deleteMemoriesByIdsTx;
+let countExpiredMemoriesStmt;
 let deleteExpiredMemoriesStmt;
 let deleteOrphanVectorsStmt;
 let deleteLowImportanceMemoriesStmt;
+let deleteMemoriesByTripMatchingStmt;
+let listMemoryIdsBySourceMessageStmt;
 let insertMemoryTx;
 let prepared = false;
 
@@ -36,11 +51,42 @@ function ensurePreparedStatements() {
       importance,
       ttl_days,
       created_at,
-      last_used_at
+      last_used_at,
+      status,
+      superseded_by,
+      superseded_at,
+      source_message_id,
+      source_text,
+      source_sender,
+      source_pipeline,
+      source_model,
+      source_conversation
     FROM memories
     WHERE trip_code = ?
       AND importance >= ?
       AND (ttl_days IS NULL OR created_at >= (unixepoch() - ttl_days * 86400))
+      AND (? = 'all' OR status = ?)
+    ORDER BY importance DESC, last_used_at DESC, created_at DESC
+    LIMIT ?
+  `);
+
+  listMemoryCandidatesByTripStmt = db.prepare(`
+    SELECT
+      memory_id,
+      room_id,
+      trip_code,
+      text,
+      tags_json,
+      importance,
+      created_at,
+      last_used_at,
+      source_conversation
+    FROM memories
+    WHERE trip_code = ?
+      AND status = 'active'
+      AND importance >= ?
+      AND (ttl_days IS NULL OR created_at >= (unixepoch() - ttl_days * 86400))
+      AND (? IS NULL OR (source_conversation IS 'private') = (? = 'private'))
     ORDER BY importance DESC, last_used_at DESC, created_at DESC
     LIMIT ?
   `);
@@ -58,6 +104,8 @@ function ensurePreparedStatements() {
       last_used_at
     FROM memories
     WHERE trip_code IS NOT NULL
+      AND status = 'active'
+      AND source_conversation IS NOT 'private'
       AND importance >= ?
       AND (ttl_days IS NULL OR created_at >= (unixepoch() - ttl_days * 86400))
     ORDER BY trip_code ASC, importance DESC, last_used_at DESC, created_at DESC
@@ -65,9 +113,10 @@ function ensurePreparedStatements() {
 
   insertMemoryStmt = db.prepare(`
     INSERT INTO memories (
-      memory_id, room_id, trip_code, text, tags_json, importance, ttl_days, created_at, last_used_at
+      memory_id, room_id, trip_code, text, tags_json, importance, ttl_days, created_at, last_used_at,
+      source_message_id, source_text, source_sender, source_pipeline, source_model, source_conversation
     )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   upsertMemoryVecJsonStmt = db.prepare(`
@@ -86,6 +135,74 @@ function ensurePreparedStatements() {
     upsertMemoryVecVec0Stmt = null;
   }
 
+  listMemoriesMissingEmbeddingStmt = db.prepare(`
+    SELECT memory_id, text
+    FROM memories
+    WHERE memory_id NOT IN (SELECT memory_id FROM memory_vec)
+    ORDER BY created_at DESC
+    LIMIT ?
+  `);
+
+  memoryExistsStmt = db.prepare('SELECT 1 FROM memories WHERE memory_id = ?');
+
+  listMemoriesForDedupeStmt = db.prepare(`
+    SELECT
+      memory_id,
+      room_id,
+      trip_code,
+      text,
+      tags_json,
+      importance,
+      created_at,
+      last_used_at,
+      source_conversation
+    FROM memories
+    WHERE trip_code IS NOT NULL
+      AND status = 'active'
+      AND (? IS NULL OR trip_code = ?)
+    ORDER BY trip_code ASC, importance DESC, created_at ASC
+  `);
+
+  mergeMemoryStmt = db.prepare(`
+    UPDATE memories
+    SET importance = ?,
+        tags_json = ?,
+        last_used_at = MAX(last_used_at, ?)
+    WHERE memory_id = ?
+  `);
+
+  deleteMemoryByIdStmt = db.prepare('DELETE FROM memories WHERE memory_id = ?');
+
+  supersedeMemoryStmt = db.prepare(`
+    UPDATE memories
+    SET status = 'superseded',
+        superseded_by = ?,
+        superseded_at = ?
+    WHERE memory_id = ?
+      AND status = 'active'
+      AND memory_id <> ?
+  `);
+
+  touchMemoryStmt = db.prepare(`
+    UPDATE memories
+    SET last_used_at = MAX(last_used_at, ?)
+    WHERE memory_id = ?
+  `);
+
+  listMemoriesForDecayStmt = db.prepare(`
+    SELECT memory_id, trip_code, text, importance, created_at, last_used_at, status
+    FROM memories
+    WHERE trip_code IS NOT NULL
+      AND status = 'active'
+  `);
+
+  countExpiredMemoriesStmt = db.prepare(`
+    SELECT COUNT(*) AS count
+    FROM memories
+    WHERE ttl_days IS NOT NULL
+      AND created_at < (unixepoch() - ttl_days * 86400)
+  `);
+
   deleteExpiredMemoriesStmt = db.prepare(`
     DELETE FROM memories
     WHERE ttl_days IS NOT NULL
@@ -103,6 +220,18 @@ function ensurePreparedStatements() {
       AND importance < ?
   `);
 
+  listMemoryIdsBySourceMessageStmt = db.prepare(`
+    SELECT memory_id
+    FROM memories
+    WHERE source_message_id = ?
+  `);
+
+  deleteMemoriesByTripMatchingStmt = db.prepare(`
+    DELETE FROM memories
+    WHERE trip_code = ?
+      AND text LIKE ? ESCAPE '\\'
+  `);
+
   insertMemoryTx = db.transaction((payload) => {
     const now = Number(payload.created_at || Math.floor(Date.now() / 1000));
     const memoryId = payload.memory_id || crypto.randomUUID();
@@ -123,21 +252,65 @@ function ensurePreparedStatements() {
       payload.importance,
       payload.ttl_days,
       now,
-      now
+      now,
+      toSourceMessageId(payload.source_message_id),
+      payload.source_text ? String(payload.source_text) : null,
+      payload.source_sender ? String(payload.source_sender) : null,
+      payload.source_pipeline ? String(payload.source_pipeline) : null,
+      payload.source_model ? String(payload.source_model) : null,
+      payload.source_conversation === 'private' || payload.source_conversation === 'public' ? payload.source_conversation : null
     );
 
     if (Array.isArray(payload.embedding) && payload.embedding.length > 0) {
-      if (isVectorModeEnabled()) {
-        upsertMemoryVecVec0Stmt.run(memoryId, JSON.stringify(payload.embedding));
-      } else {
-        upsertMemoryVecJsonStmt.run(memoryId, JSON.stringify(payload.embedding));
-      }
+      upsertMemoryVector(memoryId, payload.embedding);
+    }
+  });
+
+  deleteMemoriesByIdsTx = db.transaction((memoryIds) => {
+    let removedMemories = 0;
+    for (const memoryId of memoryIds) {
+      removedMemories += deleteMemoryByIdStmt.run(memoryId).changes;
     }
+    const removedVectors = removedMemories > 0 ? deleteOrphanVectorsStmt.run().changes : 0;
+    return { removedMemories, removedVectors };
+  });
+
+  mergeMemoryTx = db.transaction(({ memoryId, importance, tagsJson, usedAt, removeMemoryIds }) => {
+    const updated = mergeMemoryStmt.run(importance, tagsJson, usedAt, memoryId).changes;
+    let removedMemories = 0;
+    for (const removeId of removeMemoryIds) {
+      removedMemories += deleteMemoryByIdStmt.run(removeId).changes;
+    }
+    const removedVectors = removedMemories > 0 ? deleteOrphanVectorsStmt.run().changes : 0;
+    return { updated: updated > 0, removedMemories, removedVectors };
   });
 
   prepared = true;
 }
 
+/**
+ * 按当前向量模式写入（覆盖）一条记忆向量。
+ * @param {string} memoryId
+ * @param {number[]} embedding
+ */
+function upsertMemoryVector(memoryId, embedding) {
+  if (isVectorModeEnabled()) {
+    upsertMemoryVecVec0Stmt.run(memoryId, JSON.stringify(embedding));
+  } else {
+    upsertMemoryVecJsonStmt.run(memoryId, JSON.stringify(embedding));
+  }
+}
+
+/**
+ * 来源消息 id 只接受正整数（messages.message_id），其余视为未知。
+ * @param {unknown} value
+ * @returns {number | null}
+ */
+function toSourceMessageId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
 /**
  * 解析 tags_json，兜底为 string[]。
  */
@@ -154,8 +327,10 @@ function parseTagsJson(tagsJson) {
 
 /**
  * 按 trip 读取记忆（带重要度阈值与数量限制）。
+ * 默认只取 active 记忆；status 传 'superseded' 或 'all' 可查看已被取代的记忆（审计用）。
+ * @param params.status 'active' / 'superseded' / 'all'
  */
-export function listMemoriesByTrip({ tripCode, minImportance = 1, limit = 10 }) {
+export function listMemoriesByTrip({ tripCode, minImportance = 1, limit = 10, status = 'active' }) {
   ensurePreparedStatements();
   if (!tripCode) return [];
 
@@ -165,15 +340,237 @@ export function listMemoriesByTrip({ tripCode, minImportance = 1, limit = 10 })
   );
   const boundedLimit = Math.max(1, Math.min(100, Math.floor(Number(limit) || 10)));
 
-  const rows = listMemoriesByTripStmt.all(String(tripCode), boundedMinImportance, boundedLimit);
+  const statusFilter = ['active', 'superseded', 'all'].includes(status) ? status : 'active';
+
+  const rows = listMemoriesByTripStmt.all(String(tripCode), boundedMinImportance, statusFilter, statusFilter, boundedLimit);
   return rows.map((row) => ({
     ...row,
     tags: parseTagsJson(row.tags_json),
   }));
 }
 
+/**
+ * 按 trip 读取参与相关度排序的候选记忆（按重要度、最近使用时间取前 limit 条）。
+ * @param params.sourceConversation 只取某类会话产生的记忆：'private' 只取私聊记忆，'public' 只取频道记忆（含来源未知的旧记忆），缺省不过滤
+ */
+export function listMemoryCandidatesByTrip({ tripCode, minImportance = 1, limit = 200, sourceConversation = null }) {
+  ensurePreparedStatements();
+  if (!tripCode) return [];
+
+  const boundedMinImportance = Math.max(
+    SERVER_CONFIG.memory.minImportance,
+    Math.min(SERVER_CONFIG.memory.maxImportance, Math.floor(Number(minImportance) || SERVER_CONFIG.memory.minImportance))
+  );
+  const boundedLimit = Math.max(1, Math.min(2000, Math.floor(Number(limit) || 200)));
+
+  const conversation = sourceConversation === 'private' || sourceConversation === 'public' ? sourceConversation : null;
+  const rows = listMemoryCandidatesByTripStmt.all(String(tripCode), boundedMinImportance, conversation, conversation, boundedLimit);
+  return rows.map((row) => ({
+    ...row,
+    tags: parseTagsJson(row.tags_json),
+  }));
+}
+
+/**
+ * 解析 JSON 形式的向量，非法或为空时返回 null。
+ * @param {unknown} value
+ * @returns {number[] | null}
+ */
+function parseEmbeddingJson(value) {
+  if (typeof value !== 'string') return null;
+  try {
+    const parsed = JSON.parse(value);
+    if (!Array.isArray(parsed) || parsed.length === 0) return null;
+    return parsed.every((item) => typeof item === 'number' && Number.isFinite(item)) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 余弦相似度；维度不一致或任一向量为零向量时返回 0。
+ * @param {number[]} a
+ * @param {number[]} b
+ */
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * 批量读取记忆向量（vec0 与 json_fallback 两种存储都支持）。
+ * @param {string[]} memoryIds
+ * @returns {Map<string, number[]>} 没有向量的记忆不出现在结果中
+ */
+export function getMemoryEmbeddings(memoryIds) {
+  ensurePreparedStatements();
+  const ids = [...new Set((Array.isArray(memoryIds) ? memoryIds : []).filter(Boolean).map(String))];
+  const embeddings = new Map();
+  if (ids.length === 0) return embeddings;
+
+  const embeddingSql = isVectorModeEnabled() ? 'vec_to_json(embedding)' : 'embedding_json';
+  // 分批查询，避免超过 SQLite 的变量个数上限
+  for (let offset = 0; offset < ids.length; offset += 500) {
+    const batch = ids.slice(offset, offset + 500);
+    const rows = db.prepare(`
+      SELECT memory_id, ${embeddingSql} AS embedding_json
+      FROM memory_vec
+      WHERE memory_id IN (${batch.map(() => '?').join(', ')})
+    `).all(...batch);
+    for (const row of rows) {
+      const embedding = parseEmbeddingJson(row.embedding_json);
+      if (embedding) embeddings.set(row.memory_id, embedding);
+    }
+  }
+  return embeddings;
+}
+
+/**
+ * 读取还没有向量的记忆（新写入的优先），供 embedding 回填使用。
+ * @returns {{ memory_id: string, text: string }[]}
+ */
+export function listMemoriesMissingEmbedding({ limit = 64 } = {}) {
+  ensurePreparedStatements();
+  const boundedLimit = Math.max(1, Math.min(1000, Math.floor(Number(limit) || 64)));
+  return listMemoriesMissingEmbeddingStmt.all(boundedLimit);
+}
+
+/**
+ * 为已有记忆写入（覆盖）向量；记忆不存在时不写入。
+ * @param {string} memoryId
+ * @param {number[]} embedding
+ * @returns {boolean} 是否写入
+ */
+export function upsertMemoryEmbedding(memoryId, embedding) {
+  ensurePreparedStatements();
+  if (!memoryId || !Array.isArray(embedding) || embedding.length === 0) return false;
+  if (!memoryExistsStmt.get(String(memoryId))) return false;
+  upsertMemoryVector(String(memoryId), embedding);
+  return true;
+}
+
+/**
+ * 读取去重任务的输入：有 trip 的全部记忆（含已过期未清理的），按 trip、重要度从高到低、创建时间从早到晚排列。
+ * @param params.tripCode 只读取该用户（可选）
+ */
+export function listMemoriesForDedupe({ tripCode = null } = {}) {
+  ensurePreparedStatements();
+  const trip = tripCode ? String(tripCode) : null;
+  return listMemoriesForDedupeStmt.all(trip, trip).map((row) => ({
+    ...row,
+    tags: parseTagsJson(row.tags_json),
+  }));
+}
+
+/**
+ * 把重复记忆合并进一条保留的记忆：更新重要度、标签与最近使用时间，删除被合并的记忆及其向量。
+ * @param params.memoryId 保留的记忆
+ * @param params.importance 合并后的重要度
+ * @param params.tags 合并后的标签
+ * @param params.usedAt 最近使用时间（unix 秒，只会往后推）
+ * @param params.removeMemoryIds 被合并、需要删除的记忆（可选）
+ * @returns {{ updated: boolean, removedMemories: number, removedVectors: number }}
+ */
+export function mergeMemoryDuplicates({ memoryId, importance, tags, usedAt = Math.floor(Date.now() / 1000), removeMemoryIds = [] }) {
+  ensurePreparedStatements();
+  const boundedImportance = Math.max(
+    SERVER_CONFIG.memory.minImportance,
+    Math.min(SERVER_CONFIG.memory.maxImportance, Math.floor(Number(importance) || SERVER_CONFIG.memory.minImportance))
+  );
+  return mergeMemoryTx({
+    memoryId: String(memoryId),
+    importance: boundedImportance,
+    tagsJson: JSON.stringify(Array.isArray(tags) ? tags : []),
+    usedAt: Math.floor(Number(usedAt)),
+    removeMemoryIds: removeMemoryIds.map(String).filter((id) => id !== String(memoryId)),
+  });
+}
+
+/**
+ * 把一组记忆标记为已被取代（只改 active 的记忆，保留原文供审计）。
+ * @param {{ memoryId: string, supersededBy: string }[]} items
+ * @param {number} [now] unix 秒
+ * @returns {number} 实际标记的条数
+ */
+export function supersedeMemories(items, now = Math.floor(Date.now() / 1000)) {
+  ensurePreparedStatements();
+  const tx = db.transaction(() => {
+    let changed = 0;
+    for (const { memoryId, supersededBy } of items) {
+      changed += supersedeMemoryStmt.run(String(supersededBy), now, String(memoryId), String(supersededBy)).changes;
+    }
+    return changed;
+  });
+  return tx();
+}
+
+/**
+ * 把一组记忆标记为刚被使用（last_used_at 只会往后推）。
+ * @param {string[]} memoryIds
+ * @param {number} [usedAt] unix 秒
+ * @returns {number} 实际更新的条数
+ */
+export function touchMemories(memoryIds, usedAt = Math.floor(Date.now() / 1000)) {
+  ensurePreparedStatements();
+  const ids = [...new Set((Array.isArray(memoryIds) ? memoryIds : []).filter(Boolean).map(String))];
+  if (ids.length === 0) return 0;
+  const tx = db.transaction(() => ids.reduce((sum, id) => sum + touchMemoryStmt.run(Math.floor(usedAt), id).changes, 0));
+  return tx();
+}
+
+/**
+ * 读取衰减任务的输入：有 trip 的 active 记忆（superseded 记忆保留供审计，不参与衰减）。
+ */
+export function listMemoriesForDecay() {
+  ensurePreparedStatements();
+  return listMemoriesForDecayStmt.all();
+}
+
+/**
+ * 按 id 删除记忆，并同步清理孤儿向量。
+ * @param {string[]} memoryIds
+ * @returns {{ removedMemories: number, removedVectors: number }}
+ */
+export function deleteMemoriesByIds(memoryIds) {
+  ensurePreparedStatements();
+  const ids = (Array.isArray(memoryIds) ? memoryIds : []).filter(Boolean).map(String);
+  if (ids.length === 0) return { removedMemories: 0, removedVectors: 0 };
+  return deleteMemoriesByIdsTx(ids);
+}
+
+/**
+ * 删除由某条聊天消息产生的全部记忆，并同步清理孤儿向量。
+ * @param {number} messageId messages.message_id
+ * @returns {{ memoryIds: string[], removedMemories: number, removedVectors: number }}
+ */
+export function deleteMemoriesBySourceMessage(messageId) {
+  ensurePreparedStatements();
+  const id = toSourceMessageId(messageId);
+  if (id === null) return { memoryIds: [], removedMemories: 0, removedVectors: 0 };
+  const memoryIds = listMemoryIdsBySourceMessageStmt.all(id).map((row) => row.memory_id);
+  return { memoryIds, ...deleteMemoriesByIds(memoryIds) };
+}
+
+/**
+ * 统计已过 TTL、等待清理的记忆条数。
+ */
+export function countExpiredMemories() {
+  ensurePreparedStatements();
+  return Number(countExpiredMemoriesStmt.get().count) || 0;
+}
+
 /**
  * 读取记忆梗概输入数据，并按 trip 分组。
+ * 梗概会进入频道回复的 prompt，因此不含私聊产生的记忆。
  */
 export function listMemoriesGroupedByTripForDigest({ minImportance = 1, maxItemsPerUser = 60 } = {}) {
   ensurePreparedStatements();
@@ -201,6 +598,9 @@ export function listMemoriesGroupedByTripForDigest({ minImportance = 1, maxItems
 
 /**
  * 插入一条记忆记录（含可选 embedding）。
+ * 来源字段（均可选）：source_message_id（messages.message_id）、source_text、source_sender、
+ * source_pipeline（'single' / 'two_pass' / 'manual'）、source_model（'provider/model'）、
+ * source_conversation（'public' / 'private'，私聊记忆不会进入频道回复）。
  */
 export function insertMemory(payload) {
   ensurePreparedStatements();
@@ -208,12 +608,69 @@ export function insertMemory(payload) {
 }
 
 /**
- * 向量检索记忆（仅 vec0 模式可用）。
- * 返回 null 表示当前非向量模式。
+ * 房间 + trip 的记忆过滤条件：只取本房间的共享记忆，以及（给出 tripCode 时）该用户自己的记忆；已被取代的记忆不参与检索。
+ * @param {string} roomId
+ * @param {string | undefined} tripCode
  */
-export function searchMemories({ roomId, tripCode, queryEmbedding, topK = 20 }) {
+function toRoomTripFilter(roomId, tripCode) {
+  const args = [String(roomId)];
+  let tripFilterSql = 'AND m.trip_code IS NULL';
+  if (tripCode) {
+    tripFilterSql = 'AND (m.trip_code IS NULL OR m.trip_code = ?)';
+    args.push(String(tripCode));
+  }
+  return { sql: `m.room_id = ? ${tripFilterSql} AND m.status = 'active'`, args };
+}
+
+/**
+ * json_fallback 模式下的向量检索：读出范围内的全部向量，在进程内按余弦相似度排序。
+ * distance 取 1 - 余弦相似度，与 vec0 结果一样越小越相近。
+ */
+function searchMemoriesByJsonVectors({ roomId, tripCode, queryEmbedding, topK }) {
+  const filter = toRoomTripFilter(roomId, tripCode);
+  const rows = db.prepare(`
+    SELECT m.*, v.embedding_json AS embedding_json
+    FROM memories m
+    INNER JOIN memory_vec v ON v.memory_id = m.memory_id
+    WHERE ${filter.sql}
+  `).all(...filter.args);
+
+  return rows
+    .map(({ embedding_json: embeddingJson, ...row }) => {
+      const embedding = parseEmbeddingJson(embeddingJson);
+      return embedding && embedding.length === queryEmbedding.length
+        ? { ...row, distance: 1 - cosineSimilarity(queryEmbedding, embedding) }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, topK);
+}
+
+/**
+ * 检索记忆：
+ * - 提供 queryEmbedding：向量检索（vec0 模式走 sqlite-vec，json_fallback 模式在进程内算余弦相似度）
+ * - 否则提供 queryText 时：全文检索
+ * 返回 null 表示两种检索条件都没有给出。
+ */
+export function searchMemories({ roomId, tripCode, queryEmbedding, queryText, topK = 20 }) {
   ensurePreparedStatements();
-  if (!isVectorModeEnabled()) return null;
+  const hasEmbedding = Array.isArray(queryEmbedding) && queryEmbedding.length > 0;
+  if (!hasEmbedding) {
+    if (typeof queryText !== 'string' || queryText.trim().length === 0) return null;
+    return searchMemoriesFullText({
+      query: queryText,
+      roomId,
+      tripCode,
+      limit: topK,
+      includeShared: true,
+      activeOnly: true,
+    });
+  }
+
+  if (!isVectorModeEnabled()) {
+    return searchMemoriesByJsonVectors({ roomId, tripCode, queryEmbedding, topK });
+  }
 
   const vectorRows = db.prepare(`
     SELECT memory_id, distance
@@ -229,20 +686,13 @@ export function searchMemories({ roomId, tripCode, queryEmbedding, topK = 20 })
   const idPlaceholders = ids.map(() => '?').join(', ');
   const distanceById = new Map(vectorRows.map((item) => [item.memory_id, item.distance]));
 
-  const args = [String(roomId)];
-  let tripFilterSql = 'AND m.trip_code IS NULL';
-  if (tripCode) {
-    tripFilterSql = 'AND (m.trip_code IS NULL OR m.trip_code = ?)';
-    args.push(String(tripCode));
-  }
-
+  const filter = toRoomTripFilter(roomId, tripCode);
   const rows = db.prepare(`
     SELECT m.*
     FROM memories m
-    WHERE m.room_id = ?
-      ${tripFilterSql}
+    WHERE ${filter.sql}
       AND m.memory_id IN (${idPlaceholders})
-  `).all(...args, ...ids);
+  `).all(...filter.args, ...ids);
 
   const rowsById = new Map(rows.map((row) => [row.memory_id, row]));
   return vectorRows
@@ -284,3 +734,21 @@ export function pruneLowImportanceMemories(minKeepImportance) {
   });
   return tx();
 }
+
+/**
+ * 删除某个 trip 名下正文包含关键词的记忆，并同步清理孤儿向量。
+ * 只作用于该用户自己的记忆，不影响房间共享记忆。
+ */
+export function deleteMemoriesByTripMatching({ tripCode, keyword }) {
+  ensurePreparedStatements();
+  const trimmed = typeof keyword === 'string' ? keyword.trim() : '';
+  if (!tripCode || !trimmed) return { removedMemories: 0, removedVectors: 0 };
+
+  const pattern = `%${trimmed.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+  const tx = db.transaction(() => {
+    const removedMemories = deleteMemoriesByTripMatchingStmt.run(String(tripCode), pattern).changes;
+    const removedVectors = deleteOrphanVectorsStmt.run().changes;
+    return { removedMemories, removedVectors };
+  });
+  return tx();
+}
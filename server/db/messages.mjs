@@ -0,0 +1,127 @@
+import { db, initDb } from './core.mjs';
+import { upsertRoom } from './profiles.mjs';
+
+/**
+ * 模块职责：
+ * 维护 messages（按房间保存的聊天记录）的写入与分页读取。
+ * time 与前端 ChatMessage.time 一致，单位为毫秒。
+ */
+let insertMessageStmt;
+let listMessagesPageStmt;
+let insertMessageTx;
+let prepared = false;
+
+/**
+ * 延迟准备 SQL 语句与事务。
+ */
+function ensurePreparedStatements() {
+  if (prepared) return;
+  initDb();
+
+  insertMessageStmt = db.prepare(`
+    INSERT INTO messages (room_id, nick, trip_code, text, type, peer, time)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  // 以 message_id 为游标倒序翻页；type/peer 为 NULL 时不过滤
+  listMessagesPageStmt = db.prepare(`
+    SELECT message_id, room_id, nick, trip_code, text, type, peer, time
+    FROM messages
+    WHERE room_id = @roomId
+      AND (@beforeId IS NULL OR message_id < @beforeId)
+      AND (@sinceTime IS NULL OR time > @sinceTime)
+      AND (@type IS NULL OR type = @type)
+      AND (@peer IS NULL OR peer = @peer)
+    ORDER BY message_id DESC
+    LIMIT @limit
+  `);
+
+  insertMessageTx = db.transaction((payload) => {
+    upsertRoom(payload.roomId, Math.floor(payload.time / 1000));
+    return insertMessageStmt.run(
+      payload.roomId,
+      payload.nick,
+      payload.tripCode,
+      payload.text,
+      payload.type,
+      payload.peer,
+      payload.time
+    ).lastInsertRowid;
+  });
+
+  prepared = true;
+}
+
+/**
+ * 写入一条聊天记录（房间不存在时自动创建）。
+ * 仅保存 message/whisper，系统提示不入库。
+ * @returns 新记录的 message_id
+ */
+export function insertMessage({ roomId, nick, tripCode, text, type = 'message', peer, time }) {
+  ensurePreparedStatements();
+  const normalizedTime = Number.isFinite(Number(time)) ? Math.floor(Number(time)) : Date.now();
+  return Number(insertMessageTx({
+    roomId: String(roomId),
+    nick: String(nick),
+    tripCode: tripCode ? String(tripCode) : null,
+    text: String(text),
+    type: type === 'whisper' ? 'whisper' : 'message',
+    peer: type === 'whisper' && peer ? String(peer) : null,
+    time: normalizedTime,
+  }));
+}
+
+/**
+ * 分页读取房间聊天记录（从新到旧翻页，页内按时间正序返回）。
+ * @param params.beforeId 只返回 message_id 小于该值的记录（缺省为最新一页）
+ * @param params.type 可选，只返回 message 或 whisper
+ * @param params.peer 可选，只返回与该昵称的私聊
+ * @param params.sinceTime 可选，只返回 time（毫秒）晚于该值的记录
+ * @returns { items, nextBeforeId }（nextBeforeId 为 null 表示没有更早的记录）
+ */
+export function listMessagesByRoom({ roomId, beforeId = null, limit = 50, type = null, peer = null, sinceTime = null }) {
+  ensurePreparedStatements();
+  if (!roomId) return { items: [], nextBeforeId: null };
+
+  const boundedLimit = Math.max(1, Math.min(500, Math.floor(Number(limit) || 50)));
+  const cursor = Number(beforeId);
+  const rows = listMessagesPageStmt.all({
+    roomId: String(roomId),
+    beforeId: Number.isFinite(cursor) && cursor > 0 ? Math.floor(cursor) : null,
+    type: type === 'message' || type === 'whisper' ? type : null,
+    peer: peer ? String(peer) : null,
+    sinceTime: Number.isFinite(sinceTime) ? Math.floor(Number(sinceTime)) : null,
+    limit: boundedLimit + 1,
+  });
+
+  const hasMore = rows.length > boundedLimit;
+  const items = rows.slice(0, boundedLimit).reverse();
+  return {
+    items,
+    nextBeforeId: hasMore && items.length > 0 ? items[0].message_id : null,
+  };
+}
+
+/**
+ * 读取房间最近的聊天记录，并转换为 ChatMessage 结构（按时间正序）。
+ * @param params.conversation 可选过滤：
+ *   - 缺省：公开消息与私聊全部返回（用于恢复会话消息）
+ *   - public：房间公开消息（不含私聊）
+ *   - private：与 peer 的私聊往来
+ */
+export function listRecentChatMessages({ roomId, limit = 20, conversation, peer = '' }) {
+  if (conversation === 'private' && !peer) return [];
+  const filter = {
+    public: { type: 'message', peer: null },
+    private: { type: 'whisper', peer },
+  }[conversation] || { type: null, peer: null };
+  const { items } = listMessagesByRoom({ roomId, limit, ...filter });
+  return items.map((row) => ({
+    time: row.time,
+    nick: row.nick,
+    text: row.text,
+    type: row.type,
+    trip: row.trip_code || undefined,
+    peer: row.peer || undefined,
+  }));
+}
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录，避免写入本地数据库（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-messages-'));
+process.env.DATA_DIR = dataDir;
+const { insertMessage, listMessagesByRoom, listRecentChatMessages } = await import('./messages.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('listMessagesByRoom: pages from newest to oldest with ascending items', () => {
+  for (let i = 1; i <= 5; i += 1) {
+    insertMessage({ roomId: 'paging', nick: 'alice', text: `m${i}`, time: i * 1000 });
+  }
+  insertMessage({ roomId: 'other', nick: 'bob', text: 'elsewhere', time: 6000 });
+
+  const first = listMessagesByRoom({ roomId: 'paging', limit: 2 });
+  assert.deepEqual(first.items.map((item) => item.text), ['m4', 'm5']);
+  assert.notEqual(first.nextBeforeId, null);
+
+  const second = listMessagesByRoom({ roomId: 'paging', limit: 2, beforeId: first.nextBeforeId });
+  assert.deepEqual(second.items.map((item) => item.text), ['m2', 'm3']);
+
+  const last = listMessagesByRoom({ roomId: 'paging', limit: 2, beforeId: second.nextBeforeId });
+  assert.deepEqual(last.items.map((item) => item.text), ['m1']);
+  assert.equal(last.nextBeforeId, null);
+});
+
+test('listRecentChatMessages: separates public chat from per-peer whispers', () => {
+  insertMessage({ roomId: 'mixed', nick: 'alice', tripCode: 'trip1', text: 'hello all', time: 1000 });
+  insertMessage({ roomId: 'mixed', nick: 'alice', text: 'psst', type: 'whisper', peer: 'alice', time: 2000 });
+  insertMessage({ roomId: 'mixed', nick: 'bot', text: 'hi alice', type: 'whisper', peer: 'alice', time: 3000 });
+  insertMessage({ roomId: 'mixed', nick: 'dave', text: 'secret', type: 'whisper', peer: 'dave', time: 4000 });
+
+  const publicMessages = listRecentChatMessages({ roomId: 'mixed', conversation: 'public' });
+  assert.deepEqual(publicMessages, [
+    { time: 1000, nick: 'alice', text: 'hello all', type: 'message', trip: 'trip1', peer: undefined },
+  ]);
+
+  const privateMessages = listRecentChatMessages({ roomId: 'mixed', conversation: 'private', peer: 'alice' });
+  assert.deepEqual(privateMessages.map((item) => item.text), ['psst', 'hi alice']);
+
+  assert.equal(listRecentChatMessages({ roomId: 'mixed' }).length, 4);
+  assert.deepEqual(listRecentChatMessages({ roomId: 'mixed', conversation: 'private' }), []);
+});
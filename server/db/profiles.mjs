@@ -2,13 +2,16 @@ import { db, initDb } from './core.mjs';
 
 /**
  * 模块职责：
- * 维护 rooms/users/user_profile 相关的读写逻辑。
+ * 维护 rooms/users/user_profile 相关的读写逻辑（含房间总结 room_summary）。
  */
 let upsertRoomStmt;
 let upsertUserStmt;
 let upsertProfileStmt;
 let getProfileStmt;
 let upsertMemoryDigestStmt;
+let getRoomSummaryStmt;
+let upsertRoomSummaryStmt;
+let listRoomsPendingSummaryStmt;
 let ingestIdentityTx;
 let prepared = false;
 
@@ -57,6 +60,34 @@ function ensurePreparedStatements() {
       updated_at = excluded.updated_at
   `);
 
+  getRoomSummaryStmt = db.prepare(`
+    SELECT room_id, room_summary, summary_updated_at, summary_covered_until
+    FROM rooms
+    WHERE room_id = ?
+  `);
+
+  upsertRoomSummaryStmt = db.prepare(`
+    INSERT INTO rooms (room_id, room_summary, summary_updated_at, summary_covered_until)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(room_id) DO UPDATE SET
+      room_summary = excluded.room_summary,
+      summary_updated_at = excluded.summary_updated_at,
+      summary_covered_until = excluded.summary_covered_until
+  `);
+
+  // 自上次总结以来的公开消息数（messages.time 与 summary_covered_until 均为毫秒，私聊不计入）
+  listRoomsPendingSummaryStmt = db.prepare(`
+    SELECT r.room_id, r.room_summary, r.summary_updated_at, r.summary_covered_until, COUNT(msg.message_id) AS new_messages
+    FROM rooms r
+    INNER JOIN messages msg
+      ON msg.room_id = r.room_id
+      AND msg.type = 'message'
+      AND msg.time > COALESCE(r.summary_covered_until, 0)
+    GROUP BY r.room_id
+    HAVING COUNT(msg.message_id) >= ?
+    ORDER BY new_messages DESC
+  `);
+
   ingestIdentityTx = db.transaction((roomId, tripCode, displayName, seenAt) => {
     upsertRoomStmt.run(roomId, seenAt);
     upsertUserStmt.run(tripCode, displayName, seenAt);
@@ -134,3 +165,31 @@ export function upsertMemoryDigest(tripCode, digestObj, updatedAt) {
   ensurePreparedStatements();
   upsertMemoryDigestStmt.run(tripCode, JSON.stringify(digestObj || {}), updatedAt);
 }
+
+/**
+ * 读取房间总结；房间不存在时返回 null。
+ */
+export function getRoomSummary(roomId) {
+  ensurePreparedStatements();
+  return getRoomSummaryStmt.get(roomId) || null;
+}
+
+/**
+ * 写入房间总结（纯文本，可由模型生成或人工编辑）。
+ * @param roomId 房间
+ * @param summary 总结文本
+ * @param updatedAt 总结覆盖到的时间（unix 秒，对外展示用）
+ * @param coveredUntil 总结已覆盖到的消息时间（毫秒，与 messages.time 一致），之后的公开消息才算新消息
+ */
+export function upsertRoomSummary(roomId, summary, updatedAt, coveredUntil) {
+  ensurePreparedStatements();
+  upsertRoomSummaryStmt.run(roomId, String(summary || ''), updatedAt, coveredUntil);
+}
+
+/**
+ * 列出自上次总结以来新增公开消息数达到阈值的房间。
+ */
+export function listRoomsPendingSummary({ minNewMessages = 1 } = {}) {
+  ensurePreparedStatements();
+  return listRoomsPendingSummaryStmt.all(Math.max(1, Math.floor(Number(minNewMessages) || 1)));
+}
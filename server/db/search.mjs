@@ -0,0 +1,244 @@
+import { db, initDb } from './core.mjs';
+
+/**
+ * 模块职责：
+ * 基于 FTS5（trigram）对记忆与聊天记录做全文检索，并生成高亮片段。
+ * trigram 只能索引 >= 3 个字符的词，更短的词（如两字中文词）退化为 LIKE 过滤。
+ */
+const MIN_FTS_TERM_CHARS = 3;
+const SNIPPET_MAX_CHARS = 80;
+const SNIPPET_LEAD_CHARS = 20;
+const HIGHLIGHT_OPEN = '<mark>';
+const HIGHLIGHT_CLOSE = '</mark>';
+
+/**
+ * @typedef {Object} FullTextFilters
+ * @property {string} [query] 空白分隔的关键词（全部命中，AND）
+ * @property {string} [phrase] 精确短语（原样子串匹配）
+ * @property {string | null} [roomId]
+ * @property {string | null} [tripCode]
+ * @property {number | null} [since] 起始时间（unix 秒，含）
+ * @property {number | null} [until] 结束时间（unix 秒，含）
+ * @property {number} [limit]
+ */
+
+/**
+ * 把 query/phrase 拆成检索词（去重、去空）。
+ * @param {{ query?: string, phrase?: string }} input
+ * @returns {string[]}
+ */
+function toSearchTerms({ query, phrase }) {
+  const terms = typeof query === 'string' ? query.split(/\s+/) : [];
+  if (typeof phrase === 'string') terms.push(phrase);
+  return [...new Set(terms.map((term) => term.trim()).filter(Boolean))];
+}
+
+/**
+ * 转义 FTS5 字符串字面量（双引号包裹，内部双引号加倍）。
+ * @param {string} term
+ */
+function toFtsPhrase(term) {
+  return `"${term.replaceAll('"', '""')}"`;
+}
+
+/**
+ * 转义 LIKE 通配符（配合 ESCAPE '\\'）。
+ * @param {string} term
+ */
+function toLikePattern(term) {
+  return `%${term.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+}
+
+/**
+ * @param {string} value
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 截取命中附近的片段，并用 <mark> 高亮所有检索词（大小写不敏感）。
+ * 未命中（例如只命中 tags）时返回开头片段。
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {{ maxChars?: number }} [options]
+ */
+export function buildHighlightedSnippet(text, terms, { maxChars = SNIPPET_MAX_CHARS } = {}) {
+  const source = String(text || '');
+  const sortedTerms = terms.filter(Boolean).sort((a, b) => b.length - a.length);
+  const pattern = sortedTerms.length > 0
+    ? new RegExp(sortedTerms.map(escapeRegExp).join('|'), 'gi')
+    : null;
+
+  const firstHit = pattern ? source.search(pattern) : -1;
+  const start = firstHit > SNIPPET_LEAD_CHARS ? firstHit - SNIPPET_LEAD_CHARS : 0;
+  const end = Math.min(source.length, start + maxChars);
+  const window = source.slice(start, end);
+  const highlighted = pattern
+    ? window.replace(pattern, (match) => `${HIGHLIGHT_OPEN}${match}${HIGHLIGHT_CLOSE}`)
+    : window;
+  return `${start > 0 ? '…' : ''}${highlighted}${end < source.length ? '…' : ''}`;
+}
+
+/**
+ * 组装检索条件：长词走 FTS MATCH，短词走 LIKE。
+ * @param {string[]} terms
+ * @param {string[]} likeColumns 短词需要匹配的列（任一列命中即可）
+ */
+function buildTermConditions(terms, likeColumns) {
+  const ftsTerms = terms.filter((term) => Array.from(term).length >= MIN_FTS_TERM_CHARS);
+  const likeTerms = terms.filter((term) => Array.from(term).length < MIN_FTS_TERM_CHARS);
+  const likeSql = likeTerms.map(() => `(${likeColumns.map((column) => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+  const likeArgs = likeTerms.flatMap((term) => likeColumns.map(() => toLikePattern(term)));
+  return {
+    matchExpression: ftsTerms.length > 0 ? ftsTerms.map(toFtsPhrase).join(' AND ') : null,
+    likeSql,
+    likeArgs,
+  };
+}
+
+/**
+ * @param {number | undefined} limit
+ */
+function toBoundedLimit(limit) {
+  return Math.max(1, Math.min(200, Math.floor(Number(limit) || 20)));
+}
+
+/**
+ * 解析 tags_json，兜底为 string[]。
+ */
+function parseTagsJson(tagsJson) {
+  try {
+    const parsed = JSON.parse(tagsJson || '[]');
+    return Array.isArray(parsed) ? parsed.filter((item) => typeof item === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 全文检索记忆（text + tags）。
+ * 有 FTS 词时按 bm25 相关度排序，否则按时间倒序。
+ * @param {FullTextFilters & { includeShared?: boolean, activeOnly?: boolean }} filters
+ *   includeShared=true 时 trip 过滤同时包含无 trip 的房间共享记忆（与向量检索语义一致）
+ *   activeOnly=true 时排除已被取代的记忆（默认包含，结果带 status 字段）
+ */
+export function searchMemoriesFullText({
+  query,
+  phrase,
+  roomId = null,
+  tripCode = null,
+  since = null,
+  until = null,
+  limit = 20,
+  includeShared = false,
+  activeOnly = false,
+}) {
+  initDb();
+  const terms = toSearchTerms({ query, phrase });
+  const { matchExpression, likeSql, likeArgs } = buildTermConditions(terms, ['m.text', 'm.tags_json']);
+
+  const where = [];
+  const args = [];
+  if (activeOnly) {
+    where.push("m.status = 'active'");
+  }
+  if (matchExpression) {
+    where.push('memories_fts MATCH ?');
+    args.push(matchExpression);
+  }
+  where.push(...likeSql);
+  args.push(...likeArgs);
+  if (roomId) {
+    where.push('m.room_id = ?');
+    args.push(String(roomId));
+  }
+  if (tripCode) {
+    where.push(includeShared ? '(m.trip_code IS NULL OR m.trip_code = ?)' : 'm.trip_code = ?');
+    args.push(String(tripCode));
+  } else if (includeShared) {
+    where.push('m.trip_code IS NULL');
+  }
+  if (Number.isFinite(since)) {
+    where.push('m.created_at >= ?');
+    args.push(Math.floor(Number(since)));
+  }
+  if (Number.isFinite(until)) {
+    where.push('m.created_at <= ?');
+    args.push(Math.floor(Number(until)));
+  }
+
+  const rows = db.prepare(`
+    SELECT m.*, ${matchExpression ? 'bm25(memories_fts)' : 'NULL'} AS rank
+    FROM memories m
+    ${matchExpression ? 'INNER JOIN memories_fts ON memories_fts.memory_id = m.memory_id' : ''}
+    ${where.length > 0 ? `WHERE ${where.join('\n      AND ')}` : ''}
+    ORDER BY ${matchExpression ? 'rank ASC, ' : ''}m.created_at DESC
+    LIMIT ?
+  `).all(...args, toBoundedLimit(limit));
+
+  return rows.map((row) => ({
+    ...row,
+    tags: parseTagsJson(row.tags_json),
+    snippet: buildHighlightedSnippet(row.text, terms),
+  }));
+}
+
+/**
+ * 全文检索聊天记录。
+ * 有 FTS 词时按 bm25 相关度排序，否则按时间倒序。
+ * @param {FullTextFilters} filters
+ */
+export function searchMessagesFullText({
+  query,
+  phrase,
+  roomId = null,
+  tripCode = null,
+  since = null,
+  until = null,
+  limit = 20,
+}) {
+  initDb();
+  const terms = toSearchTerms({ query, phrase });
+  const { matchExpression, likeSql, likeArgs } = buildTermConditions(terms, ['msg.text']);
+
+  const where = [];
+  const args = [];
+  if (matchExpression) {
+    where.push('messages_fts MATCH ?');
+    args.push(matchExpression);
+  }
+  where.push(...likeSql);
+  args.push(...likeArgs);
+  if (roomId) {
+    where.push('msg.room_id = ?');
+    args.push(String(roomId));
+  }
+  if (tripCode) {
+    where.push('msg.trip_code = ?');
+    args.push(String(tripCode));
+  }
+  // messages.time 为毫秒
+  if (Number.isFinite(since)) {
+    where.push('msg.time >= ?');
+    args.push(Math.floor(Number(since)) * 1000);
+  }
+  if (Number.isFinite(until)) {
+    where.push('msg.time < ?');
+    args.push((Math.floor(Number(until)) + 1) * 1000);
+  }
+
+  const rows = db.prepare(`
+    SELECT msg.*, ${matchExpression ? 'bm25(messages_fts)' : 'NULL'} AS rank
+    FROM messages msg
+    ${matchExpression ? 'INNER JOIN messages_fts ON messages_fts.rowid = msg.message_id' : ''}
+    ${where.length > 0 ? `WHERE ${where.join('\n      AND ')}` : ''}
+    ORDER BY ${matchExpression ? 'rank ASC, ' : ''}msg.time DESC
+    LIMIT ?
+  `).all(...args, toBoundedLimit(limit));
+
+  return rows.map((row) => ({
+    ...row,
+    snippet: buildHighlightedSnippet(row.text, terms),
+  }));
+}
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录，避免写入本地数据库（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-search-'));
+process.env.DATA_DIR = dataDir;
+const { insertMemory, searchMemories } = await import('./memories.mjs');
+const { insertMessage } = await import('./messages.mjs');
+const { buildHighlightedSnippet, searchMemoriesFullText, searchMessagesFullText } = await import('./search.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * @param {Partial<Record<string, unknown>>} overrides
+ */
+function memory(overrides) {
+  return {
+    memory_id: undefined,
+    room_id: 'lobby',
+    trip_code: 'tripA',
+    display_name: 'alice',
+    text: '',
+    tags_json: '[]',
+    importance: 5,
+    ttl_days: null,
+    embedding: null,
+    ...overrides,
+  };
+}
+
+test('buildHighlightedSnippet: marks every term occurrence around the first hit', () => {
+  const text = `${'x'.repeat(40)} likes Rust and rust tooling`;
+  const snippet = buildHighlightedSnippet(text, ['rust'], { maxChars: 40 });
+  assert.ok(snippet.startsWith('…'));
+  assert.match(snippet, /<mark>Rust<\/mark> and <mark>rust<\/mark>/);
+});
+
+test('searchMessagesFullText: matches long terms, short CJK terms and phrases with filters', () => {
+  insertMessage({ roomId: 'lobby', nick: 'alice', tripCode: 'tripA', text: '我昨天去爬山了，风景很好', time: 1_000_000 });
+  insertMessage({ roomId: 'lobby', nick: 'bob', tripCode: 'tripB', text: '爬山太累了 hiking is hard', time: 2_000_000 });
+  insertMessage({ roomId: 'other', nick: 'alice', tripCode: 'tripA', text: '爬山 in another room', time: 3_000_000 });
+
+  const shortTerm = searchMessagesFullText({ query: '爬山', roomId: 'lobby' });
+  assert.deepEqual(shortTerm.map((item) => item.nick).sort(), ['alice', 'bob']);
+  assert.match(shortTerm[0].snippet, /<mark>爬山<\/mark>/);
+
+  const byTrip = searchMessagesFullText({ query: '爬山', tripCode: 'tripA' });
+  assert.deepEqual(byTrip.map((item) => item.room_id).sort(), ['lobby', 'other']);
+
+  const longTerm = searchMessagesFullText({ query: 'hiking' });
+  assert.equal(longTerm.length, 1);
+  assert.equal(longTerm[0].snippet, '爬山太累了 <mark>hiking</mark> is hard');
+
+  assert.equal(searchMessagesFullText({ phrase: 'is hard' }).length, 1);
+  assert.equal(searchMessagesFullText({ phrase: 'hard is' }).length, 0);
+
+  const inRange = searchMessagesFullText({ query: '爬山', since: 1500, until: 2000 });
+  assert.deepEqual(inRange.map((item) => item.nick), ['bob']);
+});
+
+test('searchMemoriesFullText: searches text and tags; searchMemories falls back to it', () => {
+  insertMemory(memory({ memory_id: 'm1', text: '喜欢吃火锅', tags_json: JSON.stringify(['美食']) }));
+  insertMemory(memory({ memory_id: 'm2', text: 'plays the violin', trip_code: 'tripB' }));
+  insertMemory(memory({ memory_id: 'm3', text: '房间公告：周五有 violin 演奏会', trip_code: null }));
+
+  assert.deepEqual(searchMemoriesFullText({ query: '美食' }).map((item) => item.memory_id), ['m1']);
+  assert.deepEqual(searchMemoriesFullText({ query: 'violin', tripCode: 'tripB' }).map((item) => item.memory_id), ['m2']);
+
+  const fallback = searchMemories({ roomId: 'lobby', tripCode: 'tripA', queryText: 'violin', topK: 5 });
+  assert.deepEqual(fallback.map((item) => item.memory_id), ['m3']);
+  assert.equal(searchMemories({ roomId: 'lobby', tripCode: 'tripA' }), null);
+});
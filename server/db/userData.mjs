@@ -0,0 +1,150 @@
+import crypto from 'node:crypto';
+import { SERVER_CONFIG } from '../config.mjs';
+import { db, initDb } from './core.mjs';
+
+/**
+ * 模块职责：
+ * 统计与删除某个 trip 的全部个人数据（users/user_profile/memories/memory_vec/messages），
+ * 并写入删除审计记录。审计只保存 trip 的 HMAC 摘要，不保留原始 trip。
+ * 聊天记录除该 trip 发出的消息外，还包括 bot 发给该用户（按其用过的昵称匹配 peer）的私聊回复；
+ * 记忆除该 trip 名下的外，还包括由这些消息产生的、以及来源发送者是该用户昵称的无 trip 记忆。
+ */
+
+// 审计摘要密钥：未配置时按进程随机生成
+const auditSecret = SERVER_CONFIG.userDeletion.auditSecret || crypto.randomBytes(32).toString('hex');
+
+// 该用户的聊天记录：自己发出的消息 + 发给其昵称的私聊（参数：trip, 昵称 JSON 数组）
+const USER_MESSAGES_SQL = `
+  trip_code = ?
+  OR (type = 'whisper' AND peer IN (SELECT value FROM json_each(?)))
+`;
+
+// 该用户的记忆（参数：trip, trip, 昵称 JSON 数组, 昵称 JSON 数组）
+const USER_MEMORIES_SQL = `
+  trip_code = ?
+  OR source_message_id IN (SELECT message_id FROM messages WHERE ${USER_MESSAGES_SQL})
+  OR (trip_code IS NULL AND source_sender IN (SELECT value FROM json_each(?)))
+`;
+
+let listKnownNicksStmt;
+let countUserStmt;
+let countProfileStmt;
+let countMemoriesStmt;
+let countMessagesStmt;
+let deleteMemoriesStmt;
+let deleteOrphanVectorsStmt;
+let deleteMessagesStmt;
+let deleteProfileStmt;
+let deleteUserStmt;
+let insertAuditStmt;
+let deleteUserDataTx;
+let prepared = false;
+
+/**
+ * 延迟准备 SQL 语句与事务。
+ */
+function ensurePreparedStatements() {
+  if (prepared) return;
+  initDb();
+
+  countUserStmt = db.prepare('SELECT COUNT(*) AS total FROM users WHERE trip_code = ?');
+  countProfileStmt = db.prepare('SELECT COUNT(*) AS total FROM user_profile WHERE trip_code = ?');
+  countMemoriesStmt = db.prepare(`SELECT COUNT(*) AS total FROM memories WHERE ${USER_MEMORIES_SQL}`);
+  countMessagesStmt = db.prepare(`SELECT COUNT(*) AS total FROM messages WHERE ${USER_MESSAGES_SQL}`);
+
+  // 该 trip 用过的昵称：users 中记录的当前昵称 + 聊天记录中出现过的昵称
+  listKnownNicksStmt = db.prepare(`
+    SELECT last_display_name AS nick FROM users WHERE trip_code = ? AND last_display_name <> ''
+    UNION
+    SELECT DISTINCT nick FROM messages WHERE trip_code = ?
+  `);
+
+  // 先删记忆（按来源消息匹配时需要消息仍在）
+  deleteMemoriesStmt = db.prepare(`DELETE FROM memories WHERE ${USER_MEMORIES_SQL}`);
+  deleteOrphanVectorsStmt = db.prepare(`
+    DELETE FROM memory_vec
+    WHERE memory_id NOT IN (SELECT memory_id FROM memories)
+  `);
+  deleteMessagesStmt = db.prepare(`DELETE FROM messages WHERE ${USER_MESSAGES_SQL}`);
+  deleteProfileStmt = db.prepare('DELETE FROM user_profile WHERE trip_code = ?');
+  deleteUserStmt = db.prepare('DELETE FROM users WHERE trip_code = ?');
+
+  insertAuditStmt = db.prepare(`
+    INSERT INTO user_deletion_audit (
+      trip_hash, requested_via, removed_profile, removed_memories, removed_vectors, removed_messages, deleted_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  // 先删依赖 users 外键的表，最后删 users；FTS 索引由触发器同步
+  deleteUserDataTx = db.transaction((tripCode, requestedVia, deletedAt) => {
+    const nicksJson = listKnownNicksJson(tripCode);
+    const removedMemories = deleteMemoriesStmt.run(tripCode, tripCode, nicksJson, nicksJson).changes;
+    const removedVectors = deleteOrphanVectorsStmt.run().changes;
+    const removedMessages = deleteMessagesStmt.run(tripCode, nicksJson).changes;
+    const removedProfile = deleteProfileStmt.run(tripCode).changes;
+    const removedUser = deleteUserStmt.run(tripCode).changes;
+    const auditId = insertAuditStmt.run(
+      hashTripCode(tripCode),
+      requestedVia,
+      removedProfile,
+      removedMemories,
+      removedVectors,
+      removedMessages,
+      deletedAt
+    ).lastInsertRowid;
+    return {
+      auditId: Number(auditId),
+      removedUser,
+      removedProfile,
+      removedMemories,
+      removedVectors,
+      removedMessages,
+    };
+  });
+
+  prepared = true;
+}
+
+/**
+ * 该 trip 用过的昵称（JSON 数组，供 json_each 使用）。
+ * @param {string} tripCode
+ */
+function listKnownNicksJson(tripCode) {
+  return JSON.stringify(listKnownNicksStmt.all(tripCode, tripCode).map((row) => row.nick));
+}
+
+/**
+ * trip 的审计摘要（HMAC-SHA256）。trip 会在聊天中公开显示，不加密钥的摘要可被逐个比对还原，
+ * 因此必须用服务端密钥；未配置 USER_DELETION_AUDIT_SECRET 时密钥随进程重启变化。
+ * @param {string} tripCode
+ */
+export function hashTripCode(tripCode) {
+  return crypto.createHmac('sha256', auditSecret).update(String(tripCode)).digest('hex');
+}
+
+/**
+ * 统计某个 trip 名下的数据量（删除前预览，范围与 deleteUserData 一致）。
+ */
+export function countUserData(tripCode) {
+  ensurePreparedStatements();
+  const trip = String(tripCode);
+  const nicksJson = listKnownNicksJson(trip);
+  return {
+    user: countUserStmt.get(trip).total,
+    profile: countProfileStmt.get(trip).total,
+    memories: countMemoriesStmt.get(trip, trip, nicksJson, nicksJson).total,
+    messages: countMessagesStmt.get(trip, nicksJson).total,
+  };
+}
+
+/**
+ * 在一个事务内删除某个 trip 的画像、记忆梗概、记忆、向量与聊天记录（含 bot 发给该用户的私聊回复），并写入审计记录。
+ * @param params.tripCode 用户 trip
+ * @param params.requestedVia 删除来源（api/chat）
+ * @param params.deletedAt 删除时间（unix 秒，可选）
+ */
+export function deleteUserData({ tripCode, requestedVia, deletedAt = Math.floor(Date.now() / 1000) }) {
+  ensurePreparedStatements();
+  return deleteUserDataTx(String(tripCode), String(requestedVia), deletedAt);
+}
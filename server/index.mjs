@@ -6,14 +6,21 @@
  * - 启动 Express 应用
  * - 注册路由与中间件
  * - 执行启动清理并输出运行信息
+ * - 按配置自动启动服务端 bot 会话
+ * - 按配置启动房间总结定时任务
+ * - 按配置在后台为缺少向量的记忆回填 embedding
  * ===================
  */
 import express from 'express';
 import cors from 'cors';
+import { getBotSession } from './bot/index.mjs';
 import { SERVER_CONFIG } from './config.mjs';
 import { cleanupTtlAndVectors, getDbInfo, initDb } from './db/index.mjs';
 import { registerRoutes } from './routes/index.mjs';
+import { backfillMemoryEmbeddings, isEmbeddingServiceReady } from './services/embeddingService.mjs';
+import { startMemoryMaintenanceScheduler } from './services/memoryMaintenance.mjs';
 import { getReplyLogPath } from './services/replyLogger.mjs';
+import { startRoomSummaryScheduler } from './services/roomSummaryService.mjs';
 
 /**
  * [Function]
@@ -36,8 +43,33 @@ function bootstrapServer() {
   console.log(`[db] sqlite path: ${dbInfo.dbPath}`);
   console.log(`[reply-log] path: ${getReplyLogPath()}`);
 
+  if (SERVER_CONFIG.roomSummary.scheduleEnabled) {
+    startRoomSummaryScheduler();
+    console.log(`[room-summary] scheduled every ${SERVER_CONFIG.roomSummary.intervalMinutes} min`);
+  }
+
+  if (SERVER_CONFIG.memory.maintenance.scheduleEnabled) {
+    startMemoryMaintenanceScheduler();
+    console.log(`[memory-maintenance] scheduled every ${SERVER_CONFIG.memory.maintenance.intervalMinutes} min`);
+  }
+
+  if (SERVER_CONFIG.embedding.backfillOnStartup && isEmbeddingServiceReady()) {
+    void backfillMemoryEmbeddings()
+      .then((result) => {
+        console.log(`[embedding] startup backfill: embedded=${result.embedded}, errors=${result.errors.length}`);
+      })
+      .catch((error) => {
+        console.error('[embedding] startup backfill failed:', error);
+      });
+  }
+
   app.listen(SERVER_CONFIG.apiPort, () => {
     console.log(`[api] listening on http://localhost:${SERVER_CONFIG.apiPort}`);
+    if (SERVER_CONFIG.bot.autoStart) {
+      const { channel, botName } = SERVER_CONFIG.bootstrap.defaults;
+      console.log(`[bot] autostart: joining #${channel} as ${botName}`);
+      getBotSession().connect();
+    }
   });
 }
 
@@ -1,7 +1,35 @@
-function buildCurrentSituation(targetMessage, targetSender) {
-  return targetMessage && targetSender
-    ? `用户「${targetSender}」刚刚说：「${targetMessage}」`
-    : '请自然参与当前对话。';
+function buildCurrentSituation(targetMessage, targetSender, conversation) {
+  if (!targetMessage || !targetSender) return '请自然参与当前对话。';
+  return conversation === 'private'
+    ? `用户「${targetSender}」刚刚私聊你说：「${targetMessage}」`
+    : `用户「${targetSender}」刚刚说：「${targetMessage}」`;
+}
+
+function buildOptionalRoomSummary(roomSummary) {
+  if (!roomSummary || typeof roomSummary !== 'string' || roomSummary.trim().length === 0) return '';
+  return `\n这个聊天室的整体情况（帮助你融入频道文化，自然运用即可，不要复述）：\n${roomSummary.trim()}\n`;
+}
+
+function buildContextHeader(conversation, targetSender) {
+  return conversation === 'private' && targetSender
+    ? `下面是你与「${targetSender}」的最近私聊记录（仅你们两人可见，回复也只发给对方）。`
+    : '下面是一个公开聊天室的最近聊天记录。请仔细区分不同昵称的发言者。';
+}
+
+/**
+ * 聊天记录部分：flat 模式把记录拼进 prompt；multi_turn 模式记录以独立消息跟在 system 之后，这里只说明格式。
+ */
+function buildConversationBlock(conversation, targetSender, context, promptMode) {
+  if (promptMode === 'multi_turn') {
+    const scope = conversation === 'private' && targetSender
+      ? `你与「${targetSender}」的最近私聊记录（仅你们两人可见，回复也只发给对方）`
+      : '公开聊天室的最近聊天记录';
+    return `${scope}见后续消息：assistant 消息是你自己说过的话，user 消息是其他人的发言（以“昵称: ”开头）。请仔细区分不同昵称的发言者，不要回应你自己说过的话。`;
+  }
+  return `${buildContextHeader(conversation, targetSender)}
+---
+${context}
+---`;
 }
 
 function buildOptionalProfileContext(profileContext) {
@@ -15,18 +43,18 @@ export function buildSinglePassPrompt({
   targetSender,
   profileContext,
   memoryContextJson,
+  roomSummary,
+  conversation = 'public',
+  promptMode = 'flat',
 }) {
   return `
-下面是一个公开聊天室的最近聊天记录。请仔细区分不同昵称的发言者。
----
-${context}
----
-${buildOptionalProfileContext(profileContext)}
+${buildConversationBlock(conversation, targetSender, context, promptMode)}
+${buildOptionalRoomSummary(roomSummary)}${buildOptionalProfileContext(profileContext)}
 以下是与当前对话人物相关的已存记忆（已按重要性筛选，仅在自然相关时使用，可忽略不相关内容）：
 ${memoryContextJson}
 
 当前情况：
-${buildCurrentSituation(targetMessage, targetSender)}
+${buildCurrentSituation(targetMessage, targetSender, conversation)}
 
 任务要求：
 1. 必须完全按照 system 中定义的人格设定进行回应。
@@ -66,18 +94,18 @@ export function buildTwoPassReplyPrompt({
   targetSender,
   profileContext,
   memoryContextJson,
+  roomSummary,
+  conversation = 'public',
+  promptMode = 'flat',
 }) {
   return `
-下面是一个公开聊天室的最近聊天记录。请仔细区分不同昵称的发言者。
----
-${context}
----
-${buildOptionalProfileContext(profileContext)}
+${buildConversationBlock(conversation, targetSender, context, promptMode)}
+${buildOptionalRoomSummary(roomSummary)}${buildOptionalProfileContext(profileContext)}
 以下是与当前对话人物相关的已存记忆（已按重要性筛选，仅在自然相关时使用，可忽略不相关内容）：
 ${memoryContextJson}
 
 当前情况：
-${buildCurrentSituation(targetMessage, targetSender)}
+${buildCurrentSituation(targetMessage, targetSender, conversation)}
 
 任务要求：
 1. 必须完全按照 system 中定义的人格设定进行回应。
@@ -101,6 +129,7 @@ export function buildTwoPassMemoryPrompt({
   targetMessage,
   targetSender,
   memoryContextJson,
+  conversation = 'public',
 }) {
   return `
 你是记忆提取器。根据下面的对话与当前消息，判断是否需要生成长期可复用记忆。
@@ -110,7 +139,7 @@ export function buildTwoPassMemoryPrompt({
 ${context}
 ---
 当前消息：
-${buildCurrentSituation(targetMessage, targetSender)}
+${buildCurrentSituation(targetMessage, targetSender, conversation)}
 
 已存记忆（仅供参考，避免重复）：
 ${memoryContextJson}
@@ -136,3 +165,28 @@ ${memoryContextJson}
 }
 `;
 }
+
+const REPLY_VIOLATION_HINTS = {
+  name_prefix: '不要添加名字前缀',
+  meta_talk: '不要解释规则或提到“记忆”“数据库”等后台信息',
+  too_long: '回复过长，请更简洁',
+  duplicate: '不要重复你最近说过的话，换一种说法',
+  unwrapped: 'reply 字符串本身必须以 "*" 开头并以 "*" 结尾',
+};
+
+/**
+ * 回复违反格式规则后的重写要求（接在原 prompt 与上一次输出之后）。
+ * @param {string[]} violations replyPostProcessor 报告的违规项
+ */
+export function buildReplyRevisionPrompt(violations) {
+  const hints = violations.map((violation) => REPLY_VIOLATION_HINTS[violation]).filter(Boolean);
+  return `
+你上一次的 reply 不符合要求：
+${hints.map((hint) => `- ${hint}`).join('\n')}
+
+请保持人格设定，重新生成 reply。只输出严格 JSON：
+{
+  "reply": "*string*"
+}
+`;
+}
@@ -0,0 +1,79 @@
+import { getBotSession } from '../../bot/index.mjs';
+
+const EVENT_STREAM_KEEPALIVE_MS = 25000;
+
+/**
+ * 模块职责：
+ * 注册服务端 bot 会话的监控与控制路由（前端仅作为可选监控/控制台）。
+ */
+export function registerBotRoutes(app) {
+  /**
+   * GET /api/bot/session
+   * 返回当前会话快照（状态/配置/消息/在线用户）。
+   */
+  app.get('/api/bot/session', (_req, res) => {
+    res.json({ ok: true, snapshot: getBotSession().getSnapshot() });
+  });
+
+  /**
+   * GET /api/bot/events
+   * SSE 事件流：先推送一次 snapshot，之后推送增量事件。
+   */
+  app.get('/api/bot/events', (req, res) => {
+    const session = getBotSession();
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+    send({ type: 'snapshot', snapshot: session.getSnapshot() });
+    const unsubscribe = session.subscribe(send);
+    const keepaliveId = setInterval(() => {
+      res.write(': keepalive\n\n');
+    }, EVENT_STREAM_KEEPALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepaliveId);
+      unsubscribe();
+    });
+  });
+
+  /**
+   * POST /api/bot/connect
+   * 以请求体中的配置（可选）建立 hack.chat 连接。
+   */
+  app.post('/api/bot/connect', (req, res) => {
+    const session = getBotSession();
+    const started = session.connect(req.body || {});
+    if (!started) {
+      res.status(409).json({ ok: false, error: 'bot session is already connected', snapshot: session.getSnapshot() });
+      return;
+    }
+    res.json({ ok: true, snapshot: session.getSnapshot() });
+  });
+
+  /**
+   * POST /api/bot/disconnect
+   * 断开 hack.chat 连接。
+   */
+  app.post('/api/bot/disconnect', (_req, res) => {
+    const session = getBotSession();
+    session.disconnect();
+    res.json({ ok: true, snapshot: session.getSnapshot() });
+  });
+
+  /**
+   * POST /api/bot/config
+   * 在线更新 provider/personality/replyMode/models（channel/botName 需重连生效）。
+   */
+  app.post('/api/bot/config', (req, res) => {
+    const session = getBotSession();
+    session.updateConfig(req.body || {});
+    res.json({ ok: true, snapshot: session.getSnapshot() });
+  });
+}
@@ -1,20 +1,43 @@
+import { SERVER_CONFIG } from '../../config.mjs';
 import { getDbInfo } from '../../db/index.mjs';
+import { getEmbeddingUnavailableReason } from '../../services/embeddingService.mjs';
+import { getCircuitBreakerState } from '../../services/llm/modelCallGuard.mjs';
+import { listProviderStatuses } from '../../services/llm/providerRegistry.mjs';
+import { getMetricsSnapshot } from '../../services/metrics.mjs';
 
 /**
- * 注册健康检查路由。
+ * 注册健康检查与指标路由。
  */
 export function registerHealthRoutes(app) {
   /**
    * GET /api/health
-   * 返回服务与数据库运行信息。
+   * 返回服务、数据库、embedding 与模型 provider 运行信息（含各 provider 的熔断状态）。
    */
   app.get('/api/health', (_req, res) => {
     const info = getDbInfo();
+    const embeddingReason = getEmbeddingUnavailableReason();
     res.json({
       ok: true,
       db_path: info.dbPath,
       vector_mode: info.vectorMode,
       embedding_dim: info.embeddingDim,
+      embedding: {
+        provider: SERVER_CONFIG.embedding.provider,
+        ready: embeddingReason === null,
+        reason: embeddingReason,
+      },
+      llm_providers: listProviderStatuses().map((status) => ({
+        ...status,
+        circuit: getCircuitBreakerState(status.id),
+      })),
     });
   });
+
+  /**
+   * GET /api/metrics
+   * 返回进程内计数器（如结构化输出校验结果 llm_structured_output_total）。
+   */
+  app.get('/api/metrics', (_req, res) => {
+    res.json(getMetricsSnapshot());
+  });
 }
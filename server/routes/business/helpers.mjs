@@ -51,62 +51,15 @@ export function toReplyPipelineMode(rawValue) {
 }
 
 /**
- * 把 user_profile.profile_json 规范化为 prompt 文本块。
+ * 解析回复 prompt 模式。
  */
-export function toProfileContext(profile) {
-  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return '';
-
-  const lines = [];
-  for (const [key, value] of Object.entries(profile)) {
-    if (key === 'updated_at') continue;
-    if (value === null || value === undefined) continue;
-    if (typeof value === 'string' && value.trim().length === 0) continue;
-    if (Array.isArray(value) && value.length === 0) continue;
-    lines.push(`- ${key}: ${JSON.stringify(value)}`);
-  }
-  return lines.join('\n');
+export function toReplyPromptMode(rawValue) {
+  return rawValue === 'multi_turn' ? 'multi_turn' : 'flat';
 }
 
 /**
- * 把 memory_digest_json 规范化为可读文本块。
+ * 解析会话类型（私聊/公开频道）。
  */
-export function toMemoryDigestContext(memoryDigest) {
-  if (!memoryDigest || typeof memoryDigest !== 'object' || Array.isArray(memoryDigest)) return '';
-
-  const lines = [];
-  const highlights = Array.isArray(memoryDigest.highlights) ? memoryDigest.highlights : [];
-  const stablePreferences = Array.isArray(memoryDigest.stable_preferences) ? memoryDigest.stable_preferences : [];
-  const ongoingThreads = Array.isArray(memoryDigest.ongoing_threads) ? memoryDigest.ongoing_threads : [];
-
-  if (highlights.length > 0) {
-    lines.push('用户记忆梗概（highlights）:');
-    for (const item of highlights) {
-      if (typeof item !== 'string' || item.trim().length === 0) continue;
-      lines.push(`- ${item.trim()}`);
-    }
-  }
-
-  if (ongoingThreads.length > 0) {
-    lines.push('用户进行中话题（ongoing_threads）:');
-    for (const item of ongoingThreads) {
-      if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
-      const topic = typeof item.topic === 'string' ? item.topic.trim() : '';
-      const status = typeof item.status === 'string' ? item.status.trim() : '';
-      const note = typeof item.note === 'string' ? item.note.trim() : '';
-      const line = [topic && `topic=${topic}`, status && `status=${status}`, note && `note=${note}`]
-        .filter(Boolean)
-        .join(', ');
-      if (line) lines.push(`- ${line}`);
-    }
-  }
-
-  if (stablePreferences.length > 0) {
-    lines.push('用户稳定偏好（stable_preferences）:');
-    for (const item of stablePreferences) {
-      if (typeof item !== 'string' || item.trim().length === 0) continue;
-      lines.push(`- ${item.trim()}`);
-    }
-  }
-
-  return lines.join('\n');
+export function toConversationKind(rawValue) {
+  return rawValue === 'private' ? 'private' : 'public';
 }
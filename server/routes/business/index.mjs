@@ -1,8 +1,12 @@
+import { registerBotRoutes } from './botRoutes.mjs';
 import { registerHealthRoutes } from './healthRoutes.mjs';
 import { registerMemoryRoutes } from './memoryRoutes.mjs';
+import { registerMessageRoutes } from './messageRoutes.mjs';
 import { registerMaintenanceRoutes } from './maintenanceRoutes.mjs';
 import { registerProfileRoutes } from './profileRoutes.mjs';
 import { registerReplyRoutes } from './replyRoutes.mjs';
+import { registerRoomRoutes } from './roomRoutes.mjs';
+import { registerSearchRoutes } from './searchRoutes.mjs';
 
 /**
  * 统一挂载业务域路由。
@@ -12,5 +16,9 @@ export function registerBusinessRoutes(app) {
   registerReplyRoutes(app);
   registerProfileRoutes(app);
   registerMemoryRoutes(app);
+  registerMessageRoutes(app);
+  registerRoomRoutes(app);
+  registerSearchRoutes(app);
   registerMaintenanceRoutes(app);
+  registerBotRoutes(app);
 }
@@ -1,4 +1,5 @@
 import { cleanupTtlAndVectors } from '../../db/index.mjs';
+import { runMemoryMaintenance } from '../../services/memoryMaintenance.mjs';
 
 /**
  * 注册维护类路由。
@@ -12,4 +13,14 @@ export function registerMaintenanceRoutes(app) {
     const result = cleanupTtlAndVectors();
     res.json({ ok: true, ...result });
   });
+
+  /**
+   * POST /api/maintenance/memories
+   * 手动触发一次记忆维护（TTL 清理 + 衰减清理）。
+   * body: { dry_run?: boolean }，dry_run 时只返回报告。
+   */
+  app.post('/api/maintenance/memories', (req, res) => {
+    const result = runMemoryMaintenance({ dryRun: req.body?.dry_run === true });
+    res.json({ ok: true, ...result });
+  });
 }
@@ -1,16 +1,27 @@
 import crypto from 'node:crypto';
 import { SERVER_CONFIG } from '../../config.mjs';
 import {
+  deleteMemoriesByIds,
+  deleteMemoriesBySourceMessage,
   getDbInfo,
-  insertMemory,
-  isVectorModeEnabled,
+  listMemoriesByTrip,
   listMemoriesGroupedByTripForDigest,
   pruneLowImportanceMemories,
   searchMemories,
   upsertMemoryDigest,
   upsertUser,
 } from '../../db/index.mjs';
+import { getTaskModelUnavailableReason, toTaskModelOverrides } from '../../services/llm/taskModels.mjs';
+import {
+  backfillMemoryEmbeddings,
+  getEmbeddingUnavailableReason,
+  isEmbeddingServiceReady,
+  tryEmbedTexts,
+} from '../../services/embeddingService.mjs';
+import { resolveTripMemoryConflicts } from '../../services/memoryConflictService.mjs';
+import { dedupeExistingMemories, storeMemory } from '../../services/memoryDedupe.mjs';
 import { isMemoryDigestServiceReady, summarizeUserMemoryDigest } from '../../services/memoryDigestService.mjs';
+import { getEffectiveImportance } from '../../services/memoryMaintenance.mjs';
 import { toImportanceThreshold, toPositiveLimitWithMax } from './helpers.mjs';
 
 /**
@@ -20,12 +31,14 @@ import { toImportanceThreshold, toPositiveLimitWithMax } from './helpers.mjs';
 export function registerMemoryRoutes(app) {
   /**
    * POST /api/memories/consolidate
-   * 按用户聚合记忆 -> 生成梗概 -> 回写 user_profile -> 按阈值清理旧记忆。
+   * 按用户聚合记忆 -> （可选）标记被新记忆取代的旧记忆 -> 生成梗概 -> 回写 user_profile -> 按阈值清理旧记忆。
+   * models.digest 可覆盖本次使用的模型与采样参数。
    */
   app.post('/api/memories/consolidate', async (req, res) => {
     try {
-      if (!isMemoryDigestServiceReady()) {
-        res.status(500).json({ ok: false, error: 'DEEPSEEK_API_KEY is missing on API server' });
+      const modelOverride = toTaskModelOverrides(req.body?.models).digest;
+      if (!isMemoryDigestServiceReady(modelOverride)) {
+        res.status(500).json({ ok: false, error: getTaskModelUnavailableReason('digest', modelOverride) });
         return;
       }
 
@@ -43,17 +56,34 @@ export function registerMemoryRoutes(app) {
         SERVER_CONFIG.memory.digestPruneBelowImportance
       );
 
-      const grouped = listMemoriesGroupedByTripForDigest({
+      const listGrouped = () => listMemoriesGroupedByTripForDigest({
         minImportance: sourceMinImportance,
         maxItemsPerUser: sourceMaxItemsPerUser,
       });
+      let grouped = listGrouped();
 
       const now = Math.floor(Date.now() / 1000);
       let processedUsers = 0;
       let updatedUsers = 0;
       let skippedUsers = 0;
+      let supersededMemories = 0;
       const errors = [];
 
+      if (SERVER_CONFIG.memory.conflictCheck.onConsolidate) {
+        for (const tripCode of grouped.keys()) {
+          try {
+            supersededMemories += (await resolveTripMemoryConflicts({ tripCode, modelOverride })).length;
+          } catch (error) {
+            errors.push({
+              trip_code: String(tripCode),
+              error: `conflict check failed: ${error instanceof Error ? error.message : 'unknown error'}`,
+            });
+          }
+        }
+        // 被取代的记忆不再参与梗概
+        if (supersededMemories > 0) grouped = listGrouped();
+      }
+
       for (const [tripCode, items] of grouped.entries()) {
         processedUsers += 1;
         try {
@@ -61,6 +91,7 @@ export function registerMemoryRoutes(app) {
             tripCode,
             memories: items,
             now,
+            modelOverride,
           });
           upsertUser(String(tripCode), '', now);
           upsertMemoryDigest(String(tripCode), digest, now);
@@ -83,6 +114,7 @@ export function registerMemoryRoutes(app) {
         source_min_importance: sourceMinImportance,
         source_max_items_per_user: sourceMaxItemsPerUser,
         prune_below_importance: pruneBelowImportance,
+        superseded_memories: supersededMemories,
         pruned_memories: pruneResult.removedMemories,
         pruned_vectors: pruneResult.removedVectors,
         errors,
@@ -95,11 +127,42 @@ export function registerMemoryRoutes(app) {
     }
   });
 
+  /**
+   * GET /api/memories?trip_code=...&status=active|superseded|all&limit=50
+   * 按 trip 查看记忆（审计用，默认只看 active；superseded 记忆带 superseded_by / superseded_at）。
+   * 每条附带按衰减模型计算的 effective_importance，以及来源字段 source_*（触发消息 id 与原文、发送者、pipeline 模式、模型）。
+   */
+  app.get('/api/memories', (req, res) => {
+    const tripCode = typeof req.query.trip_code === 'string' ? req.query.trip_code.trim() : '';
+    if (!tripCode) {
+      res.status(400).json({ ok: false, error: 'trip_code is required' });
+      return;
+    }
+    const status = typeof req.query.status === 'string' ? req.query.status : 'active';
+    if (!['active', 'superseded', 'all'].includes(status)) {
+      res.status(400).json({ ok: false, error: 'status must be active, superseded or all' });
+      return;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const items = listMemoriesByTrip({
+      tripCode,
+      status,
+      limit: toPositiveLimitWithMax(req.query.limit, 50, 100),
+    }).map((item) => ({
+      ...item,
+      effective_importance: Number(getEffectiveImportance({ importance: item.importance, lastUsedAt: item.last_used_at, now }).toFixed(4)),
+    }));
+    res.json({ ok: true, items });
+  });
+
   /**
    * POST /api/memories
-   * 写入单条记忆（支持可选 embedding）。
+   * 写入单条记忆；未传 embedding 时按 EMBEDDING_PROVIDER 生成（失败时照常写入，留给回填任务）。
+   * 同一 trip 已有近似重复的记忆时合并进去（action=merged，memory_id 为已有记忆）。
+   * 可选 source_message_id / source_text / source_sender 记录来源，source_pipeline 固定为 manual。
    */
-  app.post('/api/memories', (req, res) => {
+  app.post('/api/memories', async (req, res) => {
     const body = req.body || {};
     if (!body.text) {
       res.status(400).json({ ok: false, error: 'text is required' });
@@ -121,7 +184,11 @@ export function registerMemoryRoutes(app) {
       ? Math.max(1, Math.floor(ttlValue))
       : SERVER_CONFIG.memory.defaultTtlDays;
 
-    insertMemory({
+    const embedding = Array.isArray(body.embedding)
+      ? body.embedding
+      : (await tryEmbedTexts([String(body.text)], 'memory embedding'))?.[0] || null;
+
+    const stored = storeMemory({
       memory_id: String(memoryId),
       room_id: body.room_id ? String(body.room_id) : null,
       trip_code: body.trip_code ? String(body.trip_code) : null,
@@ -131,44 +198,115 @@ export function registerMemoryRoutes(app) {
       importance,
       ttl_days: ttlDays,
       created_at: body.created_at ? Number(body.created_at) : undefined,
-      embedding: Array.isArray(body.embedding) ? body.embedding : null,
+      embedding,
+      source_message_id: body.source_message_id,
+      source_text: body.source_text ? String(body.source_text) : null,
+      source_sender: body.source_sender ? String(body.source_sender) : null,
+      source_pipeline: 'manual',
     });
 
     res.json({
       ok: true,
-      memory_id: memoryId,
+      memory_id: stored.memory_id,
+      action: stored.action,
+      ...(stored.duplicate ? { duplicate: stored.duplicate } : {}),
+      embedded: stored.action === 'inserted' && Boolean(embedding),
       vector_mode: getDbInfo().vectorMode,
     });
   });
 
   /**
-   * POST /api/memories/search
-   * 执行向量检索并返回候选记忆。
+   * DELETE /api/memories/by-source/:messageId
+   * 删除由某条聊天消息产生的全部记忆（来源判断有误时从源头清理）。
    */
-  app.post('/api/memories/search', (req, res) => {
-    if (!isVectorModeEnabled()) {
-      res.status(501).json({
-        ok: false,
-        error: 'vector extension unavailable; set SQLITE_VECTOR_EXTENSION_PATH to enable vec0 search',
-      });
+  app.delete('/api/memories/by-source/:messageId', (req, res) => {
+    const messageId = Number(req.params.messageId);
+    if (!Number.isInteger(messageId) || messageId <= 0) {
+      res.status(400).json({ ok: false, error: 'messageId must be a positive integer' });
       return;
     }
+    const { memoryIds, removedMemories } = deleteMemoriesBySourceMessage(messageId);
+    res.json({ ok: true, memory_ids: memoryIds, removed_memories: removedMemories });
+  });
 
-    const { room_id: roomId, trip_code: tripCode, query_embedding: queryEmbedding } = req.body || {};
+  /**
+   * DELETE /api/memories/:memoryId
+   * 删除单条记忆（含其向量）。
+   */
+  app.delete('/api/memories/:memoryId', (req, res) => {
+    const { removedMemories } = deleteMemoriesByIds([req.params.memoryId]);
+    if (removedMemories === 0) {
+      res.status(404).json({ ok: false, error: 'memory not found' });
+      return;
+    }
+    res.json({ ok: true, removed_memories: removedMemories });
+  });
+
+  /**
+   * POST /api/memories/search
+   * 执行向量检索并返回候选记忆（json_fallback 模式下在进程内计算余弦相似度）。
+   * 只传 query_text 时先按 EMBEDDING_PROVIDER 生成查询向量；embedding 不可用或失败时改走全文检索。
+   * search_mode 标明实际使用的检索方式（vector / full_text）。
+   */
+  app.post('/api/memories/search', async (req, res) => {
+    const {
+      room_id: roomId,
+      trip_code: tripCode,
+      query_embedding: queryEmbedding,
+      query_text: queryText,
+    } = req.body || {};
     const topKRaw = Number(req.body?.top_k);
     const topK = Number.isFinite(topKRaw) ? Math.max(1, Math.min(100, Math.floor(topKRaw))) : 20;
+    const hasEmbedding = Array.isArray(queryEmbedding) && queryEmbedding.length > 0;
+    const hasQueryText = typeof queryText === 'string' && queryText.trim().length > 0;
 
-    if (!roomId || !Array.isArray(queryEmbedding) || queryEmbedding.length === 0) {
-      res.status(400).json({ ok: false, error: 'room_id and query_embedding are required' });
+    if (!roomId || (!hasEmbedding && !hasQueryText)) {
+      res.status(400).json({ ok: false, error: 'room_id and query_embedding (or query_text) are required' });
       return;
     }
 
+    const embedding = hasEmbedding
+      ? queryEmbedding
+      : (await tryEmbedTexts([queryText], 'search query embedding'))?.[0];
+
     const items = searchMemories({
       roomId: String(roomId),
       tripCode: tripCode ? String(tripCode) : undefined,
-      queryEmbedding,
+      queryEmbedding: embedding || undefined,
+      queryText: hasQueryText ? queryText : undefined,
       topK,
     });
-    res.json({ ok: true, items: items || [] });
+    res.json({ ok: true, search_mode: embedding ? 'vector' : 'full_text', items: items || [] });
+  });
+
+  /**
+   * POST /api/memories/embeddings/backfill
+   * 为缺少向量的记忆分批生成向量。
+   * 可选 max_items 限制本轮条数；已有回填任务在执行时返回 skipped=true。
+   */
+  app.post('/api/memories/embeddings/backfill', async (req, res) => {
+    if (!isEmbeddingServiceReady()) {
+      res.status(500).json({ ok: false, error: getEmbeddingUnavailableReason() });
+      return;
+    }
+
+    const maxItemsRaw = Number(req.body?.max_items);
+    const result = await backfillMemoryEmbeddings({
+      maxItems: Number.isFinite(maxItemsRaw) && maxItemsRaw > 0 ? Math.floor(maxItemsRaw) : Infinity,
+    });
+    res.json({ ok: true, ...result });
+  });
+
+  /**
+   * POST /api/memories/dedupe
+   * 对已有记忆做一次近似重复合并；dry_run 默认为 true，只返回将要合并的分组报告。
+   * 可选 trip_code 只处理该用户。
+   */
+  app.post('/api/memories/dedupe', (req, res) => {
+    const report = dedupeExistingMemories({
+      dryRun: req.body?.dry_run !== false,
+      tripCode: req.body?.trip_code ? String(req.body.trip_code) : null,
+    });
+    res.json({ ok: true, ...report });
   });
 }
@@ -0,0 +1,70 @@
+import { insertMessage, listMessagesByRoom } from '../../db/index.mjs';
+import { toPositiveLimitWithMax } from './helpers.mjs';
+
+/**
+ * 模块职责：
+ * 注册聊天记录（messages）写入与分页读取路由。
+ */
+export function registerMessageRoutes(app) {
+  /**
+   * POST /api/messages
+   * 写入一条聊天记录（供外部客户端补录；服务端 bot 会话直接写库）。
+   */
+  app.post('/api/messages', (req, res) => {
+    const {
+      room_id: roomId,
+      nick,
+      text,
+      trip_code: tripCode,
+      type,
+      peer,
+      time,
+    } = req.body || {};
+    if (!roomId || !nick || typeof text !== 'string' || text.length === 0) {
+      res.status(400).json({ ok: false, error: 'room_id, nick and text are required' });
+      return;
+    }
+    if (type !== undefined && type !== 'message' && type !== 'whisper') {
+      res.status(400).json({ ok: false, error: 'type must be "message" or "whisper"' });
+      return;
+    }
+    if (type === 'whisper' && !peer) {
+      res.status(400).json({ ok: false, error: 'peer is required for whisper messages' });
+      return;
+    }
+
+    const messageId = insertMessage({
+      roomId: String(roomId),
+      nick: String(nick),
+      tripCode: tripCode ? String(tripCode) : null,
+      text,
+      type: type || 'message',
+      peer: peer ? String(peer) : null,
+      time: time === undefined ? Date.now() : Number(time),
+    });
+    res.json({ ok: true, message_id: messageId });
+  });
+
+  /**
+   * GET /api/rooms/:roomId/messages
+   * 分页读取房间聊天记录：
+   * - before_id: 游标，返回更早的一页（缺省为最新一页）
+   * - limit: 每页条数（1..200，默认 50）
+   * - type / peer: 可选过滤（只看公开消息 / 与某人的私聊）
+   */
+  app.get('/api/rooms/:roomId/messages', (req, res) => {
+    const { before_id: beforeId, type, peer } = req.query;
+    const page = listMessagesByRoom({
+      roomId: String(req.params.roomId),
+      beforeId: beforeId === undefined ? null : Number(beforeId),
+      limit: toPositiveLimitWithMax(req.query.limit, 50, 200),
+      type: typeof type === 'string' ? type : null,
+      peer: typeof peer === 'string' && peer.length > 0 ? peer : null,
+    });
+    res.json({
+      ok: true,
+      items: page.items,
+      next_before_id: page.nextBeforeId,
+    });
+  });
+}
@@ -1,17 +1,17 @@
-import { SERVER_CONFIG } from '../../config.mjs';
 import {
   getMemoryDigestByTrip,
   getProfileByTrip,
   ingestIdentity,
   upsertProfile,
-  upsertRoom,
   upsertUser,
 } from '../../db/index.mjs';
-import { extractProfileWithDeepSeek, mergeProfile, parseSetProfileInput } from '../../services/profileExtractor.mjs';
+import { toTaskModelOverrides } from '../../services/llm/taskModels.mjs';
+import { updateProfileFromMessage } from '../../services/profileCommandService.mjs';
+import { confirmUserDataDeletion, requestUserDataDeletion } from '../../services/userDataDeletionService.mjs';
 
 /**
  * 模块职责：
- * 注册用户身份与画像相关路由。
+ * 注册用户身份、画像与用户数据删除相关路由。
  */
 export function registerProfileRoutes(app) {
   /**
@@ -58,7 +58,7 @@ export function registerProfileRoutes(app) {
 
   /**
    * POST /api/profile/from-message
-   * 从 setprofile 指令抽取画像并合并写库。
+   * 从 setprofile 指令抽取画像并合并写库；models.profile 可覆盖本次使用的模型与采样参数。
    */
   app.post('/api/profile/from-message', async (req, res) => {
     try {
@@ -76,40 +76,14 @@ export function registerProfileRoutes(app) {
         return;
       }
 
-      const parsed = parseSetProfileInput(messageText);
-      if (!parsed.matched) {
-        res.json({ ok: true, updated: false, skipped: true, reason: 'not_setprofile_command' });
-        return;
-      }
-      if (!parsed.content) {
-        res.json({ ok: true, updated: false, skipped: true, reason: 'empty_profile_content' });
-        return;
-      }
-      if (parsed.content.length > SERVER_CONFIG.profile.maxInputChars) {
-        res.json({
-          ok: true,
-          updated: false,
-          skipped: true,
-          reason: 'profile_content_too_long',
-          max_chars: SERVER_CONFIG.profile.maxInputChars,
-        });
-        return;
-      }
-
-      const now = Math.floor(Date.now() / 1000);
-      if (roomId) upsertRoom(String(roomId), now);
-      upsertUser(String(tripCode), String(displayName), now);
-
-      const extractedProfile = await extractProfileWithDeepSeek(parsed.content);
-      const oldProfile = getProfileByTrip(String(tripCode)) || {};
-      const mergedProfile = mergeProfile(oldProfile, extractedProfile, String(displayName), now);
-      upsertProfile(String(tripCode), mergedProfile, now);
-
-      res.json({
-        ok: true,
-        updated: true,
-        profile_json: mergedProfile,
+      const result = await updateProfileFromMessage({
+        roomId,
+        tripCode,
+        displayName,
+        messageText,
+        modelOverride: toTaskModelOverrides(req.body?.models).profile,
       });
+      res.json(result);
     } catch (error) {
       console.error('profile/from-message error:', error);
       res.status(500).json({
@@ -134,4 +108,51 @@ export function registerProfileRoutes(app) {
       memory_digest_json: memoryDigest || {},
     });
   });
+
+  /**
+   * DELETE /api/users/:tripCode
+   * 两步删除用户全部数据：
+   * - 不带 confirm_token：返回确认码与待删除数据量（不删除）
+   * - 带 confirm_token：在一个事务内删除并写入审计记录
+   */
+  app.delete('/api/users/:tripCode', (req, res) => {
+    const tripCode = String(req.params.tripCode);
+    const confirmToken = req.body?.confirm_token ?? req.query.confirm_token;
+
+    if (!confirmToken) {
+      const pending = requestUserDataDeletion(tripCode);
+      if (!pending) {
+        res.status(404).json({ ok: false, deleted: false, error: 'no data stored for this trip_code' });
+        return;
+      }
+      res.json({
+        ok: true,
+        deleted: false,
+        confirmation_required: true,
+        confirm_token: pending.confirmToken,
+        expires_at: pending.expiresAt,
+        preview: pending.preview,
+      });
+      return;
+    }
+
+    const outcome = confirmUserDataDeletion({
+      tripCode,
+      confirmToken: String(confirmToken),
+      requestedVia: 'api',
+    });
+    if (!outcome.ok) {
+      res.status(409).json({ ok: false, deleted: false, error: outcome.reason });
+      return;
+    }
+    res.json({
+      ok: true,
+      deleted: true,
+      audit_id: outcome.result.auditId,
+      removed_profile: outcome.result.removedProfile,
+      removed_memories: outcome.result.removedMemories,
+      removed_vectors: outcome.result.removedVectors,
+      removed_messages: outcome.result.removedMessages,
+    });
+  });
 }
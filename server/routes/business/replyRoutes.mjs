@@ -1,137 +1,90 @@
-import crypto from 'node:crypto';
 import { SERVER_CONFIG } from '../../config.mjs';
-import { getMemoryDigestByTrip, getProfileByTrip, insertMemory, listMemoriesByTrip } from '../../db/index.mjs';
-import { appendReplyLog } from '../../services/replyLogger.mjs';
-import { generateDeepSeekReply, generateDeepSeekReplyTwoPass, isReplyServiceReady } from '../../services/replyService.mjs';
+import { listRecentChatMessages } from '../../db/index.mjs';
+import { getProvider } from '../../services/llm/providerRegistry.mjs';
+import { toTaskModelOverrides } from '../../services/llm/taskModels.mjs';
+import { getReplyPipelineUnavailableReason, runReplyPipeline } from '../../services/replyPipeline.mjs';
 import {
+  toConversationKind,
   toImportanceThreshold,
-  toMemoryDigestContext,
-  toProfileContext,
   toOptionalBoolean,
   toPositiveLimit,
   toReplyPipelineMode,
+  toReplyPromptMode,
 } from './helpers.mjs';
 
 /**
  * 模块职责：
- * 注册回复生成路由，并处理记忆注入与记忆回写。
+ * 注册回复生成路由，负责入参解析与错误映射（流程本身见 replyPipeline）。
  */
 export function registerReplyRoutes(app) {
   /**
-   * POST /api/reply/deepseek
-   * 主回复接口：
-   * - 读取上下文（history/profile/memory digest）
+   * 主回复流程：
+   * - 读取上下文（history/profile/memory digest）；未提供 history 时按 room_id 读取已存聊天记录
    * - 调用 single/two_pass pipeline
    * - 根据阈值决定记忆落库
+   * @param {string | undefined} provider 回复 provider（缺省按 bootstrap.models.reply 解析）
    */
-  app.post('/api/reply/deepseek', async (req, res) => {
+  const handleReply = async (req, res, provider) => {
     try {
-      if (!isReplyServiceReady()) {
-        res.status(500).json({ ok: false, error: 'DEEPSEEK_API_KEY is missing on API server' });
+      const requestModels = toTaskModelOverrides(req.body?.models);
+      const unknownProvider = [provider, requestModels.reply?.provider, requestModels.memory?.provider]
+        .find((item) => item && !getProvider(item));
+      if (unknownProvider) {
+        res.status(400).json({ ok: false, error: `unknown provider "${unknownProvider}"` });
         return;
       }
 
-      const targetTrip = req.body?.targetTrip ? String(req.body.targetTrip) : '';
-      const roomId = req.body?.room_id ? String(req.body.room_id) : null;
-      const promptMinImportance = toImportanceThreshold(
-        req.body?.memory_prompt_min_importance,
-        SERVER_CONFIG.memory.promptMinImportance
-      );
-      const promptMemoryLimit = toPositiveLimit(
-        req.body?.memory_prompt_limit,
-        SERVER_CONFIG.memory.promptMaxItems
-      );
-      const storeMinImportance = toImportanceThreshold(
-        req.body?.memory_store_min_importance,
-        SERVER_CONFIG.memory.storeMinImportance
-      );
       const requestStoreEnabled = toOptionalBoolean(req.body?.memory_store_enabled);
-      const storeEnabled = requestStoreEnabled ?? SERVER_CONFIG.memory.storeEnabled;
       const requestedPipelineMode = req.body?.reply_pipeline_mode;
       const pipelineMode = requestedPipelineMode === undefined
         ? SERVER_CONFIG.reply.pipelineMode
         : toReplyPipelineMode(requestedPipelineMode);
+      const unavailableReason = getReplyPipelineUnavailableReason({ provider, requestModels, pipelineMode });
+      if (unavailableReason) {
+        res.status(500).json({ ok: false, error: unavailableReason });
+        return;
+      }
 
-      const memoryContext = targetTrip
-        ? listMemoriesByTrip({
-          tripCode: targetTrip,
-          minImportance: promptMinImportance,
-          limit: promptMemoryLimit,
-        }).map((item) => ({
-          user_trip: item.trip_code,
-          text: item.text,
-          importance: item.importance,
-          tags: item.tags,
-          source_room: item.room_id,
-          created_at: item.created_at,
-        }))
-        : [];
-      const memoryDigest = targetTrip ? getMemoryDigestByTrip(targetTrip) : null;
-      const profile = targetTrip ? getProfileByTrip(targetTrip) : null;
-      const profileContextFromDb = toProfileContext(profile);
-      const memoryDigestContext = toMemoryDigestContext(memoryDigest);
-      const profileContext = [profileContextFromDb, memoryDigestContext]
-        .filter((item) => typeof item === 'string' && item.trim().length > 0)
-        .join('\n\n');
+      const roomId = req.body?.room_id ? String(req.body.room_id) : null;
+      const conversation = toConversationKind(req.body?.conversation);
+      const history = Array.isArray(req.body?.history) || !roomId
+        ? req.body?.history
+        : listRecentChatMessages({
+          roomId,
+          conversation,
+          peer: req.body?.targetSender ? String(req.body.targetSender) : '',
+          limit: SERVER_CONFIG.reply.storedHistoryLimit,
+        });
 
-      const modelParams = {
-        history: req.body?.history,
+      const responsePayload = await runReplyPipeline({
+        provider,
+        requestModels,
+        history,
         personality: req.body?.personality,
         targetMessage: req.body?.targetMessage,
+        targetMessageId: req.body?.target_message_id,
         targetSender: req.body?.targetSender,
-        profileContext,
-        memoryContext,
-      };
-      const modelResult = pipelineMode === 'two_pass'
-        ? await generateDeepSeekReplyTwoPass(modelParams)
-        : await generateDeepSeekReply(modelParams);
-
-      const candidateItems = Array.isArray(modelResult.memory?.items)
-        ? modelResult.memory.items
-        : [];
-      const memoryItemsToStore = candidateItems.filter((item) => {
-        if (!item || typeof item !== 'object') return false;
-        if (typeof item.text !== 'string' || item.text.trim().length === 0) return false;
-        const importance = Number(item.importance);
-        if (!Number.isFinite(importance) || importance < storeMinImportance) return false;
-        return Boolean(targetTrip);
-      }).map((item) => ({
-        text: String(item.text).trim(),
-        importance: toImportanceThreshold(item.importance, SERVER_CONFIG.memory.defaultImportance),
-        tags: Array.isArray(item.tags)
-          ? item.tags.filter((tag) => typeof tag === 'string' && tag.trim().length > 0)
-          : [],
-      }));
-
-      const finalMemoryItems = storeEnabled ? memoryItemsToStore : [];
-
-      if (finalMemoryItems.length > 0) {
-        const displayName = req.body?.targetSender ? String(req.body.targetSender) : '';
-        for (const memoryItem of finalMemoryItems) {
-          insertMemory({
-            memory_id: crypto.randomUUID(),
-            room_id: roomId,
-            trip_code: targetTrip,
-            display_name: displayName,
-            text: memoryItem.text,
-            tags_json: JSON.stringify(memoryItem.tags),
-            importance: memoryItem.importance,
-            ttl_days: SERVER_CONFIG.memory.defaultTtlDays,
-            embedding: null,
-          });
-        }
-      }
-
-      const responsePayload = {
-        reply: String(modelResult.reply || ''),
-        memory: {
-          items: finalMemoryItems,
-        },
-      };
-
-      appendReplyLog({
-        pipeline_mode: pipelineMode,
-        deepseek_reply: modelResult,
+        targetTrip: req.body?.targetTrip ? String(req.body.targetTrip) : '',
+        roomId,
+        botName: req.body?.botName ? String(req.body.botName) : '',
+        conversation,
+        promptMinImportance: toImportanceThreshold(
+          req.body?.memory_prompt_min_importance,
+          SERVER_CONFIG.memory.promptMinImportance
+        ),
+        promptMemoryLimit: toPositiveLimit(
+          req.body?.memory_prompt_limit,
+          SERVER_CONFIG.memory.promptMaxItems
+        ),
+        storeMinImportance: toImportanceThreshold(
+          req.body?.memory_store_min_importance,
+          SERVER_CONFIG.memory.storeMinImportance
+        ),
+        storeEnabled: requestStoreEnabled ?? SERVER_CONFIG.memory.storeEnabled,
+        pipelineMode,
+        promptMode: req.body?.reply_prompt_mode === undefined
+          ? SERVER_CONFIG.reply.promptMode
+          : toReplyPromptMode(req.body.reply_prompt_mode),
       });
 
       res.json(responsePayload);
@@ -141,5 +94,22 @@ export function registerReplyRoutes(app) {
         error: error instanceof Error ? error.message : 'unknown error',
       });
     }
+  };
+
+  /**
+   * POST /api/reply
+   * 按请求体中的 provider / models 分发到对应模型（缺省按 bootstrap.models 与 defaults.provider 解析）。
+   */
+  app.post('/api/reply', (req, res) => {
+    const provider = typeof req.body?.provider === 'string' && req.body.provider.trim().length > 0
+      ? req.body.provider.trim()
+      : undefined;
+    return handleReply(req, res, provider);
   });
+
+  /**
+   * POST /api/reply/deepseek
+   * 兼容旧接口，固定使用 deepseek provider。
+   */
+  app.post('/api/reply/deepseek', (req, res) => handleReply(req, res, 'deepseek'));
 }
@@ -0,0 +1,81 @@
+import { SERVER_CONFIG } from '../../config.mjs';
+import { getRoomSummary, upsertRoomSummary } from '../../db/index.mjs';
+import { getTaskModelUnavailableReason, toTaskModelOverrides } from '../../services/llm/taskModels.mjs';
+import { isRoomSummaryServiceReady, refreshRoomSummaries } from '../../services/roomSummaryService.mjs';
+import { toOptionalBoolean } from './helpers.mjs';
+
+/**
+ * 模块职责：
+ * 注册房间总结（rooms.room_summary）的查看、人工编辑与手动刷新路由。
+ */
+export function registerRoomRoutes(app) {
+  /**
+   * GET /api/rooms/:roomId/summary
+   * 读取房间总结；房间不存在时返回空总结。
+   */
+  app.get('/api/rooms/:roomId/summary', (req, res) => {
+    const roomId = String(req.params.roomId);
+    const room = getRoomSummary(roomId);
+    res.json({
+      ok: true,
+      room_id: roomId,
+      room_summary: room?.room_summary || '',
+      summary_updated_at: room?.summary_updated_at ?? null,
+    });
+  });
+
+  /**
+   * POST /api/rooms/:roomId/summary
+   * 人工覆盖房间总结（传空字符串即清空）。
+   */
+  app.post('/api/rooms/:roomId/summary', (req, res) => {
+    const summary = req.body?.room_summary;
+    if (typeof summary !== 'string') {
+      res.status(400).json({ ok: false, error: 'room_summary must be a string' });
+      return;
+    }
+    const trimmed = summary.trim();
+    if (trimmed.length > SERVER_CONFIG.roomSummary.maxChars) {
+      res.status(400).json({
+        ok: false,
+        error: `room_summary exceeds ${SERVER_CONFIG.roomSummary.maxChars} characters`,
+      });
+      return;
+    }
+
+    const roomId = String(req.params.roomId);
+    const nowMs = Date.now();
+    const now = Math.floor(nowMs / 1000);
+    // 人工编辑视为已覆盖此前的全部消息
+    upsertRoomSummary(roomId, trimmed, now, nowMs);
+    res.json({ ok: true, room_id: roomId, room_summary: trimmed, summary_updated_at: now });
+  });
+
+  /**
+   * POST /api/rooms/summaries/refresh
+   * 立即执行一次房间总结任务（与定时任务相同）：
+   * - room_id: 只处理该房间（可选）
+   * - force: 忽略新增消息条数阈值
+   * - models.digest: 覆盖本次使用的模型与采样参数
+   */
+  app.post('/api/rooms/summaries/refresh', async (req, res) => {
+    try {
+      const modelOverride = toTaskModelOverrides(req.body?.models).digest;
+      if (!isRoomSummaryServiceReady(modelOverride)) {
+        res.status(500).json({ ok: false, error: getTaskModelUnavailableReason('digest', modelOverride) });
+        return;
+      }
+      const result = await refreshRoomSummaries({
+        roomId: req.body?.room_id ? String(req.body.room_id) : null,
+        force: toOptionalBoolean(req.body?.force) ?? false,
+        modelOverride,
+      });
+      res.json({ ok: true, ...result });
+    } catch (error) {
+      res.status(500).json({
+        ok: false,
+        error: error instanceof Error ? error.message : 'unknown error',
+      });
+    }
+  });
+}
@@ -0,0 +1,67 @@
+import { searchMemoriesFullText, searchMessagesFullText } from '../../db/index.mjs';
+import { toPositiveLimitWithMax } from './helpers.mjs';
+
+const SEARCH_SOURCES = ['all', 'memories', 'messages'];
+
+/**
+ * 解析可选的 unix 秒时间戳，非法值视为未提供。
+ */
+function toOptionalTimestamp(rawValue) {
+  if (rawValue === undefined || rawValue === '') return null;
+  const value = Number(rawValue);
+  return Number.isFinite(value) ? Math.floor(value) : null;
+}
+
+/**
+ * 模块职责：
+ * 注册记忆与聊天记录的全文检索路由（供运维排查“某人何时聊过某事”）。
+ */
+export function registerSearchRoutes(app) {
+  /**
+   * GET /api/search
+   * 查询参数：
+   * - q: 空白分隔的关键词（全部命中）
+   * - phrase: 精确短语
+   * - room_id / trip_code: 可选过滤
+   * - since / until: 可选时间范围（unix 秒，含边界）
+   * - source: all（默认）/ memories / messages
+   * - limit: 每类结果条数（1..200，默认 20）
+   * 返回的 snippet 用 <mark></mark> 标出命中词。
+   */
+  app.get('/api/search', (req, res) => {
+    const { q, phrase, room_id: roomId, trip_code: tripCode, source = 'all' } = req.query;
+    const query = typeof q === 'string' ? q.trim() : '';
+    const exactPhrase = typeof phrase === 'string' ? phrase.trim() : '';
+    if (!query && !exactPhrase) {
+      res.status(400).json({ ok: false, error: 'q or phrase is required' });
+      return;
+    }
+    if (typeof source !== 'string' || !SEARCH_SOURCES.includes(source)) {
+      res.status(400).json({ ok: false, error: `source must be one of ${SEARCH_SOURCES.join(', ')}` });
+      return;
+    }
+
+    const filters = {
+      query,
+      phrase: exactPhrase,
+      roomId: typeof roomId === 'string' && roomId ? roomId : null,
+      tripCode: typeof tripCode === 'string' && tripCode ? tripCode : null,
+      since: toOptionalTimestamp(req.query.since),
+      until: toOptionalTimestamp(req.query.until),
+      limit: toPositiveLimitWithMax(req.query.limit, 20, 200),
+    };
+
+    try {
+      res.json({
+        ok: true,
+        memories: source === 'messages' ? [] : searchMemoriesFullText(filters),
+        messages: source === 'memories' ? [] : searchMessagesFullText(filters),
+      });
+    } catch (error) {
+      res.status(500).json({
+        ok: false,
+        error: error instanceof Error ? error.message : 'unknown error',
+      });
+    }
+  });
+}
@@ -0,0 +1,216 @@
+/**
+ * 模块职责：
+ * 为记忆与检索语句生成向量（维度为 EMBEDDING_DIM）：
+ * - hash：本地哈希嵌入，把词面特征（拉丁词、中日韩二字组）带符号散列到固定维度后归一化，不依赖外部服务
+ * - provider：调用 bootstrap provider 的 OpenAI 兼容 /embeddings 接口（超时、重试与熔断沿用 modelCallGuard）
+ * - none：不生成向量
+ * 另提供为缺少向量的已有记忆分批回填的任务。
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import { listMemoriesMissingEmbedding, upsertMemoryEmbedding } from '../db/index.mjs';
+import { runGuardedModelCall } from './llm/modelCallGuard.mjs';
+import { getProvider, getProviderClient, getProviderUnavailableReason } from './llm/providerRegistry.mjs';
+import { toLexicalTerms } from './memoryRetrieval.mjs';
+
+/**
+ * @typedef {Object} Embedder
+ * @property {string} id 'hash' 或 provider id
+ * @property {(texts: string[]) => Promise<number[][]>} embed 按输入顺序返回向量
+ */
+
+let backfillRunning = false;
+
+/**
+ * 32 位 FNV-1a 哈希，末尾加 murmur3 的 fmix32 打散低位（短文本的 FNV 低位分布较差，取模时容易碰撞）。
+ * @param {string} value
+ */
+function hashTerm(value) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * 归一化为单位向量（零向量原样返回）。
+ * @param {number[]} vector
+ */
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+/**
+ * 本地哈希嵌入：每个词面特征按哈希落到一个维度并带 ±1 符号（降低碰撞偏差），最后归一化。
+ * 只反映词面重合，不理解同义词；适合没有 embedding 服务时兜底。
+ * @param {{ dim: number }} options
+ * @returns {Embedder}
+ */
+export function createHashEmbedder({ dim }) {
+  const embedOne = (text) => {
+    const vector = new Array(dim).fill(0);
+    for (const term of toLexicalTerms(text)) {
+      const hash = hashTerm(term);
+      vector[hash % dim] += hashTerm(`${term}#sign`) & 1 ? 1 : -1;
+    }
+    return normalizeVector(vector);
+  };
+
+  return {
+    id: 'hash',
+    embed: async (texts) => texts.map(embedOne),
+  };
+}
+
+/**
+ * OpenAI 兼容 /embeddings 接口嵌入。返回维度与 dim 不一致时抛错（code=embedding_dim_mismatch）。
+ * @param {{
+ *   providerId: string,
+ *   model: string,
+ *   dim: number,
+ *   timeoutMs: number,
+ *   getClient?: (providerId: string) => any,
+ * }} options
+ * @returns {Embedder}
+ */
+export function createProviderEmbedder({ providerId, model, dim, timeoutMs, getClient = getProviderClient }) {
+  return {
+    id: providerId,
+    async embed(texts) {
+      const client = getClient(providerId);
+      const response = await runGuardedModelCall(
+        providerId,
+        (signal) => client.embeddings.create({ model, input: texts }, { signal }),
+        { timeoutMs }
+      );
+      const data = [...(response?.data || [])].sort((a, b) => a.index - b.index);
+      if (data.length !== texts.length) {
+        throw new Error(`embedding provider "${providerId}" returned ${data.length} vectors for ${texts.length} inputs`);
+      }
+      return data.map((item) => {
+        if (!Array.isArray(item.embedding) || item.embedding.length !== dim) {
+          throw Object.assign(
+            new Error(`embedding model "${model}" returned ${item.embedding?.length ?? 0} dimensions, EMBEDDING_DIM is ${dim}`),
+            { code: 'embedding_dim_mismatch' }
+          );
+        }
+        return item.embedding;
+      });
+    },
+  };
+}
+
+/**
+ * 当前配置的 embedding 不可用的原因；可用时返回 null。
+ */
+export function getEmbeddingUnavailableReason() {
+  const providerId = SERVER_CONFIG.embedding.provider;
+  if (providerId === 'none') return 'embedding is disabled (EMBEDDING_PROVIDER=none)';
+  if (providerId === 'hash') return null;
+  if (getProvider(providerId)?.type === 'mock') {
+    return `provider "${providerId}" does not support embeddings; use EMBEDDING_PROVIDER=hash`;
+  }
+  return getProviderUnavailableReason(providerId);
+}
+
+/**
+ * 当前是否可以生成向量。
+ */
+export function isEmbeddingServiceReady() {
+  return getEmbeddingUnavailableReason() === null;
+}
+
+/** @type {Embedder | null} */
+let embedder = null;
+
+/**
+ * 按配置创建（并缓存）embedder；不可用时抛错。
+ * @returns {Embedder}
+ */
+function getEmbedder() {
+  const reason = getEmbeddingUnavailableReason();
+  if (reason) throw new Error(reason);
+  if (!embedder) {
+    const { provider, model, timeoutMs } = SERVER_CONFIG.embedding;
+    embedder = provider === 'hash'
+      ? createHashEmbedder({ dim: SERVER_CONFIG.embeddingDim })
+      : createProviderEmbedder({ providerId: provider, model, dim: SERVER_CONFIG.embeddingDim, timeoutMs });
+  }
+  return embedder;
+}
+
+/**
+ * 批量生成向量（与输入顺序一致）。
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ * @throws embedding 不可用或调用失败时抛错
+ */
+export async function embedTexts(texts) {
+  if (!Array.isArray(texts) || texts.length === 0) return [];
+  return getEmbedder().embed(texts.map((text) => String(text || '')));
+}
+
+/**
+ * 生成向量但不抛错：不可用或失败时返回 null（记录告警），调用方照常走无向量的流程。
+ * @param {string[]} texts
+ * @param {string} purpose 日志中的用途说明
+ * @returns {Promise<number[][] | null>}
+ */
+export async function tryEmbedTexts(texts, purpose) {
+  if (!isEmbeddingServiceReady()) return null;
+  try {
+    return await embedTexts(texts);
+  } catch (error) {
+    console.warn(`[embedding] ${purpose} failed: ${error instanceof Error ? error.message : String(error)}`);
+    return null;
+  }
+}
+
+/**
+ * 为缺少向量的记忆分批回填向量（新写入的优先）。
+ * 某一批失败时停止本轮，避免对同一批反复请求。
+ * @param params.batchSize 每批条数，缺省取 SERVER_CONFIG.embedding.backfillBatchSize
+ * @param params.maxItems 本轮最多处理条数（可选，缺省不限）
+ * @returns 处理统计；已有任务在执行时返回 { skipped: true }
+ */
+export async function backfillMemoryEmbeddings({
+  batchSize = SERVER_CONFIG.embedding.backfillBatchSize,
+  maxItems = Infinity,
+} = {}) {
+  if (backfillRunning) {
+    return { skipped: true, embedded: 0, errors: [] };
+  }
+  backfillRunning = true;
+
+  try {
+    let embedded = 0;
+    const errors = [];
+    while (embedded < maxItems) {
+      const batch = listMemoriesMissingEmbedding({ limit: Math.min(batchSize, maxItems - embedded) });
+      if (batch.length === 0) break;
+      try {
+        const vectors = await embedTexts(batch.map((item) => item.text));
+        const written = batch.filter((item, index) => upsertMemoryEmbedding(item.memory_id, vectors[index])).length;
+        embedded += written;
+        // 一条都没写入（如记忆已被删除）时结束本轮，避免空转
+        if (written === 0) break;
+      } catch (error) {
+        errors.push({
+          memory_ids: batch.map((item) => item.memory_id),
+          error: error instanceof Error ? error.message : 'unknown error',
+        });
+        break;
+      }
+    }
+    return { skipped: false, embedded, errors };
+  } finally {
+    backfillRunning = false;
+  }
+}
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录与小维度的本地哈希嵌入（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-embedding-'));
+process.env.DATA_DIR = dataDir;
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.EMBEDDING_DIM = '64';
+const { cosineSimilarity, getMemoryEmbeddings, insertMemory, listMemoriesMissingEmbedding } = await import('../db/index.mjs');
+const {
+  backfillMemoryEmbeddings,
+  createHashEmbedder,
+  createProviderEmbedder,
+  embedTexts,
+} = await import('./embeddingService.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('createHashEmbedder: deterministic unit vectors that reflect lexical overlap', async () => {
+  const embedder = createHashEmbedder({ dim: 256 });
+  const [cat, sameCat, work] = await embedder.embed(['家里养了一只橘猫', '家里养了一只橘猫', '在上海做后端开发']);
+
+  assert.equal(cat.length, 256);
+  assert.deepEqual(cat, sameCat);
+  assert.ok(Math.abs(cosineSimilarity(cat, cat) - 1) < 1e-9);
+
+  const [query] = await embedder.embed(['你的橘猫最近怎么样']);
+  assert.ok(cosineSimilarity(query, cat) > cosineSimilarity(query, work));
+});
+
+test('createProviderEmbedder: orders vectors by index and rejects dimension mismatches', async () => {
+  const requests = [];
+  const client = {
+    embeddings: {
+      create: async (body) => {
+        requests.push(body);
+        return { data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] };
+      },
+    },
+  };
+  const embedder = createProviderEmbedder({ providerId: 'local', model: 'embed-small', dim: 2, timeoutMs: 1000, getClient: () => client });
+
+  assert.deepEqual(await embedder.embed(['a', 'b']), [[1, 0], [0, 1]]);
+  assert.deepEqual(requests, [{ model: 'embed-small', input: ['a', 'b'] }]);
+
+  const wrongDim = createProviderEmbedder({ providerId: 'local', model: 'embed-small', dim: 3, timeoutMs: 1000, getClient: () => client });
+  await assert.rejects(wrongDim.embed(['a', 'b']), { code: 'embedding_dim_mismatch' });
+});
+
+test('backfillMemoryEmbeddings: fills vectors for memories stored without one', async () => {
+  for (const [index, text] of ['喜欢下雪', '养了橘猫', '在上海工作'].entries()) {
+    insertMemory({
+      memory_id: `m-${index}`,
+      room_id: 'lounge',
+      trip_code: 'trip-a',
+      text,
+      tags_json: '[]',
+      importance: 5,
+      ttl_days: null,
+      embedding: null,
+    });
+  }
+  assert.equal(listMemoriesMissingEmbedding().length, 3);
+
+  const limited = await backfillMemoryEmbeddings({ batchSize: 2, maxItems: 1 });
+  assert.deepEqual(limited, { skipped: false, embedded: 1, errors: [] });
+
+  const rest = await backfillMemoryEmbeddings({ batchSize: 1 });
+  assert.deepEqual(rest, { skipped: false, embedded: 2, errors: [] });
+  assert.equal(listMemoriesMissingEmbedding().length, 0);
+
+  const stored = getMemoryEmbeddings(['m-0', 'm-1', 'm-2']);
+  const [expected] = await embedTexts(['养了橘猫']);
+  assert.equal(stored.size, 3);
+  assert.deepEqual(stored.get('m-1'), expected);
+});
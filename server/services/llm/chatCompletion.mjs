@@ -0,0 +1,107 @@
+import { runGuardedModelCall } from './modelCallGuard.mjs';
+import { detectUnsupportedParam, getModelCapabilities, markParamUnsupported, splitReasoningContent } from './modelCapabilities.mjs';
+import { getProvider, getProviderClient } from './providerRegistry.mjs';
+
+/**
+ * 模块职责：
+ * 统一的 chat completion 调用入口：按 provider 选择客户端与默认模型，
+ * 按模型能力省略不支持的参数、决定是否启用 JSON mode（不支持时改由 prompt 约束并从正文提取 JSON），
+ * 并把推理模型的推理过程与正文分开返回。
+ * 超时、重试与熔断由 modelCallGuard 统一处理。
+ */
+
+// 任务未配置 timeout_ms 时的单次尝试超时
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// JSON mode 不可用时追加的约束；解析端由结构化输出层（extractModelJson）从正文中提取 JSON
+const PROMPT_JSON_INSTRUCTION = '只输出一个 JSON 对象，不要输出解释、推理过程或 Markdown 代码块。';
+
+/**
+ * 组装请求参数，省略模型不支持的可选参数。
+ * @returns {{ body: Record<string, unknown>, sentParams: import('../../../shared/contracts').ModelRequestParam[] }}
+ */
+function buildRequestBody({ provider, model, messages, json, maxTokens, temperature, topP }) {
+  const { jsonMode, unsupportedParams } = getModelCapabilities(provider, model);
+  const optionalParams = {
+    temperature,
+    top_p: topP,
+    max_tokens: maxTokens,
+    response_format: json && jsonMode ? { type: 'json_object' } : undefined,
+  };
+
+  /** @type {Record<string, unknown>} */
+  const body = {
+    model,
+    messages: json && !jsonMode
+      ? [...messages, { role: 'system', content: PROMPT_JSON_INSTRUCTION }]
+      : messages,
+  };
+  /** @type {import('../../../shared/contracts').ModelRequestParam[]} */
+  const sentParams = [];
+  for (const [param, value] of Object.entries(optionalParams)) {
+    const requestParam = /** @type {import('../../../shared/contracts').ModelRequestParam} */ (param);
+    if (value === undefined || unsupportedParams.has(requestParam)) continue;
+    body[param] = value;
+    sentParams.push(requestParam);
+  }
+  return { body, sentParams };
+}
+
+/**
+ * 发起一次 chat completion。
+ * 接口以 400 拒绝某个可选参数时，记住该参数不受支持并省略后重试一次；
+ * 重试是一次新的受保护调用，有自己完整的超时，不受被拒那次耗时的影响。
+ * @param params.providerId provider id（缺省为默认 provider）
+ * @param params.model 模型名（缺省为 provider.models[0]）
+ * @param params.messages OpenAI 格式消息
+ * @param params.json 是否要求 JSON 输出
+ * @param params.maxTokens/temperature/topP 采样参数（通常来自 resolveTaskModel；缺省时使用接口默认值）
+ * @param params.timeoutMs 单次尝试超时（毫秒）
+ * @returns { text, reasoning, providerId, model }（reasoning 为推理过程，只用于日志，不得发往聊天室）
+ * @throws provider 不可用、超时（code=llm_timeout）、熔断（code=llm_circuit_open）或调用失败时抛错，由调用方处理
+ */
+export async function requestChatCompletion({
+  providerId,
+  model,
+  messages,
+  json = false,
+  maxTokens,
+  temperature,
+  topP,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  const client = getProviderClient(providerId);
+  const provider = getProvider(providerId);
+  const resolvedModel = model || provider.models[0];
+  const requestParams = { provider, model: resolvedModel, messages, json, maxTokens, temperature, topP };
+
+  /** @type {import('../../../shared/contracts').ModelRequestParam | null} */
+  let rejectedParam = null;
+  const callOnce = () => runGuardedModelCall(provider.id, async (signal) => {
+    const { body, sentParams } = buildRequestBody(requestParams);
+    rejectedParam = null;
+    try {
+      return await client.chat.completions.create(body, { signal });
+    } catch (error) {
+      rejectedParam = detectUnsupportedParam(error, sentParams);
+      throw error;
+    }
+  }, { timeoutMs });
+
+  let response;
+  try {
+    response = await callOnce();
+  } catch (error) {
+    if (!rejectedParam) throw error;
+    markParamUnsupported(provider.id, resolvedModel, rejectedParam);
+    response = await callOnce();
+  }
+
+  const { text, reasoning } = splitReasoningContent(response.choices[0]?.message);
+  return {
+    text,
+    reasoning,
+    providerId: provider.id,
+    model: resolvedModel,
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * 模块职责：
+ * 单个 provider 的熔断器：连续失败达到阈值后打开，冷却期内直接拒绝调用；
+ * 冷却结束进入半开状态，只放行一次试探调用，成功则关闭、失败则重新打开。
+ */
+
+/**
+ * @typedef {'closed' | 'open' | 'half_open'} CircuitState
+ */
+
+/**
+ * 创建熔断器。
+ * @param {{
+ *   failureThreshold: number,
+ *   cooldownMs: number,
+ *   now?: () => number,
+ * }} options
+ */
+export function createCircuitBreaker({ failureThreshold, cooldownMs, now = () => Date.now() }) {
+  /** @type {CircuitState} */
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const refreshState = () => {
+    if (state === 'open' && now() - openedAt >= cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+  };
+
+  return {
+    /**
+     * 是否允许发起调用；半开状态下只放行一次试探。
+     */
+    tryAcquire() {
+      refreshState();
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      state = 'closed';
+      consecutiveFailures = 0;
+      trialInFlight = false;
+    },
+
+    /**
+     * 调用有结果但不影响健康判断（如 400）：保持状态与失败计数，只释放半开试探名额。
+     */
+    releaseTrial() {
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      consecutiveFailures += 1;
+      if (state === 'half_open' || consecutiveFailures >= failureThreshold) {
+        state = 'open';
+        openedAt = now();
+        trialInFlight = false;
+      }
+    },
+
+    /**
+     * 当前状态（供健康检查使用）。
+     */
+    getState() {
+      refreshState();
+      return {
+        state,
+        consecutive_failures: consecutiveFailures,
+        retry_at: state === 'open' ? Math.floor((openedAt + cooldownMs) / 1000) : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,251 @@
+import fs from 'node:fs';
+import { SERVER_CONFIG } from '../../config.mjs';
+
+/**
+ * 模块职责：
+ * 离线开发与测试用的确定性 mock 模型（实现 OpenAI SDK 的 chat.completions.create 形状）：
+ * - 按脚本队列依次返回预设响应，队列为空时按规则生成 JSON（回复/记忆/画像/梗概/房间总结）
+ * - 记录收到的每次请求，便于断言 prompt
+ * - 脚本项可模拟非法 JSON、超时与接口错误
+ */
+
+/**
+ * 脚本项：
+ * - { content }：原样返回文本
+ * - { json }：返回 JSON.stringify(json)
+ * - { malformed: true }：返回截断的非法 JSON
+ * - { error, status? }：抛出带 status 的错误（模拟 4xx/5xx）
+ * - { delayMs }：先等待再返回（可与上述任一组合；调用方 abort 时以 AbortError 结束）
+ * - { hang: true }：一直挂起直到调用方 abort（模拟超时）
+ * - { reasoning }：附带 reasoning_content（模拟推理模型，可与上述任一组合）
+ * @typedef {{
+ *   content?: string,
+ *   json?: unknown,
+ *   malformed?: boolean,
+ *   error?: string,
+ *   status?: number,
+ *   delayMs?: number,
+ *   hang?: boolean,
+ *   reasoning?: string,
+ * }} MockScriptEntry
+ */
+
+/**
+ * @typedef {Object} MockCall
+ * @property {string} model
+ * @property {{ role: string, name?: string, content: string }[]} messages
+ * @property {boolean} jsonMode
+ * @property {number} [maxTokens]
+ * @property {number} [temperature]
+ * @property {number} [topP]
+ */
+
+// 模拟输出被截断的 JSON
+const MALFORMED_JSON = '{"reply": "*mock';
+
+/**
+ * 取当前触发消息（回复/记忆 prompt 中的「当前情况」）。
+ * @param {string} prompt
+ */
+function extractTargetMessage(prompt) {
+  const match = /用户「([^」]*)」刚刚(?:私聊你)?说：「([\s\S]*?)」/.exec(prompt);
+  return match ? { sender: match[1], text: match[2] } : null;
+}
+
+/**
+ * 规则：自我介绍类消息生成一条记忆，其余不生成。
+ * @param {{ sender: string, text: string } | null} target
+ */
+function buildMockMemoryItems(target) {
+  if (!target || !/我(?:叫|是|喜欢|不喜欢|住在)/.test(target.text)) return [];
+  return [{ text: `${target.sender}：${target.text}`.slice(0, 70), importance: 5, tags: ['mock'] }];
+}
+
+/**
+ * 规则：从 setprofile 正文中抽取“我叫/住在/喜欢/不喜欢”。
+ * @param {string} prompt
+ */
+function buildMockProfile(prompt) {
+  const source = /文本：\s*"([\s\S]*?)"\s*\n/.exec(prompt)?.[1] || '';
+  const pick = (pattern) => pattern.exec(source)?.[1] || null;
+  const likes = pick(/(?<!不)喜欢([^，,。；;\s]+)/);
+  const dislikes = pick(/不喜欢([^，,。；;\s]+)/);
+  return {
+    common_name: pick(/我叫([^，,。；;\s]+)/),
+    language: null,
+    location: pick(/住在([^，,。；;\s]+)/),
+    identity: null,
+    likes: likes ? [likes] : [],
+    dislikes: dislikes ? [dislikes] : [],
+  };
+}
+
+/**
+ * 按 prompt 中要求的输出字段判断任务类型并生成确定性 JSON。
+ * @param {{ role: string, content: string }[]} messages
+ */
+export function buildRuleBasedResponse(messages) {
+  // multi_turn 模式下任务说明在 system 中，因此只排除 assistant 消息
+  const prompt = messages.filter((message) => message.role !== 'assistant').map((message) => message.content).join('\n');
+  const target = extractTargetMessage(prompt);
+
+  if (prompt.includes('"common_name"')) return buildMockProfile(prompt);
+  if (prompt.includes('"highlights"')) {
+    return { highlights: ['[mock] 记忆梗概'], ongoing_threads: [], stable_preferences: [] };
+  }
+  if (prompt.includes('"superseded"')) return { superseded: [] };
+  if (prompt.includes('"recurring_topics"')) {
+    return { overview: '[mock] 房间总结', recurring_topics: [], in_jokes: [], norms: [] };
+  }
+
+  const wantsReply = prompt.includes('"reply"');
+  const wantsMemory = prompt.includes('"memory"');
+  const reply = `*[mock] 收到：${target ? target.text : '…'}*`;
+  if (wantsReply && wantsMemory) return { reply, memory: { items: buildMockMemoryItems(target) } };
+  if (wantsReply) return { reply };
+  if (wantsMemory) return { memory: { items: buildMockMemoryItems(target) } };
+  return { reply };
+}
+
+/**
+ * 可被 AbortSignal 打断的等待。
+ * @param {number} ms
+ * @param {AbortSignal | undefined} signal
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timerId = Number.isFinite(ms) ? setTimeout(resolve, ms) : null;
+    signal?.addEventListener('abort', () => {
+      if (timerId) clearTimeout(timerId);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+/**
+ * 创建 mock 客户端。
+ * @param {{ script?: MockScriptEntry[] }} [options]
+ */
+export function createMockLlmClient({ script = [] } = {}) {
+  /** @type {MockScriptEntry[]} */
+  const queue = [...script];
+  /** @type {MockCall[]} */
+  const calls = [];
+
+  return {
+    chat: {
+      completions: {
+        /**
+         * @param {Record<string, any>} params
+         * @param {{ signal?: AbortSignal }} [requestOptions]
+         */
+        async create(params, requestOptions = {}) {
+          const messages = Array.isArray(params.messages)
+            ? params.messages.map((message) => ({
+              role: message.role,
+              ...(message.name ? { name: message.name } : {}),
+              content: String(message.content ?? ''),
+            }))
+            : [];
+          calls.push({
+            model: params.model,
+            messages,
+            jsonMode: params.response_format?.type === 'json_object',
+            maxTokens: params.max_tokens,
+            temperature: params.temperature,
+            topP: params.top_p,
+          });
+
+          const entry = queue.shift() || {};
+          if (entry.hang) await sleep(Infinity, requestOptions.signal);
+          if (entry.delayMs) await sleep(entry.delayMs, requestOptions.signal);
+          if (entry.error) {
+            throw Object.assign(new Error(entry.error), { status: entry.status ?? 500 });
+          }
+
+          let content;
+          if (entry.malformed) {
+            content = MALFORMED_JSON;
+          } else if (typeof entry.content === 'string') {
+            content = entry.content;
+          } else {
+            content = JSON.stringify(entry.json ?? buildRuleBasedResponse(messages));
+          }
+
+          return {
+            id: `mock-${calls.length}`,
+            object: 'chat.completion',
+            model: params.model,
+            choices: [{
+              index: 0,
+              message: {
+                role: 'assistant',
+                content,
+                ...(entry.reasoning ? { reasoning_content: entry.reasoning } : {}),
+              },
+              finish_reason: 'stop',
+            }],
+          };
+        },
+      },
+    },
+
+    /**
+     * 追加脚本响应（按调用顺序消费）。
+     * @param {...MockScriptEntry} entries
+     */
+    enqueue(...entries) {
+      queue.push(...entries);
+    },
+
+    /**
+     * 已收到的请求（副本）。
+     * @returns {MockCall[]}
+     */
+    getCalls() {
+      return calls.slice();
+    },
+
+    /**
+     * 清空脚本队列与调用记录。
+     */
+    reset() {
+      queue.length = 0;
+      calls.length = 0;
+    },
+  };
+}
+
+/**
+ * 读取 LLM_MOCK_SCRIPT 指向的脚本文件（JSON 数组）；读取失败时忽略脚本。
+ * @returns {MockScriptEntry[]}
+ */
+function readMockScript() {
+  const scriptPath = SERVER_CONFIG.llm.mockScriptPath;
+  if (!scriptPath) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn(`[llm] invalid mock script ignored: ${scriptPath}`, error);
+    return [];
+  }
+}
+
+/** @type {ReturnType<typeof createMockLlmClient> | null} */
+let mockClient = null;
+
+/**
+ * 进程内共享的 mock 客户端（首次使用时加载脚本）。
+ */
+export function getMockLlmClient() {
+  if (!mockClient) {
+    mockClient = createMockLlmClient({ script: readMockScript() });
+  }
+  return mockClient;
+}
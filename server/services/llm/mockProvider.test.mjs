@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-mock-llm-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { createMockLlmClient, getMockLlmClient } = await import('./mockProvider.mjs');
+const { getDefaultProviderId, isProviderReady } = await import('./providerRegistry.mjs');
+const { runReplyPipeline } = await import('../replyPipeline.mjs');
+const { extractProfileWithModel } = await import('../profileExtractor.mjs');
+const { listMemoriesByTrip } = await import('../../db/index.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const ask = (client, prompt) => client.chat.completions.create({
+  model: 'mock-model',
+  messages: [{ role: 'user', content: prompt }],
+});
+
+test('createMockLlmClient: consumes scripted responses before rule-based ones and records prompts', async () => {
+  const client = createMockLlmClient({ script: [{ json: { reply: 'scripted' } }] });
+  client.enqueue({ content: 'plain text' });
+
+  const first = await ask(client, 'a');
+  const second = await ask(client, 'b');
+  const third = await ask(client, '用户「alice」刚刚说：「hi」\n{"reply": "*string*"}');
+
+  assert.equal(first.choices[0].message.content, '{"reply":"scripted"}');
+  assert.equal(second.choices[0].message.content, 'plain text');
+  assert.deepEqual(JSON.parse(third.choices[0].message.content), { reply: '*[mock] 收到：hi*' });
+  assert.deepEqual(client.getCalls().map((call) => call.messages[0].content.slice(0, 1)), ['a', 'b', '用']);
+
+  client.reset();
+  assert.equal(client.getCalls().length, 0);
+});
+
+test('createMockLlmClient: simulates malformed JSON, API errors and timeouts', async () => {
+  const client = createMockLlmClient({
+    script: [{ malformed: true }, { error: 'rate limited', status: 429 }, { hang: true }],
+  });
+
+  const malformed = await ask(client, 'x');
+  assert.throws(() => JSON.parse(malformed.choices[0].message.content));
+  await assert.rejects(ask(client, 'x'), (error) => error.status === 429 && /rate limited/.test(error.message));
+
+  const controller = new AbortController();
+  const pending = client.chat.completions.create({ messages: [] }, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('mock provider: LLM_PROVIDER=mock drives the reply pipeline offline', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  assert.equal(getDefaultProviderId(), 'mock');
+  assert.equal(isProviderReady(), true);
+
+  const result = await runReplyPipeline({
+    history: [],
+    personality: 'test bot',
+    targetMessage: '我喜欢猫',
+    targetSender: 'alice',
+    targetTrip: 'tripA',
+    roomId: 'lounge',
+    pipelineMode: 'single',
+    storeMinImportance: 1,
+  });
+
+  assert.equal(result.reply, '*[mock] 收到：我喜欢猫*');
+  assert.deepEqual(result.memory.items.map((item) => item.text), ['alice：我喜欢猫']);
+  assert.equal(listMemoriesByTrip({ tripCode: 'tripA', minImportance: 1, limit: 10 }).length, 1);
+  assert.equal(mock.getCalls().length, 1);
+  assert.equal(mock.getCalls()[0].jsonMode, true);
+
+  // 畸形 JSON 触发一次修复请求，修复请求回落到规则回复
+  mock.enqueue({ malformed: true });
+  const repaired = await runReplyPipeline({
+    history: [],
+    personality: 'test bot',
+    targetMessage: 'hello',
+    targetSender: 'bob',
+    pipelineMode: 'single',
+  });
+  assert.equal(repaired.reply, '*[mock] 收到：hello*');
+  assert.equal(mock.getCalls().length, 3);
+});
+
+test('mock provider: rule-based profile extraction picks explicit fields', async () => {
+  const profile = await extractProfileWithModel('我叫小明，住在杭州，喜欢猫，不喜欢香菜');
+  assert.equal(profile.common_name, '小明');
+  assert.equal(profile.location, '杭州');
+  assert.deepEqual(profile.likes, ['猫']);
+  assert.deepEqual(profile.dislikes, ['香菜']);
+});
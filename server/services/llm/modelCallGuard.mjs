@@ -0,0 +1,195 @@
+import { SERVER_CONFIG } from '../../config.mjs';
+import { createCircuitBreaker } from './circuitBreaker.mjs';
+
+/**
+ * 模块职责：
+ * 所有模型调用共用的保护层：
+ * - 单次尝试超时（按任务配置，通过 AbortSignal 取消请求）
+ * - 瞬时错误（超时/网络/408/429/5xx）按指数退避有限重试
+ * - 按 provider 熔断：连续瞬时失败达到阈值后直接拒绝，冷却后半开试探
+ * 超时与熔断错误分别带 code 'llm_timeout' / 'llm_circuit_open'，供调用方识别。
+ */
+
+const TRANSIENT_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+const NETWORK_ERROR_PATTERN = /connection|network|socket|ECONN|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|fetch failed/i;
+
+/**
+ * 判断错误是否值得重试并计入熔断。
+ * @param {any} error
+ */
+export function isTransientModelError(error) {
+  if (error?.code === 'llm_timeout') return true;
+  const status = error?.status;
+  if (typeof status === 'number') return TRANSIENT_STATUS.has(status);
+  return NETWORK_ERROR_PATTERN.test(`${error?.name || ''} ${error?.code || ''} ${error?.message || ''}`);
+}
+
+/**
+ * 解析 Retry-After（秒数或 HTTP 日期），返回需要等待的毫秒数；缺失或无法解析时返回 0。
+ * openai SDK 的 error.headers 是 fetch 的 Headers 实例。
+ * @param {any} error
+ * @param {number} nowMs
+ */
+function parseRetryAfterMs(error, nowMs) {
+  const value = error?.headers?.get?.('retry-after');
+  if (typeof value !== 'string' || !value.trim()) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - nowMs) : 0;
+}
+
+/**
+ * 第 attempt 次重试前的等待时间：指数退避 + 抖动，429 时参考 Retry-After。
+ * @param {number} attempt 从 0 开始
+ * @param {{ baseDelayMs: number, maxDelayMs: number, error?: any, random?: () => number, now?: () => number }} options
+ */
+export function computeRetryDelay(attempt, { baseDelayMs, maxDelayMs, error, random = Math.random, now = () => Date.now() }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  const jittered = Math.round(exponential * (0.5 + random() * 0.5));
+  const retryAfterMs = parseRetryAfterMs(error, now());
+  return retryAfterMs > 0 ? Math.min(maxDelayMs, Math.max(jittered, retryAfterMs)) : jittered;
+}
+
+/**
+ * 带超时地执行一次尝试；超时时 abort 请求并抛出 code='llm_timeout'。
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} attempt
+ * @param {number} timeoutMs
+ * @returns {Promise<T>}
+ */
+async function runWithTimeout(attempt, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timerId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    return await attempt(controller.signal);
+  } catch (error) {
+    if (timedOut) {
+      throw Object.assign(new Error(`model call timed out after ${timeoutMs}ms`), { code: 'llm_timeout' });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timerId);
+  }
+}
+
+/**
+ * 创建调用保护层。
+ * @param {{
+ *   maxRetries: number,
+ *   retryBaseDelayMs: number,
+ *   retryMaxDelayMs: number,
+ *   breakerFailureThreshold: number,
+ *   breakerCooldownMs: number,
+ *   sleep?: (ms: number) => Promise<void>,
+ *   now?: () => number,
+ * }} options
+ */
+export function createModelCallGuard({
+  maxRetries,
+  retryBaseDelayMs,
+  retryMaxDelayMs,
+  breakerFailureThreshold,
+  breakerCooldownMs,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now = () => Date.now(),
+}) {
+  /** @type {Map<string, ReturnType<typeof createCircuitBreaker>>} */
+  const breakers = new Map();
+
+  const getBreaker = (providerId) => {
+    if (!breakers.has(providerId)) {
+      breakers.set(providerId, createCircuitBreaker({
+        failureThreshold: breakerFailureThreshold,
+        cooldownMs: breakerCooldownMs,
+        now,
+      }));
+    }
+    return /** @type {ReturnType<typeof createCircuitBreaker>} */ (breakers.get(providerId));
+  };
+
+  return {
+    /**
+     * 在保护下执行一次模型调用。
+     * @template T
+     * @param {string} providerId 熔断按 provider 区分
+     * @param {(signal: AbortSignal) => Promise<T>} attempt 单次尝试（需把 signal 传给 SDK）
+     * @param {{ timeoutMs: number }} options
+     * @returns {Promise<T>}
+     */
+    async run(providerId, attempt, { timeoutMs }) {
+      const breaker = getBreaker(providerId);
+      for (let attemptIndex = 0; ; attemptIndex += 1) {
+        if (!breaker.tryAcquire()) {
+          throw Object.assign(new Error(`provider "${providerId}" circuit is open`), { code: 'llm_circuit_open' });
+        }
+
+        try {
+          const result = await runWithTimeout(attempt, timeoutMs);
+          breaker.recordSuccess();
+          return result;
+        } catch (error) {
+          if (!isTransientModelError(error)) {
+            // provider 有响应（如 400/401）：既不计入熔断，也不清零此前的连续失败
+            breaker.releaseTrial();
+            throw error;
+          }
+          breaker.recordFailure();
+          // 熔断已打开时不再重试，抛出真实的上游错误而不是 llm_circuit_open，便于排查
+          if (attemptIndex >= maxRetries || breaker.getState().state === 'open') throw error;
+          await sleep(computeRetryDelay(attemptIndex, {
+            baseDelayMs: retryBaseDelayMs,
+            maxDelayMs: retryMaxDelayMs,
+            error,
+            now,
+          }));
+        }
+      }
+    },
+
+    /**
+     * provider 熔断器状态；从未调用过的 provider 视为 closed。
+     * @param {string} providerId
+     */
+    getBreakerState(providerId) {
+      return breakers.has(providerId)
+        ? getBreaker(providerId).getState()
+        : { state: 'closed', consecutive_failures: 0, retry_at: null };
+    },
+  };
+}
+
+const guard = createModelCallGuard(SERVER_CONFIG.llm.resilience);
+
+/**
+ * 在全局保护层下执行模型调用（见 createModelCallGuard().run）。
+ * @template T
+ * @param {string} providerId
+ * @param {(signal: AbortSignal) => Promise<T>} attempt
+ * @param {{ timeoutMs: number }} options
+ * @returns {Promise<T>}
+ */
+export function runGuardedModelCall(providerId, attempt, options) {
+  return guard.run(providerId, attempt, options);
+}
+
+/**
+ * provider 熔断器状态（供 /api/health 使用）。
+ * @param {string} providerId
+ */
+export function getCircuitBreakerState(providerId) {
+  return guard.getBreakerState(providerId);
+}
+
+/**
+ * provider 熔断器是否处于打开状态（冷却中）。
+ * @param {string} providerId
+ */
+export function isCircuitOpen(providerId) {
+  return guard.getBreakerState(providerId).state === 'open';
+}
@@ -0,0 +1,176 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录、mock provider 与更快的重试/熔断参数（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-model-guard-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+process.env.LLM_BREAKER_FAILURE_THRESHOLD = '3';
+process.env.LLM_FALLBACK_REPLY = '*模型暂时不可用*';
+const { computeRetryDelay, createModelCallGuard, getCircuitBreakerState, isTransientModelError } = await import('./modelCallGuard.mjs');
+const { getMockLlmClient } = await import('./mockProvider.mjs');
+const { runReplyPipeline } = await import('../replyPipeline.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const httpError = (status) => Object.assign(new Error(`status ${status}`), { status });
+
+/**
+ * 创建使用假时钟与即时 sleep 的保护层。
+ */
+function createTestGuard(overrides = {}) {
+  const clock = { now: 0 };
+  const delays = [];
+  const guard = createModelCallGuard({
+    maxRetries: 2,
+    retryBaseDelayMs: 100,
+    retryMaxDelayMs: 1000,
+    breakerFailureThreshold: 3,
+    breakerCooldownMs: 60000,
+    sleep: async (ms) => {
+      delays.push(ms);
+    },
+    now: () => clock.now,
+    ...overrides,
+  });
+  return { guard, clock, delays };
+}
+
+test('isTransientModelError / computeRetryDelay: classify errors and back off exponentially', () => {
+  assert.equal(isTransientModelError(httpError(503)), true);
+  assert.equal(isTransientModelError(httpError(429)), true);
+  assert.equal(isTransientModelError(httpError(400)), false);
+  assert.equal(isTransientModelError(Object.assign(new Error('x'), { code: 'llm_timeout' })), true);
+  assert.equal(isTransientModelError(Object.assign(new Error('Connection error.'), { name: 'APIConnectionError' })), true);
+  assert.equal(isTransientModelError(new TypeError('boom')), false);
+
+  const options = { baseDelayMs: 100, maxDelayMs: 1000, random: () => 1 };
+  assert.deepEqual([0, 1, 2, 5].map((attempt) => computeRetryDelay(attempt, options)), [100, 200, 400, 1000]);
+  assert.equal(computeRetryDelay(0, { ...options, error: { headers: new Headers({ 'retry-after': '0.5' }) } }), 500);
+  const retryAt = new Headers({ 'retry-after': new Date(10_000).toUTCString() });
+  assert.equal(computeRetryDelay(0, { ...options, now: () => 9_200, error: { headers: retryAt } }), 800);
+  assert.equal(computeRetryDelay(0, { ...options, error: { headers: new Headers({ 'retry-after': 'soon' }) } }), 100);
+});
+
+test('createModelCallGuard: retries transient failures but not client errors', async () => {
+  const { guard, delays } = createTestGuard();
+  let calls = 0;
+  const result = await guard.run('p', async () => {
+    calls += 1;
+    if (calls < 3) throw httpError(502);
+    return 'ok';
+  }, { timeoutMs: 1000 });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.equal(delays.length, 2);
+
+  let badRequestCalls = 0;
+  await assert.rejects(guard.run('p', async () => {
+    badRequestCalls += 1;
+    throw httpError(400);
+  }, { timeoutMs: 1000 }), { status: 400 });
+  assert.equal(badRequestCalls, 1);
+  assert.equal(guard.getBreakerState('p').state, 'closed');
+});
+
+test('createModelCallGuard: aborts slow attempts with llm_timeout', async () => {
+  const { guard } = createTestGuard({ maxRetries: 0 });
+  await assert.rejects(guard.run('slow', (signal) => new Promise((_resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  }), { timeoutMs: 20 }), { code: 'llm_timeout' });
+});
+
+test('createModelCallGuard: opens the circuit, short-circuits, then half-opens after cooldown', async () => {
+  const { guard, clock } = createTestGuard({ maxRetries: 0 });
+  const failing = async () => {
+    throw httpError(503);
+  };
+
+  for (let i = 0; i < 3; i += 1) {
+    await assert.rejects(guard.run('down', failing, { timeoutMs: 1000 }), { status: 503 });
+  }
+  assert.equal(guard.getBreakerState('down').state, 'open');
+
+  let called = false;
+  await assert.rejects(guard.run('down', async () => {
+    called = true;
+  }, { timeoutMs: 1000 }), { code: 'llm_circuit_open' });
+  assert.equal(called, false);
+
+  clock.now = 60000;
+  assert.equal(guard.getBreakerState('down').state, 'half_open');
+  assert.equal(await guard.run('down', async () => 'recovered', { timeoutMs: 1000 }), 'recovered');
+  assert.deepEqual(guard.getBreakerState('down'), { state: 'closed', consecutive_failures: 0, retry_at: null });
+});
+
+test('createModelCallGuard: client errors leave the failure count and half-open state untouched', async () => {
+  const { guard, clock } = createTestGuard({ maxRetries: 0 });
+  const unavailable = async () => {
+    throw httpError(503);
+  };
+  const badRequest = async () => {
+    throw httpError(400);
+  };
+
+  await assert.rejects(guard.run('flaky', unavailable, { timeoutMs: 1000 }), { status: 503 });
+  await assert.rejects(guard.run('flaky', unavailable, { timeoutMs: 1000 }), { status: 503 });
+  await assert.rejects(guard.run('flaky', badRequest, { timeoutMs: 1000 }), { status: 400 });
+  assert.equal(guard.getBreakerState('flaky').consecutive_failures, 2);
+  await assert.rejects(guard.run('flaky', unavailable, { timeoutMs: 1000 }), { status: 503 });
+  assert.equal(guard.getBreakerState('flaky').state, 'open');
+
+  // 半开试探得到 400 时保持半开，下一次调用仍可试探
+  clock.now = 60000;
+  await assert.rejects(guard.run('flaky', badRequest, { timeoutMs: 1000 }), { status: 400 });
+  assert.equal(guard.getBreakerState('flaky').state, 'half_open');
+  assert.equal(await guard.run('flaky', async () => 'ok', { timeoutMs: 1000 }), 'ok');
+  assert.equal(guard.getBreakerState('flaky').state, 'closed');
+});
+
+test('createModelCallGuard: a failed half-open trial surfaces the upstream error instead of retrying', async () => {
+  const { guard, clock, delays } = createTestGuard({ maxRetries: 2 });
+  let calls = 0;
+  const failing = async () => {
+    calls += 1;
+    throw httpError(500);
+  };
+
+  // 第 3 次失败时熔断打开，抛出上游错误
+  await assert.rejects(guard.run('shaky', failing, { timeoutMs: 1000 }), { status: 500 });
+  assert.equal(calls, 3);
+  assert.equal(guard.getBreakerState('shaky').state, 'open');
+
+  clock.now = 60000;
+  delays.length = 0;
+  await assert.rejects(guard.run('shaky', failing, { timeoutMs: 1000 }), { status: 500 });
+  assert.equal(calls, 4);
+  assert.equal(delays.length, 0);
+  assert.equal(guard.getBreakerState('shaky').state, 'open');
+});
+
+test('runReplyPipeline: answers with the canned fallback while the circuit is open', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ error: 'unavailable', status: 503 }, { error: 'unavailable', status: 503 }, { error: 'unavailable', status: 503 });
+  const input = {
+    history: [],
+    personality: 'test bot',
+    targetMessage: 'hi',
+    targetSender: 'alice',
+    pipelineMode: 'single',
+  };
+
+  await assert.rejects(runReplyPipeline(input), { status: 503 });
+  assert.equal(getCircuitBreakerState('mock').state, 'open');
+
+  const result = await runReplyPipeline(input);
+  assert.equal(result.reply, '*模型暂时不可用*');
+  assert.deepEqual(result.memory.items, []);
+  assert.equal(mock.getCalls().length, 3);
+});
@@ -0,0 +1,87 @@
+/**
+ * 模块职责：
+ * 按 provider + 模型解析实际能力（JSON mode、不支持的请求参数），并处理推理模型的输出：
+ * - 能力来源：provider.capabilities → provider.modelCapabilities[model] → 运行时从 400 错误中学到的参数
+ * - 推理过程（reasoning_content / reasoning / <think> 块）与正文分离，只用于日志排查
+ */
+
+/**
+ * @typedef {import('../../../shared/contracts').ModelProviderDefinition} ModelProviderDefinition
+ * @typedef {import('../../../shared/contracts').ModelRequestParam} ModelRequestParam
+ */
+
+// 运行时学到的不支持参数：`${providerId}:${model}` -> Set<param>
+/** @type {Map<string, Set<ModelRequestParam>>} */
+const learnedUnsupportedParams = new Map();
+
+// 部分本地推理模型（Ollama/llama.cpp 上的 R1/QwQ 等）把推理过程以 <think> 块写在正文开头
+const THINK_BLOCK_PATTERN = /^\s*<think>([\s\S]*?)(?:<\/think>|$)/i;
+
+/**
+ * 解析模型的实际能力。
+ * @param {ModelProviderDefinition} provider
+ * @param {string} model
+ * @returns {{ jsonMode: boolean, unsupportedParams: Set<ModelRequestParam> }}
+ */
+export function getModelCapabilities(provider, model) {
+  const override = provider.modelCapabilities?.[model] || {};
+  const unsupportedParams = new Set([
+    ...(override.unsupportedParams || []),
+    ...(learnedUnsupportedParams.get(`${provider.id}:${model}`) || []),
+  ]);
+  const jsonMode = (override.jsonMode ?? provider.capabilities.jsonMode) && !unsupportedParams.has('response_format');
+  return { jsonMode, unsupportedParams };
+}
+
+/**
+ * 从接口 400 错误中识别被拒绝的请求参数。
+ * @param {unknown} error
+ * @param {ModelRequestParam[]} sentParams 本次实际发送的可选参数
+ * @returns {ModelRequestParam | null}
+ */
+export function detectUnsupportedParam(error, sentParams) {
+  const status = /** @type {{ status?: number }} */ (error)?.status;
+  if (status !== 400 && status !== 422) return null;
+  const message = error instanceof Error ? error.message : String(error);
+
+  if (sentParams.includes('response_format') && /response_format|json_object|json mode/i.test(message)) {
+    return 'response_format';
+  }
+  return sentParams.find((param) => param !== 'response_format' && message.includes(param)) || null;
+}
+
+/**
+ * 记录模型不支持某参数，之后的调用自动省略（进程内有效）。
+ * @param {string} providerId
+ * @param {string} model
+ * @param {ModelRequestParam} param
+ */
+export function markParamUnsupported(providerId, model, param) {
+  const key = `${providerId}:${model}`;
+  if (!learnedUnsupportedParams.has(key)) learnedUnsupportedParams.set(key, new Set());
+  learnedUnsupportedParams.get(key)?.add(param);
+  console.warn(`[llm] ${key} rejected "${param}", omitting it from now on`);
+}
+
+/**
+ * 把 assistant 消息拆成正文与推理过程。
+ * @param {{ content?: string | null, reasoning_content?: string | null, reasoning?: string | null } | undefined} message
+ * @returns {{ text: string, reasoning: string }}
+ */
+export function splitReasoningContent(message) {
+  let text = typeof message?.content === 'string' ? message.content : '';
+  const reasoningParts = [message?.reasoning_content, message?.reasoning]
+    .filter((part) => typeof part === 'string' && part.trim().length > 0);
+
+  const thinkMatch = THINK_BLOCK_PATTERN.exec(text);
+  if (thinkMatch) {
+    if (thinkMatch[1].trim()) reasoningParts.push(thinkMatch[1]);
+    text = text.slice(thinkMatch[0].length);
+  }
+
+  return {
+    text: text.trim(),
+    reasoning: reasoningParts.map((part) => String(part).trim()).join('\n\n'),
+  };
+}
+
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-model-caps-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { detectUnsupportedParam, getModelCapabilities, splitReasoningContent } = await import('./modelCapabilities.mjs');
+const { requestChatCompletion } = await import('./chatCompletion.mjs');
+const { getMockLlmClient } = await import('./mockProvider.mjs');
+const { runReplyPipeline } = await import('../replyPipeline.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const REASONER = {
+  id: 'deepseek',
+  label: 'DeepSeek',
+  enabled: true,
+  baseUrl: 'https://api.deepseek.com',
+  models: ['deepseek-chat', 'deepseek-reasoner'],
+  capabilities: { jsonMode: true, tools: true },
+  modelCapabilities: { 'deepseek-reasoner': { jsonMode: false, unsupportedParams: ['temperature', 'top_p'] } },
+};
+
+test('getModelCapabilities: per-model overrides win over provider capabilities', () => {
+  const chat = getModelCapabilities(REASONER, 'deepseek-chat');
+  const reasoner = getModelCapabilities(REASONER, 'deepseek-reasoner');
+  assert.equal(chat.jsonMode, true);
+  assert.deepEqual([...chat.unsupportedParams], []);
+  assert.equal(reasoner.jsonMode, false);
+  assert.deepEqual([...reasoner.unsupportedParams], ['temperature', 'top_p']);
+});
+
+test('detectUnsupportedParam: maps 400 errors to the rejected parameter', () => {
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+  const sent = ['temperature', 'max_tokens', 'response_format'];
+  assert.equal(detectUnsupportedParam(badRequest("Unsupported parameter: 'temperature'"), sent), 'temperature');
+  assert.equal(detectUnsupportedParam(badRequest('This response_format type is unavailable now'), sent), 'response_format');
+  assert.equal(detectUnsupportedParam(badRequest('invalid api key'), sent), null);
+  assert.equal(detectUnsupportedParam(Object.assign(new Error('temperature'), { status: 500 }), sent), null);
+});
+
+test('splitReasoningContent: separates reasoning_content and <think> blocks from the answer', () => {
+  assert.deepEqual(
+    splitReasoningContent({ content: '{"reply":"hi"}', reasoning_content: '先想一想' }),
+    { text: '{"reply":"hi"}', reasoning: '先想一想' }
+  );
+  assert.deepEqual(
+    splitReasoningContent({ content: '<think>\n用户在打招呼\n</think>\n\n{"reply":"hi"}' }),
+    { text: '{"reply":"hi"}', reasoning: '用户在打招呼' }
+  );
+  assert.deepEqual(splitReasoningContent({ content: 'plain' }), { text: 'plain', reasoning: '' });
+  assert.deepEqual(splitReasoningContent(undefined), { text: '', reasoning: '' });
+});
+
+test('requestChatCompletion: learns rejected params and falls back to prompt-based JSON', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue(
+    { error: 'response_format is not supported by this model', status: 400 },
+    { json: { reply: 'ok' }, reasoning: '推理过程' }
+  );
+
+  const first = await requestChatCompletion({
+    messages: [{ role: 'user', content: 'hi' }],
+    json: true,
+    temperature: 0.5,
+  });
+  await requestChatCompletion({ messages: [{ role: 'user', content: 'again' }], json: true });
+
+  assert.deepEqual(first, { text: '{"reply":"ok"}', reasoning: '推理过程', providerId: 'mock', model: 'mock-model' });
+  const calls = mock.getCalls();
+  assert.deepEqual(calls.map((call) => call.jsonMode), [true, false, false]);
+  assert.equal(calls[1].temperature, 0.5);
+  assert.equal(calls[1].messages.at(-1).role, 'system');
+  assert.match(calls[1].messages.at(-1).content, /JSON/);
+});
+
+test('requestChatCompletion: the fallback after a slow rejection gets its own timeout', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue(
+    { error: "Unsupported parameter: 'top_p'", status: 400, delayMs: 200 },
+    { json: { reply: 'ok' }, delayMs: 200 }
+  );
+
+  const result = await requestChatCompletion({
+    messages: [{ role: 'user', content: 'hi' }],
+    topP: 0.9,
+    timeoutMs: 300,
+  });
+  assert.equal(result.text, '{"reply":"ok"}');
+  assert.deepEqual(mock.getCalls().map((call) => call.topP), [0.9, undefined]);
+});
+
+test('runReplyPipeline: reasoning never reaches the chat reply', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ json: { reply: '*你好*', memory: { items: [] } }, reasoning: 'SECRET-REASONING' });
+
+  const result = await runReplyPipeline({
+    history: [],
+    personality: 'test bot',
+    targetMessage: 'hi',
+    targetSender: 'alice',
+    pipelineMode: 'single',
+  });
+
+  assert.equal(result.reply, '*你好*');
+  assert.ok(!JSON.stringify(result).includes('SECRET-REASONING'));
+});
@@ -0,0 +1,122 @@
+/**
+ * 模块职责：
+ * 各任务模型输出的 JSON Schema（结构化输出层据此校验，并在修复 prompt 中原样提供给模型）。
+ * 只约束结构与类型；去重、截断、重要度夹紧等清洗仍由各业务模块的 normalize 函数负责。
+ */
+
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+
+const MEMORY_ITEM = {
+  type: 'object',
+  required: ['text', 'importance'],
+  properties: {
+    text: { type: 'string' },
+    importance: { type: 'number' },
+    tags: STRING_ARRAY,
+  },
+};
+
+const MEMORY = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: { type: 'array', items: MEMORY_ITEM },
+  },
+};
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+export const OUTPUT_SCHEMAS = {
+  // single 模式：回复 + 记忆
+  reply: {
+    type: 'object',
+    required: ['reply', 'memory'],
+    properties: {
+      reply: { type: 'string' },
+      memory: MEMORY,
+    },
+  },
+
+  // two_pass 第一步：只要回复
+  reply_text: {
+    type: 'object',
+    required: ['reply'],
+    properties: {
+      reply: { type: 'string' },
+    },
+  },
+
+  // two_pass 第二步：只要记忆
+  memory: {
+    type: 'object',
+    required: ['memory'],
+    properties: {
+      memory: MEMORY,
+    },
+  },
+
+  profile: {
+    type: 'object',
+    required: ['common_name', 'language', 'location', 'identity', 'likes', 'dislikes'],
+    properties: {
+      common_name: NULLABLE_STRING,
+      language: NULLABLE_STRING,
+      location: NULLABLE_STRING,
+      identity: NULLABLE_STRING,
+      likes: STRING_ARRAY,
+      dislikes: STRING_ARRAY,
+    },
+  },
+
+  digest: {
+    type: 'object',
+    required: ['highlights', 'ongoing_threads', 'stable_preferences'],
+    properties: {
+      highlights: STRING_ARRAY,
+      ongoing_threads: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['topic'],
+          properties: {
+            topic: { type: 'string' },
+            status: { type: 'string' },
+            note: { type: 'string' },
+          },
+        },
+      },
+      stable_preferences: STRING_ARRAY,
+    },
+  },
+
+  // 记忆矛盾检查：被新记忆取代的旧记忆
+  memory_conflict: {
+    type: 'object',
+    required: ['superseded'],
+    properties: {
+      superseded: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['memory_id', 'superseded_by'],
+          properties: {
+            memory_id: { type: 'string' },
+            superseded_by: { type: 'string' },
+            reason: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+
+  room_summary: {
+    type: 'object',
+    required: ['overview'],
+    properties: {
+      overview: { type: 'string' },
+      recurring_topics: STRING_ARRAY,
+      in_jokes: STRING_ARRAY,
+      norms: STRING_ARRAY,
+    },
+  },
+};
@@ -0,0 +1,152 @@
+import { OpenAI } from 'openai';
+import { SERVER_CONFIG } from '../../config.mjs';
+import { getMockLlmClient } from './mockProvider.mjs';
+
+/**
+ * 模块职责：
+ * 按 bootstrap providers 维护 OpenAI 兼容客户端注册表（DeepSeek、OpenAI、Ollama、llama.cpp 等）。
+ * 每个 provider 的客户端按需创建并缓存；不可用时给出可直接返回给调用方的原因。
+ * type=mock 的 provider 使用进程内 mock 客户端，不需要 baseUrl 与 key。
+ */
+
+// 本地 OpenAI 兼容服务不校验 key，但 SDK 要求 apiKey 非空
+const NO_API_KEY_PLACEHOLDER = 'not-needed';
+
+/**
+ * @typedef {import('../../../shared/contracts').ModelProviderDefinition} ModelProviderDefinition
+ */
+
+/**
+ * 创建 provider 注册表。
+ * @param {{
+ *   providers: ModelProviderDefinition[],
+ *   defaultProviderId: string,
+ *   env?: Record<string, string | undefined>,
+ *   createClient?: (options: { baseURL: string, apiKey: string }, provider: ModelProviderDefinition) => any,
+ * }} options
+ */
+export function createProviderRegistry({
+  providers,
+  defaultProviderId,
+  env = process.env,
+  // 重试由 modelCallGuard 统一处理，关闭 SDK 自带重试
+  createClient = (options, provider) => (provider.type === 'mock' ? getMockLlmClient() : new OpenAI({ ...options, maxRetries: 0 })),
+}) {
+  const providerById = new Map(providers.map((provider) => [provider.id, provider]));
+  /** @type {Map<string, any>} */
+  const clients = new Map();
+
+  /**
+   * provider 不可用的原因；可用时返回 null。
+   * @param {string} [providerId]
+   * @returns {string | null}
+   */
+  const getUnavailableReason = (providerId = defaultProviderId) => {
+    const provider = providerById.get(providerId);
+    if (!provider) return `unknown provider "${providerId}"`;
+    if (!provider.enabled) return `provider "${providerId}" is disabled by bootstrap config`;
+    if (provider.type !== 'mock' && !provider.baseUrl) return `provider "${providerId}" has no baseUrl configured`;
+    if (provider.models.length === 0) return `provider "${providerId}" has no models configured`;
+    if (provider.apiKeyEnv && !env[provider.apiKeyEnv]) return `${provider.apiKeyEnv} is missing on API server`;
+    return null;
+  };
+
+  return {
+    getDefaultProviderId: () => defaultProviderId,
+
+    /**
+     * @param {string} [providerId]
+     * @returns {ModelProviderDefinition | null}
+     */
+    getProvider: (providerId = defaultProviderId) => providerById.get(providerId) || null,
+
+    getUnavailableReason,
+
+    /**
+     * 获取 provider 的客户端实例（缓存）。
+     * 不可用时抛错，交由上层做错误映射。
+     * @param {string} [providerId]
+     */
+    getClient(providerId = defaultProviderId) {
+      const reason = getUnavailableReason(providerId);
+      if (reason) throw new Error(reason);
+
+      if (!clients.has(providerId)) {
+        const provider = /** @type {ModelProviderDefinition} */ (providerById.get(providerId));
+        clients.set(providerId, createClient({
+          baseURL: provider.baseUrl,
+          apiKey: (provider.apiKeyEnv && env[provider.apiKeyEnv]) || NO_API_KEY_PLACEHOLDER,
+        }, provider));
+      }
+      return clients.get(providerId);
+    },
+
+    /**
+     * 各 provider 的可用状态（供健康检查使用，不含 key）。
+     */
+    listStatuses() {
+      return providers.map((provider) => {
+        const reason = getUnavailableReason(provider.id);
+        return {
+          id: provider.id,
+          enabled: provider.enabled,
+          ready: reason === null,
+          reason,
+          models: provider.models,
+          capabilities: provider.capabilities,
+        };
+      });
+    },
+  };
+}
+
+const registry = createProviderRegistry({
+  providers: SERVER_CONFIG.llm.providers,
+  defaultProviderId: SERVER_CONFIG.bootstrap.defaults.provider,
+});
+
+/**
+ * 默认 provider（bootstrap.defaults.provider），后台任务（画像/梗概/房间总结）使用。
+ */
+export function getDefaultProviderId() {
+  return registry.getDefaultProviderId();
+}
+
+/**
+ * 读取 provider 定义；不存在时返回 null。
+ * @param {string} [providerId]
+ */
+export function getProvider(providerId) {
+  return registry.getProvider(providerId);
+}
+
+/**
+ * provider 不可用的原因（未知/禁用/缺少 baseUrl、模型或 key）；可用时返回 null。
+ * @param {string} [providerId]
+ */
+export function getProviderUnavailableReason(providerId) {
+  return registry.getUnavailableReason(providerId);
+}
+
+/**
+ * 判断 provider 是否可调用。
+ * @param {string} [providerId]
+ */
+export function isProviderReady(providerId) {
+  return registry.getUnavailableReason(providerId) === null;
+}
+
+/**
+ * 获取 provider 客户端实例；不可用时抛错。
+ * @param {string} [providerId]
+ */
+export function getProviderClient(providerId) {
+  return registry.getClient(providerId);
+}
+
+/**
+ * 列出所有 provider 的可用状态。
+ */
+export function listProviderStatuses() {
+  return registry.listStatuses();
+}
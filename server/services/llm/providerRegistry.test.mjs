@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviderRegistry } from './providerRegistry.mjs';
+
+const PROVIDERS = [
+  {
+    id: 'deepseek',
+    label: 'DeepSeek',
+    enabled: true,
+    baseUrl: 'https://api.deepseek.com',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    models: ['deepseek-chat'],
+    capabilities: { jsonMode: true, tools: true },
+  },
+  {
+    id: 'ollama',
+    label: 'Ollama',
+    enabled: true,
+    baseUrl: 'http://localhost:11434/v1',
+    models: ['qwen2.5:7b'],
+    capabilities: { jsonMode: false, tools: false },
+  },
+  {
+    id: 'off',
+    label: 'Off',
+    enabled: false,
+    baseUrl: 'http://localhost:1/v1',
+    models: ['m'],
+    capabilities: { jsonMode: false, tools: false },
+  },
+];
+
+test('createProviderRegistry: reports why a provider cannot be used', () => {
+  const registry = createProviderRegistry({ providers: PROVIDERS, defaultProviderId: 'deepseek', env: {} });
+
+  assert.equal(registry.getUnavailableReason(), 'DEEPSEEK_API_KEY is missing on API server');
+  assert.equal(registry.getUnavailableReason('ollama'), null);
+  assert.match(registry.getUnavailableReason('off'), /disabled/);
+  assert.match(registry.getUnavailableReason('nope'), /unknown provider/);
+  assert.throws(() => registry.getClient(), /DEEPSEEK_API_KEY/);
+  assert.deepEqual(
+    registry.listStatuses().map((item) => [item.id, item.ready]),
+    [['deepseek', false], ['ollama', true], ['off', false]]
+  );
+});
+
+test('createProviderRegistry: creates one cached client per provider', () => {
+  const created = [];
+  const registry = createProviderRegistry({
+    providers: PROVIDERS,
+    defaultProviderId: 'deepseek',
+    env: { DEEPSEEK_API_KEY: 'sk-test' },
+    createClient: (options) => {
+      created.push(options);
+      return { options };
+    },
+  });
+
+  const first = registry.getClient();
+  assert.equal(registry.getClient('deepseek'), first);
+  registry.getClient('ollama');
+
+  assert.deepEqual(created, [
+    { baseURL: 'https://api.deepseek.com', apiKey: 'sk-test' },
+    { baseURL: 'http://localhost:11434/v1', apiKey: 'not-needed' },
+  ]);
+});
@@ -0,0 +1,216 @@
+import { incrementCounter } from '../metrics.mjs';
+import { requestChatCompletion } from './chatCompletion.mjs';
+import { OUTPUT_SCHEMAS } from './outputSchemas.mjs';
+
+/**
+ * 模块职责：
+ * 统一的结构化输出层：从模型正文中提取 JSON → 按任务 schema 校验 →
+ * 不通过时带着错误清单发一次修复 prompt → 仍不通过则返回 ok=false 与错误清单。
+ * 每次结果计入 llm_structured_output_total{schema,outcome} 指标，不再静默吞掉解析失败。
+ */
+
+/**
+ * @typedef {keyof typeof OUTPUT_SCHEMAS} OutputSchemaName
+ */
+
+/**
+ * 校验报告（修复或失败时写入回复日志）。
+ * @typedef {Object} ValidationReport
+ * @property {string} schema
+ * @property {'repaired' | 'invalid'} outcome
+ * @property {string[]} errors 首次输出的校验错误
+ * @property {string[]} [repair_errors] 修复后仍存在的校验错误（outcome=invalid 时）
+ */
+
+/**
+ * 在字符串中找到从 start 开始、括号配平的 JSON 对象片段（跳过字符串字面量中的括号）。
+ * @param {string} text
+ * @param {number} start text[start] 必须为 '{'
+ */
+function sliceBalancedObject(text, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i += 1) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth += 1;
+    else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * 从模型正文中提取 JSON：整体解析 → Markdown 代码块 → 第一个可解析的配平对象。
+ * @param {string} text
+ * @returns {{ ok: true, value: unknown } | { ok: false, error: string }}
+ */
+export function extractModelJson(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return { ok: false, error: 'empty output' };
+
+  const candidates = [trimmed];
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(trimmed);
+  if (fenced) candidates.push(fenced[1].trim());
+  for (let start = trimmed.indexOf('{'); start !== -1; start = trimmed.indexOf('{', start + 1)) {
+    const slice = sliceBalancedObject(trimmed, start);
+    if (slice) candidates.push(slice);
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch {
+      // 尝试下一个候选
+    }
+  }
+  return { ok: false, error: 'output is not valid JSON' };
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 按 JSON Schema 子集（type/required/properties/items/enum/minimum/maximum）校验。
+ * @param {unknown} value
+ * @param {Record<string, any>} schema
+ * @param {string} [path]
+ * @returns {string[]} 错误清单（形如 `$.memory.items[0].text: expected string`），为空表示通过
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' | ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: expected one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (matchesType(value, 'object')) {
+    const record = /** @type {Record<string, unknown>} */ (value);
+    for (const key of schema.required || []) {
+      if (!(key in record)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+      if (key in record) errors.push(...validateAgainstSchema(record[key], childSchema, `${path}.${key}`));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * 提取并校验一段模型输出。
+ * @param {string} text
+ * @param {OutputSchemaName} schemaName
+ * @returns {{ value: unknown, errors: string[] }}
+ */
+export function parseStructuredOutput(text, schemaName) {
+  const extracted = extractModelJson(text);
+  if (!extracted.ok) return { value: null, errors: [`$: ${extracted.error}`] };
+  return { value: extracted.value, errors: validateAgainstSchema(extracted.value, OUTPUT_SCHEMAS[schemaName]) };
+}
+
+/**
+ * 修复 prompt：列出校验错误并附上 schema。
+ * @param {OutputSchemaName} schemaName
+ * @param {string[]} errors
+ */
+function buildRepairPrompt(schemaName, errors) {
+  return [
+    '你上一次的输出没有通过格式校验：',
+    ...errors.slice(0, 10).map((error) => `- ${error}`),
+    '',
+    '请只输出修正后的 JSON 对象，不要输出解释、推理过程或 Markdown 代码块。JSON 必须符合以下 JSON Schema：',
+    JSON.stringify(OUTPUT_SCHEMAS[schemaName]),
+  ].join('\n');
+}
+
+/**
+ * 请求一次结构化输出（JSON 模式），校验失败时自动修复一次。
+ * @param params.schema 输出 schema 名（见 OUTPUT_SCHEMAS）
+ * @param params.model 任务模型配置（resolveTaskModel 结果）
+ * @param params.messages OpenAI 格式消息
+ * @returns {Promise<{
+ *   ok: boolean,
+ *   value: any,
+ *   reasoning: string,
+ *   report: ValidationReport | null,
+ * }>} ok=false 时 value 为 null；report 仅在修复或失败时存在
+ * @throws 模型调用本身失败（超时/熔断/接口错误）时抛错
+ */
+export async function requestStructuredOutput({ schema, model, messages }) {
+  const first = await requestChatCompletion({ ...model, messages, json: true });
+  const firstResult = parseStructuredOutput(first.text, schema);
+  if (firstResult.errors.length === 0) {
+    incrementCounter('llm_structured_output_total', { schema, outcome: 'valid' });
+    return { ok: true, value: firstResult.value, reasoning: first.reasoning, report: null };
+  }
+
+  const repair = await requestChatCompletion({
+    ...model,
+    messages: [
+      ...messages,
+      { role: 'assistant', content: first.text || '（空）' },
+      { role: 'user', content: buildRepairPrompt(schema, firstResult.errors) },
+    ],
+    json: true,
+  });
+  const reasoning = [first.reasoning, repair.reasoning].filter(Boolean).join('\n\n');
+  const repairResult = parseStructuredOutput(repair.text, schema);
+
+  if (repairResult.errors.length === 0) {
+    incrementCounter('llm_structured_output_total', { schema, outcome: 'repaired' });
+    return {
+      ok: true,
+      value: repairResult.value,
+      reasoning,
+      report: { schema, outcome: 'repaired', errors: firstResult.errors },
+    };
+  }
+
+  incrementCounter('llm_structured_output_total', { schema, outcome: 'invalid' });
+  console.warn(`[llm] ${schema} output failed validation after repair: ${repairResult.errors.slice(0, 3).join('; ')}`);
+  return {
+    ok: false,
+    value: null,
+    reasoning,
+    report: { schema, outcome: 'invalid', errors: firstResult.errors, repair_errors: repairResult.errors },
+  };
+}
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-structured-output-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { extractModelJson, parseStructuredOutput, requestStructuredOutput, validateAgainstSchema } = await import('./structuredOutput.mjs');
+const { resolveTaskModel } = await import('./taskModels.mjs');
+const { getMockLlmClient } = await import('./mockProvider.mjs');
+const { getMetricsSnapshot } = await import('../metrics.mjs');
+const { runReplyPipeline } = await import('../replyPipeline.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * 读取 llm_structured_output_total 在给定 schema/outcome 下的计数。
+ */
+function countOutcome(schema, outcome) {
+  const counter = getMetricsSnapshot().counters.find((item) => (
+    item.name === 'llm_structured_output_total'
+    && item.labels.schema === schema
+    && item.labels.outcome === outcome
+  ));
+  return counter ? counter.value : 0;
+}
+
+const MESSAGES = [{ role: 'user', content: 'hi' }];
+
+test('extractModelJson: whole text, fenced block and embedded object', () => {
+  assert.deepEqual(extractModelJson('{"a":1}'), { ok: true, value: { a: 1 } });
+  assert.deepEqual(extractModelJson('结果如下：\n```json\n{"a":2}\n```'), { ok: true, value: { a: 2 } });
+  assert.deepEqual(extractModelJson('好的 {"a":"}"} 以上'), { ok: true, value: { a: '}' } });
+  assert.equal(extractModelJson('').ok, false);
+  assert.equal(extractModelJson('not json').ok, false);
+});
+
+test('validateAgainstSchema / parseStructuredOutput: report path-qualified errors', () => {
+  const schema = {
+    type: 'object',
+    required: ['items'],
+    properties: { items: { type: 'array', items: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } } } },
+  };
+  assert.deepEqual(validateAgainstSchema({ items: [{ text: 'ok' }] }, schema), []);
+  assert.deepEqual(validateAgainstSchema({ items: [{ text: 1 }, {}] }, schema), [
+    '$.items[0].text: expected string',
+    '$.items[1].text: is required',
+  ]);
+  assert.deepEqual(validateAgainstSchema(null, schema), ['$: expected object']);
+
+  assert.deepEqual(parseStructuredOutput('{"reply":"hi"}', 'reply').errors, ['$.memory: is required']);
+  assert.deepEqual(parseStructuredOutput('oops', 'reply_text').errors, ['$: output is not valid JSON']);
+});
+
+test('requestStructuredOutput: repairs once with the errors and the schema', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ content: 'not json' }, { json: { reply: 'fixed' } });
+  const before = countOutcome('reply_text', 'repaired');
+
+  const result = await requestStructuredOutput({ schema: 'reply_text', model: resolveTaskModel('reply'), messages: MESSAGES });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.value, { reply: 'fixed' });
+  assert.deepEqual(result.report, { schema: 'reply_text', outcome: 'repaired', errors: ['$: output is not valid JSON'] });
+  assert.equal(countOutcome('reply_text', 'repaired'), before + 1);
+
+  const [, repairCall] = mock.getCalls();
+  const repairPrompt = repairCall.messages.at(-1).content;
+  assert.match(repairPrompt, /output is not valid JSON/);
+  assert.match(repairPrompt, /"required":\["reply"\]/);
+});
+
+test('requestStructuredOutput: gives up after one failed repair', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ content: 'not json' }, { json: { reply: 42 } });
+  const before = countOutcome('reply_text', 'invalid');
+
+  const result = await requestStructuredOutput({ schema: 'reply_text', model: resolveTaskModel('reply'), messages: MESSAGES });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.value, null);
+  assert.deepEqual(result.report.repair_errors, ['$.reply: expected string']);
+  assert.equal(mock.getCalls().length, 2);
+  assert.equal(countOutcome('reply_text', 'invalid'), before + 1);
+});
+
+test('runReplyPipeline: surfaces the validation report of a repaired reply', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ json: { reply: '*hello*' } }, { json: { reply: '*hello*', memory: { items: [] } } });
+
+  const result = await runReplyPipeline({
+    history: [],
+    personality: 'test bot',
+    targetMessage: 'hi',
+    targetSender: 'alice',
+    pipelineMode: 'single',
+  });
+
+  assert.equal(result.reply, '*hello*');
+  assert.equal('validation' in result, false);
+  assert.equal(countOutcome('reply', 'repaired') >= 1, true);
+});
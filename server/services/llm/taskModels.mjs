@@ -0,0 +1,96 @@
+import { MODEL_TASKS, SERVER_CONFIG, normalizeTaskModelConfig } from '../../config.mjs';
+import { getDefaultProviderId, getProvider, getProviderUnavailableReason } from './providerRegistry.mjs';
+
+/**
+ * 模块职责：
+ * 按任务（reply/memory/profile/digest）解析实际使用的 provider、模型与采样参数。
+ * 优先级（后者覆盖前者）：bootstrap.models → 人设（bot 会话配置）→ 单次请求。
+ * 某一层换了 provider 却没给 model 时，model 回到该 provider 的默认模型。
+ */
+
+/**
+ * @typedef {import('../../../shared/contracts').ModelTask} ModelTask
+ * @typedef {import('../../../shared/contracts').TaskModelConfig} TaskModelConfig
+ * @typedef {import('../../../shared/contracts').TaskModelOverrides} TaskModelOverrides
+ */
+
+/**
+ * 解析结果，字段名与 requestChatCompletion 的参数一致，可直接展开传入。
+ * @typedef {Object} ResolvedTaskModel
+ * @property {string} providerId
+ * @property {string} [model] 未配置时为 provider 的默认模型；provider 未知时为 undefined
+ * @property {number} [temperature]
+ * @property {number} [topP]
+ * @property {number} [maxTokens]
+ * @property {number} [timeoutMs]
+ */
+
+/**
+ * 按顺序合并多层配置。
+ * @param {(TaskModelConfig | null | undefined)[]} layers
+ * @returns {TaskModelConfig}
+ */
+export function mergeTaskModelLayers(layers) {
+  /** @type {TaskModelConfig} */
+  const merged = {};
+  for (const layer of layers) {
+    if (!layer) continue;
+    if (layer.provider && layer.provider !== merged.provider) {
+      merged.provider = layer.provider;
+      delete merged.model;
+    }
+    if (layer.model !== undefined) merged.model = layer.model;
+    if (layer.temperature !== undefined) merged.temperature = layer.temperature;
+    if (layer.top_p !== undefined) merged.top_p = layer.top_p;
+    if (layer.max_tokens !== undefined) merged.max_tokens = layer.max_tokens;
+    if (layer.timeout_ms !== undefined) merged.timeout_ms = layer.timeout_ms;
+  }
+  return merged;
+}
+
+/**
+ * 把外部传入的覆盖项（请求体/会话配置）规范化，未知任务与非法字段忽略。
+ * @param {unknown} rawOverrides
+ * @returns {TaskModelOverrides}
+ */
+export function toTaskModelOverrides(rawOverrides) {
+  if (!rawOverrides || typeof rawOverrides !== 'object' || Array.isArray(rawOverrides)) return {};
+  const safeOverrides = /** @type {Record<string, unknown>} */ (rawOverrides);
+
+  /** @type {TaskModelOverrides} */
+  const overrides = {};
+  for (const task of MODEL_TASKS) {
+    const config = normalizeTaskModelConfig(safeOverrides[task]);
+    if (Object.keys(config).length > 0) overrides[task] = config;
+  }
+  return overrides;
+}
+
+/**
+ * 解析某个任务的模型配置。
+ * @param {ModelTask} task
+ * @param {{ layers?: (TaskModelConfig | null | undefined)[], fallbackProvider?: string }} [options]
+ *        layers 为覆盖层（低优先级在前）；fallbackProvider 为各层都未指定 provider 时使用的 provider
+ * @returns {ResolvedTaskModel}
+ */
+export function resolveTaskModel(task, { layers = [], fallbackProvider } = {}) {
+  const merged = mergeTaskModelLayers([SERVER_CONFIG.bootstrap.models[task], ...layers]);
+  const providerId = merged.provider || fallbackProvider || getDefaultProviderId();
+  return {
+    providerId,
+    model: merged.model || getProvider(providerId)?.models[0],
+    temperature: merged.temperature,
+    topP: merged.top_p,
+    maxTokens: merged.max_tokens,
+    timeoutMs: merged.timeout_ms,
+  };
+}
+
+/**
+ * 任务所用 provider 不可用的原因；可用时返回 null。
+ * @param {ModelTask} task
+ * @param {TaskModelConfig} [override] 单次请求的覆盖项
+ */
+export function getTaskModelUnavailableReason(task, override) {
+  return getProviderUnavailableReason(resolveTaskModel(task, { layers: [override] }).providerId);
+}
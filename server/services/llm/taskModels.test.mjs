@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-task-models-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { mergeTaskModelLayers, resolveTaskModel, toTaskModelOverrides } = await import('./taskModels.mjs');
+const { getMockLlmClient } = await import('./mockProvider.mjs');
+const { runReplyPipeline } = await import('../replyPipeline.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('mergeTaskModelLayers: later layers win and a provider switch resets the model', () => {
+  assert.deepEqual(
+    mergeTaskModelLayers([
+      { provider: 'deepseek', model: 'deepseek-chat', temperature: 1.4, max_tokens: 1900 },
+      null,
+      { provider: 'ollama', top_p: 0.9 },
+      { temperature: 0.2 },
+    ]),
+    { provider: 'ollama', temperature: 0.2, max_tokens: 1900, top_p: 0.9 }
+  );
+  assert.deepEqual(
+    mergeTaskModelLayers([{ provider: 'deepseek', model: 'a' }, { provider: 'deepseek' }]),
+    { provider: 'deepseek', model: 'a' }
+  );
+});
+
+test('toTaskModelOverrides: keeps known tasks and valid fields only', () => {
+  assert.deepEqual(
+    toTaskModelOverrides({
+      reply: { provider: ' mock ', temperature: 3, top_p: 0.5, max_tokens: '800' },
+      digest: { model: 'deepseek-reasoner', temperature: null },
+      memory: { temperature: 'hot' },
+      unknown: { model: 'x' },
+    }),
+    {
+      reply: { provider: 'mock', top_p: 0.5, max_tokens: 800 },
+      digest: { model: 'deepseek-reasoner' },
+    }
+  );
+  assert.deepEqual(toTaskModelOverrides(['reply']), {});
+});
+
+test('resolveTaskModel: fills defaults and falls back to the given provider', () => {
+  assert.deepEqual(resolveTaskModel('digest'), {
+    providerId: 'mock',
+    model: 'mock-model',
+    temperature: 0.7,
+    topP: undefined,
+    maxTokens: 1200,
+    timeoutMs: 120000,
+  });
+  assert.equal(resolveTaskModel('memory', { fallbackProvider: 'nope' }).providerId, 'nope');
+  assert.equal(resolveTaskModel('memory', { fallbackProvider: 'nope' }).model, undefined);
+});
+
+test('runReplyPipeline: persona and request overrides reach the model call', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+
+  await runReplyPipeline({
+    history: [],
+    personality: 'test bot',
+    targetMessage: 'hi',
+    targetSender: 'alice',
+    pipelineMode: 'two_pass',
+    personaModels: { reply: { temperature: 0.5 }, memory: { max_tokens: 300 } },
+    requestModels: { reply: { max_tokens: 100, top_p: 0.8 } },
+  });
+
+  const [replyCall, memoryCall] = mock.getCalls();
+  assert.deepEqual(
+    [replyCall.model, replyCall.temperature, replyCall.maxTokens, replyCall.topP],
+    ['mock-model', 0.5, 100, 0.8]
+  );
+  assert.deepEqual([memoryCall.temperature, memoryCall.maxTokens], [1.0, 300]);
+});
@@ -0,0 +1,182 @@
+/**
+ * 模块职责：
+ * 处理记忆之间的矛盾（如“住在北京”与之后的“搬到上海了”）：
+ * - 把同一用户的若干记忆按时间顺序交给模型，找出被更新记忆取代的旧记忆
+ * - 只接受“新取代旧”的判定，把旧记忆标记为 superseded 并记录 superseded_by
+ * - 写入新记忆时（可选）与整合记忆前（可选）各有一个入口
+ * 被取代的记忆不再进入回复 prompt、梗概与检索，但保留在库中供审计。
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import { getMemoryEmbeddings, listMemoriesForDedupe, listMemoryCandidatesByTrip, supersedeMemories } from '../db/index.mjs';
+import { requestStructuredOutput } from './llm/structuredOutput.mjs';
+import { resolveTaskModel } from './llm/taskModels.mjs';
+import { incrementCounter } from './metrics.mjs';
+import { rankMemoriesForQuery } from './memoryRetrieval.mjs';
+
+/**
+ * @typedef {Object} SupersededMemory
+ * @property {string} memory_id 被取代的旧记忆
+ * @property {string} superseded_by 取代它的新记忆
+ * @property {string} reason
+ */
+
+/**
+ * @param {{ memory_id: string, text: string, created_at: number }[]} memories 按时间正序
+ * @param {string | null} newMemoryId 只检查这条新记忆时给出
+ */
+function buildConflictPrompt(memories, newMemoryId) {
+  const payload = memories.map((item) => ({
+    memory_id: item.memory_id,
+    text: item.text,
+    created_at: item.created_at,
+  }));
+  const scope = newMemoryId
+    ? `只判断新记忆 ${newMemoryId} 是否取代了其他记忆（superseded_by 只能是 ${newMemoryId}）。`
+    : '两两比较所有记忆。';
+
+  return `
+以下是同一个用户的记忆，按写入时间从早到晚排列：
+${JSON.stringify(payload, null, 2)}
+
+请找出“已经过时、被较新记忆取代”的旧记忆。${scope}
+
+输出 JSON 格式：
+{
+  "superseded": [
+    { "memory_id": "旧记忆的 memory_id", "superseded_by": "较新记忆的 memory_id", "reason": "一句话原因" }
+  ]
+}
+
+要求：
+1. 只有新旧记忆描述同一件事且互相矛盾（如住址、工作、感情状态、计划发生变化）时才算取代。
+2. 可以同时成立的信息（如多个爱好）不算取代；内容重复也不算取代。
+3. superseded_by 必须比 memory_id 写入得更晚。
+4. 没有则输出空数组。
+`;
+}
+
+/**
+ * 请模型判断给定记忆之间的取代关系，并过滤掉不合法的判定（未知 id、旧取代新、自己取代自己）。
+ * @param params.memories 同一用户的记忆（需含 memory_id、text、created_at）
+ * @param params.newMemoryId 只检查这条新记忆时给出（可选）
+ * @param params.model 任务模型配置（resolveTaskModel 结果）
+ * @returns {Promise<SupersededMemory[]>}
+ * @throws 模型调用失败或输出校验失败时抛错
+ */
+export async function detectSupersededMemories({ memories, newMemoryId = null, model }) {
+  const ordered = [...memories].sort((a, b) => a.created_at - b.created_at);
+  if (ordered.length < 2) return [];
+
+  const { ok, value, report } = await requestStructuredOutput({
+    schema: 'memory_conflict',
+    model,
+    messages: [
+      { role: 'system', content: '你是一个严格的JSON生成器，负责核对用户记忆之间的矛盾。只输出 JSON，不要输出解释。' },
+      { role: 'user', content: buildConflictPrompt(ordered, newMemoryId) },
+    ],
+  });
+  if (!ok) {
+    throw new Error(`invalid memory_conflict output from model: ${report?.repair_errors?.slice(0, 3).join('; ')}`);
+  }
+
+  const byId = new Map(ordered.map((item) => [item.memory_id, item]));
+  const seen = new Set();
+  /** @type {SupersededMemory[]} */
+  const results = [];
+  for (const item of value.superseded) {
+    const older = byId.get(item.memory_id);
+    const newer = byId.get(item.superseded_by);
+    if (!older || !newer || older === newer || seen.has(older.memory_id)) continue;
+    if (newMemoryId && newer.memory_id !== newMemoryId) continue;
+    if (older.created_at > newer.created_at) continue;
+    seen.add(older.memory_id);
+    results.push({
+      memory_id: older.memory_id,
+      superseded_by: newer.memory_id,
+      reason: typeof item.reason === 'string' ? item.reason.trim() : '',
+    });
+  }
+  return results;
+}
+
+/**
+ * 把判定结果写回数据库。
+ * @param {SupersededMemory[]} superseded
+ * @param {'insert' | 'consolidate'} source 指标标签
+ */
+function applySuperseded(superseded, source) {
+  if (superseded.length === 0) return 0;
+  const changed = supersedeMemories(superseded.map((item) => ({
+    memoryId: item.memory_id,
+    supersededBy: item.superseded_by,
+  })));
+  incrementCounter('memory_superseded_total', { source }, changed);
+  return changed;
+}
+
+/**
+ * 新记忆写入后检查它是否取代了该用户已有的记忆（与新记忆最相关的若干条）。
+ * @param params.tripCode 用户 trip
+ * @param params.memoryId 新记忆 id
+ * @param params.text 新记忆正文
+ * @param params.embedding 新记忆向量（可选，用于挑选候选）
+ * @param params.model 任务模型配置（可选，缺省按 memory 任务解析）
+ * @param params.conversation 新记忆来自哪类会话：只与同类会话的记忆比较，私聊记忆不会让频道记忆失效
+ * @returns {Promise<SupersededMemory[]>} 实际标记的结果
+ */
+export async function checkNewMemoryConflicts({
+  tripCode,
+  memoryId,
+  text,
+  embedding = null,
+  model = resolveTaskModel('memory'),
+  conversation = 'public',
+}) {
+  if (!tripCode || !memoryId) return [];
+  const candidates = listMemoryCandidatesByTrip({
+    tripCode,
+    minImportance: SERVER_CONFIG.memory.minImportance,
+    limit: SERVER_CONFIG.memory.retrieval.candidateLimit,
+    sourceConversation: conversation === 'private' ? 'private' : 'public',
+  });
+  const newMemory = candidates.find((item) => item.memory_id === memoryId);
+  const others = candidates.filter((item) => item.memory_id !== memoryId);
+  if (!newMemory || others.length === 0) return [];
+
+  const hasEmbedding = Array.isArray(embedding) && embedding.length > 0;
+  const related = rankMemoriesForQuery({
+    memories: others,
+    queryText: text,
+    queryEmbedding: embedding,
+    embeddings: hasEmbedding ? getMemoryEmbeddings(others.map((item) => item.memory_id)) : new Map(),
+  }).slice(0, SERVER_CONFIG.memory.conflictCheck.insertCandidateLimit);
+
+  const superseded = await detectSupersededMemories({
+    memories: [...related, newMemory],
+    newMemoryId: memoryId,
+    model,
+  });
+  applySuperseded(superseded, 'insert');
+  return superseded;
+}
+
+/**
+ * 整合前检查某个用户最近写入的记忆之间的取代关系（梗概不含私聊记忆，这里也只看频道记忆）。
+ * @param params.tripCode 用户 trip
+ * @param params.modelOverride digest 任务的覆盖项（可选）
+ * @returns {Promise<SupersededMemory[]>} 实际标记的结果
+ */
+export async function resolveTripMemoryConflicts({ tripCode, modelOverride }) {
+  if (!tripCode) return [];
+  const memories = listMemoriesForDedupe({ tripCode })
+    .filter((item) => item.source_conversation !== 'private')
+    .sort((a, b) => b.created_at - a.created_at)
+    .slice(0, SERVER_CONFIG.memory.conflictCheck.consolidateMaxItems);
+
+  const superseded = await detectSupersededMemories({
+    memories,
+    model: resolveTaskModel('digest', { layers: [modelOverride] }),
+  });
+  applySuperseded(superseded, 'consolidate');
+  return superseded;
+}
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-memory-conflict-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { insertMemory, listMemoriesByTrip, listMemoryCandidatesByTrip } = await import('../db/index.mjs');
+const { getMockLlmClient } = await import('./llm/mockProvider.mjs');
+const { checkNewMemoryConflicts, resolveTripMemoryConflicts } = await import('./memoryConflictService.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const NOW = Math.floor(Date.now() / 1000);
+
+/**
+ * @param {string} tripCode
+ * @param {[string, string][]} items [memory_id, text]，按写入顺序
+ */
+function seed(tripCode, items) {
+  for (const [index, [memoryId, text]] of items.entries()) {
+    insertMemory({
+      memory_id: memoryId,
+      room_id: 'lounge',
+      trip_code: tripCode,
+      text,
+      tags_json: '[]',
+      importance: 5,
+      ttl_days: null,
+      embedding: null,
+      created_at: NOW - (items.length - index) * 60,
+    });
+  }
+}
+
+test('resolveTripMemoryConflicts: hides superseded memories but keeps them for audit', async () => {
+  seed('trip-a', [['home-bj', '住在北京'], ['cat', '养了一只橘猫'], ['home-sh', '搬到上海了']]);
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ json: { superseded: [{ memory_id: 'home-bj', superseded_by: 'home-sh', reason: '搬家了' }] } });
+
+  const result = await resolveTripMemoryConflicts({ tripCode: 'trip-a' });
+  assert.deepEqual(result, [{ memory_id: 'home-bj', superseded_by: 'home-sh', reason: '搬家了' }]);
+
+  const active = listMemoriesByTrip({ tripCode: 'trip-a', limit: 10 });
+  assert.deepEqual(active.map((row) => row.memory_id).sort(), ['cat', 'home-sh']);
+  assert.equal(listMemoryCandidatesByTrip({ tripCode: 'trip-a', minImportance: 1, limit: 10 }).length, 2);
+
+  const superseded = listMemoriesByTrip({ tripCode: 'trip-a', status: 'superseded', limit: 10 });
+  assert.equal(superseded.length, 1);
+  assert.equal(superseded[0].memory_id, 'home-bj');
+  assert.equal(superseded[0].superseded_by, 'home-sh');
+  assert.ok(superseded[0].superseded_at > 0);
+  assert.equal(listMemoriesByTrip({ tripCode: 'trip-a', status: 'all', limit: 10 }).length, 3);
+});
+
+test('resolveTripMemoryConflicts: ignores unknown ids and older-supersedes-newer judgments', async () => {
+  seed('trip-b', [['job-old', '在做后端开发'], ['job-new', '转行做设计了']]);
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({
+    json: {
+      superseded: [
+        { memory_id: 'job-new', superseded_by: 'job-old' },
+        { memory_id: 'missing', superseded_by: 'job-new' },
+        { memory_id: 'job-old', superseded_by: 'job-old' },
+      ],
+    },
+  });
+
+  assert.deepEqual(await resolveTripMemoryConflicts({ tripCode: 'trip-b' }), []);
+  assert.equal(listMemoriesByTrip({ tripCode: 'trip-b', limit: 10 }).length, 2);
+});
+
+test('checkNewMemoryConflicts: only accepts the new memory as the superseding one', async () => {
+  seed('trip-c', [['single', '单身'], ['plan-a', '打算去日本旅行'], ['plan-b', '改成去泰国旅行'], ['dating', '最近在谈恋爱']]);
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({
+    json: {
+      superseded: [
+        { memory_id: 'plan-a', superseded_by: 'plan-b' },
+        { memory_id: 'single', superseded_by: 'dating', reason: '开始恋爱' },
+      ],
+    },
+  });
+
+  const result = await checkNewMemoryConflicts({ tripCode: 'trip-c', memoryId: 'dating', text: '最近在谈恋爱' });
+  assert.deepEqual(result.map((item) => item.memory_id), ['single']);
+  assert.deepEqual(
+    listMemoriesByTrip({ tripCode: 'trip-c', limit: 10 }).map((row) => row.memory_id).sort(),
+    ['dating', 'plan-a', 'plan-b']
+  );
+
+  const prompt = mock.getCalls().at(-1).messages.at(-1).content;
+  assert.match(prompt, /"memory_id": "dating"/);
+});
@@ -0,0 +1,218 @@
+/**
+ * 模块职责：
+ * 记忆的近似重复检测与合并：
+ * - 写入时与同一用户已有记忆比较（词面相似度，两边都有向量时再比向量），命中则合并进已有记忆而不新增一行
+ * - 合并时重要度取较高者、标签取并集、刷新最近使用时间
+ * - 一次性去重任务：对已有记忆按用户聚类，支持 dry-run 只出报告
+ * 房间共享记忆（无 trip）不参与去重。
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import {
+  cosineSimilarity,
+  getMemoryEmbeddings,
+  insertMemory,
+  listMemoriesForDedupe,
+  listMemoryCandidatesByTrip,
+  mergeMemoryDuplicates,
+} from '../db/index.mjs';
+import { incrementCounter } from './metrics.mjs';
+import { lexicalSimilarity, toLexicalTerms } from './memoryRetrieval.mjs';
+
+/**
+ * @typedef {Object} DuplicateMatch
+ * @property {string} memory_id 命中的已有记忆
+ * @property {number} similarity
+ * @property {'lexical' | 'vector'} method
+ */
+
+/**
+ * 比较时忽略空白与标点、不区分大小写。
+ * @param {string} text
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+/**
+ * 在候选记忆中找与给定记忆最相似且达到阈值的一条。
+ * @param params.text 待比较的记忆正文
+ * @param params.embedding 待比较记忆的向量（可选）
+ * @param params.candidates 候选记忆（需含 memory_id、text）
+ * @param params.embeddings 候选记忆的向量（可选）
+ * @param params.thresholds 阈值，缺省取 SERVER_CONFIG.memory.dedupe
+ * @returns {DuplicateMatch | null}
+ */
+export function findNearDuplicate({
+  text,
+  embedding = null,
+  candidates,
+  embeddings = new Map(),
+  thresholds = SERVER_CONFIG.memory.dedupe,
+}) {
+  const normalized = normalizeText(text);
+  const terms = toLexicalTerms(text);
+  const hasEmbedding = Array.isArray(embedding) && embedding.length > 0;
+
+  /** @type {DuplicateMatch | null} */
+  let best = null;
+  for (const candidate of candidates) {
+    let match = null;
+    if (normalized && normalizeText(candidate.text) === normalized) {
+      match = { memory_id: candidate.memory_id, similarity: 1, method: /** @type {const} */ ('lexical') };
+    } else {
+      const lexical = lexicalSimilarity(terms, toLexicalTerms(candidate.text));
+      if (lexical >= thresholds.lexicalThreshold) {
+        match = { memory_id: candidate.memory_id, similarity: lexical, method: /** @type {const} */ ('lexical') };
+      }
+      const candidateEmbedding = embeddings.get(candidate.memory_id);
+      if (hasEmbedding && candidateEmbedding && candidateEmbedding.length === embedding.length) {
+        const vector = cosineSimilarity(embedding, candidateEmbedding);
+        if (vector >= thresholds.vectorThreshold && vector > (match?.similarity ?? 0)) {
+          match = { memory_id: candidate.memory_id, similarity: vector, method: /** @type {const} */ ('vector') };
+        }
+      }
+    }
+    if (match && match.similarity > (best?.similarity ?? 0)) best = match;
+  }
+  return best;
+}
+
+/**
+ * 标签并集（保持先后顺序）。
+ * @param {string[]} existing
+ * @param {string[]} incoming
+ */
+function mergeTags(existing, incoming) {
+  return [...new Set([...(existing || []), ...(incoming || [])])];
+}
+
+/**
+ * 是否为私聊产生的记忆（来源未知的旧记忆按频道记忆处理）。
+ * @param {{ source_conversation?: string | null }} memory
+ */
+function isPrivateMemory(memory) {
+  return memory.source_conversation === 'private';
+}
+
+/**
+ * 写入一条记忆：同一用户已有近似重复的记忆时合并进去，否则照常插入。
+ * 只与同类会话（频道 / 私聊）产生的记忆合并，避免频道记忆并入私聊记忆后从频道回复里消失。
+ * 参数与 insertMemory 相同（tags_json 为 JSON 字符串，embedding 可选）。
+ * @returns {{ action: 'inserted' | 'merged', memory_id: string, duplicate?: DuplicateMatch }}
+ */
+export function storeMemory(payload) {
+  const dedupe = SERVER_CONFIG.memory.dedupe;
+  if (dedupe.enabled && payload.trip_code) {
+    const candidates = listMemoryCandidatesByTrip({
+      tripCode: payload.trip_code,
+      minImportance: SERVER_CONFIG.memory.minImportance,
+      limit: dedupe.candidateLimit,
+      sourceConversation: isPrivateMemory(payload) ? 'private' : 'public',
+    });
+    const hasEmbedding = Array.isArray(payload.embedding) && payload.embedding.length > 0;
+    const duplicate = candidates.length > 0
+      ? findNearDuplicate({
+        text: payload.text,
+        embedding: payload.embedding,
+        candidates,
+        embeddings: hasEmbedding ? getMemoryEmbeddings(candidates.map((item) => item.memory_id)) : new Map(),
+      })
+      : null;
+
+    if (duplicate) {
+      const existing = /** @type {typeof candidates[number]} */ (candidates.find((item) => item.memory_id === duplicate.memory_id));
+      let incomingTags = [];
+      try {
+        incomingTags = JSON.parse(payload.tags_json || '[]');
+      } catch {
+        incomingTags = [];
+      }
+      mergeMemoryDuplicates({
+        memoryId: existing.memory_id,
+        importance: Math.max(existing.importance, Number(payload.importance) || 0),
+        tags: mergeTags(existing.tags, Array.isArray(incomingTags) ? incomingTags : []),
+        usedAt: Number(payload.created_at || Math.floor(Date.now() / 1000)),
+      });
+      incrementCounter('memory_dedupe_merges_total', { source: 'insert', method: duplicate.method });
+      return { action: 'merged', memory_id: existing.memory_id, duplicate };
+    }
+  }
+
+  insertMemory(payload);
+  return { action: 'inserted', memory_id: payload.memory_id };
+}
+
+/**
+ * 对已有记忆做一次去重：按用户把近似重复的记忆归到同一组，每组保留重要度最高（同分取最早）的一条。
+ * 频道记忆与私聊记忆不归到同一组。
+ * dry-run 时只返回报告，不修改数据库。
+ * @param params.dryRun 是否只出报告（默认 true）
+ * @param params.tripCode 只处理该用户（可选）
+ * @returns 报告：scanned 为参与比较的记忆数，groups 为每组保留与被合并的记忆（含相似度与判定方式）
+ */
+export function dedupeExistingMemories({ dryRun = true, tripCode = null } = {}) {
+  const memories = listMemoriesForDedupe({ tripCode });
+  const embeddings = getMemoryEmbeddings(memories.map((item) => item.memory_id));
+
+  /** @type {Map<string, typeof memories>} */
+  const byTrip = new Map();
+  for (const memory of memories) {
+    const bucket = byTrip.get(memory.trip_code) || [];
+    bucket.push(memory);
+    byTrip.set(memory.trip_code, bucket);
+  }
+
+  const groups = [];
+  for (const [trip, items] of byTrip) {
+    /** @type {{ keep: typeof items[number], merged: (typeof items[number] & { duplicate: DuplicateMatch })[] }[]} */
+    const clusters = [];
+    for (const memory of items) {
+      const duplicate = findNearDuplicate({
+        text: memory.text,
+        embedding: embeddings.get(memory.memory_id) || null,
+        candidates: clusters
+          .filter((cluster) => isPrivateMemory(cluster.keep) === isPrivateMemory(memory))
+          .map((cluster) => cluster.keep),
+        embeddings,
+      });
+      const cluster = duplicate && clusters.find((item) => item.keep.memory_id === duplicate.memory_id);
+      if (cluster) {
+        cluster.merged.push({ ...memory, duplicate });
+      } else {
+        clusters.push({ keep: memory, merged: [] });
+      }
+    }
+
+    for (const { keep, merged } of clusters) {
+      if (merged.length === 0) continue;
+      if (!dryRun) {
+        mergeMemoryDuplicates({
+          memoryId: keep.memory_id,
+          importance: Math.max(keep.importance, ...merged.map((item) => item.importance)),
+          tags: merged.reduce((tags, item) => mergeTags(tags, item.tags), keep.tags),
+          usedAt: Math.max(keep.last_used_at, ...merged.map((item) => item.last_used_at)),
+          removeMemoryIds: merged.map((item) => item.memory_id),
+        });
+        incrementCounter('memory_dedupe_merges_total', { source: 'job' }, merged.length);
+      }
+      groups.push({
+        trip_code: trip,
+        keep: { memory_id: keep.memory_id, text: keep.text, importance: keep.importance },
+        merged: merged.map((item) => ({
+          memory_id: item.memory_id,
+          text: item.text,
+          importance: item.importance,
+          similarity: Number(item.duplicate.similarity.toFixed(4)),
+          method: item.duplicate.method,
+        })),
+      });
+    }
+  }
+
+  return {
+    dry_run: dryRun,
+    scanned: memories.length,
+    merged_memories: groups.reduce((sum, group) => sum + group.merged.length, 0),
+    groups,
+  };
+}
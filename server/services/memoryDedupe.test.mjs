@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-memory-dedupe-'));
+process.env.DATA_DIR = dataDir;
+const { insertMemory, listMemoriesByTrip } = await import('../db/index.mjs');
+const { dedupeExistingMemories, findNearDuplicate, storeMemory } = await import('./memoryDedupe.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const THRESHOLDS = { lexicalThreshold: 0.8, vectorThreshold: 0.9 };
+
+/**
+ * @param {Record<string, unknown>} overrides
+ */
+const toPayload = (overrides) => ({
+  memory_id: `m-${Math.random().toString(36).slice(2)}`,
+  room_id: 'lounge',
+  trip_code: 'trip-a',
+  tags_json: '[]',
+  importance: 5,
+  ttl_days: null,
+  embedding: null,
+  ...overrides,
+});
+
+test('findNearDuplicate: matches punctuation variants, lexical overlap and close vectors', () => {
+  const candidates = [
+    { memory_id: 'coffee', text: '用户喜欢咖啡' },
+    { memory_id: 'cat', text: '用户养了一只橘猫叫小橘' },
+    { memory_id: 'work', text: '在上海工作' },
+  ];
+
+  assert.deepEqual(
+    findNearDuplicate({ text: '用户喜欢咖啡！', candidates, thresholds: THRESHOLDS }),
+    { memory_id: 'coffee', similarity: 1, method: 'lexical' }
+  );
+  assert.equal(findNearDuplicate({ text: '用户养了一只橘猫叫小橘子', candidates, thresholds: THRESHOLDS })?.memory_id, 'cat');
+  assert.equal(findNearDuplicate({ text: '用户喜欢喝茶', candidates, thresholds: THRESHOLDS }), null);
+
+  const vectorMatch = findNearDuplicate({
+    text: 'works in Shanghai',
+    embedding: [0.99, 0.1],
+    candidates,
+    embeddings: new Map([['work', [1, 0]]]),
+    thresholds: THRESHOLDS,
+  });
+  assert.equal(vectorMatch?.memory_id, 'work');
+  assert.equal(vectorMatch?.method, 'vector');
+});
+
+test('storeMemory: merges a repeated fact into the existing memory instead of inserting', () => {
+  const first = storeMemory(toPayload({ memory_id: 'coffee-1', text: '用户喜欢咖啡', tags_json: '["饮食"]', importance: 5 }));
+  const second = storeMemory(toPayload({ memory_id: 'coffee-2', text: '用户喜欢咖啡。', tags_json: '["偏好"]', importance: 7 }));
+  const otherTrip = storeMemory(toPayload({ memory_id: 'coffee-b', trip_code: 'trip-b', text: '用户喜欢咖啡' }));
+
+  assert.equal(first.action, 'inserted');
+  assert.equal(second.action, 'merged');
+  assert.equal(second.memory_id, 'coffee-1');
+  assert.equal(otherTrip.action, 'inserted');
+
+  const rows = listMemoriesByTrip({ tripCode: 'trip-a', limit: 10 });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].importance, 7);
+  assert.deepEqual(rows[0].tags, ['饮食', '偏好']);
+});
+
+test('dedupeExistingMemories: reports groups on dry-run and merges them when applied', () => {
+  insertMemory(toPayload({ memory_id: 'tea-1', trip_code: 'trip-c', text: '用户喜欢喝乌龙茶', importance: 4, tags_json: '["饮食"]' }));
+  insertMemory(toPayload({ memory_id: 'tea-2', trip_code: 'trip-c', text: '用户喜欢喝乌龙茶！', importance: 6 }));
+  insertMemory(toPayload({ memory_id: 'tea-3', trip_code: 'trip-c', text: '用户喜欢喝乌龙茶', importance: 2, tags_json: '["习惯"]' }));
+  insertMemory(toPayload({ memory_id: 'job', trip_code: 'trip-c', text: '在上海工作', importance: 3 }));
+
+  const report = dedupeExistingMemories({ tripCode: 'trip-c' });
+  assert.equal(report.dry_run, true);
+  assert.equal(report.scanned, 4);
+  assert.equal(report.merged_memories, 2);
+  assert.equal(report.groups[0].keep.memory_id, 'tea-2');
+  assert.deepEqual(report.groups[0].merged.map((item) => item.memory_id), ['tea-1', 'tea-3']);
+  assert.equal(listMemoriesByTrip({ tripCode: 'trip-c', limit: 10 }).length, 4);
+
+  const applied = dedupeExistingMemories({ dryRun: false, tripCode: 'trip-c' });
+  assert.equal(applied.merged_memories, 2);
+  const rows = listMemoriesByTrip({ tripCode: 'trip-c', limit: 10 });
+  assert.deepEqual(rows.map((row) => row.memory_id), ['tea-2', 'job']);
+  assert.deepEqual(rows[0].tags, ['饮食', '习惯']);
+
+  assert.equal(dedupeExistingMemories({ tripCode: 'trip-c' }).merged_memories, 0);
+});
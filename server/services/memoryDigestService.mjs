@@ -2,8 +2,8 @@
  * 模块职责：
  * 把用户原始 memories 汇总为“记忆梗概”结构。
  */
-import { SERVER_CONFIG } from '../config.mjs';
-import { getDeepSeekClient, isDeepSeekClientReady } from './llm/client.mjs';
+import { requestStructuredOutput } from './llm/structuredOutput.mjs';
+import { getTaskModelUnavailableReason, resolveTaskModel } from './llm/taskModels.mjs';
 
 function normalizeStringArray(value, maxLength = 12) {
   if (!Array.isArray(value)) return [];
@@ -50,34 +50,19 @@ function normalizeDigest(rawDigest, updatedAt) {
   };
 }
 
-function parseJsonResponse(text) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    const start = text.indexOf('{');
-    const end = text.lastIndexOf('}');
-    if (start === -1 || end <= start) return null;
-    try {
-      return JSON.parse(text.slice(start, end + 1));
-    } catch {
-      return null;
-    }
-  }
-}
-
 /**
- * 当前是否可用（是否已配置 DeepSeek key）。
+ * 当前是否可用（digest 任务的 provider 是否可调用）。
+ * @param modelOverride digest 任务的请求级覆盖项（可选）
  */
-export function isMemoryDigestServiceReady() {
-  return isDeepSeekClientReady();
+export function isMemoryDigestServiceReady(modelOverride) {
+  return getTaskModelUnavailableReason('digest', modelOverride) === null;
 }
 
 /**
  * 使用模型把单个用户记忆列表压缩为梗概 JSON。
+ * @param params.modelOverride digest 任务的请求级覆盖项（可选）
  */
-export async function summarizeUserMemoryDigest({ tripCode, memories, now }) {
-  const deepseekClient = getDeepSeekClient();
-
+export async function summarizeUserMemoryDigest({ tripCode, memories, now, modelOverride }) {
   const safeMemories = Array.isArray(memories) ? memories : [];
   if (!safeMemories.length) {
     return normalizeDigest({}, now);
@@ -126,18 +111,17 @@ ${JSON.stringify(memoryPayload, null, 2)}
 4. 各字段可为空数组。
 `;
 
-  const response = await deepseekClient.chat.completions.create({
-    model: SERVER_CONFIG.profile.model,
+  const { ok, value, report } = await requestStructuredOutput({
+    schema: 'digest',
+    model: resolveTaskModel('digest', { layers: [modelOverride] }),
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt },
     ],
-    response_format: { type: 'json_object' },
-    max_tokens: 1200,
-    temperature: 0.7,
   });
+  if (!ok) {
+    throw new Error(`invalid digest output from model: ${report?.repair_errors?.slice(0, 3).join('; ')}`);
+  }
 
-  const text = response.choices[0]?.message?.content || '{}';
-  const parsed = parseJsonResponse(text);
-  return normalizeDigest(parsed || {}, now);
+  return normalizeDigest(value, now);
 }
@@ -0,0 +1,106 @@
+/**
+ * 模块职责：
+ * 记忆的衰减与定期维护：
+ * - 有效重要度随闲置时间按半衰期下降，记忆被回复引用（last_used_at 刷新）后恢复
+ * - 维护任务：清理过期（TTL）记忆，删除有效重要度低于阈值的 active 记忆（superseded 记忆保留供审计），并清理孤儿向量
+ * - 定时调度（与房间总结的调度方式一致）
+ * 房间共享记忆（无 trip）不参与衰减。
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import { cleanupTtlAndVectors, countExpiredMemories, deleteMemoriesByIds, listMemoriesForDecay } from '../db/index.mjs';
+import { incrementCounter } from './metrics.mjs';
+
+const DAY_SECONDS = 86400;
+// 报告里最多列出的衰减记忆条数
+const MAX_REPORTED_ITEMS = 100;
+
+/**
+ * 计算记忆的有效重要度。
+ * @param params.importance 原始重要度
+ * @param params.lastUsedAt 最近使用时间（unix 秒）
+ * @param params.now 当前时间（unix 秒）
+ * @param params.halfLifeDays 半衰期（天），缺省取 SERVER_CONFIG.memory.decay.halfLifeDays
+ * @returns {number} 衰减关闭时返回原始重要度
+ */
+export function getEffectiveImportance({
+  importance,
+  lastUsedAt,
+  now = Math.floor(Date.now() / 1000),
+  halfLifeDays = SERVER_CONFIG.memory.decay.halfLifeDays,
+}) {
+  const base = Number(importance) || 0;
+  if (!SERVER_CONFIG.memory.decay.enabled) return base;
+  const idleDays = Math.max(0, (now - Number(lastUsedAt || now)) / DAY_SECONDS);
+  return base * 0.5 ** (idleDays / halfLifeDays);
+}
+
+/**
+ * 执行一次记忆维护：TTL 清理 + 衰减清理。
+ * dry-run 时只统计，不修改数据库。
+ * @param params.dryRun 是否只出报告（默认 false）
+ * @param params.now 当前时间（unix 秒，测试用）
+ * @returns 维护报告：decayed 为有效重要度低于阈值的记忆（从低到高，最多列出 100 条）
+ */
+export function runMemoryMaintenance({ dryRun = false, now = Math.floor(Date.now() / 1000) } = {}) {
+  const { enabled, pruneBelow } = SERVER_CONFIG.memory.decay;
+  const decayed = enabled
+    ? listMemoriesForDecay()
+      .map((item) => ({
+        memory_id: item.memory_id,
+        trip_code: item.trip_code,
+        text: item.text,
+        importance: item.importance,
+        status: item.status,
+        last_used_at: item.last_used_at,
+        effective_importance: getEffectiveImportance({ importance: item.importance, lastUsedAt: item.last_used_at, now }),
+      }))
+      .filter((item) => item.effective_importance < pruneBelow)
+      .sort((a, b) => a.effective_importance - b.effective_importance)
+    : [];
+
+  let expiredMemories;
+  let decayedMemories = decayed.length;
+  let removedVectors = 0;
+  if (dryRun) {
+    expiredMemories = countExpiredMemories();
+  } else {
+    const ttl = cleanupTtlAndVectors();
+    // TTL 清理可能已删掉部分衰减候选，以实际删除数为准
+    const decay = deleteMemoriesByIds(decayed.map((item) => item.memory_id));
+    expiredMemories = ttl.removedMemories;
+    decayedMemories = decay.removedMemories;
+    removedVectors = ttl.removedVectors + decay.removedVectors;
+    incrementCounter('memory_maintenance_removed_total', { reason: 'ttl' }, expiredMemories);
+    incrementCounter('memory_maintenance_removed_total', { reason: 'decay' }, decayedMemories);
+  }
+
+  return {
+    dry_run: dryRun,
+    decay_enabled: enabled,
+    expired_memories: expiredMemories,
+    decayed_memories: decayedMemories,
+    removed_vectors: removedVectors,
+    decayed: decayed.slice(0, MAX_REPORTED_ITEMS).map((item) => ({
+      ...item,
+      effective_importance: Number(item.effective_importance.toFixed(4)),
+    })),
+  };
+}
+
+/**
+ * 启动记忆维护定时任务，返回停止函数。
+ */
+export function startMemoryMaintenanceScheduler({ intervalMinutes = SERVER_CONFIG.memory.maintenance.intervalMinutes } = {}) {
+  const timerId = setInterval(() => {
+    try {
+      const result = runMemoryMaintenance();
+      if (result.expired_memories > 0 || result.decayed_memories > 0) {
+        console.log(`[memory-maintenance] expired=${result.expired_memories}, decayed=${result.decayed_memories}`);
+      }
+    } catch (error) {
+      console.error('[memory-maintenance] scheduled run failed:', error);
+    }
+  }, intervalMinutes * 60 * 1000);
+  timerId.unref();
+  return () => clearInterval(timerId);
+}
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-memory-maintenance-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { SERVER_CONFIG } = await import('../config.mjs');
+const { insertMemory, listMemoriesByTrip, supersedeMemories } = await import('../db/index.mjs');
+const { getMockLlmClient } = await import('./llm/mockProvider.mjs');
+const { getEffectiveImportance, runMemoryMaintenance } = await import('./memoryMaintenance.mjs');
+const { runReplyPipeline } = await import('./replyPipeline.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const DAY = 86400;
+const NOW = Math.floor(Date.now() / 1000);
+
+/**
+ * @param {Record<string, unknown>} overrides
+ */
+const seed = (overrides) => insertMemory({
+  room_id: 'lounge',
+  trip_code: 'trip-a',
+  tags_json: '[]',
+  importance: 5,
+  ttl_days: null,
+  embedding: null,
+  ...overrides,
+});
+
+test('getEffectiveImportance: halves once per half-life of idleness', () => {
+  assert.equal(getEffectiveImportance({ importance: 8, lastUsedAt: NOW, now: NOW, halfLifeDays: 30 }), 8);
+  assert.equal(getEffectiveImportance({ importance: 8, lastUsedAt: NOW - 30 * DAY, now: NOW, halfLifeDays: 30 }), 4);
+  assert.equal(getEffectiveImportance({ importance: 8, lastUsedAt: NOW - 60 * DAY, now: NOW, halfLifeDays: 30 }), 2);
+});
+
+test('runMemoryMaintenance: reports on dry-run, then removes expired and decayed memories', () => {
+  seed({ memory_id: 'fresh-trivia', text: '今天吃了面', importance: 1, created_at: NOW - DAY });
+  seed({ memory_id: 'stale-trivia', text: '去年吃过一次火锅', importance: 1, created_at: NOW - 200 * DAY });
+  seed({ memory_id: 'stale-core', text: '是一名医生', importance: 10, created_at: NOW - 200 * DAY });
+  seed({ memory_id: 'expired', text: '这周在出差', importance: 8, ttl_days: 7, created_at: NOW - 10 * DAY });
+  seed({ memory_id: 'room-shared', trip_code: null, text: '房间规则：不刷屏', importance: 1, created_at: NOW - 400 * DAY });
+
+  const report = runMemoryMaintenance({ dryRun: true, now: NOW });
+  assert.equal(report.dry_run, true);
+  assert.equal(report.expired_memories, 1);
+  assert.equal(report.decayed_memories, 1);
+  assert.deepEqual(report.decayed.map((item) => item.memory_id), ['stale-trivia']);
+  // 已过期的记忆读取时就被过滤，dry-run 后其余记忆原样保留
+  assert.equal(listMemoriesByTrip({ tripCode: 'trip-a', limit: 10 }).length, 3);
+
+  const applied = runMemoryMaintenance({ now: NOW });
+  assert.equal(applied.expired_memories, 1);
+  assert.equal(applied.decayed_memories, 1);
+  assert.deepEqual(
+    listMemoriesByTrip({ tripCode: 'trip-a', limit: 10 }).map((row) => row.memory_id).sort(),
+    ['fresh-trivia', 'stale-core']
+  );
+});
+
+test('runReplyPipeline: marks memories injected into the prompt as used', async () => {
+  seed({ memory_id: 'cat', trip_code: 'trip-b', text: '养了一只橘猫', importance: 3, created_at: NOW - 100 * DAY });
+  const before = listMemoriesByTrip({ tripCode: 'trip-b', limit: 10 })[0];
+  assert.equal(before.last_used_at, NOW - 100 * DAY);
+
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ json: { reply: '*你的橘猫还好吗*', memory: { items: [] } } });
+  await runReplyPipeline({
+    history: [{ time: 1, nick: 'bob', text: '我的猫最近很胖', type: 'message' }],
+    personality: 'test bot',
+    targetMessage: '我的猫最近很胖',
+    targetSender: 'bob',
+    targetTrip: 'trip-b',
+    botName: 'Bot',
+    pipelineMode: 'single',
+    storeEnabled: false,
+  });
+
+  const after = listMemoriesByTrip({ tripCode: 'trip-b', limit: 10 })[0];
+  assert.ok(after.last_used_at >= NOW);
+  assert.equal(runMemoryMaintenance({ dryRun: true }).decayed.some((item) => item.memory_id === 'cat'), false);
+});
+
+test('runMemoryMaintenance: superseded memories are kept for audit instead of decaying away', () => {
+  seed({ memory_id: 'old-city', trip_code: 'trip-c', text: '住在北京', importance: 1, created_at: NOW - 300 * DAY });
+  seed({ memory_id: 'new-city', trip_code: 'trip-c', text: '搬到上海了', importance: 6, created_at: NOW - DAY });
+  supersedeMemories([{ memoryId: 'old-city', supersededBy: 'new-city' }], NOW - DAY);
+
+  const report = runMemoryMaintenance({ now: NOW });
+  assert.equal(report.decayed.some((item) => item.memory_id === 'old-city'), false);
+  const [oldCity] = listMemoriesByTrip({ tripCode: 'trip-c', status: 'superseded', limit: 10 });
+  assert.equal(oldCity.memory_id, 'old-city');
+  assert.equal(oldCity.superseded_by, 'new-city');
+});
+
+test('memory maintenance schedule is off by default so upgraded databases are not pruned unattended', () => {
+  assert.equal(SERVER_CONFIG.memory.maintenance.scheduleEnabled, false);
+});
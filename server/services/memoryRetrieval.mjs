@@ -0,0 +1,172 @@
+/**
+ * 模块职责：
+ * 回复时按当前消息检索记忆（混合排序）：
+ * - 词面相似度：拉丁词 + 中日韩字符二元组的集合余弦（按候选中的最高分归一）
+ * - 向量相似度：提供 queryEmbedding 且记忆有向量时计算（vec0 与 json_fallback 模式都在进程内算）
+ * - 重要度与新近度（按最近使用时间的半衰期衰减）
+ * 各项按 SERVER_CONFIG.memory.retrieval.weights 加权；某项对某条记忆不可用时按其余权重归一，不额外扣分。
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import { cosineSimilarity, getMemoryEmbeddings, listMemoryCandidatesByTrip } from '../db/index.mjs';
+
+/**
+ * @typedef {'lexical' | 'vector' | 'importance' | 'recency'} RetrievalSignal
+ */
+
+const LATIN_WORD_PATTERN = /[\p{Script=Latin}\p{N}]+/gu;
+const CJK_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+
+/**
+ * 把文本拆成词面特征：拉丁词/数字按整词（小写），中日韩文本按相邻二字组（单字成段时取单字）。
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+export function toLexicalTerms(text) {
+  const value = String(text || '').toLowerCase();
+  const terms = new Set(value.match(LATIN_WORD_PATTERN) || []);
+  for (const run of value.match(CJK_RUN_PATTERN) || []) {
+    const chars = [...run];
+    if (chars.length === 1) {
+      terms.add(chars[0]);
+      continue;
+    }
+    for (let index = 0; index < chars.length - 1; index += 1) {
+      terms.add(chars[index] + chars[index + 1]);
+    }
+  }
+  return terms;
+}
+
+/**
+ * 两组词面特征的集合余弦相似度（0~1）。
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ */
+export function lexicalSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared += 1;
+  }
+  return shared / Math.sqrt(a.size * b.size);
+}
+
+/**
+ * 重要度归一到 0~1。
+ * @param {number} importance
+ */
+function normalizeImportance(importance) {
+  const { minImportance, maxImportance } = SERVER_CONFIG.memory;
+  const value = Math.max(minImportance, Math.min(maxImportance, Number(importance) || minImportance));
+  return maxImportance === minImportance ? 1 : (value - minImportance) / (maxImportance - minImportance);
+}
+
+/**
+ * 新近度：距最近使用（无则取创建时间）每过一个半衰期得分减半。
+ * @param {{ last_used_at?: number | null, created_at?: number | null }} memory
+ * @param {number} now unix 秒
+ * @param {number} halfLifeDays
+ */
+function recencyScore(memory, now, halfLifeDays) {
+  const usedAt = Number(memory.last_used_at || memory.created_at || 0);
+  if (!usedAt) return 0;
+  const ageDays = Math.max(0, now - usedAt) / 86400;
+  return 0.5 ** (ageDays / halfLifeDays);
+}
+
+/**
+ * 对候选记忆按与当前消息的相关度打分并排序（得分从高到低，同分按重要度、创建时间）。
+ * @template {{ memory_id: string, text: string, importance: number, created_at?: number | null, last_used_at?: number | null }} T
+ * @param params.memories 候选记忆
+ * @param params.queryText 当前消息文本（可选）
+ * @param params.queryEmbedding 当前消息向量（可选）
+ * @param params.embeddings memory_id -> 向量（可选）
+ * @param params.weights 各项权重，缺省取 SERVER_CONFIG.memory.retrieval.weights
+ * @param params.recencyHalfLifeDays 新近度半衰期（天）
+ * @param params.now 当前时间（unix 秒）
+ * @returns {(T & { score: number, signals: Partial<Record<RetrievalSignal, number>> })[]}
+ */
+export function rankMemoriesForQuery({
+  memories,
+  queryText = '',
+  queryEmbedding = null,
+  embeddings = new Map(),
+  weights = SERVER_CONFIG.memory.retrieval.weights,
+  recencyHalfLifeDays = SERVER_CONFIG.memory.retrieval.recencyHalfLifeDays,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  const queryTerms = toLexicalTerms(queryText);
+  const hasQueryEmbedding = Array.isArray(queryEmbedding) && queryEmbedding.length > 0;
+
+  const candidates = Array.isArray(memories) ? memories : [];
+  const lexicalScores = queryTerms.size > 0
+    ? candidates.map((memory) => lexicalSimilarity(queryTerms, toLexicalTerms(memory.text)))
+    : [];
+  // 短文本的二字组重合度天然偏低，按候选中的最高分归一，让最贴近当前消息的记忆拿满分
+  const maxLexicalScore = Math.max(0, ...lexicalScores);
+
+  const ranked = candidates.map((memory, index) => {
+    /** @type {Partial<Record<RetrievalSignal, number>>} */
+    const signals = {
+      importance: normalizeImportance(memory.importance),
+      recency: recencyScore(memory, now, recencyHalfLifeDays),
+    };
+    if (queryTerms.size > 0) {
+      signals.lexical = maxLexicalScore > 0 ? lexicalScores[index] / maxLexicalScore : 0;
+    }
+    const embedding = embeddings.get(memory.memory_id);
+    if (hasQueryEmbedding && embedding && embedding.length === queryEmbedding.length) {
+      // 负相关与不相关同等看待
+      signals.vector = Math.max(0, cosineSimilarity(queryEmbedding, embedding));
+    }
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (const [signal, value] of Object.entries(signals)) {
+      const weight = Number(weights[signal]) || 0;
+      weightedSum += weight * value;
+      totalWeight += weight;
+    }
+    return { ...memory, score: totalWeight > 0 ? weightedSum / totalWeight : 0, signals };
+  });
+
+  return ranked.sort((a, b) => (
+    b.score - a.score
+    || b.importance - a.importance
+    || Number(b.created_at || 0) - Number(a.created_at || 0)
+  ));
+}
+
+/**
+ * 为回复 prompt 检索某个用户的记忆：取候选 -> 读向量（提供 queryEmbedding 时）-> 混合打分 -> 取前 limit 条。
+ * @param params.tripCode 用户 trip
+ * @param params.queryText 当前消息文本
+ * @param params.queryEmbedding 当前消息向量（可选）
+ * @param params.minImportance 重要度阈值
+ * @param params.limit 返回条数
+ * @param params.conversation 回复所在会话：public 时不取私聊产生的记忆
+ */
+export function retrieveMemoriesForReply({
+  tripCode,
+  conversation = 'public',
+  queryText = '',
+  queryEmbedding = null,
+  minImportance = SERVER_CONFIG.memory.promptMinImportance,
+  limit = SERVER_CONFIG.memory.promptMaxItems,
+}) {
+  if (!tripCode) return [];
+  const candidates = listMemoryCandidatesByTrip({
+    tripCode,
+    minImportance,
+    limit: SERVER_CONFIG.memory.retrieval.candidateLimit,
+    sourceConversation: conversation === 'private' ? null : 'public',
+  });
+  if (candidates.length === 0) return [];
+
+  const hasQueryEmbedding = Array.isArray(queryEmbedding) && queryEmbedding.length > 0;
+  const embeddings = hasQueryEmbedding
+    ? getMemoryEmbeddings(candidates.map((item) => item.memory_id))
+    : new Map();
+  const boundedLimit = Math.max(1, Math.min(100, Math.floor(Number(limit) || 10)));
+  return rankMemoriesForQuery({ memories: candidates, queryText, queryEmbedding, embeddings }).slice(0, boundedLimit);
+}
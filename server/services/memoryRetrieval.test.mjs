@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录（需在加载 config 前设置），未配置向量扩展时为 json_fallback 模式
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-memory-retrieval-'));
+process.env.DATA_DIR = dataDir;
+const { getDbInfo, insertMemory, searchMemories } = await import('../db/index.mjs');
+const { rankMemoriesForQuery, retrieveMemoriesForReply, toLexicalTerms } = await import('./memoryRetrieval.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const NOW = 1_700_000_000;
+
+/**
+ * @param {Partial<{ memory_id: string, text: string, importance: number, created_at: number }>} overrides
+ */
+const seedMemory = (overrides) => insertMemory({
+  room_id: 'lounge',
+  trip_code: 'trip-a',
+  tags_json: '[]',
+  importance: 5,
+  ttl_days: null,
+  created_at: NOW,
+  embedding: null,
+  ...overrides,
+});
+
+test('toLexicalTerms: lowercases latin words and splits CJK text into bigrams', () => {
+  assert.deepEqual([...toLexicalTerms('Likes TypeScript 下雪天')], ['likes', 'typescript', '下雪', '雪天']);
+  assert.deepEqual([...toLexicalTerms('猫 cat')], ['cat', '猫']);
+});
+
+test('rankMemoriesForQuery: lexical relevance outranks higher importance', () => {
+  const ranked = rankMemoriesForQuery({
+    memories: [
+      { memory_id: 'a', text: '在上海工作', importance: 9, created_at: NOW },
+      { memory_id: 'b', text: '喜欢下雪天出门拍照', importance: 4, created_at: NOW },
+    ],
+    queryText: '今天下雪了',
+    weights: { lexical: 0.4, vector: 0.3, importance: 0.2, recency: 0.1 },
+    now: NOW,
+  });
+
+  assert.deepEqual(ranked.map((item) => item.memory_id), ['b', 'a']);
+  assert.equal(ranked[1].signals.lexical, 0);
+  assert.equal(ranked[0].signals.vector, undefined);
+});
+
+test('rankMemoriesForQuery: memories without embeddings are scored on the remaining signals', () => {
+  const ranked = rankMemoriesForQuery({
+    memories: [
+      { memory_id: 'with', text: 'x', importance: 1, created_at: NOW },
+      { memory_id: 'without', text: 'x', importance: 10, created_at: NOW },
+    ],
+    queryEmbedding: [1, 0],
+    embeddings: new Map([['with', [0, 1]]]),
+    weights: { lexical: 0, vector: 1, importance: 1, recency: 0 },
+    now: NOW,
+  });
+
+  assert.equal(ranked[0].memory_id, 'without');
+  assert.equal(ranked[0].score, 1);
+  assert.equal(ranked[1].signals.vector, 0);
+});
+
+test('rankMemoriesForQuery: recency halves every half-life', () => {
+  const [memory] = rankMemoriesForQuery({
+    memories: [{ memory_id: 'old', text: '', importance: 1, created_at: NOW - 10 * 86400 }],
+    weights: { lexical: 0, vector: 0, importance: 0, recency: 1 },
+    recencyHalfLifeDays: 10,
+    now: NOW,
+  });
+
+  assert.equal(memory.signals.recency, 0.5);
+});
+
+test('retrieveMemoriesForReply: ranks stored memories by relevance and vector similarity', () => {
+  seedMemory({ memory_id: 'm-work', text: '在上海做后端开发', importance: 9, embedding: [0, 1, 0] });
+  seedMemory({ memory_id: 'm-cat', text: '家里养了一只橘猫', importance: 3, embedding: [1, 0, 0] });
+  seedMemory({ memory_id: 'm-other', text: '别人的记忆：也养猫', trip_code: 'trip-b', importance: 10 });
+
+  const byText = retrieveMemoriesForReply({ tripCode: 'trip-a', queryText: '你的橘猫最近怎么样', limit: 1 });
+  assert.deepEqual(byText.map((item) => item.memory_id), ['m-cat']);
+
+  const byVector = retrieveMemoriesForReply({ tripCode: 'trip-a', queryText: '', queryEmbedding: [0.9, 0.1, 0], limit: 2 });
+  assert.deepEqual(byVector.map((item) => item.memory_id), ['m-cat', 'm-work']);
+  assert.ok(byVector[0].signals.vector > byVector[1].signals.vector);
+
+  assert.deepEqual(retrieveMemoriesForReply({ tripCode: '', queryText: '猫' }), []);
+});
+
+test('searchMemories: json_fallback mode ranks vectors by in-process cosine similarity', () => {
+  assert.equal(getDbInfo().vectorMode, 'json_fallback');
+
+  const items = searchMemories({ roomId: 'lounge', tripCode: 'trip-a', queryEmbedding: [0.1, 0.9, 0], topK: 5 });
+  assert.deepEqual(items.map((item) => item.memory_id), ['m-work', 'm-cat']);
+  assert.ok(items[0].distance < items[1].distance);
+  assert.equal(items[0].embedding_json, undefined);
+
+  // 维度不一致的向量不参与比较
+  assert.deepEqual(searchMemories({ roomId: 'lounge', tripCode: 'trip-a', queryEmbedding: [1, 0], topK: 5 }), []);
+});
@@ -0,0 +1,39 @@
+/**
+ * 模块职责：
+ * 进程内计数器（进程重启清零），通过 GET /api/metrics 查看。
+ * 只做计数，不引入外部监控依赖；需要时可由采集端定期拉取。
+ */
+
+// `${name}|${labelsJson}` -> { name, labels, value }
+/** @type {Map<string, { name: string, labels: Record<string, string>, value: number }>} */
+const counters = new Map();
+const startedAt = Math.floor(Date.now() / 1000);
+
+/**
+ * 计数器加一（或加 value）。
+ * @param {string} name 指标名
+ * @param {Record<string, string>} [labels] 维度标签
+ * @param {number} [value]
+ */
+export function incrementCounter(name, labels = {}, value = 1) {
+  const sortedLabels = Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  const key = `${name}|${JSON.stringify(sortedLabels)}`;
+  const counter = counters.get(key);
+  if (counter) {
+    counter.value += value;
+  } else {
+    counters.set(key, { name, labels: sortedLabels, value });
+  }
+}
+
+/**
+ * 当前全部计数器（按指标名排序）。
+ */
+export function getMetricsSnapshot() {
+  return {
+    started_at: startedAt,
+    counters: [...counters.values()]
+      .map((counter) => ({ ...counter, labels: { ...counter.labels } }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * 模块职责：
+ * 处理 setprofile 指令的完整流程（解析 -> 抽取 -> 合并 -> 写库）。
+ * HTTP 路由与服务端 bot 会话共用此入口。
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import { getProfileByTrip, upsertProfile, upsertRoom, upsertUser } from '../db/index.mjs';
+import { extractProfileWithModel, mergeProfile, parseSetProfileInput } from './profileExtractor.mjs';
+
+/**
+ * 从 setprofile 消息更新用户画像。
+ * @param params.roomId 当前房间（可选）
+ * @param params.tripCode 用户 trip（缺省时跳过）
+ * @param params.displayName 当前昵称
+ * @param params.messageText 原始聊天消息
+ * @param params.modelOverride profile 任务的模型覆盖项（可选）
+ * @returns ProfileUpdateResult 结构（跳过时 updated=false 并附 reason）
+ * @throws 当模型调用失败时抛错，由调用方处理
+ */
+export async function updateProfileFromMessage({ roomId, tripCode, displayName, messageText, modelOverride }) {
+  if (!tripCode) {
+    return { ok: true, updated: false, skipped: true, reason: 'missing_trip_code' };
+  }
+
+  const parsed = parseSetProfileInput(messageText);
+  if (!parsed.matched) {
+    return { ok: true, updated: false, skipped: true, reason: 'not_setprofile_command' };
+  }
+  if (!parsed.content) {
+    return { ok: true, updated: false, skipped: true, reason: 'empty_profile_content' };
+  }
+  if (parsed.content.length > SERVER_CONFIG.profile.maxInputChars) {
+    return {
+      ok: true,
+      updated: false,
+      skipped: true,
+      reason: 'profile_content_too_long',
+      max_chars: SERVER_CONFIG.profile.maxInputChars,
+    };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (roomId) upsertRoom(String(roomId), now);
+  upsertUser(String(tripCode), String(displayName), now);
+
+  const extractedProfile = await extractProfileWithModel(parsed.content, modelOverride);
+  const oldProfile = getProfileByTrip(String(tripCode)) || {};
+  const mergedProfile = mergeProfile(oldProfile, extractedProfile, String(displayName), now);
+  upsertProfile(String(tripCode), mergedProfile, now);
+
+  return {
+    ok: true,
+    updated: true,
+    profile_json: mergedProfile,
+  };
+}
@@ -2,11 +2,12 @@
  * 模块职责：
  * 处理用户画像抽取相关逻辑：
  * - setprofile 命令解析
- * - DeepSeek 结构化抽取
+ * - 模型结构化抽取（profile 任务的模型配置）
  * - 画像合并与字段清洗规则
  */
 import { SERVER_CONFIG } from '../config.mjs';
-import { getDeepSeekClient } from './llm/client.mjs';
+import { requestStructuredOutput } from './llm/structuredOutput.mjs';
+import { resolveTaskModel } from './llm/taskModels.mjs';
 
 function normalizeNullableString(value) {
   if (value === null || value === undefined) return null;
@@ -112,14 +113,13 @@ export function mergeProfile(oldProfile, newProfile, displayName, updatedAt) {
 }
 
 /**
- * 调用 DeepSeek 从自由文本中抽取结构化画像。
+ * 调用模型从自由文本中抽取结构化画像。
  * @param content setprofile 命令正文
+ * @param modelOverride profile 任务的覆盖项（人设级或请求级，可选）
  * @returns 经过结构校验与清洗的画像对象
- * @throws 当 key 缺失、JSON 非法或调用失败时抛错
+ * @throws 当 provider 不可用、JSON 非法或调用失败时抛错
  */
-export async function extractProfileWithDeepSeek(content) {
-  const deepseekClient = getDeepSeekClient();
-
+export async function extractProfileWithModel(content, modelOverride) {
   const systemPrompt = [
     '你是一个严格的JSON生成器。',
     '',
@@ -160,24 +160,17 @@ export async function extractProfileWithDeepSeek(content) {
     '}',
   ].join('\n');
 
-  const response = await deepseekClient.chat.completions.create({
-    model: SERVER_CONFIG.profile.model,
+  const { ok, value, report } = await requestStructuredOutput({
+    schema: 'profile',
+    model: resolveTaskModel('profile', { layers: [modelOverride] }),
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt },
     ],
-    response_format: { type: 'json_object' },
-    max_tokens: 500,
-    temperature: 1.0,
   });
-
-  const text = response.choices[0]?.message?.content || '{}';
-  let parsed;
-  try {
-    parsed = JSON.parse(text);
-  } catch (error) {
-    throw new Error(`invalid JSON from DeepSeek: ${error.message}`);
+  if (!ok) {
+    throw new Error(`invalid profile output from model: ${report?.repair_errors?.slice(0, 3).join('; ')}`);
   }
 
-  return validateAndNormalizeExtractedProfile(parsed, content);
+  return validateAndNormalizeExtractedProfile(value, content);
 }
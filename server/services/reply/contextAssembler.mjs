@@ -0,0 +1,193 @@
+/**
+ * 模块职责：
+ * 按 token 预算组装回复 prompt 的上下文：
+ * - 估算最近聊天、画像、记忆梗概、记忆、房间总结各部分的 token 数
+ * - 按权重分配总预算，某部分用不完的预算让给仍不够的部分
+ * - 超出预算时先裁掉各部分中优先级最低的条目（最旧的聊天、最不相关的记忆、靠后的行）
+ * - 返回各部分的预算明细，写入回复日志
+ */
+import { SERVER_CONFIG } from '../../config.mjs';
+
+/**
+ * @typedef {'history' | 'memories' | 'profile' | 'digest' | 'room_summary'} ContextSection
+ */
+
+/**
+ * @typedef {Object} ContextSectionBudget
+ * @property {number} budget 分配到的 token 预算
+ * @property {number} tokens 实际使用的 token 数
+ * @property {number} kept 保留条目数
+ * @property {number} dropped 裁掉的条目数
+ */
+
+/**
+ * 预算让渡顺序：某部分用不完的预算按此顺序让给仍不够的部分。
+ * @type {ContextSection[]}
+ */
+const SECTION_PRIORITY = ['history', 'memories', 'digest', 'profile', 'room_summary'];
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+/**
+ * 粗略估算 token 数：中日韩字符按 1 个 token 计，其余字符按 4 个字符 1 个 token 计。
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  const value = String(text || '');
+  if (!value) return 0;
+  const cjkCount = (value.match(CJK_PATTERN) || []).length;
+  return cjkCount + Math.ceil((value.length - cjkCount) / 4);
+}
+
+/**
+ * 聊天记录在 prompt 中的文本形式。
+ * @param {{ nick: string, text: string }} msg
+ */
+function toHistoryLine(msg) {
+  return `${msg.nick}: ${msg.text}`;
+}
+
+/**
+ * 单行文本的 token 数（含换行）。
+ * @param {string} line
+ */
+function estimateLineTokens(line) {
+  return estimateTokens(line) + 1;
+}
+
+/**
+ * 按预算从前往后保留条目（条目已按优先级从高到低排列）。
+ * @template T
+ * @param {{ item: T, tokens: number }[]} entries
+ * @param {number} budget
+ */
+function takeWithinBudget(entries, budget) {
+  const kept = [];
+  let tokens = 0;
+  for (const entry of entries) {
+    if (tokens + entry.tokens > budget) break;
+    kept.push(entry.item);
+    tokens += entry.tokens;
+  }
+  return { kept, tokens };
+}
+
+/**
+ * 去掉裁剪后没有条目跟随的小标题行（如 "用户稳定偏好（stable_preferences）:"）。
+ * @param {string[]} lines
+ */
+function dropDanglingHeaders(lines) {
+  return lines.filter((line, index) => !line.endsWith(':') || (lines[index + 1] || '').startsWith('- '));
+}
+
+/**
+ * 按权重分配预算，并把用不完的预算依次让给仍不够的部分。
+ * @param {Record<ContextSection, number>} needs 各部分完整放入所需的 token 数
+ * @param {number} totalTokens
+ * @param {Record<ContextSection, number>} shares
+ * @returns {Record<ContextSection, number>}
+ */
+function allocateBudget(needs, totalTokens, shares) {
+  const totalShares = SECTION_PRIORITY.reduce((sum, section) => sum + (shares[section] || 0), 0) || 1;
+  /** @type {Record<ContextSection, number>} */
+  const budgets = /** @type {any} */ ({});
+  let surplus = 0;
+  for (const section of SECTION_PRIORITY) {
+    const share = Math.floor((totalTokens * (shares[section] || 0)) / totalShares);
+    budgets[section] = Math.min(share, needs[section]);
+    surplus += share - budgets[section];
+  }
+  for (const section of SECTION_PRIORITY) {
+    const extra = Math.min(surplus, needs[section] - budgets[section]);
+    budgets[section] += extra;
+    surplus -= extra;
+  }
+  return budgets;
+}
+
+/**
+ * 组装回复 prompt 上下文。
+ * @param params.history 最近消息数组（按时间正序）
+ * @param params.profileContext 画像文本块
+ * @param params.memoryDigestContext 记忆梗概文本块
+ * @param params.memoryContext 记忆数组（按与当前消息的相关度从高到低）
+ * @param params.roomSummary 房间总结文本
+ * @param params.budget 预算配置，缺省取 SERVER_CONFIG.reply.contextBudget
+ * @returns {{
+ *   context: string,
+ *   historyMessages: import('../../../shared/contracts').ChatMessage[],
+ *   profileContext: string,
+ *   memoryContext: object[],
+ *   roomSummary: string,
+ *   breakdown: { total_tokens: number, used_tokens: number, sections: Record<ContextSection, ContextSectionBudget> },
+ * }} context 为聊天记录文本，historyMessages 为保留下来的聊天记录（按时间正序），profileContext 为画像与梗概拼接后的文本
+ */
+export function assembleReplyContext({
+  history,
+  profileContext = '',
+  memoryDigestContext = '',
+  memoryContext = [],
+  roomSummary = '',
+  budget = SERVER_CONFIG.reply.contextBudget,
+}) {
+  const toLineEntries = (text) => String(text || '')
+    .split('\n')
+    .filter((line) => line.trim().length > 0)
+    .map((line) => ({ item: line, tokens: estimateLineTokens(line) }));
+
+  // 聊天记录从新到旧排列，裁剪时先丢最旧的
+  const historyEntries = (Array.isArray(history) ? history : [])
+    .filter((msg) => msg?.type === 'message' || msg?.type === 'whisper')
+    .slice(-budget.maxHistoryMessages)
+    .reverse()
+    .map((msg) => ({ item: msg, tokens: estimateLineTokens(toHistoryLine(msg)) }));
+
+  /** @type {Record<ContextSection, { item: any, tokens: number }[]>} */
+  const entries = {
+    history: historyEntries,
+    memories: (Array.isArray(memoryContext) ? memoryContext : [])
+      .map((item) => ({ item, tokens: estimateTokens(JSON.stringify(item)) })),
+    profile: toLineEntries(profileContext),
+    digest: toLineEntries(memoryDigestContext),
+    room_summary: toLineEntries(roomSummary),
+  };
+
+  const needs = /** @type {Record<ContextSection, number>} */ (Object.fromEntries(
+    SECTION_PRIORITY.map((section) => [section, entries[section].reduce((sum, entry) => sum + entry.tokens, 0)])
+  ));
+  const budgets = allocateBudget(needs, budget.totalTokens, budget.shares);
+
+  /** @type {Record<ContextSection, any[]>} */
+  const kept = /** @type {any} */ ({});
+  /** @type {Record<ContextSection, ContextSectionBudget>} */
+  const sections = /** @type {any} */ ({});
+  for (const section of SECTION_PRIORITY) {
+    const result = takeWithinBudget(entries[section], budgets[section]);
+    kept[section] = section === 'digest' ? dropDanglingHeaders(result.kept) : result.kept;
+    sections[section] = {
+      budget: budgets[section],
+      tokens: section === 'digest'
+        ? kept.digest.reduce((sum, line) => sum + estimateLineTokens(line), 0)
+        : result.tokens,
+      kept: kept[section].length,
+      dropped: entries[section].length - kept[section].length,
+    };
+  }
+
+  const historyMessages = kept.history.reverse();
+  return {
+    context: historyMessages.map(toHistoryLine).join('\n'),
+    historyMessages,
+    profileContext: [kept.profile.join('\n'), kept.digest.join('\n')]
+      .filter((text) => text.trim().length > 0)
+      .join('\n\n'),
+    memoryContext: kept.memories,
+    roomSummary: kept.room_summary.join('\n'),
+    breakdown: {
+      total_tokens: budget.totalTokens,
+      used_tokens: SECTION_PRIORITY.reduce((sum, section) => sum + sections[section].tokens, 0),
+      sections,
+    },
+  };
+}
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assembleReplyContext, estimateTokens } from './contextAssembler.mjs';
+
+const SHARES = { history: 40, memories: 20, profile: 10, digest: 10, room_summary: 20 };
+
+/**
+ * @param {number} count
+ */
+const buildHistory = (count) => Array.from({ length: count }, (_, index) => ({
+  time: index,
+  nick: 'alice',
+  text: `第${index}条消息内容`,
+  type: 'message',
+}));
+
+test('estimateTokens: counts CJK characters individually and other text by 4 chars', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('你好'), 2);
+  assert.equal(estimateTokens('hello world!'), 3);
+  assert.equal(estimateTokens('你好 abc'), 3);
+});
+
+test('assembleReplyContext: keeps everything when the budget is large enough', () => {
+  const result = assembleReplyContext({
+    history: [...buildHistory(3), { time: 9, nick: '*', text: 'alice joined', type: 'info' }],
+    profileContext: '- common_name: "小明"',
+    memoryDigestContext: '用户稳定偏好（stable_preferences）:\n- 喜欢猫',
+    memoryContext: [{ text: '喜欢猫', importance: 8 }],
+    roomSummary: '频道概况：闲聊',
+    budget: { totalTokens: 5000, shares: SHARES, maxHistoryMessages: 40 },
+  });
+
+  assert.equal(result.context, 'alice: 第0条消息内容\nalice: 第1条消息内容\nalice: 第2条消息内容');
+  assert.equal(result.profileContext, '- common_name: "小明"\n\n用户稳定偏好（stable_preferences）:\n- 喜欢猫');
+  assert.deepEqual(result.memoryContext, [{ text: '喜欢猫', importance: 8 }]);
+  assert.equal(result.roomSummary, '频道概况：闲聊');
+  assert.equal(result.breakdown.total_tokens, 5000);
+  for (const section of Object.values(result.breakdown.sections)) {
+    assert.equal(section.dropped, 0);
+    assert.equal(section.tokens, section.budget);
+  }
+});
+
+test('assembleReplyContext: trims the oldest history and least important memories first', () => {
+  const memories = Array.from({ length: 10 }, (_, index) => ({ text: `记忆${index}`.repeat(5), importance: 10 - index }));
+  const result = assembleReplyContext({
+    history: buildHistory(50),
+    memoryContext: memories,
+    budget: { totalTokens: 300, shares: SHARES, maxHistoryMessages: 40 },
+  });
+
+  const lines = result.context.split('\n');
+  assert.equal(lines.at(-1), 'alice: 第49条消息内容');
+  assert.ok(lines.length < 40);
+  assert.equal(result.breakdown.sections.history.dropped, 40 - lines.length);
+  assert.deepEqual(result.memoryContext, memories.slice(0, result.memoryContext.length));
+  assert.ok(result.breakdown.sections.memories.dropped > 0);
+  assert.ok(result.breakdown.used_tokens <= 300);
+});
+
+test('assembleReplyContext: unused budget flows to sections that still need it', () => {
+  const result = assembleReplyContext({
+    history: buildHistory(100),
+    budget: { totalTokens: 500, shares: SHARES, maxHistoryMessages: 100 },
+  });
+
+  // 其他部分为空，整个预算都让给聊天记录
+  assert.equal(result.breakdown.sections.history.budget, 500);
+  assert.ok(result.breakdown.sections.history.tokens > 500 * 0.4);
+  assert.equal(result.profileContext, '');
+});
+
+test('assembleReplyContext: drops digest headers left without items', () => {
+  const result = assembleReplyContext({
+    memoryDigestContext: `用户记忆梗概（highlights）:\n- ${'很长的梗概'.repeat(200)}`,
+    budget: { totalTokens: 500, shares: SHARES, maxHistoryMessages: 40 },
+  });
+
+  assert.equal(result.profileContext, '');
+  assert.deepEqual(result.breakdown.sections.digest, { budget: 500, tokens: 0, kept: 0, dropped: 2 });
+});
@@ -0,0 +1,182 @@
+/**
+ * 模块职责：
+ * 把超过 hack.chat 单条消息长度的回复拆成多条：
+ * - 优先按代码块 / 段落 / 行 / 句子边界切分，实在过长才按字符硬切
+ * - 代码块独占消息，跨条时每段重新补齐 ``` 围栏
+ * - 原回复整体以 "*...*" 包裹时，每条都保留包裹（代码块除外）
+ */
+import { normalizeString } from './responseNormalizer.mjs';
+
+const CODE_FENCE_PATTERN = /```[\s\S]*?(?:```|$)/g;
+const SENTENCE_PATTERN = /.+?(?:[。！？!?；;…]+|\.(?=\s)|$)\s*/gu;
+
+/**
+ * @typedef {Object} ChunkUnit
+ * @property {string} text
+ * @property {string} sep 与同一条消息中前一个单元拼接时使用的分隔符
+ * @property {boolean} [standalone] 是否独占一条消息（代码块）
+ */
+
+/**
+ * 判断回复是否整体被单个 "*" 包裹（排除 "**粗体**"）。
+ * @param {string} text
+ */
+function isAsteriskWrapped(text) {
+  return text.length >= 3 && /^\*[^*]/.test(text) && /[^*]\*$/.test(text);
+}
+
+/**
+ * 按字符硬切：长度与出站限制一样按 UTF-16 单元（.length）计算，但只在码点边界切，避免拆坏代理对。
+ * @param {string} text
+ * @param {number} budget
+ * @returns {string[]}
+ */
+function hardSplit(text, budget) {
+  const parts = [];
+  let current = '';
+  for (const char of text) {
+    if (current && current.length + char.length > budget) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * 把单行拆成句子级单元，单句仍超长时硬切。
+ * @param {string} line
+ * @param {number} budget
+ * @param {string} sep
+ * @returns {ChunkUnit[]}
+ */
+function splitLine(line, budget, sep) {
+  if (line.length <= budget) return [{ text: line, sep }];
+  const sentences = line.match(SENTENCE_PATTERN) || [line];
+  const units = [];
+  for (const sentence of sentences) {
+    const parts = sentence.length <= budget ? [sentence] : hardSplit(sentence, budget);
+    for (const part of parts) {
+      units.push({ text: part, sep: units.length === 0 ? sep : '' });
+    }
+  }
+  return units;
+}
+
+/**
+ * 把普通文本拆成段落 -> 行 -> 句子级单元。
+ * @param {string} prose
+ * @param {number} budget
+ * @returns {ChunkUnit[]}
+ */
+function proseToUnits(prose, budget) {
+  const units = [];
+  const paragraphs = prose.split(/\n\s*\n/).map((item) => item.trim()).filter(Boolean);
+  for (const paragraph of paragraphs) {
+    const lines = paragraph.length <= budget ? [paragraph] : paragraph.split('\n');
+    lines.forEach((line, index) => {
+      units.push(...splitLine(line, budget, index === 0 ? '\n\n' : '\n'));
+    });
+  }
+  return units;
+}
+
+/**
+ * 把代码块转成单元；超长时按行拆开并为每段补齐围栏（围栏行计入长度）。
+ * 开头围栏带的语言标记过长、放不下正文时去掉语言标记；预算连空围栏都放不下时不补围栏。
+ * @param {string} block
+ * @param {number} budget
+ * @returns {ChunkUnit[]}
+ */
+function codeBlockToUnits(block, budget) {
+  const trimmed = block.trim();
+  if (trimmed.length <= budget) return [{ text: trimmed, sep: '\n', standalone: true }];
+
+  const lines = trimmed.replace(/```\s*$/, '').trimEnd().split('\n');
+  const closing = '```';
+  // 两个围栏行加上与正文之间的两个换行
+  const toBodyBudget = (fence) => budget - fence.length - closing.length - 2;
+  let opening = lines.shift() || closing;
+  if (toBodyBudget(opening) < 1) opening = closing;
+  if (toBodyBudget(opening) < 1) {
+    return hardSplit(trimmed, budget).map((text) => ({ text, sep: '\n', standalone: true }));
+  }
+  const bodyBudget = toBodyBudget(opening);
+  const units = [];
+  let body = [];
+  let bodyLength = 0;
+
+  const flush = () => {
+    if (body.length === 0) return;
+    units.push({ text: [opening, ...body, closing].join('\n'), sep: '\n', standalone: true });
+    body = [];
+    bodyLength = 0;
+  };
+
+  for (const line of lines) {
+    for (const part of line.length <= bodyBudget ? [line] : hardSplit(line, bodyBudget)) {
+      if (bodyLength + part.length + 1 > bodyBudget) flush();
+      body.push(part);
+      bodyLength += part.length + 1;
+    }
+  }
+  flush();
+  return units;
+}
+
+/**
+ * 贪心打包：尽量把相邻单元拼进同一条消息。
+ * @param {ChunkUnit[]} units
+ * @param {number} budget
+ * @returns {string[]}
+ */
+function packUnits(units, budget) {
+  const chunks = [];
+  let current = '';
+  let currentStandalone = false;
+  for (const unit of units) {
+    const candidate = current ? `${current}${unit.sep}${unit.text}` : unit.text;
+    const canMerge = !current || (!unit.standalone && !currentStandalone);
+    if (canMerge && candidate.length <= budget) {
+      current = candidate;
+      currentStandalone = Boolean(unit.standalone);
+      continue;
+    }
+    if (current) chunks.push(current);
+    current = unit.text;
+    currentStandalone = Boolean(unit.standalone);
+  }
+  if (current) chunks.push(current);
+  return chunks.map((chunk) => chunk.trim()).filter(Boolean);
+}
+
+/**
+ * 把回复拆成不超过 maxChars 的多条聊天消息。
+ * @param {string} reply 已规范化的回复文本
+ * @param {{ maxChars: number }} options
+ * @returns {string[]} 空回复返回 []
+ */
+export function splitReplyIntoChunks(reply, { maxChars }) {
+  const text = normalizeString(reply);
+  if (!text) return [];
+  if (text.length <= maxChars) return [text];
+
+  const wrapped = isAsteriskWrapped(text);
+  const inner = wrapped ? text.slice(1, -1).trim() : text;
+  const budget = Math.max(1, wrapped ? maxChars - 2 : maxChars);
+
+  const units = [];
+  let cursor = 0;
+  for (const match of inner.matchAll(CODE_FENCE_PATTERN)) {
+    units.push(...proseToUnits(inner.slice(cursor, match.index), budget));
+    units.push(...codeBlockToUnits(match[0], budget));
+    cursor = match.index + match[0].length;
+  }
+  units.push(...proseToUnits(inner.slice(cursor), budget));
+
+  const chunks = packUnits(units, budget);
+  if (!wrapped) return chunks;
+  return chunks.map((chunk) => (chunk.startsWith('```') ? chunk : `*${chunk}*`));
+}
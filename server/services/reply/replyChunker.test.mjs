@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { splitReplyIntoChunks } from './replyChunker.mjs';
+
+test('splitReplyIntoChunks: short replies are returned as a single chunk', () => {
+  assert.deepEqual(splitReplyIntoChunks('  *你好*  ', { maxChars: 50 }), ['*你好*']);
+  assert.deepEqual(splitReplyIntoChunks('   ', { maxChars: 50 }), []);
+});
+
+test('splitReplyIntoChunks: prefers paragraph and sentence boundaries and keeps * wrapping', () => {
+  const reply = '*第一句话。第二句话！\n\n第三段内容比较长一些。*';
+  const chunks = splitReplyIntoChunks(reply, { maxChars: 14 });
+
+  assert.deepEqual(chunks, ['*第一句话。第二句话！*', '*第三段内容比较长一些。*']);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 14);
+  }
+});
+
+test('splitReplyIntoChunks: long code blocks are re-fenced and never wrapped with *', () => {
+  const code = ['```js', 'const a = 1;', 'const b = 2;', 'const c = 3;', '```'].join('\n');
+  const chunks = splitReplyIntoChunks(`*看代码：\n${code}\n就这样。*`, { maxChars: 34 });
+
+  assert.equal(chunks[0], '*看代码：*');
+  assert.equal(chunks.at(-1), '*就这样。*');
+  const codeChunks = chunks.slice(1, -1);
+  assert.ok(codeChunks.length >= 2);
+  for (const chunk of codeChunks) {
+    assert.ok(chunk.startsWith('```js\n'));
+    assert.ok(chunk.endsWith(';\n```'));
+    assert.ok(chunk.length <= 34);
+  }
+});
+
+test('splitReplyIntoChunks: falls back to hard splitting when no boundary fits', () => {
+  const chunks = splitReplyIntoChunks('a'.repeat(25), { maxChars: 10 });
+  assert.deepEqual(chunks, ['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5)]);
+});
+
+test('splitReplyIntoChunks: every chunk stays within maxChars in UTF-16 units', () => {
+  const emoji = splitReplyIntoChunks('😀'.repeat(25), { maxChars: 10 });
+  assert.equal(emoji.join(''), '😀'.repeat(25));
+  for (const chunk of emoji) {
+    assert.ok(chunk.length <= 10, `chunk too long: ${chunk.length}`);
+    assert.ok(!/[\uD800-\uDBFF]$/.test(chunk), 'surrogate pair split');
+  }
+
+  const code = ['```typescript-with-a-very-long-info-string', 'const a = 1;', 'const b = 2;', 'const c = 3;', '```'].join('\n');
+  const fenced = splitReplyIntoChunks(code, { maxChars: 30 });
+  assert.ok(fenced.length >= 2);
+  for (const chunk of fenced) {
+    assert.ok(chunk.length <= 30, `chunk too long: ${chunk.length}`);
+  }
+
+  const tiny = splitReplyIntoChunks(['```js', 'const value = 1;', '```'].join('\n'), { maxChars: 7 });
+  for (const chunk of tiny) {
+    assert.ok(chunk.length <= 7, `chunk too long: ${chunk.length}`);
+  }
+});
@@ -0,0 +1,146 @@
+/**
+ * 模块职责：
+ * 对模型回复做后处理，落实 prompt 中对 reply 的硬性要求：
+ * - 去掉 "昵称:" 前缀
+ * - 删除提到“记忆”“数据库”等后台信息的句子
+ * - 总长度超限时按句子边界截断
+ * - 与 bot 最近发言完全相同时丢弃（不发送）
+ * - 整体以 "*...*" 包裹
+ * 只做确定性修正并报告违规项；是否据此重新生成由回复流程决定。
+ */
+import { SERVER_CONFIG } from '../../config.mjs';
+import { normalizeString } from './responseNormalizer.mjs';
+
+/**
+ * @typedef {'name_prefix' | 'meta_talk' | 'too_long' | 'duplicate' | 'unwrapped'} ReplyViolation
+ */
+
+/**
+ * @typedef {typeof SERVER_CONFIG.reply.postProcess} ReplyPostProcessRules
+ */
+
+// 每个位置都能匹配（标点串、换行串单独成段），拼回去与原文一致
+const SENTENCE_PATTERN = /[^。！？!?…\n]*(?:[。！？!?…]+|\n+|$)/gu;
+
+/**
+ * @param {string} value
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 去掉整体包裹的单个 "*"（"**粗体**" 不算包裹）。
+ * @param {string} text
+ * @returns {{ inner: string, wrapped: boolean }}
+ */
+function unwrapAsterisks(text) {
+  const wrapped = text.length >= 3 && /^\*[^*]/.test(text) && /[^*]\*$/.test(text);
+  return { inner: wrapped ? text.slice(1, -1).trim() : text, wrapped };
+}
+
+/**
+ * 比较用的归一化文本（去包裹、压缩空白）。
+ * @param {string} text
+ */
+function toComparableText(text) {
+  return unwrapAsterisks(normalizeString(text)).inner.replace(/\s+/g, ' ');
+}
+
+/**
+ * 去掉开头的 "昵称:" / "[昵称]：" 前缀，只认已知昵称，避免误删 "注意：" 之类的正文。
+ * @param {string} text
+ * @param {string[]} names
+ */
+function stripNamePrefix(text, names) {
+  if (names.length === 0) return text;
+  const pattern = new RegExp(`^[\\[【(（]?(?:${names.map(escapeRegExp).join('|')})[\\]】)）]?\\s*[:：]\\s*`, 'i');
+  return text.replace(pattern, '');
+}
+
+/**
+ * 删除包含任一关键词的句子。
+ * @param {string} text
+ * @param {string[]} patterns
+ */
+function stripMetaTalk(text, patterns) {
+  const keywords = patterns.map((item) => item.toLowerCase());
+  const sentences = text.match(SENTENCE_PATTERN) || [text];
+  return sentences
+    .filter((sentence) => !keywords.some((keyword) => sentence.toLowerCase().includes(keyword)))
+    .join('')
+    .trim();
+}
+
+/**
+ * 按句子边界截断到 maxChars 个字符以内（含末尾省略号），单句超长时硬切。
+ * @param {string} text
+ * @param {number} maxChars
+ */
+function truncateReply(text, maxChars) {
+  const budget = maxChars - 1;
+  let result = '';
+  for (const sentence of text.match(SENTENCE_PATTERN) || [text]) {
+    if (Array.from(result + sentence).length > budget) break;
+    result += sentence;
+  }
+  if (!result.trim()) result = Array.from(text).slice(0, budget).join('');
+  return `${result.trimEnd()}…`;
+}
+
+/**
+ * 对一条模型回复执行后处理。
+ * @param {string} reply 模型原始回复
+ * @param {Object} [options]
+ * @param {ReplyPostProcessRules} [options.rules] 缺省取 SERVER_CONFIG.reply.postProcess
+ * @param {string} [options.botName] bot 自身昵称（用于去前缀与去重）
+ * @param {import('../../../shared/contracts').ChatMessage[]} [options.history] 最近消息（提供昵称与 bot 最近发言）
+ * @returns {{ reply: string, violations: ReplyViolation[] }} 重复时 reply 为空字符串
+ */
+export function postProcessReply(reply, { rules = SERVER_CONFIG.reply.postProcess, botName = '', history = [] } = {}) {
+  let text = normalizeString(reply);
+  if (!rules.enabled || !text) return { reply: text, violations: [] };
+
+  /** @type {ReplyViolation[]} */
+  const violations = [];
+  const chatHistory = (Array.isArray(history) ? history : [])
+    .filter((msg) => msg?.type === 'message' || msg?.type === 'whisper');
+
+  const names = rules.stripNamePrefix
+    ? [...new Set([botName, ...chatHistory.map((msg) => msg.nick)])]
+      .filter((name) => typeof name === 'string' && name.trim().length > 0)
+    : [];
+
+  // 前缀可能在包裹外（"Bot: *你好*"）或包裹内（"*Bot: 你好*"）
+  const withoutOuterPrefix = stripNamePrefix(text, names);
+  const { inner, wrapped } = unwrapAsterisks(withoutOuterPrefix);
+  const withoutPrefix = stripNamePrefix(inner, names);
+  if (withoutOuterPrefix !== text || withoutPrefix !== inner) violations.push('name_prefix');
+  if (!wrapped && rules.wrapAsterisks) violations.push('unwrapped');
+  text = withoutPrefix;
+
+  if (rules.metaTalkPatterns.length > 0) {
+    const stripped = stripMetaTalk(text, rules.metaTalkPatterns);
+    if (stripped !== text) violations.push('meta_talk');
+    text = stripped;
+  }
+
+  if (rules.maxChars > 0 && Array.from(text).length > rules.maxChars) {
+    violations.push('too_long');
+    text = truncateReply(text, rules.maxChars);
+  }
+
+  if (rules.dedupeRecent > 0 && botName && text) {
+    const recentBotReplies = chatHistory
+      .filter((msg) => msg.nick === botName)
+      .slice(-rules.dedupeRecent)
+      .map((msg) => toComparableText(msg.text));
+    if (recentBotReplies.includes(toComparableText(text))) {
+      violations.push('duplicate');
+      text = '';
+    }
+  }
+
+  if (text && (rules.wrapAsterisks || wrapped)) text = `*${text}*`;
+  return { reply: text, violations };
+}
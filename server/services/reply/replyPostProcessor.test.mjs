@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-reply-postprocess-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { SERVER_CONFIG } = await import('../../config.mjs');
+const { postProcessReply } = await import('./replyPostProcessor.mjs');
+const { getMockLlmClient } = await import('../llm/mockProvider.mjs');
+const { runReplyPipeline } = await import('../replyPipeline.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const RULES = {
+  ...SERVER_CONFIG.reply.postProcess,
+  metaTalkPatterns: ['记忆', '数据库'],
+  maxChars: 20,
+  dedupeRecent: 2,
+};
+
+const HISTORY = [
+  { time: 1, nick: 'alice', text: '你好呀', type: 'message' },
+  { time: 2, nick: 'Bot', text: '*第一次问好*', type: 'message' },
+  { time: 3, nick: 'alice', text: '再说一遍', type: 'message' },
+];
+
+/**
+ * @param {string} reply
+ * @param {Partial<typeof RULES>} [rules]
+ */
+const run = (reply, rules = {}) => postProcessReply(reply, { rules: { ...RULES, ...rules }, botName: 'Bot', history: HISTORY });
+
+test('postProcessReply: compliant replies pass through untouched', () => {
+  assert.deepEqual(run('*你好，alice！*'), { reply: '*你好，alice！*', violations: [] });
+  assert.deepEqual(run('   '), { reply: '', violations: [] });
+  assert.deepEqual(run('Bot: hi', { enabled: false }), { reply: 'Bot: hi', violations: [] });
+});
+
+test('postProcessReply: wraps with * and strips known name prefixes only', () => {
+  assert.deepEqual(run('你好'), { reply: '*你好*', violations: ['unwrapped'] });
+  assert.deepEqual(run('Bot: *你好*'), { reply: '*你好*', violations: ['name_prefix'] });
+  assert.deepEqual(run('*【Bot】：你好*'), { reply: '*你好*', violations: ['name_prefix'] });
+  assert.deepEqual(run('*注意：别迟到*'), { reply: '*注意：别迟到*', violations: [] });
+  assert.deepEqual(run('你好', { wrapAsterisks: false }), { reply: '你好', violations: [] });
+});
+
+test('postProcessReply: drops meta-talk sentences and caps length at sentence boundaries', () => {
+  assert.deepEqual(run('*好的！我已经存进数据库了。下次见*'), { reply: '*好的！下次见*', violations: ['meta_talk'] });
+  assert.deepEqual(run('*我会写进记忆里。*'), { reply: '', violations: ['meta_talk'] });
+
+  const long = run('*第一句很短。第二句稍微长一点点。第三句就超出上限了。*');
+  assert.deepEqual(long, { reply: '*第一句很短。第二句稍微长一点点。…*', violations: ['too_long'] });
+  assert.equal(run(`*${'长'.repeat(30)}*`).reply, `*${'长'.repeat(19)}…*`);
+});
+
+test('postProcessReply: discards a reply identical to a recent bot message', () => {
+  assert.deepEqual(run('第一次问好'), { reply: '', violations: ['unwrapped', 'duplicate'] });
+  assert.deepEqual(run('*第一次问好*', { dedupeRecent: 0 }), { reply: '*第一次问好*', violations: [] });
+});
+
+test('runReplyPipeline: regenerates once when the reply violates the rules', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue(
+    { json: { reply: '*第一次问好*', memory: { items: [] } } },
+    { json: { reply: 'Bot: *换个说法问好*' } }
+  );
+
+  const result = await runReplyPipeline({
+    history: HISTORY,
+    personality: 'test bot',
+    targetMessage: '再说一遍',
+    targetSender: 'alice',
+    botName: 'Bot',
+    pipelineMode: 'single',
+    postProcessRules: { ...RULES, regenerateOnViolation: true },
+  });
+
+  assert.equal(result.reply, '*换个说法问好*');
+  assert.deepEqual(result.chunks, ['*换个说法问好*']);
+  const calls = mock.getCalls();
+  assert.equal(calls.length, 2);
+  assert.match(calls[1].messages.at(-1).content, /不要重复你最近说过的话/);
+});
@@ -30,21 +30,6 @@ function clampImportance(value) {
   );
 }
 
-export function parseModelJson(text) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    const start = text.indexOf('{');
-    const end = text.lastIndexOf('}');
-    if (start === -1 || end <= start) return null;
-    try {
-      return JSON.parse(text.slice(start, end + 1));
-    } catch {
-      return null;
-    }
-  }
-}
-
 function getMemoryItemsFromOutput(rawOutput) {
   const safeOutput = rawOutput && typeof rawOutput === 'object' && !Array.isArray(rawOutput)
     ? rawOutput
@@ -0,0 +1,330 @@
+/**
+ * 模块职责：
+ * 编排一次完整的回复流程：
+ * - 按 targetTrip 读取画像/记忆梗概、按与当前消息的相关度检索记忆、按 roomId 读取房间总结，按 token 预算裁剪后注入上下文
+ * - 调用 single/two_pass pipeline
+ * - 根据阈值决定记忆落库（同时生成记忆向量，近似重复的记忆合并进已有记忆）并写回复日志
+ * - 对回复做格式后处理（去前缀/元话语、截断、去重、补包裹，可选违规重写）
+ * - 把回复拆成符合聊天室长度限制的多条消息
+ * HTTP 路由与服务端 bot 会话共用此入口。
+ */
+import crypto from 'node:crypto';
+import { SERVER_CONFIG } from '../config.mjs';
+import {
+  getMemoryDigestByTrip,
+  getProfileByTrip,
+  getRoomSummary,
+  touchMemories,
+} from '../db/index.mjs';
+import { tryEmbedTexts } from './embeddingService.mjs';
+import { getProviderUnavailableReason } from './llm/providerRegistry.mjs';
+import { resolveTaskModel } from './llm/taskModels.mjs';
+import { checkNewMemoryConflicts } from './memoryConflictService.mjs';
+import { storeMemory } from './memoryDedupe.mjs';
+import { retrieveMemoriesForReply } from './memoryRetrieval.mjs';
+import { incrementCounter } from './metrics.mjs';
+import { appendReplyLog } from './replyLogger.mjs';
+import { generateModelReply, generateModelReplyTwoPass, regenerateModelReply } from './replyService.mjs';
+import { assembleReplyContext } from './reply/contextAssembler.mjs';
+import { toMemoryDigestContext, toProfileContext } from './reply/contextFormatter.mjs';
+import { splitReplyIntoChunks } from './reply/replyChunker.mjs';
+import { postProcessReply } from './reply/replyPostProcessor.mjs';
+
+/**
+ * 解析回复流程用到的 reply/memory 模型配置。
+ * provider 为会话/请求选择的回复 provider，作用于 reply；memory 未单独指定 provider 时跟随 reply。
+ * @param params.provider 回复 provider（可选）
+ * @param params.personaModels 人设级覆盖项（可选）
+ * @param params.requestModels 请求级覆盖项（可选）
+ */
+export function resolveReplyModels({ provider, personaModels, requestModels } = {}) {
+  const replyModel = resolveTaskModel('reply', {
+    layers: [provider ? { provider } : null, personaModels?.reply, requestModels?.reply],
+  });
+  const memoryModel = resolveTaskModel('memory', {
+    layers: [personaModels?.memory, requestModels?.memory],
+    fallbackProvider: replyModel.providerId,
+  });
+  return { replyModel, memoryModel };
+}
+
+/**
+ * 回复流程不可用的原因（reply 或 two_pass 的 memory provider 不可调用）；可用时返回 null。
+ * @param params 同 resolveReplyModels，另含 pipelineMode
+ */
+export function getReplyPipelineUnavailableReason({
+  pipelineMode = SERVER_CONFIG.reply.pipelineMode,
+  ...modelOptions
+} = {}) {
+  const { replyModel, memoryModel } = resolveReplyModels(modelOptions);
+  return getProviderUnavailableReason(replyModel.providerId)
+    || (pipelineMode === 'two_pass' ? getProviderUnavailableReason(memoryModel.providerId) : null);
+}
+
+/**
+ * 对模型回复执行后处理；有违规且开启 regenerateOnViolation 时重新生成一次并再次后处理。
+ * 重新生成失败或结果为空时沿用第一次的修正结果。
+ * @param params.reply 模型原始回复
+ * @param params.rules 后处理规则
+ * @param params.botName bot 自身昵称
+ * @param params.history 最近消息数组（提供昵称与 bot 最近发言）
+ * @param params.modelParams 生成回复时的参数（重新生成时复用）
+ * @returns {Promise<{ reply: string, report: object | null, reasoning?: Record<string, string>, validation?: object[] }>}
+ *          report 仅在有违规时存在，写入回复日志的 post_process 字段
+ */
+async function postProcessModelReply({ reply, rules, botName, history, modelParams }) {
+  const options = { rules, botName, history };
+  const first = postProcessReply(reply, options);
+  for (const violation of first.violations) {
+    incrementCounter('reply_postprocess_violations_total', { rule: violation });
+  }
+  if (first.violations.length === 0) return { reply: first.reply, report: null };
+  if (!rules.regenerateOnViolation) return { reply: first.reply, report: { violations: first.violations } };
+
+  try {
+    const revision = await regenerateModelReply({ ...modelParams, previousReply: reply, violations: first.violations });
+    const second = postProcessReply(revision.reply, options);
+    return {
+      reply: second.reply || first.reply,
+      report: {
+        violations: first.violations,
+        regenerated: true,
+        revision_reply: revision.reply,
+        revision_violations: second.violations,
+      },
+      reasoning: revision.reasoning,
+      validation: revision.validation,
+    };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn(`[reply] regenerate after post-process violations failed: ${message}`);
+    return { reply: first.reply, report: { violations: first.violations, regenerate_error: message } };
+  }
+}
+
+/**
+ * 执行一次回复流程。
+ * @param params.provider 回复 provider（缺省为 bootstrap.models.reply.provider 或默认 provider）
+ * @param params.personaModels/requestModels 人设级、请求级模型覆盖项（见 resolveReplyModels）
+ * @param params.history 最近消息数组
+ * @param params.personality 人格系统提示词
+ * @param params.targetMessage 当前触发消息
+ * @param params.targetMessageId 当前触发消息的 message_id（可选，已入库时用于记录记忆来源）
+ * @param params.targetSender 当前触发者昵称
+ * @param params.targetTrip 当前触发者 trip（可选，缺省时不注入也不落库记忆）
+ * @param params.roomId 当前房间
+ * @param params.botName bot 自身昵称（回复后处理用于去前缀与去重，可选）
+ * @param params.conversation 会话类型：public（频道）/ private（私聊，history 只含与该用户的私聊）
+ * @param params.promptMinImportance/promptMemoryLimit/storeMinImportance/storeEnabled/pipelineMode
+ *        已解析的覆盖项，缺省时取 SERVER_CONFIG
+ * @param params.promptMode 'flat' / 'multi_turn'（聊天记录按 user/assistant 消息发送，bot 自己的发言按 botName 识别），缺省取 SERVER_CONFIG
+ * @param params.postProcessRules 回复后处理规则，缺省取 SERVER_CONFIG.reply.postProcess
+ * @param params.contextBudget 上下文 token 预算，缺省取 SERVER_CONFIG.reply.contextBudget
+ * @returns { reply, chunks, memory: { items } }（reply 为后处理后的回复，chunks 为按序发送的消息，items 为实际落库的记忆）
+ * @throws 模型调用异常时抛错，由调用方处理（熔断且配置了 LLM_FALLBACK_REPLY 时改为返回固定回复）
+ */
+export async function runReplyPipeline({
+  provider,
+  personaModels,
+  requestModels,
+  history,
+  personality,
+  targetMessage,
+  targetMessageId = null,
+  targetSender,
+  targetTrip = '',
+  roomId = null,
+  botName = '',
+  conversation = 'public',
+  promptMinImportance = SERVER_CONFIG.memory.promptMinImportance,
+  promptMemoryLimit = SERVER_CONFIG.memory.promptMaxItems,
+  storeMinImportance = SERVER_CONFIG.memory.storeMinImportance,
+  storeEnabled = SERVER_CONFIG.memory.storeEnabled,
+  pipelineMode = SERVER_CONFIG.reply.pipelineMode,
+  promptMode = SERVER_CONFIG.reply.promptMode,
+  postProcessRules = SERVER_CONFIG.reply.postProcess,
+  contextBudget = SERVER_CONFIG.reply.contextBudget,
+}) {
+  const queryEmbeddings = targetTrip
+    ? await tryEmbedTexts([String(targetMessage || '')], 'reply query embedding')
+    : null;
+  const retrievedMemories = retrieveMemoriesForReply({
+    tripCode: targetTrip,
+    conversation,
+    queryText: targetMessage,
+    queryEmbedding: queryEmbeddings?.[0] || null,
+    minImportance: promptMinImportance,
+    limit: promptMemoryLimit,
+  });
+  /** @type {Map<object, string>} prompt 中的记忆条目 -> memory_id */
+  const memoryIdByContext = new Map();
+  const memoryContext = retrievedMemories.map((item) => {
+    const contextItem = {
+      user_trip: item.trip_code,
+      text: item.text,
+      importance: item.importance,
+      tags: item.tags,
+      source_room: item.room_id,
+      created_at: item.created_at,
+    };
+    memoryIdByContext.set(contextItem, item.memory_id);
+    return contextItem;
+  });
+  const memoryDigest = targetTrip ? getMemoryDigestByTrip(targetTrip) : null;
+  const profile = targetTrip ? getProfileByTrip(targetTrip) : null;
+  const roomSummary = roomId ? getRoomSummary(roomId)?.room_summary || '' : '';
+  const promptContext = assembleReplyContext({
+    history,
+    profileContext: toProfileContext(profile),
+    memoryDigestContext: toMemoryDigestContext(memoryDigest),
+    memoryContext,
+    roomSummary,
+    budget: contextBudget,
+  });
+
+  const { replyModel, memoryModel } = resolveReplyModels({ provider, personaModels, requestModels });
+  const modelParams = {
+    replyModel,
+    memoryModel,
+    context: promptContext.context,
+    historyMessages: promptContext.historyMessages,
+    botName,
+    promptMode,
+    personality,
+    targetMessage,
+    targetSender,
+    profileContext: promptContext.profileContext,
+    memoryContext: promptContext.memoryContext,
+    roomSummary: promptContext.roomSummary,
+    conversation,
+  };
+  let modelResult;
+  let fallbackReason = null;
+  try {
+    modelResult = pipelineMode === 'two_pass'
+      ? await generateModelReplyTwoPass(modelParams)
+      : await generateModelReply(modelParams);
+  } catch (error) {
+    // provider 熔断期间可用固定文本代替模型回复（未配置时照常抛错）
+    if (error?.code !== 'llm_circuit_open' || !SERVER_CONFIG.llm.fallbackReply) throw error;
+    modelResult = { reply: SERVER_CONFIG.llm.fallbackReply, memory: { items: [] } };
+    fallbackReason = 'circuit_open';
+  }
+
+  // 只有实际进入 prompt（未被预算裁掉）且模型给出回复的记忆才算被使用，用于衰减计算
+  if (!fallbackReason) {
+    touchMemories(promptContext.memoryContext.map((item) => memoryIdByContext.get(item)));
+  }
+
+  const candidateItems = Array.isArray(modelResult.memory?.items)
+    ? modelResult.memory.items
+    : [];
+  const memoryItemsToStore = candidateItems.filter((item) => {
+    if (!item || typeof item !== 'object') return false;
+    if (typeof item.text !== 'string' || item.text.trim().length === 0) return false;
+    const importance = Number(item.importance);
+    if (!Number.isFinite(importance) || importance < storeMinImportance) return false;
+    return Boolean(targetTrip);
+  }).map((item) => ({
+    text: String(item.text).trim(),
+    importance: Math.max(
+      SERVER_CONFIG.memory.minImportance,
+      Math.min(SERVER_CONFIG.memory.maxImportance, Math.floor(Number(item.importance)))
+    ),
+    tags: Array.isArray(item.tags)
+      ? item.tags.filter((tag) => typeof tag === 'string' && tag.trim().length > 0)
+      : [],
+  }));
+
+  const finalMemoryItems = storeEnabled ? memoryItemsToStore : [];
+
+  const storedMemories = [];
+  if (finalMemoryItems.length > 0) {
+    const displayName = targetSender ? String(targetSender) : '';
+    // 单次调用时记忆与回复由同一模型产出，two_pass 时由 memory 模型产出
+    const sourceModel = pipelineMode === 'two_pass' ? memoryModel : replyModel;
+    // 向量生成失败时照常写入记忆，之后由回填任务补上
+    const embeddings = await tryEmbedTexts(finalMemoryItems.map((item) => item.text), 'memory embedding');
+    for (const [index, memoryItem] of finalMemoryItems.entries()) {
+      const stored = storeMemory({
+        memory_id: crypto.randomUUID(),
+        room_id: roomId,
+        trip_code: targetTrip,
+        display_name: displayName,
+        text: memoryItem.text,
+        tags_json: JSON.stringify(memoryItem.tags),
+        importance: memoryItem.importance,
+        ttl_days: SERVER_CONFIG.memory.defaultTtlDays,
+        embedding: embeddings?.[index] || null,
+        source_message_id: targetMessageId,
+        source_text: String(targetMessage || ''),
+        source_sender: displayName,
+        source_pipeline: pipelineMode,
+        source_model: `${sourceModel.providerId}/${sourceModel.model}`,
+        source_conversation: conversation,
+      });
+      storedMemories.push({ memory_id: stored.memory_id, action: stored.action });
+      // 取代判定不阻塞回复，失败只记录告警
+      if (SERVER_CONFIG.memory.conflictCheck.onInsert && stored.action === 'inserted') {
+        void checkNewMemoryConflicts({
+          tripCode: targetTrip,
+          memoryId: stored.memory_id,
+          text: memoryItem.text,
+          embedding: embeddings?.[index] || null,
+          model: memoryModel,
+          conversation,
+        }).catch((error) => {
+          console.warn(`[memory] conflict check failed: ${error instanceof Error ? error.message : String(error)}`);
+        });
+      }
+    }
+  }
+
+  // 推理过程与校验报告只进日志，不参与回复与记忆
+  const { reasoning, validation, ...modelReply } = modelResult;
+  // 固定回复由管理员配置，不做后处理
+  const postProcessed = fallbackReason
+    ? { reply: String(modelReply.reply || ''), report: null }
+    : await postProcessModelReply({
+      reply: String(modelReply.reply || ''),
+      rules: postProcessRules,
+      botName,
+      history,
+      modelParams,
+    });
+  const reasoningTrace = reasoning || postProcessed.reasoning
+    ? { ...reasoning, ...postProcessed.reasoning }
+    : null;
+  const validationReports = [...(validation || []), ...(postProcessed.validation || [])];
+  appendReplyLog({
+    pipeline_mode: pipelineMode,
+    prompt_mode: promptMode,
+    conversation,
+    provider: replyModel.providerId,
+    model: replyModel.model,
+    context_budget: promptContext.breakdown,
+    ...(retrievedMemories.length > 0
+      ? {
+        memory_retrieval: retrievedMemories.map((item) => ({
+          memory_id: item.memory_id,
+          score: Number(item.score.toFixed(4)),
+        })),
+      }
+      : {}),
+    model_reply: modelReply,
+    ...(storedMemories.length > 0 ? { memory_store: storedMemories } : {}),
+    ...(reasoningTrace ? { reasoning: reasoningTrace } : {}),
+    ...(validationReports.length > 0 ? { validation: validationReports } : {}),
+    ...(postProcessed.report ? { post_process: postProcessed.report } : {}),
+    ...(fallbackReason ? { fallback: fallbackReason } : {}),
+  });
+
+  const reply = postProcessed.reply;
+  return {
+    reply,
+    chunks: splitReplyIntoChunks(reply, { maxChars: SERVER_CONFIG.reply.chunkMaxChars }),
+    memory: {
+      items: finalMemoryItems,
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-reply-pipeline-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { deleteMemoriesBySourceMessage, insertMessage, listMemoriesByTrip } = await import('../db/index.mjs');
+const { getMockLlmClient } = await import('./llm/mockProvider.mjs');
+const { runReplyPipeline } = await import('./replyPipeline.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('runReplyPipeline: stored memories record the message, sender, pipeline and model they came from', async () => {
+  const text = '我下个月要搬去杭州了';
+  const messageId = insertMessage({ roomId: 'lounge', nick: 'carol', tripCode: 'trip-c', text, time: Date.now() });
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({
+    json: {
+      reply: '*祝搬家顺利*',
+      memory: { items: [{ text: '下个月搬去杭州', importance: 6, tags: ['居住'] }, { text: '正在找房子', importance: 4, tags: [] }] },
+    },
+  });
+
+  await runReplyPipeline({
+    history: [{ time: 1, nick: 'carol', text, type: 'message' }],
+    personality: 'test bot',
+    targetMessage: text,
+    targetMessageId: messageId,
+    targetSender: 'carol',
+    targetTrip: 'trip-c',
+    roomId: 'lounge',
+    botName: 'Bot',
+    pipelineMode: 'single',
+  });
+
+  const [memory] = listMemoriesByTrip({ tripCode: 'trip-c', limit: 10 }).filter((item) => item.text === '下个月搬去杭州');
+  assert.equal(memory.room_id, 'lounge');
+  assert.equal(memory.source_message_id, messageId);
+  assert.equal(memory.source_text, text);
+  assert.equal(memory.source_sender, 'carol');
+  assert.equal(memory.source_pipeline, 'single');
+  assert.match(memory.source_model, /^mock\//);
+
+  const removed = deleteMemoriesBySourceMessage(messageId);
+  assert.equal(removed.removedMemories, 2);
+  assert.equal(listMemoriesByTrip({ tripCode: 'trip-c', limit: 10 }).length, 0);
+});
+
+test('runReplyPipeline: memories from whispers stay out of public prompts', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ json: { reply: '*我不会说出去的*', memory: { items: [{ text: '暗恋同事小王', importance: 8, tags: ['感情'] }] } } });
+  await runReplyPipeline({
+    history: [{ time: 1, nick: 'dave', text: '偷偷告诉你，我暗恋同事小王', type: 'whisper' }],
+    personality: 'test bot',
+    targetMessage: '偷偷告诉你，我暗恋同事小王',
+    targetSender: 'dave',
+    targetTrip: 'trip-d',
+    roomId: 'lounge',
+    botName: 'Bot',
+    pipelineMode: 'single',
+    conversation: 'private',
+  });
+  const [memory] = listMemoriesByTrip({ tripCode: 'trip-d', limit: 10 });
+  assert.equal(memory.source_conversation, 'private');
+
+  /** @param {'public' | 'private'} conversation */
+  const promptFor = async (conversation) => {
+    mock.reset();
+    mock.enqueue({ json: { reply: '*嗯嗯*', memory: { items: [] } } });
+    await runReplyPipeline({
+      history: [{ time: 2, nick: 'dave', text: '最近办公室有什么八卦吗', type: 'message' }],
+      personality: 'test bot',
+      targetMessage: '最近办公室有什么八卦吗',
+      targetSender: 'dave',
+      targetTrip: 'trip-d',
+      roomId: 'lounge',
+      botName: 'Bot',
+      pipelineMode: 'single',
+      storeEnabled: false,
+      conversation,
+    });
+    return JSON.stringify(mock.getCalls().map((call) => call.messages));
+  };
+
+  assert.doesNotMatch(await promptFor('public'), /暗恋同事小王/);
+  assert.match(await promptFor('private'), /暗恋同事小王/);
+});
@@ -1,56 +1,127 @@
 /**
  * 模块职责：
- * 封装 DeepSeek 回复生成逻辑（prompt 组装 + 模型调用）。
+ * 封装回复生成逻辑（prompt 组装 + 按已解析的任务模型配置调用模型）。
  * 路由层只做入参校验与错误映射，不关心模型细节。
  */
-import { SERVER_CONFIG } from '../config.mjs';
-import { buildSinglePassPrompt, buildTwoPassMemoryPrompt, buildTwoPassReplyPrompt } from '../prompts/replyPrompts.mjs';
-import { getReplyClient, isReplyClientReady } from './reply/client.mjs';
 import {
-  normalizeMemoryItems,
-  normalizeModelOutput,
-  normalizeString,
-  parseModelJson,
-} from './reply/responseNormalizer.mjs';
-
-function buildContext(history) {
-  return (history || [])
-    .slice(-15)
-    .filter((msg) => msg?.type === 'message')
-    .map((msg) => `${msg.nick}: ${msg.text}`)
-    .join('\n');
+  buildReplyRevisionPrompt,
+  buildSinglePassPrompt,
+  buildTwoPassMemoryPrompt,
+  buildTwoPassReplyPrompt,
+} from '../prompts/replyPrompts.mjs';
+import { requestStructuredOutput } from './llm/structuredOutput.mjs';
+import { normalizeMemoryItems, normalizeModelOutput, normalizeString } from './reply/responseNormalizer.mjs';
+
+/**
+ * 汇总各步骤的推理过程（推理模型才有），只用于回复日志。
+ * @param {Record<string, string>} steps
+ * @returns {Record<string, string> | undefined}
+ */
+function toReasoningTrace(steps) {
+  const trace = Object.fromEntries(Object.entries(steps).filter(([, text]) => text));
+  return Object.keys(trace).length > 0 ? trace : undefined;
+}
+
+/**
+ * 汇总各步骤的校验报告（修复或失败时才有），写入回复日志。
+ * @param {(import('./llm/structuredOutput.mjs').ValidationReport | null)[]} reports
+ */
+function toValidationReports(reports) {
+  const filtered = reports.filter(Boolean);
+  return filtered.length > 0 ? filtered : undefined;
+}
+
+/**
+ * OpenAI 的 name 字段只允许字母、数字、下划线与连字符；去掉其余字符后为空时不带 name。
+ * @param {string} nick
+ */
+function toMessageName(nick) {
+  return String(nick || '').replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 64);
+}
+
+/**
+ * 其他人的一条发言（内容保留“昵称: ”前缀）。
+ * @param {string} nick
+ * @param {string} text
+ */
+function toUserTurn(nick, text) {
+  const name = toMessageName(nick);
+  return { role: 'user', ...(name ? { name } : {}), content: `${nick}: ${text}` };
 }
 
 /**
- * 检查回复服务是否可用（是否已配置模型 key）。
- * @returns true 表示可调用模型；false 表示应返回配置错误
+ * 组装回复请求的消息列表：
+ * - flat：人格作为 system，聊天记录已拼进 prompt，prompt 作为单条 user 消息
+ * - multi_turn：人格与 prompt 合并为 system，聊天记录逐条映射——bot 自己的发言为 assistant，
+ *   其他人为带 name 的 user（内容保留“昵称: ”前缀，忽略 name 的 provider 也能区分发言者）；
+ *   记录末尾不是当前触发消息时补上一条
+ * @param params.promptMode 'flat' | 'multi_turn'
+ * @param params.personality 人格系统提示词
+ * @param params.prompt 任务 prompt
+ * @param params.historyMessages 已按预算裁剪的聊天记录（multi_turn 使用）
+ * @param params.botName bot 自身昵称（multi_turn 据此识别 assistant 发言）
+ * @param params.targetMessage/targetSender 当前触发消息与发送者
  */
-export function isReplyServiceReady() {
-  return isReplyClientReady();
+function buildReplyMessages({
+  promptMode = 'flat',
+  personality,
+  prompt,
+  historyMessages = [],
+  botName = '',
+  targetMessage,
+  targetSender,
+}) {
+  if (promptMode !== 'multi_turn') {
+    return [
+      { role: 'system', content: personality },
+      { role: 'user', content: prompt },
+    ];
+  }
+
+  const turns = historyMessages.map((msg) => (botName && msg.nick === botName
+    ? { role: 'assistant', content: msg.text }
+    : toUserTurn(msg.nick, msg.text)));
+  const last = historyMessages.at(-1);
+  if (targetMessage && targetSender && !(last?.nick === targetSender && last?.text === targetMessage)) {
+    turns.push(toUserTurn(targetSender, targetMessage));
+  }
+  return [
+    { role: 'system', content: [personality, prompt].filter(Boolean).join('\n\n') },
+    ...turns,
+  ];
 }
 
 /**
- * 生成 DeepSeek 回复 JSON（reply + memory）。
- * @param params.history 最近消息数组（会在内部裁剪上下文）
+ * 生成回复 JSON（reply + memory）。
+ * @param params.replyModel reply 任务的模型配置（resolveTaskModel 结果）
+ * @param params.context 已按预算裁剪的聊天记录文本（见 contextAssembler）
  * @param params.personality 人格系统提示词
  * @param params.targetMessage 当前触发消息
  * @param params.targetSender 当前触发者昵称
  * @param params.profileContext 画像注入文本（可选）
- * @param params.memoryContext 记忆注入 JSON（可选）
- * @returns 模型输出结构化 JSON
+ * @param params.memoryContext 已按预算裁剪的记忆数组（可选）
+ * @param params.roomSummary 房间总结文本（可选）
+ * @param params.conversation 会话类型：public（频道）/ private（私聊）
+ * @param params.promptMode 'flat'（聊天记录拼进 prompt）/ 'multi_turn'（聊天记录按 user/assistant 消息发送）
+ * @param params.historyMessages/botName multi_turn 模式使用的聊天记录与 bot 自身昵称
+ * @returns 模型输出结构化 JSON；另附 reasoning（推理模型的推理过程）与 validation（校验修复/失败报告），只写日志
+ *          输出修复后仍不合法时 reply 为空、不产出记忆
  * @throws 当服务未配置 key 或调用异常时抛错，由路由层处理
  */
-export async function generateDeepSeekReply({
-  history,
+export async function generateModelReply({
+  replyModel,
+  context,
   personality,
   targetMessage,
   targetSender,
   profileContext,
   memoryContext,
+  roomSummary,
+  conversation = 'public',
+  promptMode = 'flat',
+  historyMessages,
+  botName,
 }) {
-  const deepseekClient = getReplyClient();
-
-  const context = buildContext(history);
   const memoryContextJson = JSON.stringify(Array.isArray(memoryContext) ? memoryContext : [], null, 2);
   const prompt = buildSinglePassPrompt({
     context,
@@ -58,51 +129,55 @@ export async function generateDeepSeekReply({
     targetSender,
     profileContext,
     memoryContextJson,
+    roomSummary,
+    conversation,
+    promptMode,
   });
 
-
-  const response = await deepseekClient.chat.completions.create({
-    model: SERVER_CONFIG.profile.model,
-    messages: [
-      { role: 'system', content: personality },
-      { role: 'user', content: prompt },
-    ],
-    response_format: { type: 'json_object' },
-    max_tokens: 1900,
-    temperature: 1.4,
+  const result = await requestStructuredOutput({
+    schema: 'reply',
+    model: replyModel,
+    messages: buildReplyMessages({
+      promptMode,
+      personality,
+      prompt,
+      historyMessages,
+      botName,
+      targetMessage,
+      targetSender,
+    }),
   });
 
-  const text = response.choices[0]?.message?.content || '{}';
-  const parsed = parseModelJson(text);
-  if (!parsed) {
-    return {
-      reply: '',
-      memory: {
-        items: [],
-      },
-    };
-  }
-
-  return normalizeModelOutput(parsed);
+  return {
+    ...normalizeModelOutput(result.value),
+    reasoning: toReasoningTrace({ reply: result.reasoning }),
+    validation: toValidationReports([result.report]),
+  };
 }
 
 /**
  * 两阶段调用：
  * 1) 生成 reply
  * 2) 独立提取 memory + importance
- * 输出结构与 generateDeepSeekReply 保持一致。
+ * 输出结构与 generateModelReply 保持一致。
+ * @param params.replyModel reply 任务的模型配置
+ * @param params.memoryModel memory 任务的模型配置
  */
-export async function generateDeepSeekReplyTwoPass({
-  history,
+export async function generateModelReplyTwoPass({
+  replyModel,
+  memoryModel,
+  context,
   personality,
   targetMessage,
   targetSender,
   profileContext,
   memoryContext,
+  roomSummary,
+  conversation = 'public',
+  promptMode = 'flat',
+  historyMessages,
+  botName,
 }) {
-  const deepseekClient = getReplyClient();
-
-  const context = buildContext(history);
   const memoryContextJson = JSON.stringify(Array.isArray(memoryContext) ? memoryContext : [], null, 2);
   const replyPrompt = buildTwoPassReplyPrompt({
     context,
@@ -110,49 +185,109 @@ export async function generateDeepSeekReplyTwoPass({
     targetSender,
     profileContext,
     memoryContextJson,
+    roomSummary,
+    conversation,
+    promptMode,
   });
 
-  const replyResp = await deepseekClient.chat.completions.create({
-    model: SERVER_CONFIG.profile.model,
-    messages: [
-      { role: 'system', content: personality },
-      { role: 'user', content: replyPrompt },
-    ],
-    response_format: { type: 'json_object' },
-    max_tokens: 1200,
-    temperature: 1.4,
+  const replyResult = await requestStructuredOutput({
+    schema: 'reply_text',
+    model: replyModel,
+    messages: buildReplyMessages({
+      promptMode,
+      personality,
+      prompt: replyPrompt,
+      historyMessages,
+      botName,
+      targetMessage,
+      targetSender,
+    }),
   });
-
-  const replyText = replyResp.choices[0]?.message?.content || '{}';
-  const parsedReply = parseModelJson(replyText);
-  const reply = normalizeString(parsedReply?.reply);
+  const reply = normalizeString(replyResult.value?.reply);
 
   const memoryPrompt = buildTwoPassMemoryPrompt({
     context,
     targetMessage,
     targetSender,
     memoryContextJson,
+    conversation,
   });
 
-  const memoryResp = await deepseekClient.chat.completions.create({
-    model: SERVER_CONFIG.profile.model,
+  const memoryResult = await requestStructuredOutput({
+    schema: 'memory',
+    model: memoryModel,
     messages: [
       { role: 'system', content: personality },
       { role: 'user', content: memoryPrompt },
     ],
-    response_format: { type: 'json_object' },
-    max_tokens: 1200,
-    temperature: 1.0,
   });
-
-  const memoryText = memoryResp.choices[0]?.message?.content || '{}';
-  const parsedMemory = parseModelJson(memoryText);
-  const items = normalizeMemoryItems(parsedMemory || {});
+  const items = normalizeMemoryItems(memoryResult.value || {});
 
   return {
     reply,
     memory: {
       items,
     },
+    reasoning: toReasoningTrace({ reply: replyResult.reasoning, memory: memoryResult.reasoning }),
+    validation: toValidationReports([replyResult.report, memoryResult.report]),
+  };
+}
+
+/**
+ * 回复违反格式规则时重新生成一次（只重写 reply，不重新提取记忆）。
+ * @param params 同 generateModelReply，另含：
+ * @param params.previousReply 上一次的原始 reply
+ * @param params.violations replyPostProcessor 报告的违规项
+ * @returns {{ reply: string, reasoning?: Record<string, string>, validation?: object[] }}
+ */
+export async function regenerateModelReply({
+  replyModel,
+  context,
+  personality,
+  targetMessage,
+  targetSender,
+  profileContext,
+  memoryContext,
+  roomSummary,
+  conversation = 'public',
+  promptMode = 'flat',
+  historyMessages,
+  botName,
+  previousReply,
+  violations,
+}) {
+  const replyPrompt = buildTwoPassReplyPrompt({
+    context,
+    targetMessage,
+    targetSender,
+    profileContext,
+    memoryContextJson: JSON.stringify(Array.isArray(memoryContext) ? memoryContext : [], null, 2),
+    roomSummary,
+    conversation,
+    promptMode,
+  });
+
+  const result = await requestStructuredOutput({
+    schema: 'reply_text',
+    model: replyModel,
+    messages: [
+      ...buildReplyMessages({
+        promptMode,
+        personality,
+        prompt: replyPrompt,
+        historyMessages,
+        botName,
+        targetMessage,
+        targetSender,
+      }),
+      { role: 'assistant', content: JSON.stringify({ reply: previousReply }) },
+      { role: 'user', content: buildReplyRevisionPrompt(violations) },
+    ],
+  });
+
+  return {
+    reply: normalizeString(result.value?.reply),
+    reasoning: toReasoningTrace({ revision: result.reasoning }),
+    validation: toValidationReports([result.report]),
   };
 }
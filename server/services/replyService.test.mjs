@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录并切到 mock provider（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-reply-service-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { getMockLlmClient } = await import('./llm/mockProvider.mjs');
+const { runReplyPipeline } = await import('./replyPipeline.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const HISTORY = [
+  { time: 1, nick: 'alice', text: '今天好冷', type: 'message' },
+  { time: 2, nick: 'Bot', text: '*记得加衣服*', type: 'message' },
+  { time: 3, nick: '小明', text: '我喜欢下雪', type: 'message' },
+];
+
+const INPUT = {
+  history: HISTORY,
+  personality: 'test bot',
+  targetMessage: '我喜欢下雪',
+  targetSender: '小明',
+  botName: 'Bot',
+  pipelineMode: 'single',
+};
+
+test('multi_turn prompt mode: bot lines become assistant turns and others named user turns', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+
+  const result = await runReplyPipeline({ ...INPUT, promptMode: 'multi_turn' });
+
+  assert.equal(result.reply, '*[mock] 收到：我喜欢下雪*');
+  const [{ messages }] = mock.getCalls();
+  assert.equal(messages[0].role, 'system');
+  assert.match(messages[0].content, /^test bot\n\n/);
+  assert.doesNotMatch(messages[0].content, /今天好冷/);
+  assert.deepEqual(messages.slice(1), [
+    { role: 'user', name: 'alice', content: 'alice: 今天好冷' },
+    { role: 'assistant', content: '*记得加衣服*' },
+    { role: 'user', content: '小明: 我喜欢下雪' },
+  ]);
+});
+
+test('multi_turn prompt mode: appends the trigger message when history does not end with it', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+
+  await runReplyPipeline({ ...INPUT, history: HISTORY.slice(0, 2), targetMessage: '在吗', targetSender: 'carol', promptMode: 'multi_turn' });
+
+  const [{ messages }] = mock.getCalls();
+  assert.deepEqual(messages.at(-1), { role: 'user', name: 'carol', content: 'carol: 在吗' });
+});
+
+test('flat prompt mode: keeps the transcript inside a single user prompt', async () => {
+  const mock = getMockLlmClient();
+  mock.reset();
+
+  await runReplyPipeline({ ...INPUT, promptMode: 'flat' });
+
+  const [{ messages }] = mock.getCalls();
+  assert.deepEqual(messages.map((message) => message.role), ['system', 'user']);
+  assert.equal(messages[0].content, 'test bot');
+  assert.match(messages[1].content, /Bot: \*记得加衣服\*/);
+});
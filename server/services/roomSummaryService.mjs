@@ -0,0 +1,197 @@
+/**
+ * 模块职责：
+ * 把频道近期公开聊天压缩为“房间总结”（rooms.room_summary）：
+ * - 近期动态、常聊话题、梗与内部笑话、氛围与约定
+ * - 在旧总结基础上增量合并，支持定时任务与手动触发
+ * 私聊不参与房间总结。
+ */
+import { SERVER_CONFIG } from '../config.mjs';
+import { listMessagesByRoom, listRoomsPendingSummary, upsertRoomSummary } from '../db/index.mjs';
+import { requestStructuredOutput } from './llm/structuredOutput.mjs';
+import { getTaskModelUnavailableReason, resolveTaskModel } from './llm/taskModels.mjs';
+
+let refreshRunning = false;
+
+function normalizeStringArray(value, maxLength = 8) {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set();
+  const items = [];
+  for (const item of value) {
+    if (typeof item !== 'string') continue;
+    const trimmed = item.trim();
+    if (!trimmed || seen.has(trimmed)) continue;
+    seen.add(trimmed);
+    items.push(trimmed);
+    if (items.length >= maxLength) break;
+  }
+  return items;
+}
+
+/**
+ * 把模型输出的结构化总结渲染为可直接注入 prompt、也便于人工编辑的纯文本。
+ */
+export function formatRoomSummary(rawSummary, maxChars = SERVER_CONFIG.roomSummary.maxChars) {
+  const safe = rawSummary && typeof rawSummary === 'object' && !Array.isArray(rawSummary)
+    ? rawSummary
+    : {};
+  const overview = typeof safe.overview === 'string' ? safe.overview.trim() : '';
+  const sections = overview ? [`频道概况：${overview}`] : [];
+  for (const [title, key] of [['常聊话题', 'recurring_topics'], ['梗与内部笑话', 'in_jokes'], ['氛围与约定', 'norms']]) {
+    const items = normalizeStringArray(safe[key]);
+    if (items.length > 0) sections.push(`${title}：${items.join('；')}`);
+  }
+
+  return sections.join('\n').slice(0, maxChars);
+}
+
+/**
+ * 当前是否可用（房间总结沿用 digest 任务的模型配置）。
+ * @param modelOverride digest 任务的请求级覆盖项（可选）
+ */
+export function isRoomSummaryServiceReady(modelOverride) {
+  return getTaskModelUnavailableReason('digest', modelOverride) === null;
+}
+
+/**
+ * 使用模型把旧总结与新增公开消息合并为新的房间总结文本。
+ * @param params.roomId 房间名
+ * @param params.previousSummary 旧总结（可为空）
+ * @param params.messages 新增公开消息（按时间正序，含 nick/text）
+ * @param params.modelOverride digest 任务的请求级覆盖项（可选）
+ * @returns 总结纯文本
+ * @throws 模型调用失败或输出修复后仍未通过校验时抛错
+ */
+export async function summarizeRoomActivity({ roomId, previousSummary, messages, modelOverride }) {
+  const transcript = (Array.isArray(messages) ? messages : [])
+    .map((item) => `${item.nick}: ${item.text}`)
+    .join('\n');
+
+  const systemPrompt = [
+    '你是一个严格的JSON生成器和聊天室观察者。',
+    '只输出 JSON，不要输出解释。',
+    '不要臆造聊天记录中没有出现的信息。',
+  ].join('\n');
+
+  const userPrompt = `
+请根据旧的房间总结与最新聊天记录，更新聊天室「${roomId}」的整体总结，帮助新加入的成员理解这个频道的文化。
+
+旧的房间总结（可能为空）：
+---
+${previousSummary || '（无）'}
+---
+
+最新聊天记录：
+---
+${transcript}
+---
+
+输出 JSON 格式：
+{
+  "overview": "一两句话概括频道近况与整体氛围",
+  "recurring_topics": ["反复出现的话题"],
+  "in_jokes": ["频道内的梗、内部笑话及其来由"],
+  "norms": ["成员默认遵守的约定或说话风格"]
+}
+
+要求：
+1. 保留旧总结中仍然成立的内容，淘汰过时内容。
+2. 关注群体层面的信息，不要记录针对个人的隐私细节。
+3. 每个数组不超过 8 条，每条不超过 40 字；可为空数组。
+`;
+
+  const { ok, value, report } = await requestStructuredOutput({
+    schema: 'room_summary',
+    model: resolveTaskModel('digest', { layers: [modelOverride] }),
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+  });
+  // 校验失败时报错而不是静默沿用旧总结，调用方据此记录失败
+  if (!ok) {
+    throw new Error(`invalid room summary output from model: ${report?.repair_errors?.slice(0, 3).join('; ')}`);
+  }
+
+  return formatRoomSummary(value) || String(previousSummary || '');
+}
+
+/**
+ * 为新增公开消息达到阈值的房间刷新总结。
+ * @param params.roomId 只处理该房间（可选）
+ * @param params.force 为 true 时忽略新增消息条数阈值（仍需至少 1 条新消息）
+ * @param params.modelOverride digest 任务的请求级覆盖项（可选）
+ * @returns 处理统计；已有任务在执行时返回 { skipped: true }
+ */
+export async function refreshRoomSummaries({ roomId = null, force = false, modelOverride } = {}) {
+  if (refreshRunning) {
+    return { skipped: true, processed_rooms: 0, updated_rooms: 0, errors: [] };
+  }
+  refreshRunning = true;
+
+  try {
+    const candidates = listRoomsPendingSummary({
+      minNewMessages: force ? 1 : SERVER_CONFIG.roomSummary.minNewMessages,
+    }).filter((room) => !roomId || room.room_id === roomId);
+
+    let updatedRooms = 0;
+    const errors = [];
+    for (const room of candidates) {
+      try {
+        const { items } = listMessagesByRoom({
+          roomId: room.room_id,
+          type: 'message',
+          sinceTime: Number(room.summary_covered_until || 0),
+          limit: SERVER_CONFIG.roomSummary.maxSourceMessages,
+        });
+        if (items.length === 0) continue;
+
+        const summary = await summarizeRoomActivity({
+          roomId: room.room_id,
+          previousSummary: room.room_summary,
+          messages: items,
+          modelOverride,
+        });
+        // summary_covered_until 记录总结覆盖到的最后一条消息时间（毫秒，而非当前时间），
+        // 既不漏掉总结期间到达的新消息，也不会把已覆盖的消息再算作新消息
+        const coveredUntil = Number(items[items.length - 1].time);
+        upsertRoomSummary(room.room_id, summary, Math.floor(coveredUntil / 1000), coveredUntil);
+        updatedRooms += 1;
+      } catch (error) {
+        errors.push({
+          room_id: room.room_id,
+          error: error instanceof Error ? error.message : 'unknown error',
+        });
+      }
+    }
+
+    return {
+      skipped: false,
+      processed_rooms: candidates.length,
+      updated_rooms: updatedRooms,
+      errors,
+    };
+  } finally {
+    refreshRunning = false;
+  }
+}
+
+/**
+ * 启动房间总结定时任务，返回停止函数。
+ * 未配置模型 key 时每轮直接跳过。
+ */
+export function startRoomSummaryScheduler({ intervalMinutes = SERVER_CONFIG.roomSummary.intervalMinutes } = {}) {
+  const timerId = setInterval(() => {
+    if (!isRoomSummaryServiceReady()) return;
+    void refreshRoomSummaries()
+      .then((result) => {
+        if (result.updated_rooms > 0 || result.errors.length > 0) {
+          console.log(`[room-summary] updated=${result.updated_rooms}, errors=${result.errors.length}`);
+        }
+      })
+      .catch((error) => {
+        console.error('[room-summary] scheduled refresh failed:', error);
+      });
+  }, intervalMinutes * 60 * 1000);
+  timerId.unref();
+  return () => clearInterval(timerId);
+}
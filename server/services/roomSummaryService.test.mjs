@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录，避免写入本地数据库（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-room-summary-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+const { getRoomSummary, insertMessage, listRoomsPendingSummary, upsertRoomSummary } = await import('../db/index.mjs');
+const { getMockLlmClient } = await import('./llm/mockProvider.mjs');
+const { formatRoomSummary, refreshRoomSummaries } = await import('./roomSummaryService.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('formatRoomSummary: renders non-empty sections and caps length', () => {
+  const text = formatRoomSummary({
+    overview: '深夜技术闲聊为主',
+    recurring_topics: ['Rust', 'Rust', '  ', '键盘'],
+    in_jokes: [],
+    norms: ['回复前加 *'],
+  });
+  assert.equal(text, '频道概况：深夜技术闲聊为主\n常聊话题：Rust；键盘\n氛围与约定：回复前加 *');
+  assert.equal(formatRoomSummary({ overview: 'x'.repeat(50) }, 10).length, 10);
+  assert.equal(formatRoomSummary(null), '');
+});
+
+test('listRoomsPendingSummary: counts only public messages after the last summary', () => {
+  for (let i = 1; i <= 3; i += 1) {
+    insertMessage({ roomId: 'busy', nick: 'alice', text: `hello ${i}`, time: i * 1000 });
+  }
+  insertMessage({ roomId: 'busy', nick: 'alice', text: 'secret', type: 'whisper', peer: 'alice', time: 4000 });
+  insertMessage({ roomId: 'quiet', nick: 'bob', text: 'hi', time: 1000 });
+
+  assert.deepEqual(
+    listRoomsPendingSummary({ minNewMessages: 2 }).map((room) => [room.room_id, room.new_messages]),
+    [['busy', 3]]
+  );
+
+  upsertRoomSummary('busy', '频道概况：测试', 2, 2000);
+  assert.deepEqual(
+    listRoomsPendingSummary({ minNewMessages: 1 }).map((room) => [room.room_id, room.new_messages]).sort(),
+    [['busy', 1], ['quiet', 1]]
+  );
+});
+
+test('refreshRoomSummaries: covered messages are not counted again, even within the same second', async () => {
+  insertMessage({ roomId: 'precise', nick: 'carol', text: '第一条', time: 5100 });
+  insertMessage({ roomId: 'precise', nick: 'carol', text: '第二条', time: 5700 });
+  const mock = getMockLlmClient();
+  mock.reset();
+  mock.enqueue({ json: { overview: '闲聊', recurring_topics: [], in_jokes: [], norms: [] } });
+
+  const first = await refreshRoomSummaries({ roomId: 'precise', force: true });
+  assert.equal(first.updated_rooms, 1);
+  assert.equal(getRoomSummary('precise').summary_covered_until, 5700);
+  assert.equal(listRoomsPendingSummary({ minNewMessages: 1 }).some((room) => room.room_id === 'precise'), false);
+
+  const second = await refreshRoomSummaries({ roomId: 'precise', force: true });
+  assert.equal(second.updated_rooms, 0);
+  assert.equal(mock.getCalls().length, 1);
+
+  insertMessage({ roomId: 'precise', nick: 'carol', text: '第三条', time: 5900 });
+  assert.deepEqual(
+    listRoomsPendingSummary({ minNewMessages: 1 }).filter((room) => room.room_id === 'precise').map((room) => room.new_messages),
+    [1]
+  );
+});
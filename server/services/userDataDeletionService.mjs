@@ -0,0 +1,51 @@
+/**
+ * 模块职责：
+ * "忘记我"两步删除流程：先申请得到一次性确认码，再携带确认码执行删除。
+ * HTTP 路由与聊天命令共用此入口，确认码按 trip 绑定、只在进程内保存。
+ */
+import crypto from 'node:crypto';
+import { countUserData, deleteUserData } from '../db/index.mjs';
+
+// 确认码有效期
+export const DELETION_CONFIRM_TTL_SECONDS = 300;
+
+/** @type {Map<string, { token: string, expiresAt: number }>} */
+const pendingConfirmations = new Map();
+
+/**
+ * 申请删除某个 trip 的全部数据。
+ * @param tripCode 用户 trip
+ * @param now 当前时间（unix 秒，可选）
+ * @returns 无任何数据时返回 null；否则返回确认码、过期时间与待删除数据量
+ */
+export function requestUserDataDeletion(tripCode, now = Math.floor(Date.now() / 1000)) {
+  const preview = countUserData(tripCode);
+  if (Object.values(preview).every((total) => total === 0)) return null;
+
+  const token = crypto.randomBytes(3).toString('hex').toUpperCase();
+  const expiresAt = now + DELETION_CONFIRM_TTL_SECONDS;
+  pendingConfirmations.set(String(tripCode), { token, expiresAt });
+  return { confirmToken: token, expiresAt, preview };
+}
+
+/**
+ * 校验确认码并执行删除；确认码一次性有效，填错一次即作废（确认码很短，不允许反复猜测）。
+ * @param params.tripCode 用户 trip
+ * @param params.confirmToken 申请时得到的确认码（大小写不敏感）
+ * @param params.requestedVia 删除来源（api/chat），写入审计
+ * @param params.now 当前时间（unix 秒，可选）
+ * @returns ok=false 表示确认码无效或已过期
+ */
+export function confirmUserDataDeletion({ tripCode, confirmToken, requestedVia, now = Math.floor(Date.now() / 1000) }) {
+  const pending = pendingConfirmations.get(String(tripCode));
+  if (!pending || pending.expiresAt < now) {
+    pendingConfirmations.delete(String(tripCode));
+    return { ok: false, reason: 'confirmation_expired' };
+  }
+  pendingConfirmations.delete(String(tripCode));
+  if (String(confirmToken || '').trim().toUpperCase() !== pending.token) {
+    return { ok: false, reason: 'invalid_confirm_token' };
+  }
+
+  return { ok: true, result: deleteUserData({ tripCode, requestedVia, deletedAt: now }) };
+}
@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 使用临时数据目录，避免写入本地数据库（需在加载 config 前设置）
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-forget-me-'));
+process.env.DATA_DIR = dataDir;
+const { db } = await import('../db/core.mjs');
+const { countUserData, insertMemory, insertMessage, upsertProfile, upsertUser } = await import('../db/index.mjs');
+const { confirmUserDataDeletion, requestUserDataDeletion } = await import('./userDataDeletionService.mjs');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * @param {string} tripCode
+ */
+function seedUser(tripCode) {
+  upsertUser(tripCode, 'alice', 1000);
+  upsertProfile(tripCode, { common_name: 'alice' }, 1000);
+  insertMemory({
+    room_id: 'lounge',
+    trip_code: tripCode,
+    text: `${tripCode} likes green tea`,
+    tags_json: '[]',
+    importance: 5,
+    ttl_days: null,
+    embedding: [0.1, 0.2],
+  });
+  insertMessage({ roomId: 'lounge', nick: 'alice', tripCode, text: 'hello there', time: 1000 });
+}
+
+test('requestUserDataDeletion: returns null when nothing is stored', () => {
+  assert.equal(requestUserDataDeletion('nobody'), null);
+});
+
+test('confirmUserDataDeletion: removes all user data in one go and records an audit row', () => {
+  seedUser('trip1');
+  seedUser('trip2');
+
+  const pending = requestUserDataDeletion('trip1', 1000);
+  assert.deepEqual(pending.preview, { user: 1, profile: 1, memories: 1, messages: 1 });
+
+  const outcome = confirmUserDataDeletion({
+    tripCode: 'trip1',
+    confirmToken: pending.confirmToken.toLowerCase(),
+    requestedVia: 'api',
+    now: 1002,
+  });
+  assert.equal(outcome.ok, true);
+  assert.equal(outcome.result.removedMemories, 1);
+  assert.equal(outcome.result.removedMessages, 1);
+  assert.equal(outcome.result.removedProfile, 1);
+
+  assert.deepEqual(countUserData('trip1'), { user: 0, profile: 0, memories: 0, messages: 0 });
+  assert.deepEqual(countUserData('trip2'), { user: 1, profile: 1, memories: 1, messages: 1 });
+  // json_fallback 模式下向量随 memories 级联删除，vec0 模式下由孤儿清理删除
+  assert.equal(db.prepare('SELECT COUNT(*) AS total FROM memory_vec').get().total, 1);
+  assert.equal(db.prepare("SELECT COUNT(*) AS total FROM memories_fts WHERE text MATCH '\"trip1\"'").get().total, 0);
+
+  const audit = db.prepare('SELECT * FROM user_deletion_audit WHERE audit_id = ?').get(outcome.result.auditId);
+  assert.equal(audit.requested_via, 'api');
+  assert.equal(audit.deleted_at, 1002);
+  assert.notEqual(audit.trip_hash, 'trip1');
+  // 带服务端密钥，无法用公开 trip 的 sha256 直接比对
+  assert.notEqual(audit.trip_hash, crypto.createHash('sha256').update('trip1').digest('hex'));
+
+  const reused = confirmUserDataDeletion({ tripCode: 'trip1', confirmToken: pending.confirmToken, requestedVia: 'api' });
+  assert.equal(reused.ok, false);
+});
+
+test('confirmUserDataDeletion: rejects expired confirmations', () => {
+  seedUser('trip3');
+  const pending = requestUserDataDeletion('trip3', 1000);
+  const outcome = confirmUserDataDeletion({
+    tripCode: 'trip3',
+    confirmToken: pending.confirmToken,
+    requestedVia: 'chat',
+    now: pending.expiresAt + 1,
+  });
+  assert.deepEqual(outcome, { ok: false, reason: 'confirmation_expired' });
+  assert.equal(countUserData('trip3').memories, 1);
+});
+
+test('confirmUserDataDeletion: a wrong token voids the pending request', () => {
+  seedUser('trip4');
+  const pending = requestUserDataDeletion('trip4', 1000);
+  const wrong = confirmUserDataDeletion({ tripCode: 'trip4', confirmToken: 'nope', requestedVia: 'api', now: 1001 });
+  assert.deepEqual(wrong, { ok: false, reason: 'invalid_confirm_token' });
+
+  const retried = confirmUserDataDeletion({ tripCode: 'trip4', confirmToken: pending.confirmToken, requestedVia: 'api', now: 1002 });
+  assert.deepEqual(retried, { ok: false, reason: 'confirmation_expired' });
+  assert.equal(countUserData('trip4').memories, 1);
+});
+
+test('confirmUserDataDeletion: also removes bot whisper replies to the user and memories sourced from them', () => {
+  upsertUser('trip5', 'erin', 1000);
+  insertMessage({ roomId: 'lounge', nick: 'erin', tripCode: 'trip5', text: '悄悄话', type: 'whisper', peer: 'erin', time: 1000 });
+  const replyId = insertMessage({ roomId: 'lounge', nick: 'Bot', text: '收到你的悄悄话', type: 'whisper', peer: 'erin', time: 1001 });
+  insertMessage({ roomId: 'lounge', nick: 'Bot', text: '给别人的回复', type: 'whisper', peer: 'frank', time: 1002 });
+  insertMemory({
+    room_id: 'lounge',
+    trip_code: null,
+    text: '有人喜欢说悄悄话',
+    tags_json: '[]',
+    importance: 3,
+    ttl_days: null,
+    source_message_id: replyId,
+  });
+  insertMemory({
+    room_id: 'lounge',
+    trip_code: null,
+    text: 'erin 提过房间规则',
+    tags_json: '[]',
+    importance: 3,
+    ttl_days: null,
+    source_sender: 'erin',
+  });
+
+  const pending = requestUserDataDeletion('trip5', 1000);
+  assert.deepEqual(pending.preview, { user: 1, profile: 0, memories: 2, messages: 2 });
+
+  const outcome = confirmUserDataDeletion({ tripCode: 'trip5', confirmToken: pending.confirmToken, requestedVia: 'chat', now: 1001 });
+  assert.equal(outcome.ok, true);
+  assert.equal(outcome.result.removedMessages, 2);
+  assert.equal(outcome.result.removedMemories, 2);
+  const audit = db.prepare('SELECT * FROM user_deletion_audit WHERE audit_id = ?').get(outcome.result.auditId);
+  assert.equal(audit.removed_messages, 2);
+  assert.equal(audit.removed_memories, 2);
+
+  assert.deepEqual(
+    db.prepare("SELECT peer FROM messages WHERE type = 'whisper' AND peer IN ('erin', 'frank')").all().map((row) => row.peer),
+    ['frank']
+  );
+});
@@ -7,10 +7,16 @@ export interface ChatMessage {
   time: number;
   nick: string;
   text: string;
-  type: 'message' | 'info' | 'warning';
+  type: 'message' | 'whisper' | 'info' | 'warning';
   trip?: string;
+  // 私聊对方昵称（仅 whisper；bot 发出的私聊 nick 为 bot 自身）
+  peer?: string;
+  // messages 表中的 message_id（仅已入库的聊天/私聊）
+  message_id?: number;
 }
 
+export type ConversationKind = 'public' | 'private';
+
 export interface UserProfile {
   common_name: string | null;
   language: string | null;
@@ -48,13 +54,72 @@ export interface ProfileUpdateResult {
 export type ModelProvider = string;
 export type ReplyMode = 'mention' | 'all';
 
+export interface ModelProviderCapabilities {
+  // 是否支持 response_format: json_object
+  jsonMode: boolean;
+  // 是否支持 tools / function calling
+  tools: boolean;
+}
+
 export interface ModelProviderOption {
   id: ModelProvider;
   label: string;
   subtitle?: string;
   enabled: boolean;
+  // 第一个为默认模型
+  models?: string[];
+  capabilities?: ModelProviderCapabilities;
+}
+
+// 可按模型声明为不支持、调用时自动省略的请求参数
+export type ModelRequestParam = 'temperature' | 'top_p' | 'max_tokens' | 'response_format';
+
+/**
+ * 按模型覆盖 provider 能力（例如推理模型不支持 JSON mode 与采样参数）。
+ */
+export interface ModelCapabilityOverride {
+  jsonMode?: boolean;
+  tools?: boolean;
+  unsupportedParams?: ModelRequestParam[];
+}
+
+/**
+ * 服务端 provider 定义（OpenAI 兼容接口），连接信息不下发前端。
+ */
+export interface ModelProviderDefinition extends ModelProviderOption {
+  // openai：OpenAI 兼容 HTTP 接口（默认）；mock：进程内确定性模拟，无需 baseUrl
+  type?: 'openai' | 'mock';
+  baseUrl: string;
+  // 读取 API key 的环境变量名；本地服务可省略
+  apiKeyEnv?: string;
+  models: string[];
+  capabilities: ModelProviderCapabilities;
+  // 键为模型名
+  modelCapabilities?: Record<string, ModelCapabilityOverride>;
+}
+
+// 可单独配置模型的任务：回复、两阶段记忆抽取、画像抽取、梗概（含房间总结）
+export type ModelTask = 'reply' | 'memory' | 'profile' | 'digest';
+
+/**
+ * 单个任务的模型与采样参数；字段缺省时沿用上一层配置。
+ * provider 缺省时：memory 跟随回复 provider，其余跟随 defaults.provider；model 缺省为 provider 的第一个模型。
+ */
+export interface TaskModelConfig {
+  provider?: ModelProvider;
+  model?: string;
+  temperature?: number;
+  top_p?: number;
+  max_tokens?: number;
+  // 单次尝试超时（毫秒，不小于 1000）；超时按瞬时错误重试
+  timeout_ms?: number;
 }
 
+export type TaskModelConfigs = Record<ModelTask, TaskModelConfig>;
+
+// 人设级 / 请求级覆盖项
+export type TaskModelOverrides = Partial<Record<ModelTask, TaskModelConfig>>;
+
 export interface BotDefaults {
   channel: string;
   botName: string;
@@ -66,6 +131,7 @@ export interface BotDefaults {
 export interface BotBootstrap {
   defaults: BotDefaults;
   providers: ModelProviderOption[];
+  models: TaskModelConfigs;
 }
 
 export interface BootstrapResponse {
@@ -73,18 +139,95 @@ export interface BootstrapResponse {
   bootstrap?: BotBootstrap;
 }
 
-export interface DeepSeekReplyRequest {
-  history: ChatMessage[];
+// hack.chat protocol types
+export interface HCIncomingMessage {
+  cmd: string;
+  nick?: string;
+  text?: string;
+  trip?: string;
+  time?: number;
+  warn?: string;
+  nicks?: string[]; // List of users in the channel (onlineSet)
+  type?: string; // info 子类型，例如 'whisper'
+  from?: string; // whisper 发送者昵称
+  channel?: string;
+}
+
+export interface HCOutgoingMessage {
+  cmd: string;
+  channel?: string;
+  nick?: string;
+  pass?: string;
+  text?: string;
+}
+
+export type ConnectionStatus = 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'error';
+
+/**
+ * 服务端 bot 会话的运行配置（不含 password，password 只在 connect 请求中上行）。
+ */
+export interface BotRuntimeConfig {
+  channel: string;
+  botName: string;
+  provider: ModelProvider;
+  personality: string;
+  replyMode: ReplyMode;
+  // 人设级模型覆盖项（作用于该会话的回复、记忆与 setprofile）
+  models?: TaskModelOverrides;
+}
+
+export interface BotSessionSnapshot {
+  status: ConnectionStatus;
+  config: BotRuntimeConfig;
+  messages: ChatMessage[];
+  onlineUsers: string[];
+}
+
+export type BotSessionEvent =
+  | { type: 'snapshot'; snapshot: BotSessionSnapshot }
+  | { type: 'status'; status: ConnectionStatus }
+  | { type: 'message'; message: ChatMessage }
+  | { type: 'online'; users: string[] }
+  | { type: 'config'; config: BotRuntimeConfig };
+
+export interface BotConnectRequest extends Partial<BotRuntimeConfig> {
+  password?: string;
+}
+
+export type BotConfigUpdateRequest = Partial<Pick<BotRuntimeConfig, 'provider' | 'personality' | 'replyMode' | 'models'>>;
+
+export interface BotSessionResponse {
+  ok: boolean;
+  snapshot?: BotSessionSnapshot;
+  error?: string;
+}
+
+export type ReplyPromptMode = 'flat' | 'multi_turn';
+
+export interface ReplyRequest {
+  // 使用的 provider id（仅 POST /api/reply；缺省为 bootstrap.defaults.provider）
+  provider?: ModelProvider;
+  // 本次请求的 reply/memory 模型覆盖项（优先于 provider 与 bootstrap.models）
+  models?: Pick<TaskModelOverrides, 'reply' | 'memory'>;
+  // 缺省时后端按 room_id 读取已存聊天记录（私聊按 targetSender 取私聊往来）
+  history?: ChatMessage[];
   personality: string;
   targetMessage?: string;
+  // targetMessage 在 messages 表中的 message_id（可选，写入记忆的来源）
+  target_message_id?: number;
   targetSender?: string;
   targetTrip?: string;
+  // bot 自身昵称：回复后处理据此去掉名字前缀、跳过与 bot 最近发言重复的回复
+  botName?: string;
   room_id?: string;
   memory_prompt_min_importance?: number;
   memory_prompt_limit?: number;
   memory_store_min_importance?: number;
   memory_store_enabled?: boolean;
   reply_pipeline_mode?: 'single' | 'two_pass';
+  // flat：聊天记录拼进单条 prompt；multi_turn：按 user/assistant 消息发送（需配合 botName 识别 bot 自己的发言）
+  reply_prompt_mode?: ReplyPromptMode;
+  conversation?: ConversationKind;
 }
 
 export interface ReplyMemoryItem {
@@ -97,8 +240,10 @@ export interface ReplyMemoryPayload {
   items: ReplyMemoryItem[];
 }
 
-export interface DeepSeekReplySuccess {
+export interface ReplySuccess {
   reply: string;
+  // reply 按聊天室长度限制拆分后的消息，按顺序发送
+  chunks: string[];
   memory: ReplyMemoryPayload;
 }
 
@@ -107,7 +252,14 @@ export interface ApiErrorResponse {
   error: string;
 }
 
-export type DeepSeekReplyResponse = DeepSeekReplySuccess | ApiErrorResponse;
+export type ReplyResponse = ReplySuccess | ApiErrorResponse;
+
+/** @deprecated 兼容旧名，使用 ReplyRequest */
+export type DeepSeekReplyRequest = ReplyRequest;
+/** @deprecated 兼容旧名，使用 ReplySuccess */
+export type DeepSeekReplySuccess = ReplySuccess;
+/** @deprecated 兼容旧名，使用 ReplyResponse */
+export type DeepSeekReplyResponse = ReplyResponse;
 
 export interface IngestMessageRequest {
   room_id: string;
@@ -122,6 +274,127 @@ export interface IngestMessageResponse {
   reason?: string;
 }
 
+export interface StoredChatMessage {
+  message_id: number;
+  room_id: string;
+  nick: string;
+  trip_code: string | null;
+  text: string;
+  type: 'message' | 'whisper';
+  peer: string | null;
+  // 毫秒时间戳（与 ChatMessage.time 一致）
+  time: number;
+}
+
+export interface ChatMessageIngestRequest {
+  room_id: string;
+  nick: string;
+  text: string;
+  trip_code?: string;
+  type?: 'message' | 'whisper';
+  peer?: string;
+  time?: number;
+}
+
+export interface ChatMessageIngestResponse {
+  ok: boolean;
+  message_id?: number;
+  error?: string;
+}
+
+export interface ChatMessagePageResponse {
+  ok: boolean;
+  items: StoredChatMessage[];
+  // 传给下一次请求的 before_id；null 表示没有更早的记录
+  next_before_id: number | null;
+}
+
+export type MemorySourcePipeline = 'single' | 'two_pass' | 'manual';
+
+// 记忆来源：由哪条消息、哪种 pipeline、哪个模型产出（来源字段为 null 表示未记录，如旧数据）
+export interface MemorySourceFields {
+  // 触发消息在 messages 表中的 message_id（未入库时为 null）
+  source_message_id: number | null;
+  source_text: string | null;
+  source_sender: string | null;
+  // single / two_pass：回复流程产出；manual：POST /api/memories 写入
+  source_pipeline: MemorySourcePipeline | null;
+  // provider/model
+  source_model: string | null;
+  // 产生记忆的会话；private（私聊）记忆不进入频道回复，旧记忆为 null（按频道处理）
+  source_conversation: 'public' | 'private' | null;
+}
+
+export interface StoredMemory extends MemorySourceFields {
+  memory_id: string;
+  room_id: string | null;
+  trip_code: string | null;
+  text: string;
+  tags: string[];
+  importance: number;
+  // 按闲置时间衰减后的重要度
+  effective_importance: number;
+  ttl_days: number | null;
+  created_at: number;
+  last_used_at: number;
+  status: 'active' | 'superseded';
+  superseded_by: string | null;
+  superseded_at: number | null;
+}
+
+export interface MemoryListResponse {
+  ok: boolean;
+  items?: StoredMemory[];
+  error?: string;
+}
+
+export interface MemoryDeleteResponse {
+  ok: boolean;
+  removed_memories?: number;
+  // 仅按来源消息删除时返回
+  memory_ids?: string[];
+  error?: string;
+}
+
+export interface SearchMemoryHit extends MemorySourceFields {
+  memory_id: string;
+  room_id: string | null;
+  trip_code: string | null;
+  text: string;
+  tags: string[];
+  importance: number;
+  created_at: number;
+  // bm25 相关度（越小越相关）；仅短词 LIKE 匹配时为 null
+  rank: number | null;
+  // 命中片段，命中词以 <mark></mark> 包裹
+  snippet: string;
+}
+
+export interface SearchMessageHit extends StoredChatMessage {
+  rank: number | null;
+  snippet: string;
+}
+
+export interface SearchResponse {
+  ok: boolean;
+  memories: SearchMemoryHit[];
+  messages: SearchMessageHit[];
+  error?: string;
+}
+
+export interface RoomSummaryResponse {
+  ok: boolean;
+  room_id: string;
+  // 纯文本，直接注入回复 prompt
+  room_summary: string;
+  // 总结覆盖到的时间（unix 秒）；从未总结过时为 null
+  summary_updated_at: number | null;
+}
+
+export interface RoomSummaryUpdateRequest {
+  room_summary: string;
+}
+
 export interface ProfileFromMessageRequest {
   room_id: string;
   trip_code?: string;
@@ -134,3 +407,28 @@ export interface ProfileByTripResponse {
   profile_json: UserProfile;
   memory_digest_json?: UserMemoryDigest;
 }
+
+export interface UserDataDeletionRequest {
+  /** 首次调用不传，返回确认码；携带确认码再次调用才会删除 */
+  confirm_token?: string;
+}
+
+export interface UserDataDeletionResponse {
+  ok: boolean;
+  deleted: boolean;
+  confirmation_required?: boolean;
+  confirm_token?: string;
+  expires_at?: number;
+  preview?: {
+    user: number;
+    profile: number;
+    memories: number;
+    messages: number;
+  };
+  audit_id?: number;
+  removed_profile?: number;
+  removed_memories?: number;
+  removed_vectors?: number;
+  removed_messages?: number;
+  error?: string;
+}
@@ -3,19 +3,18 @@
  * Module: App
  * Layer: Frontend Page
  * Responsibility:
- * - 装配配置、socket、profile、reply 三条主链路
- * - 连接 SettingsPanel 与 TerminalOutput
+ * - 装配配置与服务端 bot 会话监控链路
+ * - 连接 SettingsPanel、TerminalOutput 与 MemoryInspector
  * ===========
  */
-import React, { useEffect, useMemo, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { SettingsPanel } from './components/SettingsPanel';
 import { TerminalOutput } from './components/TerminalOutput';
-import { BotConfig, ModelProviderOption, ServerBootstrapResponse } from './types';
+import { MemoryInspector } from './components/MemoryInspector';
+import { BotConfig, BotRuntimeConfig, ModelProviderOption, ServerBootstrapResponse } from './types';
 import { Wifi, WifiOff, AlertTriangle } from 'lucide-react';
 import { FALLBACK_BOOTSTRAP, getProviderOption, toBotConfig } from './config/botConfig';
-import { useProfileSync } from './hooks/useProfileSync';
-import { useBotReply } from './hooks/useBotReply';
-import { useHackChatSocket } from './hooks/useHackChatSocket';
+import { useBotSession } from './hooks/useBotSession';
 
 /**
  * [Function]
@@ -27,10 +26,7 @@ const App: React.FC = () => {
   const [providers, setProviders] = useState<ModelProviderOption[]>(FALLBACK_BOOTSTRAP.providers);
   const [config, setConfig] = useState<BotConfig>(toBotConfig(FALLBACK_BOOTSTRAP.defaults));
   const [isConsolidatingMemories, setIsConsolidatingMemories] = useState(false);
-  const configRef = useRef<BotConfig>(toBotConfig(FALLBACK_BOOTSTRAP.defaults));
-  const providersRef = useRef<ModelProviderOption[]>(FALLBACK_BOOTSTRAP.providers);
-  configRef.current = config;
-  providersRef.current = providers;
+  const [inspectedTrip, setInspectedTrip] = useState<string | null>(null);
 
   useEffect(() => {
     /**
@@ -105,12 +101,14 @@ const App: React.FC = () => {
     void initBootstrapConfig();
   }, []);
 
-  const getChannel = useMemo(() => () => configRef.current.channel, []);
-  const getConfig = useMemo(() => () => configRef.current, []);
-  const getProviders = useMemo(() => () => providersRef.current, []);
-
-  const { handleIncomingMessage } = useProfileSync({ getChannel });
-  const { generateReply } = useBotReply({ getConfig, getProviders });
+  /**
+   * [Function]
+   * Name: adoptSessionConfig
+   * Purpose: 打开页面时服务端会话已在运行，用会话配置回填界面（保留本地 password）。
+   */
+  const adoptSessionConfig = useCallback((sessionConfig: BotRuntimeConfig) => {
+    setConfig((prev) => ({ ...prev, ...sessionConfig }));
+  }, []);
 
   const handleConsolidateMemories = async () => {
     if (isConsolidatingMemories) return;
@@ -132,10 +130,9 @@ const App: React.FC = () => {
     }
   };
 
-  const { status, messages, onlineUsers, connect, disconnect } = useHackChatSocket({
+  const { status, messages, onlineUsers, connect, disconnect } = useBotSession({
     config,
-    onIncomingMessage: handleIncomingMessage,
-    onReplyRequested: generateReply,
+    onSessionConfig: adoptSessionConfig,
   });
 
   return (
@@ -154,7 +151,7 @@ const App: React.FC = () => {
       <div className="flex-1 flex flex-col h-full min-w-0 min-h-0">
         <header className="bg-gray-900 border-b border-gray-800 p-4 flex items-center justify-between">
           <div className="flex items-center gap-3">
-            <div className={`w-3 h-3 rounded-full ${status === 'connected' ? 'bg-emerald-500 shadow-emerald-500/50 shadow-lg' : status === 'connecting' ? 'bg-yellow-500 animate-pulse' : 'bg-red-500'}`} />
+            <div className={`w-3 h-3 rounded-full ${status === 'connected' ? 'bg-emerald-500 shadow-emerald-500/50 shadow-lg' : status === 'connecting' || status === 'reconnecting' ? 'bg-yellow-500 animate-pulse' : 'bg-red-500'}`} />
             <div>
               <h2 className="font-bold text-white flex items-center gap-2">
                 #{config.channel}
@@ -184,7 +181,7 @@ const App: React.FC = () => {
         </header>
 
         <main className="flex-1 min-h-0 p-4 overflow-hidden flex flex-col bg-gray-950 relative">
-          <TerminalOutput messages={messages} />
+          <TerminalOutput messages={messages} onInspectTrip={setInspectedTrip} />
 
           {status === 'error' && (
             <div className="absolute top-4 right-4 bg-red-900/90 text-white px-4 py-3 rounded shadow-lg flex items-center gap-3 border border-red-700 animate-bounce">
@@ -201,6 +198,10 @@ const App: React.FC = () => {
           Running as {config.botName} via {getProviderOption(providers, config.provider)?.label || config.provider}. Responses limited to 5-50 words.
         </footer>
       </div>
+
+      {inspectedTrip && (
+        <MemoryInspector tripCode={inspectedTrip} onClose={() => setInspectedTrip(null)} />
+      )}
     </div>
   );
 };
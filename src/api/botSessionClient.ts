@@ -0,0 +1,54 @@
+/**
+ * =======================
+ * Module: botSessionClient
+ * Layer: Frontend API
+ * Responsibility:
+ * - 封装前端到服务端 bot 会话的控制请求（connect/disconnect/config）
+ * - hack.chat 连接由服务端持有，前端只做监控与控制
+ * =======================
+ */
+import type {
+  BotConfigUpdateRequest,
+  BotConnectRequest,
+  BotSessionResponse,
+} from '../../shared/contracts';
+
+export const BOT_EVENTS_URL = '/api/bot/events';
+
+async function postBotSession(url: string, payload?: unknown): Promise<BotSessionResponse> {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload ?? {}),
+    });
+    return (await response.json()) as BotSessionResponse;
+  } catch (error) {
+    console.error(`Bot session request failed: ${url}`, error);
+    return { ok: false, error: error instanceof Error ? error.message : 'unknown error' };
+  }
+}
+
+/**
+ * [Function]
+ * Name: connectBotSession
+ * Purpose: 请求服务端以给定配置连接 hack.chat。
+ */
+export const connectBotSession = (payload: BotConnectRequest) =>
+  postBotSession('/api/bot/connect', payload);
+
+/**
+ * [Function]
+ * Name: disconnectBotSession
+ * Purpose: 请求服务端断开 hack.chat 连接。
+ */
+export const disconnectBotSession = () =>
+  postBotSession('/api/bot/disconnect');
+
+/**
+ * [Function]
+ * Name: updateBotSessionConfig
+ * Purpose: 在线更新服务端会话的 provider/personality/replyMode。
+ */
+export const updateBotSessionConfig = (payload: BotConfigUpdateRequest) =>
+  postBotSession('/api/bot/config', payload);
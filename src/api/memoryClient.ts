@@ -0,0 +1,45 @@
+/**
+ * =======================
+ * Module: memoryClient
+ * Layer: Frontend API
+ * Responsibility:
+ * - 封装记忆查看与删除请求（审计用）
+ * =======================
+ */
+import type { MemoryDeleteResponse, MemoryListResponse } from '../types';
+
+async function requestMemoryApi<T extends { ok: boolean; error?: string }>(url: string, init?: RequestInit): Promise<T> {
+  try {
+    const response = await fetch(url, init);
+    return (await response.json()) as T;
+  } catch (error) {
+    console.error(`Memory request failed: ${url}`, error);
+    return { ok: false, error: error instanceof Error ? error.message : 'unknown error' } as T;
+  }
+}
+
+/**
+ * [Function]
+ * Name: listMemoriesByTrip
+ * Purpose: 读取某个 trip 的记忆（含 superseded 记忆与来源字段）。
+ */
+export const listMemoriesByTrip = (tripCode: string) =>
+  requestMemoryApi<MemoryListResponse>(
+    `/api/memories?${new URLSearchParams({ trip_code: tripCode, status: 'all', limit: '100' })}`
+  );
+
+/**
+ * [Function]
+ * Name: deleteMemory
+ * Purpose: 删除单条记忆。
+ */
+export const deleteMemory = (memoryId: string) =>
+  requestMemoryApi<MemoryDeleteResponse>(`/api/memories/${encodeURIComponent(memoryId)}`, { method: 'DELETE' });
+
+/**
+ * [Function]
+ * Name: deleteMemoriesBySource
+ * Purpose: 删除由某条聊天消息产生的全部记忆。
+ */
+export const deleteMemoriesBySource = (messageId: number) =>
+  requestMemoryApi<MemoryDeleteResponse>(`/api/memories/by-source/${messageId}`, { method: 'DELETE' });
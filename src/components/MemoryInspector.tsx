@@ -0,0 +1,127 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Brain, RefreshCw, Trash2, X } from 'lucide-react';
+import { StoredMemory } from '../types';
+import { deleteMemoriesBySource, deleteMemory, listMemoriesByTrip } from '../api/memoryClient';
+
+interface MemoryInspectorProps {
+  tripCode: string;
+  onClose: () => void;
+}
+
+const formatDate = (seconds: number) => new Date(seconds * 1000).toLocaleString([], { hour12: false });
+
+/**
+ * [Function]
+ * Name: MemoryInspector
+ * Purpose: 查看某个 trip 的记忆及其来源（哪条消息、哪种 pipeline、哪个模型），并可删除单条记忆或某条消息产生的全部记忆。
+ */
+export const MemoryInspector: React.FC<MemoryInspectorProps> = ({ tripCode, onClose }) => {
+  const [memories, setMemories] = useState<StoredMemory[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadMemories = useCallback(async () => {
+    setIsLoading(true);
+    const result = await listMemoriesByTrip(tripCode);
+    setIsLoading(false);
+    if (!result.ok) {
+      setError(result.error || 'failed to load memories');
+      return;
+    }
+    setError(null);
+    setMemories(result.items || []);
+  }, [tripCode]);
+
+  useEffect(() => {
+    void loadMemories();
+  }, [loadMemories]);
+
+  const handleDelete = async (request: Promise<{ ok: boolean; error?: string }>) => {
+    const result = await request;
+    if (!result.ok) {
+      setError(result.error || 'failed to delete memory');
+      return;
+    }
+    await loadMemories();
+  };
+
+  return (
+    <aside className="bg-gray-900 border-l border-gray-800 w-full md:w-96 flex flex-col h-full min-h-0">
+      <div className="p-4 border-b border-gray-800 flex items-center justify-between gap-2">
+        <h2 className="font-bold text-white flex items-center gap-2 min-w-0">
+          <Brain className="w-4 h-4 text-cyan-500 shrink-0" />
+          <span className="truncate" title={tripCode}>Memories · {tripCode}</span>
+        </h2>
+        <div className="flex items-center gap-2 text-gray-400">
+          <button onClick={() => void loadMemories()} disabled={isLoading} title="Refresh" className="hover:text-white">
+            <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+          <button onClick={onClose} title="Close" className="hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-y-auto p-4 space-y-3 text-sm">
+        {error && <p className="text-red-400">{error}</p>}
+        {!isLoading && !error && memories.length === 0 && (
+          <p className="text-gray-500 italic">No memories for this user.</p>
+        )}
+        {memories.map((memory) => (
+          <div
+            key={memory.memory_id}
+            className={`rounded border p-3 space-y-2 ${
+              memory.status === 'superseded' ? 'border-gray-800 opacity-60' : 'border-gray-700 bg-gray-800/40'
+            }`}
+          >
+            <div className="flex items-start justify-between gap-2">
+              <p className={`text-gray-200 break-words ${memory.status === 'superseded' ? 'line-through' : ''}`}>{memory.text}</p>
+              <button
+                onClick={() => void handleDelete(deleteMemory(memory.memory_id))}
+                title="Delete this memory"
+                className="text-gray-500 hover:text-red-400 shrink-0"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              importance {memory.importance} (effective {memory.effective_importance.toFixed(1)}) · {formatDate(memory.created_at)}
+              {memory.status === 'superseded' && ' · superseded'}
+            </p>
+
+            <div className="text-xs text-gray-400 border-l-2 border-gray-700 pl-2 space-y-1">
+              {memory.source_pipeline === null ? (
+                <p className="italic text-gray-500">Source not recorded.</p>
+              ) : (
+                <>
+                  {memory.source_text && (
+                    <p className="break-words">
+                      <span className="text-emerald-400">{memory.source_sender || 'unknown'}</span>
+                      {memory.room_id && <span className="text-gray-500"> in #{memory.room_id}</span>}
+                      <span className="text-gray-500">: </span>
+                      {memory.source_text}
+                    </p>
+                  )}
+                  <p className="text-gray-500">
+                    {memory.source_pipeline}
+                    {memory.source_conversation === 'private' && ' · whisper'}
+                    {memory.source_model && ` · ${memory.source_model}`}
+                    {memory.source_message_id !== null && ` · message #${memory.source_message_id}`}
+                  </p>
+                  {memory.source_message_id !== null && (
+                    <button
+                      onClick={() => void handleDelete(deleteMemoriesBySource(memory.source_message_id as number))}
+                      className="text-red-400/80 hover:text-red-400"
+                    >
+                      Delete all memories from this message
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+};
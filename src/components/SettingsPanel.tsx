@@ -27,7 +27,8 @@ export const SettingsPanel: React.FC<SettingsPanelProps> = ({
     onConfigChange({ ...config, [field]: value });
   };
 
-  const isConnected = status === 'connected';
+  // 重连中视为仍在会话内：锁定连接参数，并允许点击 Disconnect 取消重连
+  const isConnected = status === 'connected' || status === 'reconnecting';
   const isConnecting = status === 'connecting';
 
   return (
@@ -3,9 +3,11 @@ import { ChatMessage } from '../types';
 
 interface TerminalOutputProps {
   messages: ChatMessage[];
+  // 点击 trip 标记时查看该用户的记忆
+  onInspectTrip?: (tripCode: string) => void;
 }
 
-export const TerminalOutput: React.FC<TerminalOutputProps> = ({ messages }) => {
+export const TerminalOutput: React.FC<TerminalOutputProps> = ({ messages, onInspectTrip }) => {
   const bottomRef = useRef<HTMLDivElement>(null);
 
   useEffect(() => {
@@ -16,6 +18,16 @@ export const TerminalOutput: React.FC<TerminalOutputProps> = ({ messages }) => {
     return new Date(ts).toLocaleTimeString([], { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' });
   };
 
+  const renderTripMarker = (trip: string) => (
+    <span
+      className={`text-xs text-gray-600 mr-1 ${onInspectTrip ? 'cursor-pointer hover:text-cyan-400' : ''}`}
+      title={onInspectTrip ? `${trip} (view memories)` : trip}
+      onClick={onInspectTrip ? () => onInspectTrip(trip) : undefined}
+    >
+      ◆
+    </span>
+  );
+
   return (
     <div className="flex-1 min-h-0 bg-black/50 border border-gray-800 rounded-lg p-4 font-mono text-sm overflow-y-auto h-full shadow-inner">
       {messages.length === 0 && (
@@ -33,13 +45,24 @@ export const TerminalOutput: React.FC<TerminalOutputProps> = ({ messages }) => {
           {msg.type === 'message' && (
             <>
               <span className="font-bold text-emerald-400">
-                 {msg.trip ? <span className="text-xs text-gray-600 mr-1" title={msg.trip}>◆</span> : null}
+                 {msg.trip ? renderTripMarker(msg.trip) : null}
                  {msg.nick}
               </span>
               <span className="text-gray-400">: </span>
               <span className="text-gray-200">{msg.text}</span>
             </>
           )}
+          {msg.type === 'whisper' && (
+            <>
+              <span className="font-bold text-fuchsia-400">
+                 {msg.trip ? renderTripMarker(msg.trip) : null}
+                 {msg.nick}
+              </span>
+              <span className="text-fuchsia-300/70"> → {msg.nick === msg.peer ? 'me' : msg.peer} (whisper)</span>
+              <span className="text-gray-400">: </span>
+              <span className="text-fuchsia-100">{msg.text}</span>
+            </>
+          )}
         </div>
       ))}
       <div ref={bottomRef} />
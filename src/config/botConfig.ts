@@ -20,6 +20,12 @@ export const FALLBACK_BOOTSTRAP: BotBootstrap = {
       enabled: true,
     },
   ],
+  models: {
+    reply: {},
+    memory: {},
+    profile: {},
+    digest: {},
+  },
 };
 
 export const toBotConfig = (defaults: BotBootstrap['defaults']): BotConfig => ({
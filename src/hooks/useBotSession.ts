@@ -0,0 +1,150 @@
+/**
+ * ======================
+ * Module: useBotSession
+ * Layer: Frontend Hook
+ * Responsibility:
+ * - 订阅服务端 bot 会话事件流（SSE）
+ * - 管理 UI 状态（连接状态/消息/在线用户）
+ * - 转发 connect/disconnect 与在线配置变更到服务端
+ * ======================
+ */
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { BotConfig, BotRuntimeConfig, BotSessionEvent, ChatMessage, ConnectionStatus } from '../types';
+import {
+  BOT_EVENTS_URL,
+  connectBotSession,
+  disconnectBotSession,
+  updateBotSessionConfig,
+} from '../api/botSessionClient';
+
+const MAX_VISIBLE_MESSAGES = 500;
+const CONFIG_SYNC_DELAY_MS = 600;
+
+interface UseBotSessionOptions {
+  config: BotConfig;
+  onSessionConfig?: (config: BotRuntimeConfig) => void;
+}
+
+const toLiveConfigKey = (config: BotConfig) =>
+  JSON.stringify([config.provider, config.personality, config.replyMode]);
+
+/**
+ * [Function]
+ * Name: useBotSession
+ * Purpose:
+ * - 监控服务端持有的聊天室连接
+ * - 输出 UI 需要的连接/消息/在线状态
+ * Input:
+ * - config: 当前界面配置（connect 时上行）
+ * - onSessionConfig: 打开页面时服务端会话已在运行，用其配置回填界面
+ * Output:
+ * - { status, messages, onlineUsers, connect, disconnect }
+ */
+export const useBotSession = ({ config, onSessionConfig }: UseBotSessionOptions) => {
+  const [status, setStatus] = useState<ConnectionStatus>('disconnected');
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [onlineUsers, setOnlineUsers] = useState<string[]>([]);
+
+  const onSessionConfigRef = useRef(onSessionConfig);
+  const lastSyncedConfigKeyRef = useRef<string | null>(null);
+
+  useEffect(() => {
+    onSessionConfigRef.current = onSessionConfig;
+  }, [onSessionConfig]);
+
+  /**
+   * [Function]
+   * Name: applyEvent
+   * Purpose: 把服务端会话事件映射到本地 UI 状态。
+   */
+  const applyEvent = useCallback((event: BotSessionEvent) => {
+    switch (event.type) {
+      case 'snapshot': {
+        const { snapshot } = event;
+        setStatus(snapshot.status);
+        setMessages(snapshot.messages.slice(-MAX_VISIBLE_MESSAGES));
+        setOnlineUsers(snapshot.onlineUsers);
+        if (snapshot.status !== 'disconnected') {
+          onSessionConfigRef.current?.(snapshot.config);
+        }
+        return;
+      }
+      case 'status':
+        setStatus(event.status);
+        return;
+      case 'message':
+        setMessages((prev) => [...prev, event.message].slice(-MAX_VISIBLE_MESSAGES));
+        return;
+      case 'online':
+        setOnlineUsers(event.users);
+        return;
+      case 'config':
+        // 界面配置以本地编辑为准，避免回显覆盖正在输入的内容
+        return;
+    }
+  }, []);
+
+  /**
+   * 组件生命周期内订阅一次事件流，断线由 EventSource 自动重连并重新下发 snapshot。
+   */
+  useEffect(() => {
+    const source = new EventSource(BOT_EVENTS_URL);
+    source.onmessage = (event) => {
+      try {
+        applyEvent(JSON.parse(event.data) as BotSessionEvent);
+      } catch (error) {
+        console.error('Failed to parse bot session event', error);
+      }
+    };
+    return () => source.close();
+  }, [applyEvent]);
+
+  /**
+   * 已连接时把 provider/personality/replyMode 的变更（防抖后）同步给服务端会话。
+   */
+  useEffect(() => {
+    if (status !== 'connected') return;
+    const configKey = toLiveConfigKey(config);
+    if (configKey === lastSyncedConfigKeyRef.current) return;
+
+    const timerId = window.setTimeout(() => {
+      lastSyncedConfigKeyRef.current = configKey;
+      void updateBotSessionConfig({
+        provider: config.provider,
+        personality: config.personality,
+        replyMode: config.replyMode,
+      });
+    }, CONFIG_SYNC_DELAY_MS);
+    return () => window.clearTimeout(timerId);
+  }, [config, status]);
+
+  /**
+   * [Function]
+   * Name: connect
+   * Purpose: 请求服务端以当前界面配置建立连接。
+   */
+  const connect = useCallback(() => {
+    if (status === 'connected' || status === 'connecting' || status === 'reconnecting') return;
+    lastSyncedConfigKeyRef.current = toLiveConfigKey(config);
+    void connectBotSession({ ...config }).then((result) => {
+      if (!result.ok) console.error('Failed to start bot session:', result.error);
+    });
+  }, [config, status]);
+
+  /**
+   * [Function]
+   * Name: disconnect
+   * Purpose: 请求服务端断开连接（仅在用户主动点击时触发，关闭页面不影响 bot）。
+   */
+  const disconnect = useCallback(() => {
+    void disconnectBotSession();
+  }, []);
+
+  return {
+    status,
+    messages,
+    onlineUsers,
+    connect,
+    disconnect,
+  };
+};
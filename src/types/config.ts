@@ -2,6 +2,10 @@ import type {
   BotBootstrap as SharedBotBootstrap,
   BotDefaults as SharedBotDefaults,
   BootstrapResponse as SharedBootstrapResponse,
+  BotRuntimeConfig as SharedBotRuntimeConfig,
+  BotSessionEvent as SharedBotSessionEvent,
+  BotSessionSnapshot as SharedBotSessionSnapshot,
+  ConnectionStatus as SharedConnectionStatus,
   ModelProvider as SharedModelProvider,
   ModelProviderOption as SharedModelProviderOption,
   ReplyMode as SharedReplyMode,
@@ -24,4 +28,7 @@ export type BotDefaults = SharedBotDefaults;
 export type BotBootstrap = SharedBotBootstrap;
 export type ServerBootstrapResponse = SharedBootstrapResponse;
 
-export type ConnectionStatus = 'disconnected' | 'connecting' | 'connected' | 'error';
+export type ConnectionStatus = SharedConnectionStatus;
+export type BotRuntimeConfig = SharedBotRuntimeConfig;
+export type BotSessionSnapshot = SharedBotSessionSnapshot;
+export type BotSessionEvent = SharedBotSessionEvent;
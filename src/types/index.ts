@@ -1,5 +1,4 @@
 export * from './chat';
 export * from './profile';
+export * from './memory';
 export * from './config';
-export * from './protocol';
-
@@ -0,0 +1,9 @@
+import type {
+  MemoryDeleteResponse as SharedMemoryDeleteResponse,
+  MemoryListResponse as SharedMemoryListResponse,
+  StoredMemory as SharedStoredMemory,
+} from '../../shared/contracts';
+
+export type StoredMemory = SharedStoredMemory;
+export type MemoryListResponse = SharedMemoryListResponse;
+export type MemoryDeleteResponse = SharedMemoryDeleteResponse;